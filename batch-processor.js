@@ -4,7 +4,7 @@
  * Fast Batch File Processor for ChromaDB
  *
  * Handles rapid ingestion of:
- * - Photos (JPEG, PNG, HEIC, RAW) with EXIF extraction
+ * - Photos (JPEG, PNG, WebP, HEIC, RAW) with EXIF extraction
  * - CAD files (DXF, DWG, STEP, STL, OBJ)
  * - Documents (PDF, TXT, MD, JSON, YAML)
  * - Code files (JS, TS, PY, etc.)
@@ -14,11 +14,21 @@
  * - Automatic metadata extraction + EXIF for photos
  * - Progress tracking
  * - Temporary collections for quick load/unload
+ * - Overlapping text chunks for long documents and source files
+ * - Incremental re-ingest (skips unchanged files by content hash)
  */
 
-import { readdir, stat, readFile } from 'fs/promises';
+import { createReadStream } from 'fs';
+import { readdir, stat, readFile, access } from 'fs/promises';
 import { join, extname, basename, dirname, relative } from 'path';
 import { createHash } from 'crypto';
+import { chunkText, CHUNK_DEFAULTS } from './chunker.js';
+import { chunkCode, getCodeLanguage } from './code-indexer.js';
+import { placeName } from './reverse-geocoder.js';
+import { descriptiveToMetadata } from './xmp-iptc-extractor.js';
+import { probeImage } from './image-probe.js';
+import { applyGpsPolicy } from './gps-privacy.js';
+import { cacheThumbnail } from './thumbnail-cache.js';
 
 // Lazy load EXIF extractor to avoid circular deps
 let exifExtractor = null;
@@ -29,10 +39,28 @@ async function getExifExtractor() {
   return exifExtractor;
 }
 
+// Lazy load PDF extractor (only needed when PDFs are ingested)
+let pdfExtractor = null;
+async function getPdfExtractor() {
+  if (!pdfExtractor) {
+    pdfExtractor = await import('./pdf-extractor.js');
+  }
+  return pdfExtractor;
+}
+
+// Lazy load office document extractor (DOCX/ODT)
+let officeExtractor = null;
+async function getOfficeExtractor() {
+  if (!officeExtractor) {
+    officeExtractor = await import('./office-extractor.js');
+  }
+  return officeExtractor;
+}
+
 // File type configurations
 export const FILE_TYPES = {
   images: {
-    extensions: ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.heic', '.heif', '.tiff', '.tif', '.raw', '.cr2', '.nef', '.arw'],
+    extensions: ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.heic', '.heif', '.tiff', '.tif', '.raw', '.cr2', '.nef', '.arw', '.dng', '.orf', '.rw2'],
     category: 'image',
     extractText: false
   },
@@ -44,20 +72,26 @@ export const FILE_TYPES = {
   documents: {
     extensions: ['.pdf', '.txt', '.md', '.markdown', '.rst', '.doc', '.docx', '.rtf', '.odt'],
     category: 'document',
-    extractText: true
+    extractText: true,
+    chunkStrategy: 'paragraph'
   },
   data: {
     extensions: ['.json', '.yaml', '.yml', '.xml', '.csv', '.tsv', '.toml', '.ini', '.conf', '.config'],
     category: 'data',
-    extractText: true
+    extractText: true,
+    chunkStrategy: 'lines'
   },
   code: {
-    extensions: ['.js', '.ts', '.jsx', '.tsx', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.swift', '.c', '.cpp', '.h', '.hpp', '.cs', '.php', '.vue', '.svelte', '.html', '.css', '.scss', '.sass', '.less', '.sql', '.sh', '.bash', '.zsh', '.ps1', '.bat'],
+    extensions: ['.js', '.mjs', '.cjs', '.ts', '.jsx', '.tsx', '.py', '.rb', '.go', '.rs', '.java', '.kt', '.swift', '.c', '.cpp', '.h', '.hpp', '.cs', '.php', '.vue', '.svelte', '.html', '.css', '.scss', '.sass', '.less', '.sql', '.sh', '.bash', '.zsh', '.ps1', '.bat'],
     category: 'code',
-    extractText: true
+    extractText: true,
+    chunkStrategy: 'lines'
   }
 };
 
+// Extensions chunked by heading section instead of the category default
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
 // Get file category based on extension
 export function getFileCategory(filePath) {
   const ext = extname(filePath).toLowerCase();
@@ -71,6 +105,14 @@ export function getFileCategory(filePath) {
   return { type: 'unknown', category: 'unknown', extractText: false };
 }
 
+// Get chunking strategy for a text file (null if the file is not chunked)
+export function getChunkStrategy(filePath) {
+  const ext = extname(filePath).toLowerCase();
+  if (MARKDOWN_EXTENSIONS.includes(ext)) return 'markdown';
+  if (getCodeLanguage(filePath)) return 'symbols';
+  return getFileCategory(filePath).chunkStrategy || null;
+}
+
 // Generate unique document ID from file path
 export function generateDocId(filePath, prefix = 'file') {
   const hash = createHash('md5').update(filePath).digest('hex').slice(0, 8);
@@ -78,6 +120,17 @@ export function generateDocId(filePath, prefix = 'file') {
   return `${prefix}_${name}_${hash}`;
 }
 
+// Hash file contents (streamed, so large photos/CAD files are not held in memory)
+export function hashFileContent(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('md5');
+    createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
 // Extract metadata from file stats
 async function extractFileMetadata(filePath) {
   try {
@@ -115,50 +168,43 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
-// Extract EXIF-like metadata from images (with full EXIF for JPEG/TIFF)
-async function extractImageMetadata(filePath, includeExif = true) {
+// Extract EXIF-like metadata from images (full EXIF for JPEG, TIFF, HEIC, PNG, WebP, RAW)
+// options: { includeExif, cacheThumbnails: write the embedded preview to the thumbnail cache }
+async function extractImageMetadata(filePath, options = {}) {
+  const { includeExif = true, cacheThumbnails = true } = options;
   const base = await extractFileMetadata(filePath);
-  const ext = extname(filePath).toLowerCase();
 
-  // Try to read first bytes for basic image info
+  // Probe headers only for dimensions, bit depth, color type and frames
   try {
-    const buffer = await readFile(filePath);
+    const probe = await probeImage(filePath);
     const info = {
       ...base,
-      file_signature: buffer.slice(0, 4).toString('hex')
+      file_signature: probe.signature
     };
 
-    // PNG dimensions
-    if (ext === '.png' && buffer.length > 24) {
-      info.width = buffer.readUInt32BE(16);
-      info.height = buffer.readUInt32BE(20);
-    }
-
-    // JPEG dimensions (simplified)
-    if ((ext === '.jpg' || ext === '.jpeg') && buffer.length > 2) {
-      // Look for SOF0 marker
-      for (let i = 0; i < buffer.length - 10; i++) {
-        if (buffer[i] === 0xFF && (buffer[i + 1] === 0xC0 || buffer[i + 1] === 0xC2)) {
-          info.height = buffer.readUInt16BE(i + 5);
-          info.width = buffer.readUInt16BE(i + 7);
-          break;
-        }
-      }
+    if (probe.format) info.image_format = probe.format;
+    for (const key of ['width', 'height', 'bit_depth', 'color_type', 'frames', 'animated', 'progressive']) {
+      if (probe[key] !== undefined && probe[key] !== null) info[key] = probe[key];
     }
+    if (probe.error) info.probe_error = probe.error;
 
     // Extract full EXIF data for supported formats
-    if (includeExif && ['.jpg', '.jpeg', '.tiff', '.tif'].includes(ext)) {
+    if (includeExif) {
       try {
         const exifModule = await getExifExtractor();
-        const exif = await exifModule.extractExif(filePath);
+        // Unsupported formats come back as { supported: false } without being read
+        const exif = await exifModule.extractExif(filePath, { includeThumbnail: true });
 
         if (exif.hasExif) {
           // Add camera info
           if (exif.camera?.make) info.camera_make = exif.camera.make;
           if (exif.camera?.model) info.camera_model = exif.camera.model;
+          if (exif.camera?.bodySerialNumber) info.camera_serial = exif.camera.bodySerialNumber;
+          if (exif.camera?.shutterCount) info.shutter_count = exif.camera.shutterCount;
 
           // Add lens info
           if (exif.lens?.model) info.lens_model = exif.lens.model;
+          if (exif.lens?.serialNumber) info.lens_serial = exif.lens.serialNumber;
           if (exif.lens?.focalLength) info.focal_length = exif.lens.focalLength;
           if (exif.lens?.focalLength35mm) info.focal_length_35mm = exif.lens.focalLength35mm;
 
@@ -169,7 +215,15 @@ async function extractImageMetadata(filePath, includeExif = true) {
           if (exif.exposure?.flash) info.flash = exif.exposure.flash;
 
           // Add date/time
-          if (exif.datetime?.original) info.date_taken = exif.datetime.original;
+          if (exif.datetime?.original) {
+            info.date_taken = exif.datetime.original;
+            const taken = exifModule.parseExifDate(exif.datetime.original, exif.datetime.offset);
+            if (taken) {
+              info.date_taken_iso = taken.iso;
+              info.date_taken_epoch = taken.epoch;
+              if (taken.utcEpoch !== undefined) info.date_taken_utc_epoch = taken.utcEpoch;
+            }
+          }
 
           // Add GPS
           if (exif.gps) {
@@ -179,6 +233,13 @@ async function extractImageMetadata(filePath, includeExif = true) {
             if (exif.gps.altitude) info.gps_altitude = exif.gps.altitude;
           }
 
+          // Add place from offline reverse geocoding
+          if (exif.place) {
+            if (exif.place.city) info.place_city = exif.place.city;
+            if (exif.place.region) info.place_region = exif.place.region;
+            if (exif.place.country) info.place_country = exif.place.country;
+          }
+
           // Use EXIF dimensions if available
           if (exif.image?.width) info.width = exif.image.width;
           if (exif.image?.height) info.height = exif.image.height;
@@ -186,6 +247,22 @@ async function extractImageMetadata(filePath, includeExif = true) {
 
           info.has_exif = true;
         }
+
+        // Cache the embedded preview so search hits can show it
+        if (cacheThumbnails && exif.thumbnail?.data) {
+          try {
+            info.thumbnail_path = (await cacheThumbnail(exif.thumbnail.data)).path;
+            if (exif.thumbnail.width) info.thumbnail_width = exif.thumbnail.width;
+            if (exif.thumbnail.height) info.thumbnail_height = exif.thumbnail.height;
+          } catch (thumbnailError) {
+            info.thumbnail_error = thumbnailError.message;
+          }
+        }
+
+        // Add XMP / IPTC title, caption, keywords, rating, creator
+        if (exif.descriptive) {
+          Object.assign(info, descriptiveToMetadata(exif.descriptive));
+        }
       } catch (exifError) {
         // EXIF extraction failed, continue with basic info
         info.exif_error = exifError.message;
@@ -253,24 +330,143 @@ async function readTextContent(filePath, maxSize = 1024 * 100) { // 100KB max
   }
 }
 
+// Extract PDF text, joining pages with blank lines and recording where each page starts
+async function extractPdfText(filePath) {
+  const { extractPdf, pdfToMetadata } = await getPdfExtractor();
+  const pdf = await extractPdf(filePath);
+  const metadata = pdfToMetadata(pdf);
+
+  if (!pdf.hasText) {
+    return { text: null, metadata, error: pdf.reason || pdf.error || 'No extractable text' };
+  }
+
+  let text = '';
+  const pageOffsets = [];
+  pdf.pages.forEach((page, i) => {
+    if (i > 0) text += '\n\n';
+    pageOffsets.push(text.length);
+    text += page;
+  });
+
+  return { text, metadata, pageOffsets };
+}
+
+// Extract DOCX/ODT body text; headings come back as Markdown so they chunk by section
+async function extractOfficeText(filePath) {
+  const { extractOfficeDocument, officeToMetadata } = await getOfficeExtractor();
+  const doc = await extractOfficeDocument(filePath);
+  const metadata = officeToMetadata(doc);
+
+  if (!doc.hasText) {
+    return { text: null, metadata, error: doc.reason || doc.error || 'No extractable text' };
+  }
+
+  return { text: doc.text, metadata, chunkStrategy: 'markdown' };
+}
+
+// Formats whose raw bytes are not text and need a dedicated extractor
+const DOCUMENT_EXTRACTORS = {
+  '.pdf': extractPdfText,
+  '.docx': extractOfficeText,
+  '.odt': extractOfficeText
+};
+
+// 1-based page containing a character offset
+function pageAt(pageOffsets, offset) {
+  let page = 0;
+  while (page + 1 < pageOffsets.length && pageOffsets[page + 1] <= offset) page++;
+  return page + 1;
+}
+
+// Split processed text into chunk documents that share the parent's metadata
+function buildChunks(id, content, metadata, options) {
+  const { strategy, chunkSize, chunkOverlap, pageOffsets = null } = options;
+  const chunks = strategy === 'symbols'
+    ? chunkCode(content, metadata.language, { chunkSize, chunkOverlap, fileName: metadata.filename })
+    : chunkText(content, { strategy, chunkSize, chunkOverlap });
+
+  // Symbol units are always stored as chunks so they keep their symbol metadata
+  if (chunks.length <= 1 && !chunks[0]?.symbol_kind) {
+    return [{
+      id,
+      content,
+      metadata: { ...metadata, parent_id: id, chunk_index: 0, chunk_count: 1 }
+    }];
+  }
+
+  return chunks.map(chunk => {
+    const chunkMeta = {
+      ...metadata,
+      parent_id: id,
+      chunk_index: chunk.index,
+      chunk_count: chunks.length,
+      chunk_strategy: strategy,
+      start_line: chunk.start_line,
+      end_line: chunk.end_line,
+      start_byte: chunk.start_byte,
+      end_byte: chunk.end_byte
+    };
+    if (chunk.section) chunkMeta.section = chunk.section;
+    if (chunk.symbol_kind) {
+      chunkMeta.symbol_name = chunk.symbol_name;
+      chunkMeta.symbol_kind = chunk.symbol_kind;
+      if (chunk.symbol_parent) chunkMeta.symbol_parent = chunk.symbol_parent;
+    }
+    if (pageOffsets) {
+      chunkMeta.page = pageAt(pageOffsets, chunk.start_offset);
+      chunkMeta.page_end = pageAt(pageOffsets, Math.max(chunk.start_offset, chunk.end_offset - 1));
+    }
+
+    return {
+      id: `${id}_chunk_${chunk.index}`,
+      content: chunk.text,
+      metadata: chunkMeta
+    };
+  });
+}
+
+// Flatten processed files into the documents to store (one per chunk)
+export function expandChunks(results) {
+  return results.flatMap(r => r.chunks || [{ id: r.id, content: r.content, metadata: r.metadata }]);
+}
+
 // Process a single file for ChromaDB ingestion
 export async function processFile(filePath, options = {}) {
   const {
     includeContent = true,
     maxContentSize = 100 * 1024, // 100KB
-    basePath = null
+    basePath = null,
+    chunking = true,
+    chunkSize = CHUNK_DEFAULTS.chunkSize,
+    chunkOverlap = CHUNK_DEFAULTS.chunkOverlap,
+    maxChunkedSize = 10 * 1024 * 1024, // 10MB
+    maxDocumentSize = 50 * 1024 * 1024, // 50MB - PDF/DOCX/ODT extractors load the whole file
+    cacheThumbnails = true, // write embedded EXIF previews to the thumbnail cache
+    gpsPolicy = null // GPS privacy policy (gps-privacy.js) for photo coordinates
   } = options;
 
   const category = getFileCategory(filePath);
+  let chunkStrategy = chunking ? getChunkStrategy(filePath) : null;
   let metadata;
   let content;
+  let chunked = false;
+  let pageOffsets = null;
 
   // Extract type-specific metadata
   switch (category.type) {
     case 'images':
-      metadata = await extractImageMetadata(filePath);
+      metadata = applyGpsPolicy(await extractImageMetadata(filePath, { cacheThumbnails }), gpsPolicy);
       // For images, content is a description
       content = `Image file: ${metadata.filename}\nDimensions: ${metadata.width || 'unknown'}x${metadata.height || 'unknown'}\nSize: ${metadata.size_human}\nFormat: ${metadata.extension}`;
+      if (metadata.animated) content += `\nAnimated: ${metadata.frames || 'unknown'} frames`;
+      if (metadata.camera_model) content += `\nCamera: ${[metadata.camera_make, metadata.camera_model].filter(Boolean).join(' ')}`;
+      if (metadata.lens_model) content += `\nLens: ${metadata.lens_model}`;
+      if (metadata.place_city || metadata.place_country) {
+        content += `\nPlace: ${placeName({ city: metadata.place_city, region: metadata.place_region, country: metadata.place_country })}`;
+      }
+      if (metadata.title) content += `\nTitle: ${metadata.title}`;
+      if (metadata.caption) content += `\nCaption: ${metadata.caption}`;
+      if (metadata.keywords) content += `\nKeywords: ${metadata.keywords}`;
       break;
 
     case 'cad':
@@ -281,8 +477,35 @@ export async function processFile(filePath, options = {}) {
 
     default:
       metadata = await extractFileMetadata(filePath);
-      if (category.extractText && includeContent) {
-        content = await readTextContent(filePath, maxContentSize);
+      if (category.extractText && includeContent && DOCUMENT_EXTRACTORS[metadata.extension] &&
+          metadata.size_bytes > maxDocumentSize) {
+        metadata.extract_error = `File too large to extract (${metadata.size_human}, limit ${formatBytes(maxDocumentSize)})`;
+        content = `File: ${metadata.filename}\nType: ${metadata.file_type}\nSize: ${metadata.size_human}`;
+      } else if (category.extractText && includeContent && DOCUMENT_EXTRACTORS[metadata.extension]) {
+        const extracted = await DOCUMENT_EXTRACTORS[metadata.extension](filePath);
+        Object.assign(metadata, extracted.metadata);
+
+        if (extracted.text) {
+          if (chunkStrategy && extracted.chunkStrategy) chunkStrategy = extracted.chunkStrategy;
+          chunked = Boolean(chunkStrategy);
+          content = extracted.text;
+          pageOffsets = extracted.pageOffsets || null;
+          if (!chunked && content.length > maxContentSize) {
+            content = content.slice(0, maxContentSize) + '\n\n[... truncated ...]';
+            metadata.truncated = true;
+          }
+        } else {
+          metadata.extract_error = extracted.error;
+          content = `File: ${metadata.filename}\nType: ${metadata.file_type}\nSize: ${metadata.size_human}`;
+        }
+      } else if (category.extractText && includeContent) {
+        // Chunked files are read whole (up to maxChunkedSize) instead of truncated
+        chunked = Boolean(chunkStrategy);
+        const language = getCodeLanguage(filePath);
+        if (language) metadata.language = language;
+        const readLimit = chunked ? maxChunkedSize : maxContentSize;
+        content = await readTextContent(filePath, readLimit);
+        if (metadata.size_bytes > readLimit) metadata.truncated = true;
       } else {
         content = `File: ${metadata.filename}\nType: ${metadata.file_type}\nSize: ${metadata.size_human}`;
       }
@@ -296,10 +519,21 @@ export async function processFile(filePath, options = {}) {
   metadata.full_path = filePath;
   metadata.processed_at = new Date().toISOString();
 
+  try {
+    metadata.content_hash = await hashFileContent(filePath);
+  } catch (error) {
+    // Unreadable file - incremental ingest will treat it as changed
+  }
+
+  const id = generateDocId(filePath);
+
   return {
-    id: generateDocId(filePath),
+    id,
     content,
-    metadata
+    metadata,
+    chunks: chunked
+      ? buildChunks(id, content, metadata, { strategy: chunkStrategy, chunkSize, chunkOverlap, pageOffsets })
+      : [{ id, content, metadata }]
   };
 }
 
@@ -366,7 +600,12 @@ export async function batchProcessFiles(files, options = {}) {
     onProgress = null,
     includeContent = true,
     maxContentSize = 100 * 1024,
-    basePath = null
+    basePath = null,
+    chunking = true,
+    chunkSize = CHUNK_DEFAULTS.chunkSize,
+    chunkOverlap = CHUNK_DEFAULTS.chunkOverlap,
+    cacheThumbnails = true,
+    gpsPolicy = null
   } = options;
 
   const results = [];
@@ -380,7 +619,16 @@ export async function batchProcessFiles(files, options = {}) {
     const batchResults = await Promise.all(
       batch.map(async (file) => {
         try {
-          const result = await processFile(file, { includeContent, maxContentSize, basePath });
+          const result = await processFile(file, {
+            includeContent,
+            maxContentSize,
+            basePath,
+            chunking,
+            chunkSize,
+            chunkOverlap,
+            cacheThumbnails,
+            gpsPolicy
+          });
           return { success: true, result };
         } catch (error) {
           return { success: false, file, error: error.message };
@@ -410,6 +658,137 @@ export async function batchProcessFiles(files, options = {}) {
   return { results, errors, stats: { total: files.length, processed: results.length, failed: errors.length } };
 }
 
+// Load id/hash/mtime for every stored file matching a filter, keyed by full_path
+async function loadIngestIndex(collection, where, pageSize = 1000) {
+  const index = new Map();
+
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await collection.get({ where, include: ['metadatas'], limit: pageSize, offset });
+
+    page.ids.forEach((id, idx) => {
+      const meta = page.metadatas[idx] || {};
+      const key = meta.full_path || id;
+
+      if (!index.has(key)) {
+        index.set(key, {
+          ids: [],
+          content_hash: meta.content_hash || null,
+          modified_at: meta.modified_at || null,
+          size_bytes: meta.size_bytes
+        });
+      }
+      index.get(key).ids.push(id);
+    });
+
+    if (page.ids.length < pageSize) break;
+  }
+
+  return index;
+}
+
+// Check whether a file differs from its stored copy (mtime/size first, then content hash)
+async function hasFileChanged(filePath, entry) {
+  if (!entry || !entry.content_hash) return true;
+
+  try {
+    const stats = await stat(filePath);
+    if (entry.modified_at === stats.mtime.toISOString() && entry.size_bytes === stats.size) {
+      return false;
+    }
+    return (await hashFileContent(filePath)) !== entry.content_hash;
+  } catch {
+    return true;
+  }
+}
+
+// Incrementally ingest files: skip unchanged, upsert changed, optionally remove deleted
+export async function incrementalIngest(collection, files, options = {}) {
+  const {
+    sourceDirectory = null,
+    removeMissing = false,
+    metadata: extraMetadata = {},
+    batchSize = 100,
+    onProgress = null,
+    ...processOptions
+  } = options;
+
+  // Existing documents from this source directory (or just these files)
+  const where = sourceDirectory
+    ? { source_directory: sourceDirectory }
+    : { full_path: { $in: files } };
+  const index = files.length || sourceDirectory ? await loadIngestIndex(collection, where) : new Map();
+
+  const toProcess = [];
+  let unchanged = 0;
+
+  for (const file of files) {
+    if (await hasFileChanged(file, index.get(file))) {
+      toProcess.push(file);
+    } else {
+      unchanged++;
+    }
+  }
+
+  const { results, errors } = await batchProcessFiles(toProcess, { ...processOptions, onProgress });
+
+  // Upsert new chunks and drop chunks left over from a longer previous version
+  const documents = expandChunks(results);
+  for (let i = 0; i < documents.length; i += batchSize) {
+    const batch = documents.slice(i, i + batchSize);
+    await collection.upsert({
+      ids: batch.map(d => d.id),
+      documents: batch.map(d => d.content),
+      metadatas: batch.map(d => ({ ...d.metadata, ...extraMetadata }))
+    });
+  }
+
+  let added = 0;
+  let updated = 0;
+  const staleIds = [];
+
+  for (const result of results) {
+    const entry = index.get(result.metadata.full_path);
+    if (!entry) {
+      added++;
+      continue;
+    }
+
+    updated++;
+    const currentIds = new Set(expandChunks([result]).map(d => d.id));
+    staleIds.push(...entry.ids.filter(id => !currentIds.has(id)));
+  }
+
+  // Remove documents whose files no longer exist
+  let removed = 0;
+  if (removeMissing && sourceDirectory) {
+    const scanned = new Set(files);
+
+    for (const [fullPath, entry] of index) {
+      if (scanned.has(fullPath)) continue;
+
+      try {
+        await access(fullPath);
+      } catch {
+        staleIds.push(...entry.ids);
+        removed++;
+      }
+    }
+  }
+
+  for (let i = 0; i < staleIds.length; i += batchSize) {
+    await collection.delete({ ids: staleIds.slice(i, i + batchSize) });
+  }
+
+  return {
+    added,
+    updated,
+    unchanged,
+    removed,
+    documents_stored: documents.length,
+    errors
+  };
+}
+
 // Export collection to JSON
 export async function exportCollection(client, collectionName) {
   try {
@@ -503,10 +882,14 @@ export async function getDirectoryStats(dirPath, options = {}) {
 export default {
   FILE_TYPES,
   getFileCategory,
+  getChunkStrategy,
   generateDocId,
   processFile,
+  expandChunks,
   scanDirectory,
   batchProcessFiles,
+  hashFileContent,
+  incrementalIngest,
   exportCollection,
   importCollection,
   getDirectoryStats
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * Text Chunker for ChromaDB
+ *
+ * Splits long text into overlapping passages so each one gets its own
+ * embedding instead of a whole (or truncated) file.
+ *
+ * Strategies:
+ * - markdown: heading sections, falling back to paragraphs
+ * - paragraph: blank-line separated paragraphs
+ * - lines: line windows (code, data files)
+ * - fixed: plain character windows
+ *
+ * Units that are still too large are split with the next finer strategy,
+ * so a chunk never exceeds the configured size.
+ */
+
+export const CHUNK_DEFAULTS = {
+  chunkSize: 1500, // characters
+  chunkOverlap: 200 // characters carried over from the previous chunk
+};
+
+// Finer strategy to use when a unit is larger than the chunk size
+const FALLBACK_STRATEGY = {
+  markdown: 'paragraph',
+  paragraph: 'lines',
+  lines: 'fixed',
+  fixed: null
+};
+
+// Split [start, end) of text into line units
+function splitLines(text, start, end) {
+  const units = [];
+  let pos = start;
+
+  while (pos < end) {
+    const newline = text.indexOf('\n', pos);
+    const lineEnd = newline === -1 || newline >= end ? end : newline + 1;
+    units.push({ start: pos, end: lineEnd });
+    pos = lineEnd;
+  }
+
+  return units;
+}
+
+// Split [start, end) of text into paragraphs (trailing blank lines stay with the paragraph)
+function splitParagraphs(text, start, end) {
+  const units = [];
+  const blankRun = /\n[ \t]*\n(?:[ \t]*\n)*/g;
+  blankRun.lastIndex = start;
+  let unitStart = start;
+  let match;
+
+  while ((match = blankRun.exec(text)) !== null && match.index < end) {
+    const unitEnd = Math.min(match.index + match[0].length, end);
+    units.push({ start: unitStart, end: unitEnd });
+    unitStart = unitEnd;
+  }
+
+  if (unitStart < end) {
+    units.push({ start: unitStart, end });
+  }
+
+  return units;
+}
+
+// Split [start, end) of markdown into heading sections, ignoring fenced code blocks
+function splitMarkdownSections(text, start, end) {
+  const units = [];
+  let unitStart = start;
+  let heading = null;
+  let inFence = false;
+
+  for (const line of splitLines(text, start, end)) {
+    const lineText = text.slice(line.start, line.end);
+
+    if (/^\s*(```|~~~)/.test(lineText)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    const match = lineText.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (match) {
+      if (line.start > unitStart) {
+        units.push({ start: unitStart, end: line.start, section: heading });
+      }
+      unitStart = line.start;
+      heading = match[2];
+    }
+  }
+
+  if (unitStart < end) {
+    units.push({ start: unitStart, end, section: heading });
+  }
+
+  return units;
+}
+
+// Split [start, end) of text into fixed-size windows
+function splitFixed(text, start, end, size) {
+  const units = [];
+  for (let pos = start; pos < end; pos += size) {
+    units.push({ start: pos, end: Math.min(pos + size, end) });
+  }
+  return units;
+}
+
+// Split a range into units no larger than chunkSize, descending through finer strategies
+function splitUnits(text, start, end, strategy, chunkSize) {
+  let units;
+  switch (strategy) {
+    case 'markdown':
+      units = splitMarkdownSections(text, start, end);
+      break;
+    case 'paragraph':
+      units = splitParagraphs(text, start, end);
+      break;
+    case 'lines':
+      units = splitLines(text, start, end);
+      break;
+    default:
+      return splitFixed(text, start, end, chunkSize);
+  }
+
+  const result = [];
+  for (const unit of units) {
+    if (unit.end - unit.start <= chunkSize) {
+      result.push(unit);
+      continue;
+    }
+
+    const finer = splitUnits(text, unit.start, unit.end, FALLBACK_STRATEGY[strategy], chunkSize);
+    for (const sub of finer) {
+      result.push(unit.section !== undefined ? { ...sub, section: unit.section } : sub);
+    }
+  }
+
+  return result;
+}
+
+// Index of the line containing a character offset (binary search over line starts)
+function lineAt(lineStarts, offset) {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) {
+      lo = mid;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return lo;
+}
+
+// Converts increasing character offsets to UTF-8 byte offsets without rescanning the prefix
+function createByteCounter(text) {
+  let charPos = 0;
+  let bytePos = 0;
+
+  return (offset) => {
+    if (offset < charPos) {
+      charPos = 0;
+      bytePos = 0;
+    }
+    bytePos += Buffer.byteLength(text.slice(charPos, offset), 'utf-8');
+    charPos = offset;
+    return bytePos;
+  };
+}
+
+/**
+ * Split text into overlapping chunks
+ * @param {string} text - Text to split
+ * @param {object} options - Chunking options
+ * @param {string} options.strategy - markdown, paragraph, lines or fixed
+ * @param {number} options.chunkSize - Maximum characters per chunk
+ * @param {number} options.chunkOverlap - Characters of trailing context repeated in the next chunk
+ * @returns {Array<object>} Chunks with text, index, character offsets, line range (1-based, inclusive) and byte range
+ */
+export function chunkText(text, options = {}) {
+  const {
+    strategy = 'paragraph',
+    chunkSize = CHUNK_DEFAULTS.chunkSize,
+    chunkOverlap = CHUNK_DEFAULTS.chunkOverlap
+  } = options;
+
+  if (!text) return [];
+
+  if (!(chunkSize > 0)) {
+    throw new Error('chunkSize must be a positive number');
+  }
+  const overlap = Math.max(0, Math.min(chunkOverlap || 0, Math.floor(chunkSize / 2)));
+
+  const units = splitUnits(text, 0, text.length, strategy, chunkSize);
+
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) lineStarts.push(i + 1);
+  }
+  const startBytes = createByteCounter(text);
+  const endBytes = createByteCounter(text);
+
+  const chunks = [];
+  let first = 0;
+
+  while (first < units.length) {
+    // Pack as many whole units as fit
+    let last = first;
+    while (last + 1 < units.length && units[last + 1].end - units[first].start <= chunkSize) {
+      last++;
+    }
+
+    const start = units[first].start;
+    const end = units[last].end;
+    const chunk = {
+      text: text.slice(start, end),
+      index: chunks.length,
+      start_offset: start,
+      end_offset: end,
+      start_line: lineAt(lineStarts, start) + 1,
+      end_line: lineAt(lineStarts, Math.max(start, end - 1)) + 1,
+      start_byte: startBytes(start),
+      end_byte: endBytes(end)
+    };
+    if (units[first].section) chunk.section = units[first].section;
+    chunks.push(chunk);
+
+    if (last === units.length - 1) break;
+
+    // Step back over trailing units that fit in the overlap, always moving forward
+    let next = last + 1;
+    while (next - 1 > first && end - units[next - 1].start <= overlap) {
+      next--;
+    }
+    first = next;
+  }
+
+  return chunks;
+}
+
+export default {
+  CHUNK_DEFAULTS,
+  chunkText
+};
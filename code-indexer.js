@@ -0,0 +1,652 @@
+#!/usr/bin/env node
+
+/**
+ * Symbol-Level Code Indexer
+ *
+ * Splits source files into function, class and method units so a search
+ * returns the exact symbol (and its line range) instead of a whole file.
+ *
+ * Supported languages:
+ * - JavaScript / TypeScript (functions, arrow functions, classes, methods,
+ *   interfaces, enums, type aliases)
+ * - Python (functions, classes, methods, decorators)
+ * - Go (functions, methods, struct and interface types)
+ *
+ * Code between symbols (imports, constants, top-level statements) is kept
+ * as "module" units, and oversized symbols are split into line windows.
+ */
+
+import { extname, basename } from 'path';
+import { chunkText, CHUNK_DEFAULTS } from './chunker.js';
+
+export const CODE_LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.py': 'python',
+  '.go': 'go'
+};
+
+const JS_REGEX_PRECEDERS = '(,=:[!&|?{};+-*%<>~^';
+const JS_REGEX_KEYWORDS = ['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'yield', 'await'];
+const JS_NOT_METHODS = ['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'with', 'else', 'do', 'try', 'new', 'typeof', 'await', 'super', 'this'];
+
+/**
+ * Get the indexer language for a file
+ * @param {string} filePath - Path to the source file
+ * @returns {string|null} Language name or null if unsupported
+ */
+export function getCodeLanguage(filePath) {
+  return CODE_LANGUAGES[extname(filePath).toLowerCase()] || null;
+}
+
+// ============================================
+// MASKING (strings and comments -> spaces)
+// ============================================
+
+// Replace src[from, to) with spaces, keeping newlines so line numbers stay valid
+function blank(chars, from, to) {
+  for (let i = from; i < to && i < chars.length; i++) {
+    if (chars[i] !== '\n') chars[i] = ' ';
+  }
+}
+
+/**
+ * Mask comments, strings, template literals and regex literals in C-style code
+ * @param {string} src - Source code
+ * @param {object} options - { templates: JS template literals, regex: JS regex literals, rawBackticks: Go raw strings }
+ * @returns {string} Source of identical length with literal contents blanked
+ */
+function maskCStyle(src, options = {}) {
+  const { templates = false, regex = false, rawBackticks = false } = options;
+  const chars = src.split('');
+  const n = src.length;
+
+  // Last significant character/word before position i in the masked output
+  const previousToken = (i) => {
+    let j = i - 1;
+    while (j >= 0 && /\s/.test(chars[j])) j--;
+    if (j < 0) return { char: '', word: '' };
+    let k = j;
+    while (k >= 0 && /[\w$]/.test(chars[k])) k--;
+    return { char: chars[j], word: chars.slice(k + 1, j + 1).join('') };
+  };
+
+  const skipString = (i, quote) => {
+    let j = i + 1;
+    while (j < n && src[j] !== quote && src[j] !== '\n') {
+      j += src[j] === '\\' ? 2 : 1;
+    }
+    return Math.min(j + 1, n);
+  };
+
+  const skipRegex = (i) => {
+    let j = i + 1;
+    let inClass = false;
+    while (j < n && src[j] !== '\n') {
+      if (src[j] === '\\') {
+        j += 2;
+        continue;
+      }
+      if (src[j] === '[') inClass = true;
+      else if (src[j] === ']') inClass = false;
+      else if (src[j] === '/' && !inClass) break;
+      j++;
+    }
+    j++;
+    while (j < n && /[a-z]/i.test(src[j])) j++;
+    return j;
+  };
+
+  // Scan code from i; with stopAtBrace, return after the '}' closing a template expression
+  const scanCode = (i, stopAtBrace) => {
+    let depth = 0;
+
+    while (i < n) {
+      const c = src[i];
+      const next = src[i + 1];
+
+      if (c === '/' && next === '/') {
+        const end = src.indexOf('\n', i);
+        const stop = end === -1 ? n : end;
+        blank(chars, i, stop);
+        i = stop;
+      } else if (c === '/' && next === '*') {
+        const end = src.indexOf('*/', i + 2);
+        const stop = end === -1 ? n : end + 2;
+        blank(chars, i, stop);
+        i = stop;
+      } else if (c === '"' || c === "'") {
+        const stop = skipString(i, c);
+        blank(chars, i, stop);
+        i = stop;
+      } else if (c === '`' && templates) {
+        const stop = scanTemplate(i);
+        blank(chars, i, stop);
+        i = stop;
+      } else if (c === '`' && rawBackticks) {
+        const end = src.indexOf('`', i + 1);
+        const stop = end === -1 ? n : end + 1;
+        blank(chars, i, stop);
+        i = stop;
+      } else if (c === '/' && regex) {
+        const prev = previousToken(i);
+        if (prev.char === '' || JS_REGEX_PRECEDERS.includes(prev.char) || JS_REGEX_KEYWORDS.includes(prev.word)) {
+          const stop = skipRegex(i);
+          blank(chars, i, stop);
+          i = stop;
+        } else {
+          i++;
+        }
+      } else {
+        if (stopAtBrace) {
+          if (c === '{') depth++;
+          if (c === '}' && depth-- === 0) return i + 1;
+        }
+        i++;
+      }
+    }
+
+    return n;
+  };
+
+  const scanTemplate = (i) => {
+    let j = i + 1;
+    while (j < n) {
+      if (src[j] === '\\') {
+        j += 2;
+      } else if (src[j] === '`') {
+        return j + 1;
+      } else if (src[j] === '$' && src[j + 1] === '{') {
+        j = scanCode(j + 2, true);
+      } else {
+        j++;
+      }
+    }
+    return n;
+  };
+
+  scanCode(0, false);
+  return chars.join('');
+}
+
+// Mask Python comments and (triple-quoted, prefixed) strings
+function maskPython(src) {
+  const chars = src.split('');
+  const n = src.length;
+  let i = 0;
+
+  while (i < n) {
+    const c = src[i];
+
+    if (c === '#') {
+      const end = src.indexOf('\n', i);
+      const stop = end === -1 ? n : end;
+      blank(chars, i, stop);
+      i = stop;
+    } else if (c === '"' || c === "'") {
+      const triple = src.startsWith(c.repeat(3), i);
+      const quote = triple ? c.repeat(3) : c;
+      let j = i + quote.length;
+
+      while (j < n) {
+        if (src[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (src.startsWith(quote, j)) {
+          j += quote.length;
+          break;
+        }
+        if (!triple && src[j] === '\n') break;
+        j++;
+      }
+
+      blank(chars, i, j);
+      i = j;
+    } else {
+      i++;
+    }
+  }
+
+  return chars.join('');
+}
+
+// ============================================
+// SHARED HELPERS
+// ============================================
+
+function lineStartOffsets(src) {
+  const starts = [0];
+  for (let i = 0; i < src.length; i++) {
+    if (src.charCodeAt(i) === 10) starts.push(i + 1);
+  }
+  return starts;
+}
+
+// 0-based line index of a character offset
+function lineOf(starts, offset) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= offset) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+
+// Offset just past the '}' that closes the first '{' found at paren/bracket depth 0 after `from`
+function findBlockEnd(masked, from, limit = masked.length) {
+  let parens = 0;
+  for (let i = from; i < limit; i++) {
+    const c = masked[i];
+    if (c === '(' || c === '[') parens++;
+    else if (c === ')' || c === ']') parens--;
+    else if (c === ';' && parens <= 0) return -1;
+    else if (c === '{' && parens <= 0) {
+      let depth = 0;
+      for (let j = i; j < limit; j++) {
+        if (masked[j] === '{') depth++;
+        else if (masked[j] === '}' && --depth === 0) return j + 1;
+      }
+      return limit;
+    }
+  }
+  return -1;
+}
+
+// End of a JS statement starting at `from`: ';' or a line break with all brackets closed
+function findStatementEnd(masked, from, limit = masked.length) {
+  let depth = 0;
+  for (let i = from; i < limit; i++) {
+    const c = masked[i];
+    if ('({['.includes(c)) depth++;
+    else if (')}]'.includes(c)) {
+      if (--depth < 0) return i;
+    } else if (c === ';' && depth === 0) return i + 1;
+    else if (c === '\n' && depth === 0) {
+      // Keep going if the line ends with an operator or the next line continues the expression
+      const before = masked.slice(from, i).trimEnd();
+      const after = masked.slice(i + 1).trimStart();
+      if (!/[=+\-*/%&|^<>?:,.(]$/.test(before) && !/^[.?:+\-*/%&|^=,)]/.test(after)) return i;
+    }
+  }
+  return limit;
+}
+
+// Extend a symbol's first line upward over doc comments and decorators
+function includeLeadingComments(lines, startLine, isComment) {
+  let line = startLine;
+  while (line > 0 && lines[line - 1].trim() !== '' && isComment(lines[line - 1].trim())) {
+    line--;
+  }
+  return line;
+}
+
+const isCStyleComment = (text) => /^(\/\/|\/\*|\*|@)/.test(text);
+
+// ============================================
+// LANGUAGE PARSERS
+// ============================================
+
+function extractJsSymbols(src) {
+  const masked = maskCStyle(src, { templates: true, regex: true });
+  const starts = lineStartOffsets(src);
+  const lines = src.split('\n');
+  const symbols = [];
+
+  const topLevelPatterns = [
+    { kind: 'function', re: /^[ \t]*(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/gm },
+    { kind: 'class', re: /^[ \t]*(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/gm },
+    { kind: 'function', arrow: true, re: /^[ \t]*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=\n]+)?=\s*(?:async\s+)?(?:function\b|\(|[A-Za-z_$][\w$]*\s*=>|<)/gm },
+    { kind: 'interface', re: /^[ \t]*(?:export\s+)?(?:declare\s+)?interface\s+([A-Za-z_$][\w$]*)/gm },
+    { kind: 'enum', re: /^[ \t]*(?:export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([A-Za-z_$][\w$]*)/gm },
+    { kind: 'type', statement: true, re: /^[ \t]*(?:export\s+)?(?:declare\s+)?type\s+([A-Za-z_$][\w$]*)\s*(?:<[^=\n]*>)?\s*=/gm }
+  ];
+
+  // Brace depth at every line start, so only top-level declarations are picked up
+  const depthAtLine = [];
+  let depth = 0;
+  let line = 0;
+  depthAtLine[0] = 0;
+  for (let i = 0; i < masked.length; i++) {
+    const c = masked[i];
+    if (c === '{') depth++;
+    else if (c === '}') depth = Math.max(0, depth - 1);
+    else if (c === '\n') depthAtLine[++line] = depth;
+  }
+
+  for (const { kind, re, arrow, statement } of topLevelPatterns) {
+    let match;
+    while ((match = re.exec(masked)) !== null) {
+      const startLine = lineOf(starts, match.index);
+      if (depthAtLine[startLine] !== 0) continue;
+
+      const name = match[1];
+      let end;
+      if (arrow) {
+        const stmtEnd = findStatementEnd(masked, match.index);
+        const stmt = masked.slice(match.index, stmtEnd);
+        if (!/=>|\bfunction\b/.test(stmt)) continue;
+        end = stmtEnd;
+      } else if (statement) {
+        end = findStatementEnd(masked, match.index);
+      } else {
+        end = findBlockEnd(masked, match.index + match[0].length);
+        if (end === -1) continue; // declaration without a body (overloads, declare)
+      }
+
+      symbols.push({
+        name,
+        kind,
+        start_line: startLine,
+        end_line: lineOf(starts, Math.max(match.index, end - 1)),
+        bodyStart: match.index,
+        bodyEnd: end
+      });
+    }
+  }
+
+  // Methods inside classes
+  const methodPattern = /^[ \t]*(?:(?:public|private|protected|static|readonly|abstract|override|async|get|set|declare)[ \t]+)*\*?[ \t]*(#?[A-Za-z_$][\w$]*)[ \t]*(?:<[^>\n]*>)?[ \t]*\(/gm;
+  const fieldArrowPattern = /^[ \t]*(?:(?:public|private|protected|static|readonly)\s+)*(#?[A-Za-z_$][\w$]*)\s*(?::[^=\n]+)?=\s*(?:async\s+)?(?:\([^)]*\)|[A-Za-z_$][\w$]*)\s*(?::[^=\n]+)?=>/gm;
+
+  for (const cls of symbols.filter(s => s.kind === 'class')) {
+    const open = masked.indexOf('{', cls.bodyStart);
+    const classDepth = depthAtLine[lineOf(starts, open)] + 1;
+
+    for (const pattern of [methodPattern, fieldArrowPattern]) {
+      pattern.lastIndex = open + 1;
+      let match;
+      while ((match = pattern.exec(masked)) !== null && match.index < cls.bodyEnd) {
+        const startLine = lineOf(starts, match.index);
+        if (depthAtLine[startLine] !== classDepth || JS_NOT_METHODS.includes(match[1])) continue;
+
+        const end = findBlockEnd(masked, match.index + match[0].length - 1, cls.bodyEnd);
+        if (end === -1) continue; // abstract or overload signature
+
+        symbols.push({
+          name: match[1],
+          kind: 'method',
+          parent: cls.name,
+          start_line: startLine,
+          end_line: lineOf(starts, end - 1)
+        });
+      }
+    }
+  }
+
+  for (const symbol of symbols) {
+    symbol.start_line = includeLeadingComments(lines, symbol.start_line, isCStyleComment);
+    delete symbol.bodyStart;
+    delete symbol.bodyEnd;
+  }
+
+  return symbols;
+}
+
+function extractPythonSymbols(src) {
+  const masked = maskPython(src);
+  const lines = src.split('\n');
+  const maskedLines = masked.split('\n');
+  const symbols = [];
+
+  const indentOf = (text) => text.match(/^[ \t]*/)[0].replace(/\t/g, '        ').length;
+  const isBlank = (idx) => maskedLines[idx].trim() === '';
+
+  // Last line of the block opened at `line` (indentation-based)
+  const blockEnd = (line, indent) => {
+    let last = line;
+    for (let i = line + 1; i < maskedLines.length; i++) {
+      if (isBlank(i)) continue;
+      if (indentOf(maskedLines[i]) <= indent) break;
+      last = i;
+    }
+    return last;
+  };
+
+  // Classes/functions open a scope; only defs directly inside a class become methods
+  const scopes = [];
+
+  for (let i = 0; i < maskedLines.length; i++) {
+    if (isBlank(i)) continue;
+
+    const indent = indentOf(maskedLines[i]);
+    while (scopes.length && indent <= scopes[scopes.length - 1].indent) scopes.pop();
+
+    const match = maskedLines[i].match(/^[ \t]*(?:(async)\s+)?(def|class)\s+([A-Za-z_]\w*)/);
+    if (!match) continue;
+
+    const parent = scopes[scopes.length - 1];
+    const kind = match[2] === 'class' ? 'class' : parent?.kind === 'class' ? 'method' : 'function';
+    const end = blockEnd(i, indent);
+
+    scopes.push({ indent, kind, name: match[3] });
+
+    // Nested functions stay part of their enclosing function
+    if (parent && parent.kind !== 'class') continue;
+    if (parent && kind === 'class') continue;
+
+    let start = i;
+    while (start > 0 && /^\s*@/.test(lines[start - 1])) start--;
+    start = includeLeadingComments(lines, start, text => text.startsWith('#'));
+
+    symbols.push({
+      name: match[3],
+      kind,
+      ...(kind === 'method' ? { parent: parent.name } : {}),
+      start_line: start,
+      end_line: end
+    });
+  }
+
+  return symbols;
+}
+
+function extractGoSymbols(src) {
+  const masked = maskCStyle(src, { rawBackticks: true });
+  const starts = lineStartOffsets(src);
+  const lines = src.split('\n');
+  const symbols = [];
+
+  const funcPattern = /^func\s+(?:\(\s*(?:[A-Za-z_]\w*\s+)?\*?\s*([A-Za-z_][\w.]*)(?:\[[^\]]*\])?\s*\)\s*)?([A-Za-z_]\w*)/gm;
+  const typePattern = /^type\s+([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+(struct|interface)\b/gm;
+
+  let match;
+  while ((match = funcPattern.exec(masked)) !== null) {
+    const end = findBlockEnd(masked, match.index + match[0].length);
+    if (end === -1) continue;
+
+    symbols.push({
+      name: match[2],
+      kind: match[1] ? 'method' : 'function',
+      ...(match[1] ? { parent: match[1] } : {}),
+      start_line: includeLeadingComments(lines, lineOf(starts, match.index), isCStyleComment),
+      end_line: lineOf(starts, end - 1)
+    });
+  }
+
+  while ((match = typePattern.exec(masked)) !== null) {
+    const end = findBlockEnd(masked, match.index + match[0].length);
+    if (end === -1) continue;
+
+    symbols.push({
+      name: match[1],
+      kind: match[2],
+      start_line: includeLeadingComments(lines, lineOf(starts, match.index), isCStyleComment),
+      end_line: lineOf(starts, end - 1)
+    });
+  }
+
+  return symbols;
+}
+
+/**
+ * Find functions, classes and methods in source code
+ * @param {string} source - Source code
+ * @param {string} language - javascript, typescript, python or go
+ * @returns {Array<object>} Symbols with name, kind, optional parent and 1-based inclusive line range
+ */
+export function extractSymbols(source, language) {
+  let symbols;
+  switch (language) {
+    case 'javascript':
+    case 'typescript':
+      symbols = extractJsSymbols(source);
+      break;
+    case 'python':
+      symbols = extractPythonSymbols(source);
+      break;
+    case 'go':
+      symbols = extractGoSymbols(source);
+      break;
+    default:
+      return [];
+  }
+
+  return symbols
+    .map(s => ({ ...s, start_line: s.start_line + 1, end_line: s.end_line + 1 }))
+    .sort((a, b) => a.start_line - b.start_line || b.end_line - a.end_line);
+}
+
+// ============================================
+// CHUNKING
+// ============================================
+
+/**
+ * Split source code into symbol units (plus module-level code between them)
+ * @param {string} source - Source code
+ * @param {string} language - Language from getCodeLanguage
+ * @param {object} options - { chunkSize, chunkOverlap, fileName }
+ * @returns {Array<object>} Chunks in chunkText format with symbol_name, symbol_kind, symbol_parent and language
+ */
+export function chunkCode(source, language, options = {}) {
+  const {
+    chunkSize = CHUNK_DEFAULTS.chunkSize,
+    chunkOverlap = CHUNK_DEFAULTS.chunkOverlap,
+    fileName = 'module'
+  } = options;
+
+  const lines = source.split('\n');
+  const symbols = extractSymbols(source, language);
+
+  // Byte offset of each line start (plus the end of the file)
+  const lineBytes = [0];
+  for (const line of lines) {
+    lineBytes.push(lineBytes[lineBytes.length - 1] + Buffer.byteLength(line, 'utf-8') + 1);
+  }
+  lineBytes[lineBytes.length - 1] = Buffer.byteLength(source, 'utf-8');
+
+  const sliceLines = (start, end) => lines.slice(start - 1, end).join('\n');
+  const units = [];
+
+  const pushUnit = (text, start, end, symbol) => {
+    if (!text.trim()) return;
+
+    const base = {
+      symbol_name: symbol.name,
+      symbol_kind: symbol.kind,
+      ...(symbol.parent ? { symbol_parent: symbol.parent } : {}),
+      language
+    };
+
+    // Oversized symbols are windowed by lines, keeping file-relative positions
+    if (text.length > chunkSize) {
+      for (const part of chunkText(text, { strategy: 'lines', chunkSize, chunkOverlap })) {
+        const partStart = start + part.start_line - 1;
+        const partEnd = start + part.end_line - 1;
+        units.push({
+          ...base,
+          text: part.text,
+          start_line: partStart,
+          end_line: partEnd,
+          start_byte: lineBytes[partStart - 1],
+          end_byte: lineBytes[partEnd]
+        });
+      }
+      return;
+    }
+
+    units.push({
+      ...base,
+      text,
+      start_line: start,
+      end_line: end,
+      start_byte: lineBytes[start - 1],
+      end_byte: lineBytes[end]
+    });
+  };
+
+  // Top-level symbols own their lines; methods are emitted separately from their class
+  const topLevel = symbols.filter(s => !s.parent);
+  const covered = new Array(lines.length + 2).fill(false);
+
+  for (const symbol of topLevel) {
+    for (let l = symbol.start_line; l <= symbol.end_line; l++) covered[l] = true;
+
+    const methods = symbols.filter(s => s.parent === symbol.name &&
+      s.start_line >= symbol.start_line && s.end_line <= symbol.end_line);
+
+    if (symbol.kind === 'class' && methods.length > 0) {
+      // Class unit: declaration and fields up to the first method, plus the closing line
+      const headerEnd = methods[0].start_line - 1;
+      let text = sliceLines(symbol.start_line, headerEnd);
+      if (symbol.end_line > methods[methods.length - 1].end_line) {
+        text += '\n  // ...\n' + sliceLines(symbol.end_line, symbol.end_line);
+      }
+      pushUnit(text, symbol.start_line, symbol.end_line, symbol);
+
+      for (const method of methods) {
+        pushUnit(sliceLines(method.start_line, method.end_line), method.start_line, method.end_line, method);
+      }
+    } else {
+      pushUnit(sliceLines(symbol.start_line, symbol.end_line), symbol.start_line, symbol.end_line, symbol);
+    }
+  }
+
+  // Go methods live outside their receiver type
+  for (const symbol of symbols.filter(s => s.parent && !covered[s.start_line])) {
+    for (let l = symbol.start_line; l <= symbol.end_line; l++) covered[l] = true;
+    pushUnit(sliceLines(symbol.start_line, symbol.end_line), symbol.start_line, symbol.end_line, symbol);
+  }
+
+  // Module-level code between symbols
+  const moduleSymbol = { name: fileName, kind: 'module' };
+  let gapStart = null;
+  for (let l = 1; l <= lines.length + 1; l++) {
+    if (l <= lines.length && !covered[l]) {
+      if (gapStart === null) gapStart = l;
+    } else if (gapStart !== null) {
+      pushUnit(sliceLines(gapStart, l - 1), gapStart, l - 1, moduleSymbol);
+      gapStart = null;
+    }
+  }
+
+  return units
+    .sort((a, b) => a.start_line - b.start_line || b.end_line - a.end_line)
+    .map((unit, index) => ({ ...unit, index }));
+}
+
+/**
+ * Convenience wrapper: chunk a file's source by symbols
+ * @param {string} filePath - Path used to pick the language
+ * @param {string} source - Source code
+ * @param {object} options - Chunk size options
+ * @returns {Array<object>} Symbol chunks (empty if the language is unsupported)
+ */
+export function chunkCodeFile(filePath, source, options = {}) {
+  const language = getCodeLanguage(filePath);
+  if (!language) return [];
+  return chunkCode(source, language, { ...options, fileName: basename(filePath) });
+}
+
+export default {
+  CODE_LANGUAGES,
+  getCodeLanguage,
+  extractSymbols,
+  chunkCode,
+  chunkCodeFile
+};
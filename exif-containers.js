@@ -0,0 +1,465 @@
+#!/usr/bin/env node
+
+/**
+ * EXIF Container Parsers
+ *
+ * Locates the TIFF-structured EXIF block inside image formats other than JPEG:
+ * - TIFF-based camera RAW (CR2, NEF, ARW, DNG, ORF, RW2) - the file is the TIFF
+ * - HEIC / HEIF (ISOBMFF) - an "Exif" item found through the meta/iinf/iloc boxes
+ * - PNG - the eXIf chunk, or ImageMagick's "Raw profile type exif" text chunks
+ * - WebP - the EXIF chunk of the RIFF container
+ *
+ * Every parser returns a Buffer that starts at the TIFF header ("II*\0" /
+ * "MM\0*"), so IFD offsets can be read relative to position 0.
+ *
+ * readMetadataRegion reads only the metadata-bearing bytes of a file through
+ * image-probe.js's windowed reader, so the parsers never see the pixel data.
+ */
+
+import { inflateSync } from 'zlib';
+import { readIsoBoxes } from './image-probe.js';
+
+// TIFF magic numbers: standard TIFF plus the Olympus and Panasonic RAW variants
+const TIFF_MAGIC = new Set([42, 0x4F52, 0x5352, 0x55]);
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const PNG_EXIF_PROFILES = ['Raw profile type exif', 'Raw profile type APP1'];
+
+/**
+ * Check for a TIFF header at an offset
+ * @param {Buffer} buffer - Data to check
+ * @param {number} offset - Position of the candidate header
+ * @returns {boolean} True for "II" / "MM" followed by a known magic number
+ */
+export function isTiffHeader(buffer, offset = 0) {
+  if (buffer.length < offset + 8) return false;
+  const order = buffer.toString('latin1', offset, offset + 2);
+  if (order === 'II') return TIFF_MAGIC.has(buffer.readUInt16LE(offset + 2));
+  if (order === 'MM') return TIFF_MAGIC.has(buffer.readUInt16BE(offset + 2));
+  return false;
+}
+
+// EXIF payloads are stored with or without the JPEG-style "Exif\0\0" prefix
+function tiffFromExifPayload(data) {
+  if (data.toString('latin1', 0, 6) === 'Exif\0\0') data = data.subarray(6);
+  return isTiffHeader(data) ? data : null;
+}
+
+// ============================================
+// PNG
+// ============================================
+
+// Decode an ImageMagick raw profile: "\nexif\n   <length>\n<hex lines>"
+function decodeRawProfile(text) {
+  const match = /^\s*\S+\s+(\d+)\s+([\s\S]*)$/.exec(text);
+  if (!match) return null;
+  const hex = match[2].replace(/[^0-9a-f]/gi, '');
+  return Buffer.from(hex.slice(0, Number(match[1]) * 2), 'hex');
+}
+
+// Text of a tEXt / zTXt / iTXt chunk if its keyword is one of `keywords`
+function readPngText(type, data, keywords) {
+  const nul = data.indexOf(0);
+  if (nul < 0 || !keywords.includes(data.toString('latin1', 0, nul))) return null;
+
+  if (type === 'tEXt') return data.toString('latin1', nul + 1);
+  if (type === 'zTXt') return inflateSync(data.subarray(nul + 2)).toString('latin1');
+
+  // iTXt: compression flag, method, language\0, translated keyword\0, text
+  const compressed = data[nul + 1] === 1;
+  const languageEnd = data.indexOf(0, nul + 3);
+  const textStart = data.indexOf(0, languageEnd + 1) + 1;
+  const body = data.subarray(textStart);
+  return (compressed ? inflateSync(body) : body).toString('utf-8');
+}
+
+/**
+ * Find EXIF in a PNG's eXIf chunk or raw-profile text chunks
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {Buffer|null} TIFF block, or null
+ */
+export function findExifInPng(buffer) {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  let fromText = null;
+  let offset = 8;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, Math.min(offset + 8 + length, buffer.length));
+
+    if (type === 'eXIf') return tiffFromExifPayload(data);
+    if (type === 'IEND') break;
+
+    if (!fromText && (type === 'tEXt' || type === 'zTXt' || type === 'iTXt')) {
+      try {
+        const text = readPngText(type, data, PNG_EXIF_PROFILES);
+        const payload = text && decodeRawProfile(text);
+        if (payload) fromText = tiffFromExifPayload(payload);
+      } catch {
+        // Corrupt compressed text: keep looking for an eXIf chunk
+      }
+    }
+
+    offset += 12 + length; // length + type + data + CRC
+  }
+
+  return fromText;
+}
+
+// ============================================
+// WEBP
+// ============================================
+
+/**
+ * Find EXIF in a WebP's RIFF EXIF chunk
+ * @param {Buffer} buffer - WebP file contents
+ * @returns {Buffer|null} TIFF block, or null
+ */
+export function findExifInWebp(buffer) {
+  if (buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WEBP') return null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const fourcc = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (fourcc === 'EXIF') {
+      return tiffFromExifPayload(buffer.subarray(offset + 8, Math.min(offset + 8 + size, buffer.length)));
+    }
+    offset += 8 + size + (size % 2); // chunks are padded to an even size
+  }
+
+  return null;
+}
+
+// ============================================
+// HEIC / HEIF (ISOBMFF)
+// ============================================
+
+// Read an unsigned big-endian integer of 0, 2, 4 or 8 bytes
+function readSized(buffer, offset, size) {
+  switch (size) {
+    case 0: return 0;
+    case 2: return buffer.readUInt16BE(offset);
+    case 4: return buffer.readUInt32BE(offset);
+    case 8: return Number(buffer.readBigUInt64BE(offset));
+    default: throw new Error(`Unsupported ISOBMFF field size ${size}`);
+  }
+}
+
+// Child boxes in [start, end) as { type, start (payload), end }
+function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) break;
+
+    boxes.push({ type, start: offset + header, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+// Item ID of the first item with the given type in an iinf box
+function findItemId(buffer, iinf, itemType) {
+  const version = buffer[iinf.start];
+  const entriesStart = iinf.start + 4 + (version === 0 ? 2 : 4);
+
+  for (const infe of readBoxes(buffer, entriesStart, iinf.end)) {
+    if (infe.type !== 'infe') continue;
+    const infeVersion = buffer[infe.start];
+    if (infeVersion < 2) continue; // v0/v1 entries have no item_type
+
+    const idSize = infeVersion === 2 ? 2 : 4;
+    const id = readSized(buffer, infe.start + 4, idSize);
+    const type = buffer.toString('latin1', infe.start + 4 + idSize + 2, infe.start + 4 + idSize + 6);
+    if (type === itemType) return id;
+  }
+
+  return null;
+}
+
+// Byte ranges of an item from an iloc box (file-offset construction only)
+function findItemExtents(buffer, iloc, itemId) {
+  const version = buffer[iloc.start];
+  let offset = iloc.start + 4;
+
+  const offsetSize = buffer[offset] >> 4;
+  const lengthSize = buffer[offset] & 0x0F;
+  const baseOffsetSize = buffer[offset + 1] >> 4;
+  const indexSize = version === 1 || version === 2 ? buffer[offset + 1] & 0x0F : 0;
+  offset += 2;
+
+  const itemCount = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+  offset += version < 2 ? 2 : 4;
+
+  for (let i = 0; i < itemCount; i++) {
+    const id = version < 2 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+    offset += version < 2 ? 2 : 4;
+
+    let constructionMethod = 0;
+    if (version === 1 || version === 2) {
+      constructionMethod = buffer.readUInt16BE(offset) & 0x0F;
+      offset += 2;
+    }
+    offset += 2; // data_reference_index
+
+    const baseOffset = readSized(buffer, offset, baseOffsetSize);
+    offset += baseOffsetSize;
+    const extentCount = buffer.readUInt16BE(offset);
+    offset += 2;
+
+    const extents = [];
+    for (let e = 0; e < extentCount; e++) {
+      offset += indexSize;
+      const extentOffset = readSized(buffer, offset, offsetSize);
+      offset += offsetSize;
+      const extentLength = readSized(buffer, offset, lengthSize);
+      offset += lengthSize;
+      extents.push({ offset: baseOffset + extentOffset, length: extentLength });
+    }
+
+    if (id === itemId) return constructionMethod === 0 ? extents : null;
+  }
+
+  return null;
+}
+
+// Extents of the first item of a type, located through meta/iinf/iloc
+function findIsobmffItem(buffer, itemType) {
+  const meta = readBoxes(buffer, 0, buffer.length).find(b => b.type === 'meta');
+  if (!meta) return null;
+
+  // meta is a full box: skip version + flags
+  const children = readBoxes(buffer, meta.start + 4, meta.end);
+  const iinf = children.find(b => b.type === 'iinf');
+  const iloc = children.find(b => b.type === 'iloc');
+  if (!iinf || !iloc) return null;
+
+  const itemId = findItemId(buffer, iinf, itemType);
+  return itemId === null ? null : findItemExtents(buffer, iloc, itemId);
+}
+
+/**
+ * Find EXIF in a HEIC/HEIF file's "Exif" metadata item
+ * @param {Buffer} buffer - HEIC/HEIF file contents
+ * @returns {Buffer|null} TIFF block, or null
+ */
+export function findExifInIsobmff(buffer) {
+  if (buffer.toString('latin1', 4, 8) !== 'ftyp') return null;
+
+  const extents = findIsobmffItem(buffer, 'Exif');
+  if (!extents?.length) return null;
+
+  const data = Buffer.concat(extents.map(e => buffer.subarray(e.offset, e.offset + e.length)));
+  // Exif item payload: 4-byte offset to the TIFF header, then the header
+  if (data.length < 4) return null;
+  return tiffFromExifPayload(data.subarray(4 + data.readUInt32BE(0)));
+}
+
+/**
+ * Find the EXIF TIFF block in any supported non-JPEG container
+ * Detection uses the file's magic bytes, not its extension.
+ * @param {Buffer} buffer - File contents
+ * @returns {Buffer|null} TIFF block, or null if the format is unknown or has no EXIF
+ */
+export function findExifInContainer(buffer) {
+  if (isTiffHeader(buffer)) return buffer;
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return findExifInPng(buffer);
+  if (buffer.toString('latin1', 0, 4) === 'RIFF') return findExifInWebp(buffer);
+  if (buffer.toString('latin1', 4, 8) === 'ftyp') return findExifInIsobmff(buffer);
+  return null;
+}
+
+// ============================================
+// METADATA REGIONS
+// ============================================
+
+const MAX_METADATA_BYTES = 16 * 1024 * 1024; // never read more than this for EXIF/XMP/IPTC
+const UNKNOWN_HEAD_BYTES = 64 * 1024;
+
+// PNG and WebP chunks holding pixels, which metadata parsing never needs
+const PNG_IMAGE_CHUNKS = new Set(['IDAT', 'fdAT']);
+const WEBP_IMAGE_CHUNKS = new Set(['VP8 ', 'VP8L', 'ALPH', 'ANMF']);
+
+// TIFF field type sizes, and the IFD0 tags that point at further IFDs (EXIF, GPS, Interop)
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+const TIFF_SUB_IFD_TAGS = new Set([0x8769, 0x8825, 0xA005]);
+const MAX_IFD_ENTRIES = 1000;
+
+// JPEG: every segment before the first scan (APP1 EXIF + thumbnail, XMP, APP13 IPTC)
+async function readJpegRegion(reader) {
+  let offset = 2;
+
+  while (offset + 4 <= reader.size && offset < MAX_METADATA_BYTES) {
+    const header = await reader.read(offset, 4);
+    if (header[0] !== 0xFF) break;
+    const marker = header[1];
+    if (marker === 0xDA || marker === 0xD9) break; // Start of scan / end of image
+    if (marker === 0xD8 || marker === 0xFF || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += marker === 0xFF ? 1 : 2;
+      continue;
+    }
+    offset += 2 + header.readUInt16BE(2);
+  }
+
+  return reader.read(0, Math.min(offset, MAX_METADATA_BYTES));
+}
+
+// PNG: the file with its image data chunks left out
+async function readPngRegion(reader) {
+  const parts = [PNG_SIGNATURE];
+  let total = PNG_SIGNATURE.length;
+  let offset = 8;
+
+  while (offset + 8 <= reader.size) {
+    const header = await reader.read(offset, 8);
+    const length = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+
+    if (!PNG_IMAGE_CHUNKS.has(type) && total + 12 + length <= MAX_METADATA_BYTES) {
+      const chunk = Buffer.from(await reader.read(offset, 12 + length));
+      parts.push(chunk);
+      total += chunk.length;
+    }
+    if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+
+  return Buffer.concat(parts);
+}
+
+// WebP: a RIFF container holding only the non-image chunks
+async function readWebpRegion(reader) {
+  const parts = [];
+  let total = 4;
+  let offset = 12;
+
+  while (offset + 8 <= reader.size) {
+    const header = await reader.read(offset, 8);
+    const fourcc = header.toString('latin1', 0, 4);
+    const padded = 8 + header.readUInt32LE(4) + (header.readUInt32LE(4) % 2);
+
+    if (!WEBP_IMAGE_CHUNKS.has(fourcc) && total + padded <= MAX_METADATA_BYTES) {
+      const chunk = Buffer.from(await reader.read(offset, padded));
+      parts.push(chunk);
+      total += chunk.length;
+    }
+    offset += padded;
+  }
+
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'latin1');
+  riff.writeUInt32LE(total, 4);
+  riff.write('WEBP', 8, 'latin1');
+  return Buffer.concat([riff, ...parts]);
+}
+
+// HEIC/HEIF: everything up to the meta box, then up to the end of the Exif and XMP items
+async function readIsobmffRegion(reader) {
+  const meta = (await readIsoBoxes(reader, 0, reader.size)).find(b => b.type === 'meta');
+  if (!meta || meta.end > MAX_METADATA_BYTES) return reader.read(0, Math.min(reader.size, UNKNOWN_HEAD_BYTES));
+
+  const head = Buffer.from(await reader.read(0, meta.end));
+  let end = meta.end;
+  for (const itemType of ['Exif', 'mime']) {
+    for (const extent of findIsobmffItem(head, itemType) || []) {
+      const extentEnd = extent.offset + extent.length;
+      if (extentEnd <= MAX_METADATA_BYTES) end = Math.max(end, extentEnd);
+    }
+  }
+
+  return end > head.length ? reader.read(0, end) : head;
+}
+
+// TIFF/RAW: the file up to the last byte referenced by IFD0, the EXIF/GPS/Interop
+// IFDs and IFD1 - tag values (MakerNote, XMP, IPTC) and the IFD1 thumbnail included,
+// strip and tile pixel data left out
+async function readTiffRegion(reader) {
+  const header = await reader.read(0, 8);
+  const littleEndian = header.toString('latin1', 0, 2) === 'II';
+  const u16 = (buffer, offset) => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const u32 = (buffer, offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+  let end = 8;
+  const extend = to => {
+    if (to <= reader.size && to <= MAX_METADATA_BYTES) end = Math.max(end, to);
+  };
+
+  // IFD0 may chain to IFD1 (the thumbnail); sub-IFDs do not chain
+  const queue = [{ offset: u32(header, 4), chain: true }];
+  const seen = new Set();
+
+  while (queue.length) {
+    const { offset, chain } = queue.shift();
+    if (!offset || seen.has(offset) || offset + 2 > reader.size || offset > MAX_METADATA_BYTES) continue;
+    seen.add(offset);
+
+    const count = u16(await reader.read(offset, 2), 0);
+    if (count > MAX_IFD_ENTRIES) continue;
+    const entries = Buffer.from(await reader.read(offset + 2, count * 12 + 4));
+    if (entries.length < count * 12) continue;
+    extend(offset + 2 + entries.length);
+
+    let thumbnailStart = 0;
+    let thumbnailLength = 0;
+    for (let i = 0; i < count; i++) {
+      const entry = i * 12;
+      const tag = u16(entries, entry);
+      const size = (TIFF_TYPE_SIZES[u16(entries, entry + 2)] || 1) * u32(entries, entry + 4);
+      const value = u32(entries, entry + 8);
+
+      if (size > 4) extend(value + size);
+      if (TIFF_SUB_IFD_TAGS.has(tag)) queue.push({ offset: value, chain: false });
+      if (tag === 0x0201) thumbnailStart = value;
+      if (tag === 0x0202) thumbnailLength = value;
+    }
+    if (thumbnailStart && thumbnailLength) extend(thumbnailStart + thumbnailLength);
+
+    if (chain && entries.length >= count * 12 + 4) {
+      queue.push({ offset: u32(entries, count * 12), chain: false });
+    }
+  }
+
+  return reader.read(0, end);
+}
+
+/**
+ * Read just the parts of an image that hold EXIF, XMP and IPTC metadata
+ * The result is a Buffer in the same format as the file (PNG and WebP are
+ * rebuilt without their image chunks), so it can go straight to
+ * findExifInContainer / extractXmpIptc without loading multi-megabyte pixel
+ * data. Reads are capped at 16 MB.
+ * @param {object} reader - From image-probe.js createFileReader or createBufferReader
+ * @returns {Promise<Buffer>} Metadata-bearing bytes of the image
+ */
+export async function readMetadataRegion(reader) {
+  const head = Buffer.from(await reader.read(0, 16));
+
+  if (head[0] === 0xFF && head[1] === 0xD8) return readJpegRegion(reader);
+  if (isTiffHeader(head)) return readTiffRegion(reader);
+  if (head.subarray(0, 8).equals(PNG_SIGNATURE)) return readPngRegion(reader);
+  if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') return readWebpRegion(reader);
+  if (head.toString('latin1', 4, 8) === 'ftyp') return readIsobmffRegion(reader);
+  return reader.read(0, Math.min(reader.size, UNKNOWN_HEAD_BYTES));
+}
+
+export default {
+  isTiffHeader,
+  findExifInPng,
+  findExifInWebp,
+  findExifInIsobmff,
+  findExifInContainer,
+  readMetadataRegion
+};
@@ -3,25 +3,41 @@
 /**
  * EXIF Metadata Extractor for Photos
  *
- * Extracts rich metadata from JPEG/TIFF images including:
+ * Extracts rich metadata from JPEG, TIFF, HEIC, PNG, WebP and camera RAW
+ * images (container parsing in exif-containers.js) including:
  * - Camera make/model
- * - Lens information
+ * - Lens information, including MakerNote lens, serial and shutter count
+ *   for Canon, Nikon and Sony (see makernote-decoder.js)
  * - Exposure settings (ISO, aperture, shutter speed)
- * - GPS coordinates
+ * - GPS coordinates, reverse geocoded offline to city/region/country
  * - Date/time taken
  * - Image dimensions and orientation
+ * - Embedded JPEG thumbnail (IFD1)
+ * - XMP / IPTC title, caption, keywords, rating and creator (see xmp-iptc-extractor.js)
  *
  * Pure JavaScript implementation - no external dependencies!
  */
 
-import { readFile } from 'fs/promises';
+import { open } from 'fs/promises';
 import { extname } from 'path';
+import { reverseGeocode, placeName } from './reverse-geocoder.js';
+import { extractXmpIptc, descriptiveToSummary, descriptiveToMetadata } from './xmp-iptc-extractor.js';
+import { findExifInContainer, isTiffHeader, readMetadataRegion } from './exif-containers.js';
+import { probeImageReader, createBufferReader, createFileReader } from './image-probe.js';
+import { decodeMakerNote } from './makernote-decoder.js';
+
+// Formats extractExif can read: JPEG, TIFF, TIFF-based RAW, HEIC/HEIF, PNG, WebP
+export const EXIF_EXTENSIONS = [
+  '.jpg', '.jpeg', '.tiff', '.tif', '.heic', '.heif', '.png', '.webp',
+  '.raw', '.cr2', '.nef', '.arw', '.dng', '.orf', '.rw2'
+];
 
 // EXIF tag definitions
 const EXIF_TAGS = {
   // Image tags
   0x010F: 'make',
   0x0110: 'model',
+  0x0103: 'compression',
   0x0112: 'orientation',
   0x011A: 'xResolution',
   0x011B: 'yResolution',
@@ -29,6 +45,8 @@ const EXIF_TAGS = {
   0x0131: 'software',
   0x0132: 'dateTime',
   0x013B: 'artist',
+  0x0201: 'jpegInterchangeFormat', // IFD1 thumbnail offset
+  0x0202: 'jpegInterchangeFormatLength',
   0x8298: 'copyright',
 
   // EXIF tags
@@ -39,6 +57,7 @@ const EXIF_TAGS = {
   0x9000: 'exifVersion',
   0x9003: 'dateTimeOriginal',
   0x9004: 'dateTimeDigitized',
+  0x9011: 'offsetTimeOriginal',
   0x9201: 'shutterSpeedValue',
   0x9202: 'apertureValue',
   0x9203: 'brightnessValue',
@@ -293,6 +312,43 @@ function findExifInJpeg(buffer) {
   return -1;
 }
 
+// Position and length of the MakerNote (0x927C) entry in the EXIF IFD
+function findMakerNote(tiff, tiffOffset, exifOffset, littleEndian) {
+  const numEntries = readUShort(tiff, tiffOffset + exifOffset, littleEndian);
+
+  for (let i = 0; i < numEntries; i++) {
+    const entryOffset = tiffOffset + exifOffset + 2 + (i * 12);
+    if (entryOffset + 12 > tiff.length) break;
+    if (readUShort(tiff, entryOffset, littleEndian) !== 0x927C) continue;
+
+    const length = readULong(tiff, entryOffset + 4, littleEndian) >>> 0;
+    const offset = length > 4 ? tiffOffset + (readULong(tiff, entryOffset + 8, littleEndian) >>> 0) : entryOffset + 8;
+    return offset + length <= tiff.length ? { offset, length } : null;
+  }
+
+  return null;
+}
+
+// JPEG thumbnail described by IFD1, the IFD chained after IFD0
+function findThumbnail(tiff, tiffOffset, ifd0Offset, littleEndian) {
+  const numEntries = readUShort(tiff, tiffOffset + ifd0Offset, littleEndian);
+  const nextPointer = tiffOffset + ifd0Offset + 2 + (numEntries * 12);
+  if (nextPointer + 4 > tiff.length) return null;
+
+  const ifd1Offset = readULong(tiff, nextPointer, littleEndian) >>> 0;
+  if (!ifd1Offset || tiffOffset + ifd1Offset + 2 > tiff.length) return null;
+
+  const ifd1 = parseIFD(tiff, tiffOffset, ifd1Offset, littleEndian);
+  const start = ifd1.jpegInterchangeFormat;
+  const length = ifd1.jpegInterchangeFormatLength;
+  if (!start || !length) return null;
+
+  // Uncompressed (strip-based) thumbnails are rare and not extracted
+  const data = tiff.subarray(tiffOffset + start, tiffOffset + start + length);
+  if (data.length !== length || data[0] !== 0xFF || data[1] !== 0xD8) return null;
+  return data;
+}
+
 // Convert GPS coordinates to decimal
 function gpsToDecimal(coords, ref) {
   if (!coords || !Array.isArray(coords) || coords.length !== 3) return null;
@@ -325,75 +381,124 @@ function formatAperture(value) {
   return `f/${value.toFixed(1)}`;
 }
 
+/**
+ * Normalize an EXIF date ("YYYY:MM:DD HH:MM:SS") for range filtering
+ * EXIF times are camera wall-clock time. The epoch always reads that wall-clock
+ * time as UTC, so filtering, sorting and day/month buckets agree for photos
+ * with and without an offset. With an OffsetTimeOriginal ("+02:00") the true
+ * UTC instant is returned as well.
+ * @param {string} value - EXIF date string
+ * @param {string} offset - Optional UTC offset ("+HH:MM" / "-HH:MM")
+ * @returns {object|null} { iso, epoch, utcEpoch? } (epochs in seconds), or null if unparseable
+ */
+export function parseExifDate(value, offset = null) {
+  const match = /^(\d{4})[:-](\d{2})[:-](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  // Cameras without a clock set write 0000:00:00 00:00:00
+  if (Number(year) === 0 || Number(month) === 0 || Number(day) === 0) return null;
+
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+  const wallClock = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+  const time = Date.parse(`${wallClock}Z`);
+  if (Number.isNaN(time)) return null;
+
+  const taken = { iso: `${wallClock}${zone}`, epoch: Math.floor(time / 1000) };
+  if (zone) taken.utcEpoch = Math.floor(Date.parse(taken.iso) / 1000);
+  return taken;
+}
+
 /**
  * Extract EXIF metadata from an image file
  * @param {string} filePath - Path to the image file
+ * @param {object} options - { includeThumbnail: attach the IFD1 thumbnail bytes as thumbnail.data }
  * @returns {Promise<object>} Extracted EXIF metadata
  */
-export async function extractExif(filePath) {
+export async function extractExif(filePath, options = {}) {
+  const { includeThumbnail = false } = options;
   const ext = extname(filePath).toLowerCase();
 
-  // Only process JPEG/TIFF files
-  if (!['.jpg', '.jpeg', '.tiff', '.tif'].includes(ext)) {
+  if (!EXIF_EXTENSIONS.includes(ext)) {
     return { supported: false, reason: `EXIF extraction not supported for ${ext}` };
   }
 
   try {
-    const buffer = await readFile(filePath);
+    // Only the metadata-bearing parts of the file, not the pixel data
+    const handle = await open(filePath, 'r');
+    let buffer;
+    try {
+      const { size } = await handle.stat();
+      buffer = await readMetadataRegion(createFileReader(handle, size));
+    } finally {
+      await handle.close();
+    }
+    const isJpeg = ext === '.jpg' || ext === '.jpeg';
 
     // Find EXIF data
+    let tiff = buffer;
     let tiffOffset = -1;
 
-    if (ext === '.jpg' || ext === '.jpeg') {
+    if (isJpeg) {
       // Check JPEG magic bytes
       if (buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
         return { supported: false, reason: 'Invalid JPEG file' };
       }
       tiffOffset = findExifInJpeg(buffer);
     } else {
-      // TIFF starts with TIFF header directly
-      tiffOffset = 0;
+      // TIFF/RAW files are the TIFF block; HEIC, PNG and WebP wrap it
+      tiff = findExifInContainer(buffer);
+      tiffOffset = tiff ? 0 : -1;
+    }
+
+    // XMP / IPTC live in their own segments and may exist without EXIF
+    let descriptive = null;
+    try {
+      descriptive = extractXmpIptc(buffer, { jpeg: isJpeg });
+    } catch {
+      // Malformed XMP/IPTC should not hide the EXIF data
     }
 
     if (tiffOffset < 0) {
-      return { supported: true, hasExif: false, reason: 'No EXIF data found' };
+      return { supported: true, hasExif: false, reason: 'No EXIF data found', descriptive };
     }
 
     // Parse TIFF header
-    const byteOrder = readString(buffer, tiffOffset, 2);
+    const byteOrder = readString(tiff, tiffOffset, 2);
     const littleEndian = byteOrder === 'II';
 
-    // Verify TIFF magic number
-    const magic = readUShort(buffer, tiffOffset + 2, littleEndian);
-    if (magic !== 42) {
-      return { supported: true, hasExif: false, reason: 'Invalid TIFF header' };
+    // Verify TIFF magic number (42, or a RAW variant)
+    if (!isTiffHeader(tiff, tiffOffset)) {
+      return { supported: true, hasExif: false, reason: 'Invalid TIFF header', descriptive };
     }
 
     // Get IFD0 offset
-    const ifd0Offset = readULong(buffer, tiffOffset + 4, littleEndian);
+    const ifd0Offset = readULong(tiff, tiffOffset + 4, littleEndian);
 
     // Parse IFD0
-    const ifd0 = parseIFD(buffer, tiffOffset, ifd0Offset, littleEndian);
+    const ifd0 = parseIFD(tiff, tiffOffset, ifd0Offset, littleEndian);
 
     // Look for EXIF IFD pointer
     let exifData = {};
+    let makerNote = null;
     const exifPointerTag = 0x8769;
 
     // Re-parse to find EXIF pointer
-    const numEntries = readUShort(buffer, tiffOffset + ifd0Offset, littleEndian);
+    const numEntries = readUShort(tiff, tiffOffset + ifd0Offset, littleEndian);
     for (let i = 0; i < numEntries; i++) {
       const entryOffset = tiffOffset + ifd0Offset + 2 + (i * 12);
-      const tag = readUShort(buffer, entryOffset, littleEndian);
+      const tag = readUShort(tiff, entryOffset, littleEndian);
 
       if (tag === exifPointerTag) {
-        const exifOffset = readULong(buffer, entryOffset + 8, littleEndian);
-        exifData = parseIFD(buffer, tiffOffset, exifOffset, littleEndian);
+        const exifOffset = readULong(tiff, entryOffset + 8, littleEndian);
+        exifData = parseIFD(tiff, tiffOffset, exifOffset, littleEndian);
+        makerNote = findMakerNote(tiff, tiffOffset, exifOffset, littleEndian);
       }
 
       // GPS IFD pointer (0x8825)
       if (tag === 0x8825) {
-        const gpsOffset = readULong(buffer, entryOffset + 8, littleEndian);
-        const gpsData = parseIFD(buffer, tiffOffset, gpsOffset, littleEndian, true);
+        const gpsOffset = readULong(tiff, entryOffset + 8, littleEndian);
+        const gpsData = parseIFD(tiff, tiffOffset, gpsOffset, littleEndian, true);
         Object.assign(exifData, gpsData);
       }
     }
@@ -401,6 +506,11 @@ export async function extractExif(filePath) {
     // Merge IFD0 and EXIF data
     const allData = { ...ifd0, ...exifData };
 
+    // Vendor MakerNote: lens, serials and shutter count missing from standard EXIF
+    const vendor = makerNote
+      ? decodeMakerNote(tiff, { ...makerNote, tiffOffset, littleEndian, make: allData.make })
+      : null;
+
     // Build structured result
     const result = {
       supported: true,
@@ -413,14 +523,15 @@ export async function extractExif(filePath) {
         software: allData.software || null,
         artist: allData.artist || null,
         copyright: allData.copyright || null,
-        bodySerialNumber: allData.bodySerialNumber || null,
+        bodySerialNumber: allData.bodySerialNumber || vendor?.serialNumber || null,
+        shutterCount: vendor?.shutterCount ?? null,
       },
 
       // Lens info
       lens: {
         make: allData.lensMake || null,
-        model: allData.lensModel || null,
-        serialNumber: allData.lensSerialNumber || null,
+        model: allData.lensModel || vendor?.lensModel || null,
+        serialNumber: allData.lensSerialNumber || vendor?.lensSerialNumber || null,
         focalLength: allData.focalLength ? `${allData.focalLength}mm` : null,
         focalLength35mm: allData.focalLengthIn35mmFilm ? `${allData.focalLengthIn35mmFilm}mm` : null,
         maxAperture: allData.maxApertureValue ? formatAperture(Math.pow(2, allData.maxApertureValue / 2)) : null,
@@ -451,14 +562,43 @@ export async function extractExif(filePath) {
       // Date/time
       datetime: {
         original: allData.dateTimeOriginal || null,
+        offset: allData.offsetTimeOriginal || null,
         digitized: allData.dateTimeDigitized || null,
         modified: allData.dateTime || null,
       },
 
       // GPS
       gps: null,
+
+      // Nearest gazetteer city to the GPS position
+      place: null,
+
+      // XMP / IPTC title, caption, keywords, rating, creator
+      descriptive,
+
+      // Embedded JPEG preview from IFD1
+      thumbnail: null,
+
+      // Decoded vendor MakerNote (Canon, Nikon, Sony)
+      makerNote: vendor,
     };
 
+    try {
+      const thumbnail = findThumbnail(tiff, tiffOffset, ifd0Offset, littleEndian);
+      if (thumbnail) {
+        const probe = await probeImageReader(createBufferReader(thumbnail));
+        result.thumbnail = {
+          format: 'jpeg',
+          width: probe.width ?? null,
+          height: probe.height ?? null,
+          length: thumbnail.length,
+          ...(includeThumbnail ? { data: thumbnail } : {})
+        };
+      }
+    } catch {
+      // A malformed IFD1 should not hide the EXIF data
+    }
+
     // Parse GPS if available
     if (allData.gpsLatitude && allData.gpsLongitude) {
       const lat = gpsToDecimal(allData.gpsLatitude, allData.gpsLatitudeRef);
@@ -476,6 +616,7 @@ export async function extractExif(filePath) {
           datestamp: allData.gpsDateStamp || null,
           googleMapsUrl: `https://www.google.com/maps?q=${lat},${lng}`,
         };
+        result.place = reverseGeocode(lat, lng);
       }
     }
 
@@ -502,9 +643,9 @@ export async function extractExif(filePath) {
  * @returns {string} Human-readable summary
  */
 export function exifToSummary(exif) {
-  if (!exif.hasExif) return '';
+  if (!exif.hasExif && !exif.descriptive) return '';
 
-  const parts = [];
+  const parts = [...descriptiveToSummary(exif.descriptive)];
 
   if (exif.camera?.make || exif.camera?.model) {
     parts.push(`Camera: ${[exif.camera.make, exif.camera.model].filter(Boolean).join(' ')}`);
@@ -528,6 +669,10 @@ export function exifToSummary(exif) {
     parts.push(`Date: ${exif.datetime.original}`);
   }
 
+  if (exif.place) {
+    parts.push(`Place: ${placeName(exif.place)}`);
+  }
+
   if (exif.gps) {
     parts.push(`Location: ${exif.gps.latitude}, ${exif.gps.longitude}`);
   }
@@ -545,16 +690,19 @@ export function exifToSummary(exif) {
  * @returns {object} Flat metadata object
  */
 export function exifToMetadata(exif) {
-  if (!exif.hasExif) return {};
+  if (!exif.hasExif && !exif.descriptive) return {};
 
-  const meta = {};
+  const meta = descriptiveToMetadata(exif.descriptive);
 
   // Camera
   if (exif.camera?.make) meta.camera_make = exif.camera.make;
   if (exif.camera?.model) meta.camera_model = exif.camera.model;
+  if (exif.camera?.bodySerialNumber) meta.camera_serial = exif.camera.bodySerialNumber;
+  if (exif.camera?.shutterCount) meta.shutter_count = exif.camera.shutterCount;
 
   // Lens
   if (exif.lens?.model) meta.lens_model = exif.lens.model;
+  if (exif.lens?.serialNumber) meta.lens_serial = exif.lens.serialNumber;
   if (exif.lens?.focalLength) meta.focal_length = exif.lens.focalLength;
   if (exif.lens?.focalLength35mm) meta.focal_length_35mm = exif.lens.focalLength35mm;
 
@@ -571,7 +719,15 @@ export function exifToMetadata(exif) {
   if (exif.image?.orientation) meta.orientation = exif.image.orientation;
 
   // DateTime
-  if (exif.datetime?.original) meta.date_taken = exif.datetime.original;
+  if (exif.datetime?.original) {
+    meta.date_taken = exif.datetime.original;
+    const taken = parseExifDate(exif.datetime.original, exif.datetime.offset);
+    if (taken) {
+      meta.date_taken_iso = taken.iso;
+      meta.date_taken_epoch = taken.epoch;
+      if (taken.utcEpoch !== undefined) meta.date_taken_utc_epoch = taken.utcEpoch;
+    }
+  }
 
   // GPS
   if (exif.gps) {
@@ -580,11 +736,20 @@ export function exifToMetadata(exif) {
     if (exif.gps.altitude) meta.gps_altitude = exif.gps.altitude;
   }
 
+  // Place
+  if (exif.place) {
+    if (exif.place.city) meta.place_city = exif.place.city;
+    if (exif.place.region) meta.place_region = exif.place.region;
+    if (exif.place.country) meta.place_country = exif.place.country;
+  }
+
   return meta;
 }
 
 export default {
+  EXIF_EXTENSIONS,
   extractExif,
   exifToSummary,
   exifToMetadata,
+  parseExifDate,
 };
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Federated Search Helpers
+ *
+ * Ranking utilities for searching several collections at once:
+ * - Resolve collection lists and globs ("temp_*") against what exists
+ * - Convert per-collection distances into one comparable similarity score
+ * - Merge and deduplicate hits into a single ranking
+ *
+ * The MCP server does the querying; everything here is pure so it can be
+ * tested without a ChromaDB instance.
+ */
+
+// listCollections returns names in newer clients and objects in older ones
+export function collectionName(collection) {
+  return typeof collection === 'string' ? collection : collection?.name;
+}
+
+// Convert a glob ("temp_*", "project_?") into an anchored regex
+function globToRegex(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * Split a collections argument into names/globs
+ * @param {string|Array<string>} collections - Array or comma-separated list
+ * @returns {Array<string>} Trimmed, non-empty patterns
+ */
+export function parseCollectionPatterns(collections) {
+  if (!collections) return [];
+  const list = Array.isArray(collections) ? collections : String(collections).split(',');
+  return [...new Set(list.map(c => String(c).trim()).filter(Boolean))];
+}
+
+/**
+ * Resolve names and globs against available collection names
+ * @param {Array<string>} patterns - Names or globs
+ * @param {Array<string>} available - Existing collection names
+ * @returns {object} { matched: names in first-match order, unmatched: patterns with no match }
+ */
+export function matchCollectionNames(patterns, available) {
+  const matched = [];
+  const unmatched = [];
+
+  for (const pattern of patterns) {
+    const hits = /[*?]/.test(pattern)
+      ? available.filter(name => globToRegex(pattern).test(name)).sort()
+      : available.filter(name => name === pattern);
+
+    if (hits.length === 0) unmatched.push(pattern);
+    for (const name of hits) {
+      if (!matched.includes(name)) matched.push(name);
+    }
+  }
+
+  return { matched, unmatched };
+}
+
+/**
+ * Convert a ChromaDB distance into a cosine-style similarity (higher is better)
+ * Assumes normalized embeddings, which the default embedding function produces,
+ * so l2, cosine and ip collections all land on the same scale.
+ * @param {number} distance - Distance returned by query()
+ * @param {string} space - Collection's hnsw:space (l2, cosine or ip)
+ * @returns {number|null} Similarity in [-1, 1], or null if unknown
+ */
+export function distanceToSimilarity(distance, space = 'l2') {
+  if (typeof distance !== 'number' || Number.isNaN(distance)) return null;
+
+  switch (space) {
+    case 'cosine':
+    case 'ip':
+      return 1 - distance;
+    default:
+      // Squared L2 between unit vectors: d = 2 - 2cos
+      return 1 - distance / 2;
+  }
+}
+
+// Key identifying the same passage across collections (and local/remote copies)
+function dedupeKey(hit) {
+  const meta = hit.metadata || {};
+  if (meta.full_path) return `${meta.full_path}#${meta.chunk_index ?? 0}`;
+  return `id:${hit.id}`;
+}
+
+/**
+ * Merge hits from several collections into one ranking
+ * Duplicates keep the best-scoring copy and list the other collections in also_in.
+ * @param {Array<object>} hits - Hits with { id, score, collection, source, ... }
+ * @param {object} options - { limit }
+ * @returns {Array<object>} Ranked, deduplicated hits
+ */
+export function mergeRankedHits(hits, options = {}) {
+  const { limit = 10 } = options;
+  const best = new Map();
+
+  const sorted = [...hits].sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity));
+
+  for (const hit of sorted) {
+    const key = dedupeKey(hit);
+    const existing = best.get(key);
+
+    if (!existing) {
+      best.set(key, { ...hit });
+      continue;
+    }
+
+    const origin = `${hit.collection}${hit.source && hit.source !== existing.source ? ` (${hit.source})` : ''}`;
+    existing.also_in = [...new Set([...(existing.also_in || []), origin])];
+  }
+
+  return [...best.values()].slice(0, limit);
+}
+
+/**
+ * Location and symbol details for a search hit's metadata
+ * @param {object} metadata - Document metadata
+ * @returns {object} { location?, symbol? } to merge into the hit
+ */
+export function describeHit(metadata = {}) {
+  const details = {};
+
+  // Point chunk and symbol hits at their exact place in the file
+  if (metadata.full_path && metadata.start_line) {
+    details.location = `${metadata.full_path}:${metadata.start_line}-${metadata.end_line}`;
+  }
+  if (metadata.symbol_name) {
+    details.symbol = {
+      name: metadata.symbol_name,
+      kind: metadata.symbol_kind,
+      parent: metadata.symbol_parent,
+      language: metadata.language,
+      file: metadata.full_path,
+      start_line: metadata.start_line,
+      end_line: metadata.end_line
+    };
+  }
+
+  return details;
+}
+
+export default {
+  collectionName,
+  parseCollectionPatterns,
+  matchCollectionNames,
+  distanceToSimilarity,
+  mergeRankedHits,
+  describeHit
+};
@@ -0,0 +1,542 @@
+#!/usr/bin/env node
+
+/**
+ * Bundled City Gazetteer
+ *
+ * Major cities, capitals and common travel destinations for offline reverse
+ * geocoding. Each row is [city, region, country, latitude, longitude], with
+ * region being the first-level administrative division (state, province,
+ * region). Coordinates are city centers to about 0.01 degrees.
+ *
+ * For denser coverage point CHROMA_GAZETTEER at a JSON file of rows in the
+ * same format (e.g. converted from GeoNames cities15000).
+ */
+
+export const CITIES = [
+  // Portugal
+  ['Lisbon', 'Lisbon', 'Portugal', 38.7223, -9.1393],
+  ['Porto', 'Porto', 'Portugal', 41.1579, -8.6291],
+  ['Sintra', 'Lisbon', 'Portugal', 38.8029, -9.3817],
+  ['Cascais', 'Lisbon', 'Portugal', 38.6979, -9.4215],
+  ['Faro', 'Faro', 'Portugal', 37.0194, -7.9304],
+  ['Lagos', 'Faro', 'Portugal', 37.1028, -8.6730],
+  ['Coimbra', 'Coimbra', 'Portugal', 40.2033, -8.4103],
+  ['Braga', 'Braga', 'Portugal', 41.5454, -8.4265],
+  ['Évora', 'Évora', 'Portugal', 38.5714, -7.9135],
+  ['Funchal', 'Madeira', 'Portugal', 32.6669, -16.9241],
+  ['Ponta Delgada', 'Azores', 'Portugal', 37.7412, -25.6756],
+
+  // Spain
+  ['Madrid', 'Community of Madrid', 'Spain', 40.4168, -3.7038],
+  ['Barcelona', 'Catalonia', 'Spain', 41.3874, 2.1686],
+  ['Valencia', 'Valencian Community', 'Spain', 39.4699, -0.3763],
+  ['Seville', 'Andalusia', 'Spain', 37.3891, -5.9845],
+  ['Granada', 'Andalusia', 'Spain', 37.1773, -3.5986],
+  ['Málaga', 'Andalusia', 'Spain', 36.7213, -4.4214],
+  ['Córdoba', 'Andalusia', 'Spain', 37.8882, -4.7794],
+  ['Bilbao', 'Basque Country', 'Spain', 43.2630, -2.9350],
+  ['San Sebastián', 'Basque Country', 'Spain', 43.3183, -1.9812],
+  ['Zaragoza', 'Aragon', 'Spain', 41.6488, -0.8891],
+  ['Palma', 'Balearic Islands', 'Spain', 39.5696, 2.6502],
+  ['Santiago de Compostela', 'Galicia', 'Spain', 42.8782, -8.5448],
+  ['Las Palmas', 'Canary Islands', 'Spain', 28.1235, -15.4363],
+  ['Santa Cruz de Tenerife', 'Canary Islands', 'Spain', 28.4636, -16.2518],
+
+  // France
+  ['Paris', 'Île-de-France', 'France', 48.8566, 2.3522],
+  ['Versailles', 'Île-de-France', 'France', 48.8049, 2.1204],
+  ['Lyon', 'Auvergne-Rhône-Alpes', 'France', 45.7640, 4.8357],
+  ['Marseille', "Provence-Alpes-Côte d'Azur", 'France', 43.2965, 5.3698],
+  ['Nice', "Provence-Alpes-Côte d'Azur", 'France', 43.7102, 7.2620],
+  ['Toulouse', 'Occitania', 'France', 43.6047, 1.4442],
+  ['Montpellier', 'Occitania', 'France', 43.6108, 3.8767],
+  ['Bordeaux', 'Nouvelle-Aquitaine', 'France', 44.8378, -0.5792],
+  ['Nantes', 'Pays de la Loire', 'France', 47.2184, -1.5536],
+  ['Strasbourg', 'Grand Est', 'France', 48.5734, 7.7521],
+  ['Lille', 'Hauts-de-France', 'France', 50.6292, 3.0573],
+  ['Rennes', 'Brittany', 'France', 48.1173, -1.6778],
+  ['Chamonix', 'Auvergne-Rhône-Alpes', 'France', 45.9237, 6.8694],
+  ['Ajaccio', 'Corsica', 'France', 41.9192, 8.7386],
+
+  // United Kingdom & Ireland
+  ['London', 'England', 'United Kingdom', 51.5074, -0.1278],
+  ['Manchester', 'England', 'United Kingdom', 53.4808, -2.2426],
+  ['Birmingham', 'England', 'United Kingdom', 52.4862, -1.8904],
+  ['Liverpool', 'England', 'United Kingdom', 53.4084, -2.9916],
+  ['Leeds', 'England', 'United Kingdom', 53.8008, -1.5491],
+  ['Bristol', 'England', 'United Kingdom', 51.4545, -2.5879],
+  ['Oxford', 'England', 'United Kingdom', 51.7520, -1.2577],
+  ['Cambridge', 'England', 'United Kingdom', 52.2053, 0.1218],
+  ['Brighton', 'England', 'United Kingdom', 50.8225, -0.1372],
+  ['York', 'England', 'United Kingdom', 53.9600, -1.0873],
+  ['Newcastle upon Tyne', 'England', 'United Kingdom', 54.9783, -1.6178],
+  ['Edinburgh', 'Scotland', 'United Kingdom', 55.9533, -3.1883],
+  ['Glasgow', 'Scotland', 'United Kingdom', 55.8642, -4.2518],
+  ['Inverness', 'Scotland', 'United Kingdom', 57.4778, -4.2247],
+  ['Cardiff', 'Wales', 'United Kingdom', 51.4816, -3.1791],
+  ['Belfast', 'Northern Ireland', 'United Kingdom', 54.5973, -5.9301],
+  ['Dublin', 'Leinster', 'Ireland', 53.3498, -6.2603],
+  ['Cork', 'Munster', 'Ireland', 51.8985, -8.4756],
+  ['Galway', 'Connacht', 'Ireland', 53.2707, -9.0568],
+
+  // Benelux
+  ['Amsterdam', 'North Holland', 'Netherlands', 52.3676, 4.9041],
+  ['Rotterdam', 'South Holland', 'Netherlands', 51.9244, 4.4777],
+  ['The Hague', 'South Holland', 'Netherlands', 52.0705, 4.3007],
+  ['Utrecht', 'Utrecht', 'Netherlands', 52.0907, 5.1214],
+  ['Eindhoven', 'North Brabant', 'Netherlands', 51.4416, 5.4697],
+  ['Brussels', 'Brussels-Capital', 'Belgium', 50.8503, 4.3517],
+  ['Antwerp', 'Flanders', 'Belgium', 51.2194, 4.4025],
+  ['Ghent', 'Flanders', 'Belgium', 51.0543, 3.7174],
+  ['Bruges', 'Flanders', 'Belgium', 51.2093, 3.2247],
+  ['Liège', 'Wallonia', 'Belgium', 50.6326, 5.5797],
+  ['Luxembourg', 'Luxembourg', 'Luxembourg', 49.6116, 6.1319],
+
+  // Germany, Austria, Switzerland
+  ['Berlin', 'Berlin', 'Germany', 52.5200, 13.4050],
+  ['Hamburg', 'Hamburg', 'Germany', 53.5511, 9.9937],
+  ['Munich', 'Bavaria', 'Germany', 48.1351, 11.5820],
+  ['Nuremberg', 'Bavaria', 'Germany', 49.4521, 11.0767],
+  ['Cologne', 'North Rhine-Westphalia', 'Germany', 50.9375, 6.9603],
+  ['Düsseldorf', 'North Rhine-Westphalia', 'Germany', 51.2277, 6.7735],
+  ['Dortmund', 'North Rhine-Westphalia', 'Germany', 51.5136, 7.4653],
+  ['Frankfurt', 'Hesse', 'Germany', 50.1109, 8.6821],
+  ['Stuttgart', 'Baden-Württemberg', 'Germany', 48.7758, 9.1829],
+  ['Heidelberg', 'Baden-Württemberg', 'Germany', 49.3988, 8.6724],
+  ['Freiburg', 'Baden-Württemberg', 'Germany', 47.9990, 7.8421],
+  ['Leipzig', 'Saxony', 'Germany', 51.3397, 12.3731],
+  ['Dresden', 'Saxony', 'Germany', 51.0504, 13.7373],
+  ['Hanover', 'Lower Saxony', 'Germany', 52.3759, 9.7320],
+  ['Bremen', 'Bremen', 'Germany', 53.0793, 8.8017],
+  ['Vienna', 'Vienna', 'Austria', 48.2082, 16.3738],
+  ['Salzburg', 'Salzburg', 'Austria', 47.8095, 13.0550],
+  ['Innsbruck', 'Tyrol', 'Austria', 47.2692, 11.4041],
+  ['Graz', 'Styria', 'Austria', 47.0707, 15.4395],
+  ['Zurich', 'Zurich', 'Switzerland', 47.3769, 8.5417],
+  ['Geneva', 'Geneva', 'Switzerland', 46.2044, 6.1432],
+  ['Bern', 'Bern', 'Switzerland', 46.9480, 7.4474],
+  ['Basel', 'Basel-Stadt', 'Switzerland', 47.5596, 7.5886],
+  ['Lucerne', 'Lucerne', 'Switzerland', 47.0502, 8.3093],
+  ['Lausanne', 'Vaud', 'Switzerland', 46.5197, 6.6323],
+  ['Zermatt', 'Valais', 'Switzerland', 46.0207, 7.7491],
+  ['Interlaken', 'Bern', 'Switzerland', 46.6863, 7.8632],
+
+  // Italy & Malta
+  ['Rome', 'Lazio', 'Italy', 41.9028, 12.4964],
+  ['Milan', 'Lombardy', 'Italy', 45.4642, 9.1900],
+  ['Venice', 'Veneto', 'Italy', 45.4408, 12.3155],
+  ['Verona', 'Veneto', 'Italy', 45.4384, 10.9916],
+  ['Florence', 'Tuscany', 'Italy', 43.7696, 11.2558],
+  ['Pisa', 'Tuscany', 'Italy', 43.7228, 10.4017],
+  ['Siena', 'Tuscany', 'Italy', 43.3188, 11.3308],
+  ['Bologna', 'Emilia-Romagna', 'Italy', 44.4949, 11.3426],
+  ['Turin', 'Piedmont', 'Italy', 45.0703, 7.6869],
+  ['Genoa', 'Liguria', 'Italy', 44.4056, 8.9463],
+  ['Naples', 'Campania', 'Italy', 40.8518, 14.2681],
+  ['Amalfi', 'Campania', 'Italy', 40.6340, 14.6027],
+  ['Bari', 'Apulia', 'Italy', 41.1171, 16.8719],
+  ['Palermo', 'Sicily', 'Italy', 38.1157, 13.3615],
+  ['Catania', 'Sicily', 'Italy', 37.5079, 15.0830],
+  ['Cagliari', 'Sardinia', 'Italy', 39.2238, 9.1217],
+  ['Como', 'Lombardy', 'Italy', 45.8081, 9.0852],
+  ['Valletta', 'Valletta', 'Malta', 35.8989, 14.5146],
+
+  // Nordics & Baltics
+  ['Copenhagen', 'Capital Region', 'Denmark', 55.6761, 12.5683],
+  ['Aarhus', 'Central Denmark', 'Denmark', 56.1629, 10.2039],
+  ['Stockholm', 'Stockholm', 'Sweden', 59.3293, 18.0686],
+  ['Gothenburg', 'Västra Götaland', 'Sweden', 57.7089, 11.9746],
+  ['Malmö', 'Skåne', 'Sweden', 55.6050, 13.0038],
+  ['Oslo', 'Oslo', 'Norway', 59.9139, 10.7522],
+  ['Bergen', 'Vestland', 'Norway', 60.3913, 5.3221],
+  ['Tromsø', 'Troms', 'Norway', 69.6492, 18.9553],
+  ['Helsinki', 'Uusimaa', 'Finland', 60.1699, 24.9384],
+  ['Rovaniemi', 'Lapland', 'Finland', 66.5039, 25.7294],
+  ['Reykjavík', 'Capital Region', 'Iceland', 64.1466, -21.9426],
+  ['Akureyri', 'Northeastern Region', 'Iceland', 65.6885, -18.1262],
+  ['Tallinn', 'Harju', 'Estonia', 59.4370, 24.7536],
+  ['Riga', 'Riga', 'Latvia', 56.9496, 24.1052],
+  ['Vilnius', 'Vilnius', 'Lithuania', 54.6872, 25.2797],
+
+  // Central & Eastern Europe
+  ['Prague', 'Prague', 'Czech Republic', 50.0755, 14.4378],
+  ['Brno', 'South Moravian', 'Czech Republic', 49.1951, 16.6068],
+  ['Český Krumlov', 'South Bohemian', 'Czech Republic', 48.8127, 14.3175],
+  ['Bratislava', 'Bratislava', 'Slovakia', 48.1486, 17.1077],
+  ['Budapest', 'Budapest', 'Hungary', 47.4979, 19.0402],
+  ['Warsaw', 'Masovia', 'Poland', 52.2297, 21.0122],
+  ['Kraków', 'Lesser Poland', 'Poland', 50.0647, 19.9450],
+  ['Gdańsk', 'Pomerania', 'Poland', 54.3520, 18.6466],
+  ['Wrocław', 'Lower Silesia', 'Poland', 51.1079, 17.0385],
+  ['Ljubljana', 'Central Slovenia', 'Slovenia', 46.0569, 14.5058],
+  ['Bled', 'Upper Carniola', 'Slovenia', 46.3683, 14.1146],
+  ['Zagreb', 'Zagreb', 'Croatia', 45.8150, 15.9819],
+  ['Split', 'Split-Dalmatia', 'Croatia', 43.5081, 16.4402],
+  ['Dubrovnik', 'Dubrovnik-Neretva', 'Croatia', 42.6507, 18.0944],
+  ['Sarajevo', 'Federation of Bosnia and Herzegovina', 'Bosnia and Herzegovina', 43.8563, 18.4131],
+  ['Kotor', 'Kotor', 'Montenegro', 42.4247, 18.7712],
+  ['Belgrade', 'Belgrade', 'Serbia', 44.7866, 20.4489],
+  ['Bucharest', 'Bucharest', 'Romania', 44.4268, 26.1025],
+  ['Cluj-Napoca', 'Cluj', 'Romania', 46.7712, 23.6236],
+  ['Sofia', 'Sofia City', 'Bulgaria', 42.6977, 23.3219],
+  ['Kyiv', 'Kyiv', 'Ukraine', 50.4501, 30.5234],
+  ['Lviv', 'Lviv', 'Ukraine', 49.8397, 24.0297],
+  ['Odesa', 'Odesa', 'Ukraine', 46.4825, 30.7233],
+  ['Chișinău', 'Chișinău', 'Moldova', 47.0105, 28.8638],
+  ['Minsk', 'Minsk', 'Belarus', 53.9006, 27.5590],
+  ['Moscow', 'Moscow', 'Russia', 55.7558, 37.6173],
+  ['Saint Petersburg', 'Saint Petersburg', 'Russia', 59.9311, 30.3609],
+  ['Novosibirsk', 'Novosibirsk Oblast', 'Russia', 55.0084, 82.9357],
+  ['Vladivostok', 'Primorsky Krai', 'Russia', 43.1198, 131.8869],
+
+  // Greece, Cyprus, Turkey
+  ['Athens', 'Attica', 'Greece', 37.9838, 23.7275],
+  ['Thessaloniki', 'Central Macedonia', 'Greece', 40.6401, 22.9444],
+  ['Fira', 'South Aegean', 'Greece', 36.4167, 25.4318],
+  ['Mykonos', 'South Aegean', 'Greece', 37.4467, 25.3289],
+  ['Heraklion', 'Crete', 'Greece', 35.3387, 25.1442],
+  ['Chania', 'Crete', 'Greece', 35.5138, 24.0180],
+  ['Corfu', 'Ionian Islands', 'Greece', 39.6243, 19.9217],
+  ['Rhodes', 'South Aegean', 'Greece', 36.4341, 28.2176],
+  ['Nicosia', 'Nicosia', 'Cyprus', 35.1856, 33.3823],
+  ['Limassol', 'Limassol', 'Cyprus', 34.7071, 33.0226],
+  ['Istanbul', 'Istanbul', 'Turkey', 41.0082, 28.9784],
+  ['Ankara', 'Ankara', 'Turkey', 39.9334, 32.8597],
+  ['Izmir', 'Izmir', 'Turkey', 38.4237, 27.1428],
+  ['Antalya', 'Antalya', 'Turkey', 36.8969, 30.7133],
+  ['Göreme', 'Nevşehir', 'Turkey', 38.6431, 34.8289],
+
+  // Middle East
+  ['Tel Aviv', 'Tel Aviv District', 'Israel', 32.0853, 34.7818],
+  ['Jerusalem', 'Jerusalem District', 'Israel', 31.7683, 35.2137],
+  ['Amman', 'Amman', 'Jordan', 31.9454, 35.9284],
+  ['Petra', "Ma'an", 'Jordan', 30.3285, 35.4444],
+  ['Beirut', 'Beirut', 'Lebanon', 33.8938, 35.5018],
+  ['Dubai', 'Dubai', 'United Arab Emirates', 25.2048, 55.2708],
+  ['Abu Dhabi', 'Abu Dhabi', 'United Arab Emirates', 24.4539, 54.3773],
+  ['Doha', 'Doha', 'Qatar', 25.2854, 51.5310],
+  ['Riyadh', 'Riyadh', 'Saudi Arabia', 24.7136, 46.6753],
+  ['Jeddah', 'Makkah', 'Saudi Arabia', 21.4858, 39.1925],
+  ['Muscat', 'Muscat', 'Oman', 23.5880, 58.3829],
+  ['Kuwait City', 'Al Asimah', 'Kuwait', 29.3759, 47.9774],
+  ['Manama', 'Capital', 'Bahrain', 26.2285, 50.5860],
+  ['Tehran', 'Tehran', 'Iran', 35.6892, 51.3890],
+  ['Isfahan', 'Isfahan', 'Iran', 32.6546, 51.6680],
+  ['Baghdad', 'Baghdad', 'Iraq', 33.3152, 44.3661],
+
+  // Africa
+  ['Cairo', 'Cairo', 'Egypt', 30.0444, 31.2357],
+  ['Giza', 'Giza', 'Egypt', 30.0131, 31.2089],
+  ['Luxor', 'Luxor', 'Egypt', 25.6872, 32.6396],
+  ['Alexandria', 'Alexandria', 'Egypt', 31.2001, 29.9187],
+  ['Marrakesh', 'Marrakesh-Safi', 'Morocco', 31.6295, -7.9811],
+  ['Casablanca', 'Casablanca-Settat', 'Morocco', 33.5731, -7.5898],
+  ['Fez', 'Fès-Meknès', 'Morocco', 34.0181, -5.0078],
+  ['Tunis', 'Tunis', 'Tunisia', 36.8065, 10.1815],
+  ['Algiers', 'Algiers', 'Algeria', 36.7538, 3.0588],
+  ['Lagos', 'Lagos', 'Nigeria', 6.5244, 3.3792],
+  ['Abuja', 'Federal Capital Territory', 'Nigeria', 9.0765, 7.3986],
+  ['Accra', 'Greater Accra', 'Ghana', 5.6037, -0.1870],
+  ['Dakar', 'Dakar', 'Senegal', 14.7167, -17.4677],
+  ['Addis Ababa', 'Addis Ababa', 'Ethiopia', 9.0300, 38.7400],
+  ['Nairobi', 'Nairobi', 'Kenya', -1.2921, 36.8219],
+  ['Mombasa', 'Mombasa', 'Kenya', -4.0435, 39.6682],
+  ['Dar es Salaam', 'Dar es Salaam', 'Tanzania', -6.7924, 39.2083],
+  ['Zanzibar City', 'Zanzibar', 'Tanzania', -6.1659, 39.2026],
+  ['Arusha', 'Arusha', 'Tanzania', -3.3869, 36.6830],
+  ['Kampala', 'Central Region', 'Uganda', 0.3476, 32.5825],
+  ['Kigali', 'Kigali', 'Rwanda', -1.9441, 30.0619],
+  ['Kinshasa', 'Kinshasa', 'DR Congo', -4.4419, 15.2663],
+  ['Luanda', 'Luanda', 'Angola', -8.8390, 13.2894],
+  ['Lusaka', 'Lusaka', 'Zambia', -15.3875, 28.3228],
+  ['Victoria Falls', 'Matabeleland North', 'Zimbabwe', -17.9243, 25.8572],
+  ['Harare', 'Harare', 'Zimbabwe', -17.8252, 31.0335],
+  ['Windhoek', 'Khomas', 'Namibia', -22.5609, 17.0658],
+  ['Gaborone', 'South-East', 'Botswana', -24.6282, 25.9231],
+  ['Maputo', 'Maputo', 'Mozambique', -25.9692, 32.5732],
+  ['Antananarivo', 'Analamanga', 'Madagascar', -18.8792, 47.5079],
+  ['Port Louis', 'Port Louis', 'Mauritius', -20.1609, 57.5012],
+  ['Johannesburg', 'Gauteng', 'South Africa', -26.2041, 28.0473],
+  ['Pretoria', 'Gauteng', 'South Africa', -25.7479, 28.2293],
+  ['Cape Town', 'Western Cape', 'South Africa', -33.9249, 18.4241],
+  ['Durban', 'KwaZulu-Natal', 'South Africa', -29.8587, 31.0218],
+
+  // South Asia
+  ['Delhi', 'Delhi', 'India', 28.7041, 77.1025],
+  ['Mumbai', 'Maharashtra', 'India', 19.0760, 72.8777],
+  ['Pune', 'Maharashtra', 'India', 18.5204, 73.8567],
+  ['Bengaluru', 'Karnataka', 'India', 12.9716, 77.5946],
+  ['Chennai', 'Tamil Nadu', 'India', 13.0827, 80.2707],
+  ['Hyderabad', 'Telangana', 'India', 17.3850, 78.4867],
+  ['Kolkata', 'West Bengal', 'India', 22.5726, 88.3639],
+  ['Jaipur', 'Rajasthan', 'India', 26.9124, 75.7873],
+  ['Udaipur', 'Rajasthan', 'India', 24.5854, 73.7125],
+  ['Agra', 'Uttar Pradesh', 'India', 27.1767, 78.0081],
+  ['Varanasi', 'Uttar Pradesh', 'India', 25.3176, 82.9739],
+  ['Goa', 'Goa', 'India', 15.4909, 73.8278],
+  ['Kochi', 'Kerala', 'India', 9.9312, 76.2673],
+  ['Ahmedabad', 'Gujarat', 'India', 23.0225, 72.5714],
+  ['Karachi', 'Sindh', 'Pakistan', 24.8607, 67.0011],
+  ['Lahore', 'Punjab', 'Pakistan', 31.5204, 74.3587],
+  ['Islamabad', 'Islamabad Capital Territory', 'Pakistan', 33.6844, 73.0479],
+  ['Dhaka', 'Dhaka', 'Bangladesh', 23.8103, 90.4125],
+  ['Kathmandu', 'Bagmati', 'Nepal', 27.7172, 85.3240],
+  ['Pokhara', 'Gandaki', 'Nepal', 28.2096, 83.9856],
+  ['Thimphu', 'Thimphu', 'Bhutan', 27.4728, 89.6390],
+  ['Colombo', 'Western Province', 'Sri Lanka', 6.9271, 79.8612],
+  ['Kandy', 'Central Province', 'Sri Lanka', 7.2906, 80.6337],
+  ['Malé', 'Malé', 'Maldives', 4.1755, 73.5093],
+
+  // East Asia
+  ['Tokyo', 'Tokyo', 'Japan', 35.6762, 139.6503],
+  ['Yokohama', 'Kanagawa', 'Japan', 35.4437, 139.6380],
+  ['Kyoto', 'Kyoto', 'Japan', 35.0116, 135.7681],
+  ['Osaka', 'Osaka', 'Japan', 34.6937, 135.5023],
+  ['Nara', 'Nara', 'Japan', 34.6851, 135.8048],
+  ['Kobe', 'Hyogo', 'Japan', 34.6901, 135.1955],
+  ['Hiroshima', 'Hiroshima', 'Japan', 34.3853, 132.4553],
+  ['Fukuoka', 'Fukuoka', 'Japan', 33.5904, 130.4017],
+  ['Nagoya', 'Aichi', 'Japan', 35.1815, 136.9066],
+  ['Sapporo', 'Hokkaido', 'Japan', 43.0618, 141.3545],
+  ['Naha', 'Okinawa', 'Japan', 26.2124, 127.6809],
+  ['Seoul', 'Seoul', 'South Korea', 37.5665, 126.9780],
+  ['Busan', 'Busan', 'South Korea', 35.1796, 129.0756],
+  ['Jeju City', 'Jeju', 'South Korea', 33.4996, 126.5312],
+  ['Pyongyang', 'Pyongyang', 'North Korea', 39.0392, 125.7625],
+  ['Beijing', 'Beijing', 'China', 39.9042, 116.4074],
+  ['Shanghai', 'Shanghai', 'China', 31.2304, 121.4737],
+  ['Guangzhou', 'Guangdong', 'China', 23.1291, 113.2644],
+  ['Shenzhen', 'Guangdong', 'China', 22.5431, 114.0579],
+  ['Chengdu', 'Sichuan', 'China', 30.5728, 104.0668],
+  ["Xi'an", 'Shaanxi', 'China', 34.3416, 108.9398],
+  ['Hangzhou', 'Zhejiang', 'China', 30.2741, 120.1551],
+  ['Guilin', 'Guangxi', 'China', 25.2740, 110.2900],
+  ['Kunming', 'Yunnan', 'China', 25.0389, 102.7183],
+  ['Lhasa', 'Tibet', 'China', 29.6520, 91.1721],
+  ['Harbin', 'Heilongjiang', 'China', 45.8038, 126.5349],
+  ['Hong Kong', 'Hong Kong', 'China', 22.3193, 114.1694],
+  ['Macau', 'Macau', 'China', 22.1987, 113.5439],
+  ['Taipei', 'Taipei', 'Taiwan', 25.0330, 121.5654],
+  ['Kaohsiung', 'Kaohsiung', 'Taiwan', 22.6273, 120.3014],
+  ['Ulaanbaatar', 'Ulaanbaatar', 'Mongolia', 47.8864, 106.9057],
+
+  // Southeast Asia
+  ['Bangkok', 'Bangkok', 'Thailand', 13.7563, 100.5018],
+  ['Chiang Mai', 'Chiang Mai', 'Thailand', 18.7883, 98.9853],
+  ['Phuket', 'Phuket', 'Thailand', 7.8804, 98.3923],
+  ['Krabi', 'Krabi', 'Thailand', 8.0863, 98.9063],
+  ['Hanoi', 'Hanoi', 'Vietnam', 21.0278, 105.8342],
+  ['Ho Chi Minh City', 'Ho Chi Minh City', 'Vietnam', 10.8231, 106.6297],
+  ['Da Nang', 'Da Nang', 'Vietnam', 16.0544, 108.2022],
+  ['Hoi An', 'Quang Nam', 'Vietnam', 15.8801, 108.3380],
+  ['Ha Long', 'Quang Ninh', 'Vietnam', 20.9517, 107.0801],
+  ['Siem Reap', 'Siem Reap', 'Cambodia', 13.3671, 103.8448],
+  ['Phnom Penh', 'Phnom Penh', 'Cambodia', 11.5564, 104.9282],
+  ['Vientiane', 'Vientiane Prefecture', 'Laos', 17.9757, 102.6331],
+  ['Luang Prabang', 'Luang Prabang', 'Laos', 19.8856, 102.1347],
+  ['Yangon', 'Yangon', 'Myanmar', 16.8409, 96.1735],
+  ['Kuala Lumpur', 'Kuala Lumpur', 'Malaysia', 3.1390, 101.6869],
+  ['George Town', 'Penang', 'Malaysia', 5.4141, 100.3288],
+  ['Kota Kinabalu', 'Sabah', 'Malaysia', 5.9804, 116.0735],
+  ['Singapore', 'Singapore', 'Singapore', 1.3521, 103.8198],
+  ['Jakarta', 'Jakarta', 'Indonesia', -6.2088, 106.8456],
+  ['Yogyakarta', 'Yogyakarta', 'Indonesia', -7.7956, 110.3695],
+  ['Denpasar', 'Bali', 'Indonesia', -8.6705, 115.2126],
+  ['Ubud', 'Bali', 'Indonesia', -8.5069, 115.2625],
+  ['Surabaya', 'East Java', 'Indonesia', -7.2575, 112.7521],
+  ['Manila', 'Metro Manila', 'Philippines', 14.5995, 120.9842],
+  ['Cebu City', 'Central Visayas', 'Philippines', 10.3157, 123.8854],
+  ['El Nido', 'Palawan', 'Philippines', 11.1784, 119.3900],
+
+  // Oceania
+  ['Sydney', 'New South Wales', 'Australia', -33.8688, 151.2093],
+  ['Melbourne', 'Victoria', 'Australia', -37.8136, 144.9631],
+  ['Brisbane', 'Queensland', 'Australia', -27.4698, 153.0251],
+  ['Gold Coast', 'Queensland', 'Australia', -28.0167, 153.4000],
+  ['Cairns', 'Queensland', 'Australia', -16.9186, 145.7781],
+  ['Perth', 'Western Australia', 'Australia', -31.9505, 115.8605],
+  ['Adelaide', 'South Australia', 'Australia', -34.9285, 138.6007],
+  ['Hobart', 'Tasmania', 'Australia', -42.8821, 147.3272],
+  ['Canberra', 'Australian Capital Territory', 'Australia', -35.2809, 149.1300],
+  ['Darwin', 'Northern Territory', 'Australia', -12.4634, 130.8456],
+  ['Alice Springs', 'Northern Territory', 'Australia', -23.6980, 133.8807],
+  ['Auckland', 'Auckland', 'New Zealand', -36.8485, 174.7633],
+  ['Wellington', 'Wellington', 'New Zealand', -41.2865, 174.7762],
+  ['Christchurch', 'Canterbury', 'New Zealand', -43.5321, 172.6362],
+  ['Queenstown', 'Otago', 'New Zealand', -45.0312, 168.6626],
+  ['Rotorua', 'Bay of Plenty', 'New Zealand', -38.1368, 176.2497],
+  ['Suva', 'Central', 'Fiji', -18.1248, 178.4501],
+  ['Nadi', 'Western', 'Fiji', -17.7765, 177.4356],
+  ['Papeete', 'Windward Islands', 'French Polynesia', -17.5516, -149.5585],
+  ['Nouméa', 'South Province', 'New Caledonia', -22.2758, 166.4580],
+  ['Apia', 'Tuamasaga', 'Samoa', -13.8506, -171.7513],
+  ["Nuku'alofa", 'Tongatapu', 'Tonga', -21.1394, -175.2018],
+  ['Port Moresby', 'National Capital District', 'Papua New Guinea', -9.4438, 147.1803],
+  ['Honolulu', 'Hawaii', 'United States', 21.3069, -157.8583],
+  ['Kahului', 'Hawaii', 'United States', 20.8893, -156.4729],
+  ['Hilo', 'Hawaii', 'United States', 19.7071, -155.0885],
+
+  // United States
+  ['New York', 'New York', 'United States', 40.7128, -74.0060],
+  ['Buffalo', 'New York', 'United States', 42.8864, -78.8784],
+  ['Boston', 'Massachusetts', 'United States', 42.3601, -71.0589],
+  ['Philadelphia', 'Pennsylvania', 'United States', 39.9526, -75.1652],
+  ['Pittsburgh', 'Pennsylvania', 'United States', 40.4406, -79.9959],
+  ['Washington', 'District of Columbia', 'United States', 38.9072, -77.0369],
+  ['Baltimore', 'Maryland', 'United States', 39.2904, -76.6122],
+  ['Atlanta', 'Georgia', 'United States', 33.7490, -84.3880],
+  ['Savannah', 'Georgia', 'United States', 32.0809, -81.0912],
+  ['Charleston', 'South Carolina', 'United States', 32.7765, -79.9311],
+  ['Charlotte', 'North Carolina', 'United States', 35.2271, -80.8431],
+  ['Raleigh', 'North Carolina', 'United States', 35.7796, -78.6382],
+  ['Miami', 'Florida', 'United States', 25.7617, -80.1918],
+  ['Orlando', 'Florida', 'United States', 28.5383, -81.3792],
+  ['Tampa', 'Florida', 'United States', 27.9506, -82.4572],
+  ['Key West', 'Florida', 'United States', 24.5551, -81.7800],
+  ['Nashville', 'Tennessee', 'United States', 36.1627, -86.7816],
+  ['Memphis', 'Tennessee', 'United States', 35.1495, -90.0490],
+  ['New Orleans', 'Louisiana', 'United States', 29.9511, -90.0715],
+  ['Chicago', 'Illinois', 'United States', 41.8781, -87.6298],
+  ['Detroit', 'Michigan', 'United States', 42.3314, -83.0458],
+  ['Cleveland', 'Ohio', 'United States', 41.4993, -81.6944],
+  ['Columbus', 'Ohio', 'United States', 39.9612, -82.9988],
+  ['Indianapolis', 'Indiana', 'United States', 39.7684, -86.1581],
+  ['Minneapolis', 'Minnesota', 'United States', 44.9778, -93.2650],
+  ['Milwaukee', 'Wisconsin', 'United States', 43.0389, -87.9065],
+  ['St. Louis', 'Missouri', 'United States', 38.6270, -90.1994],
+  ['Kansas City', 'Missouri', 'United States', 39.0997, -94.5786],
+  ['Dallas', 'Texas', 'United States', 32.7767, -96.7970],
+  ['Houston', 'Texas', 'United States', 29.7604, -95.3698],
+  ['Austin', 'Texas', 'United States', 30.2672, -97.7431],
+  ['San Antonio', 'Texas', 'United States', 29.4241, -98.4936],
+  ['El Paso', 'Texas', 'United States', 31.7619, -106.4850],
+  ['Oklahoma City', 'Oklahoma', 'United States', 35.4676, -97.5164],
+  ['Denver', 'Colorado', 'United States', 39.7392, -104.9903],
+  ['Aspen', 'Colorado', 'United States', 39.1911, -106.8175],
+  ['Salt Lake City', 'Utah', 'United States', 40.7608, -111.8910],
+  ['Moab', 'Utah', 'United States', 38.5733, -109.5498],
+  ['Phoenix', 'Arizona', 'United States', 33.4484, -112.0740],
+  ['Tucson', 'Arizona', 'United States', 32.2226, -110.9747],
+  ['Flagstaff', 'Arizona', 'United States', 35.1983, -111.6513],
+  ['Sedona', 'Arizona', 'United States', 34.8697, -111.7610],
+  ['Albuquerque', 'New Mexico', 'United States', 35.0844, -106.6504],
+  ['Santa Fe', 'New Mexico', 'United States', 35.6870, -105.9378],
+  ['Las Vegas', 'Nevada', 'United States', 36.1699, -115.1398],
+  ['Reno', 'Nevada', 'United States', 39.5296, -119.8138],
+  ['Los Angeles', 'California', 'United States', 34.0522, -118.2437],
+  ['San Diego', 'California', 'United States', 32.7157, -117.1611],
+  ['Palm Springs', 'California', 'United States', 33.8303, -116.5453],
+  ['Santa Barbara', 'California', 'United States', 34.4208, -119.6982],
+  ['San Francisco', 'California', 'United States', 37.7749, -122.4194],
+  ['San Jose', 'California', 'United States', 37.3382, -121.8863],
+  ['Oakland', 'California', 'United States', 37.8044, -122.2712],
+  ['Sacramento', 'California', 'United States', 38.5816, -121.4944],
+  ['Monterey', 'California', 'United States', 36.6002, -121.8947],
+  ['Yosemite Valley', 'California', 'United States', 37.7456, -119.5936],
+  ['Lake Tahoe', 'California', 'United States', 38.9399, -119.9772],
+  ['Portland', 'Oregon', 'United States', 45.5152, -122.6784],
+  ['Seattle', 'Washington', 'United States', 47.6062, -122.3321],
+  ['Spokane', 'Washington', 'United States', 47.6588, -117.4260],
+  ['Boise', 'Idaho', 'United States', 43.6150, -116.2023],
+  ['Jackson', 'Wyoming', 'United States', 43.4799, -110.7624],
+  ['Bozeman', 'Montana', 'United States', 45.6770, -111.0429],
+  ['Anchorage', 'Alaska', 'United States', 61.2181, -149.9003],
+  ['Juneau', 'Alaska', 'United States', 58.3019, -134.4197],
+  ['Fairbanks', 'Alaska', 'United States', 64.8378, -147.7164],
+  ['Portland', 'Maine', 'United States', 43.6591, -70.2568],
+  ['Burlington', 'Vermont', 'United States', 44.4759, -73.2121],
+
+  // Canada
+  ['Toronto', 'Ontario', 'Canada', 43.6532, -79.3832],
+  ['Ottawa', 'Ontario', 'Canada', 45.4215, -75.6972],
+  ['Niagara Falls', 'Ontario', 'Canada', 43.0896, -79.0849],
+  ['Montreal', 'Quebec', 'Canada', 45.5017, -73.5673],
+  ['Quebec City', 'Quebec', 'Canada', 46.8139, -71.2080],
+  ['Halifax', 'Nova Scotia', 'Canada', 44.6488, -63.5752],
+  ["St. John's", 'Newfoundland and Labrador', 'Canada', 47.5615, -52.7126],
+  ['Winnipeg', 'Manitoba', 'Canada', 49.8951, -97.1384],
+  ['Calgary', 'Alberta', 'Canada', 51.0447, -114.0719],
+  ['Edmonton', 'Alberta', 'Canada', 53.5461, -113.4938],
+  ['Banff', 'Alberta', 'Canada', 51.1784, -115.5708],
+  ['Vancouver', 'British Columbia', 'Canada', 49.2827, -123.1207],
+  ['Victoria', 'British Columbia', 'Canada', 48.4284, -123.3656],
+  ['Whistler', 'British Columbia', 'Canada', 50.1163, -122.9574],
+  ['Whitehorse', 'Yukon', 'Canada', 60.7212, -135.0568],
+
+  // Mexico, Central America & Caribbean
+  ['Mexico City', 'Mexico City', 'Mexico', 19.4326, -99.1332],
+  ['Guadalajara', 'Jalisco', 'Mexico', 20.6597, -103.3496],
+  ['Monterrey', 'Nuevo León', 'Mexico', 25.6866, -100.3161],
+  ['Cancún', 'Quintana Roo', 'Mexico', 21.1619, -86.8515],
+  ['Tulum', 'Quintana Roo', 'Mexico', 20.2114, -87.4654],
+  ['Mérida', 'Yucatán', 'Mexico', 20.9674, -89.5926],
+  ['Oaxaca', 'Oaxaca', 'Mexico', 17.0732, -96.7266],
+  ['Puerto Vallarta', 'Jalisco', 'Mexico', 20.6534, -105.2253],
+  ['Cabo San Lucas', 'Baja California Sur', 'Mexico', 22.8905, -109.9167],
+  ['Tijuana', 'Baja California', 'Mexico', 32.5149, -117.0382],
+  ['Guatemala City', 'Guatemala', 'Guatemala', 14.6349, -90.5069],
+  ['Antigua Guatemala', 'Sacatepéquez', 'Guatemala', 14.5586, -90.7295],
+  ['Belize City', 'Belize', 'Belize', 17.5046, -88.1962],
+  ['San Salvador', 'San Salvador', 'El Salvador', 13.6929, -89.2182],
+  ['Tegucigalpa', 'Francisco Morazán', 'Honduras', 14.0723, -87.1921],
+  ['Managua', 'Managua', 'Nicaragua', 12.1150, -86.2362],
+  ['San José', 'San José', 'Costa Rica', 9.9281, -84.0907],
+  ['Panama City', 'Panamá', 'Panama', 8.9824, -79.5199],
+  ['Havana', 'Havana', 'Cuba', 23.1136, -82.3666],
+  ['Santo Domingo', 'Distrito Nacional', 'Dominican Republic', 18.4861, -69.9312],
+  ['Punta Cana', 'La Altagracia', 'Dominican Republic', 18.5601, -68.3725],
+  ['San Juan', 'San Juan', 'Puerto Rico', 18.4655, -66.1057],
+  ['Kingston', 'Kingston', 'Jamaica', 17.9712, -76.7936],
+  ['Montego Bay', 'St. James', 'Jamaica', 18.4762, -77.8939],
+  ['Nassau', 'New Providence', 'Bahamas', 25.0443, -77.3504],
+  ['Bridgetown', 'Saint Michael', 'Barbados', 13.0975, -59.6167],
+  ['Port of Spain', 'Port of Spain', 'Trinidad and Tobago', 10.6549, -61.5019],
+  ['Oranjestad', 'Aruba', 'Aruba', 12.5240, -70.0270],
+  ['Willemstad', 'Curaçao', 'Curaçao', 12.1091, -68.9316],
+
+  // South America
+  ['Bogotá', 'Bogotá', 'Colombia', 4.7110, -74.0721],
+  ['Medellín', 'Antioquia', 'Colombia', 6.2442, -75.5812],
+  ['Cartagena', 'Bolívar', 'Colombia', 10.3910, -75.4794],
+  ['Caracas', 'Capital District', 'Venezuela', 10.4806, -66.9036],
+  ['Quito', 'Pichincha', 'Ecuador', -0.1807, -78.4678],
+  ['Guayaquil', 'Guayas', 'Ecuador', -2.1710, -79.9224],
+  ['Puerto Ayora', 'Galápagos', 'Ecuador', -0.7432, -90.3135],
+  ['Lima', 'Lima', 'Peru', -12.0464, -77.0428],
+  ['Cusco', 'Cusco', 'Peru', -13.5320, -71.9675],
+  ['Aguas Calientes', 'Cusco', 'Peru', -13.1547, -72.5254],
+  ['Arequipa', 'Arequipa', 'Peru', -16.4090, -71.5375],
+  ['La Paz', 'La Paz', 'Bolivia', -16.4897, -68.1193],
+  ['Uyuni', 'Potosí', 'Bolivia', -20.4597, -66.8250],
+  ['Santiago', 'Santiago Metropolitan', 'Chile', -33.4489, -70.6693],
+  ['Valparaíso', 'Valparaíso', 'Chile', -33.0472, -71.6127],
+  ['San Pedro de Atacama', 'Antofagasta', 'Chile', -22.9087, -68.1997],
+  ['Puerto Natales', 'Magallanes', 'Chile', -51.7236, -72.4875],
+  ['Punta Arenas', 'Magallanes', 'Chile', -53.1638, -70.9171],
+  ['Hanga Roa', 'Valparaíso', 'Chile', -27.1500, -109.4333],
+  ['Buenos Aires', 'Buenos Aires', 'Argentina', -34.6037, -58.3816],
+  ['Córdoba', 'Córdoba', 'Argentina', -31.4201, -64.1888],
+  ['Mendoza', 'Mendoza', 'Argentina', -32.8895, -68.8458],
+  ['Bariloche', 'Río Negro', 'Argentina', -41.1335, -71.3103],
+  ['El Calafate', 'Santa Cruz', 'Argentina', -50.3379, -72.2648],
+  ['Ushuaia', 'Tierra del Fuego', 'Argentina', -54.8019, -68.3030],
+  ['Puerto Iguazú', 'Misiones', 'Argentina', -25.5991, -54.5736],
+  ['Montevideo', 'Montevideo', 'Uruguay', -34.9011, -56.1645],
+  ['Asunción', 'Asunción', 'Paraguay', -25.2637, -57.5759],
+  ['São Paulo', 'São Paulo', 'Brazil', -23.5505, -46.6333],
+  ['Rio de Janeiro', 'Rio de Janeiro', 'Brazil', -22.9068, -43.1729],
+  ['Brasília', 'Federal District', 'Brazil', -15.7975, -47.8919],
+  ['Salvador', 'Bahia', 'Brazil', -12.9777, -38.5016],
+  ['Recife', 'Pernambuco', 'Brazil', -8.0476, -34.8770],
+  ['Fortaleza', 'Ceará', 'Brazil', -3.7319, -38.5267],
+  ['Manaus', 'Amazonas', 'Brazil', -3.1190, -60.0217],
+  ['Belo Horizonte', 'Minas Gerais', 'Brazil', -19.9167, -43.9345],
+  ['Curitiba', 'Paraná', 'Brazil', -25.4284, -49.2733],
+  ['Porto Alegre', 'Rio Grande do Sul', 'Brazil', -30.0346, -51.2177],
+  ['Florianópolis', 'Santa Catarina', 'Brazil', -27.5954, -48.5480],
+  ['Foz do Iguaçu', 'Paraná', 'Brazil', -25.5163, -54.5854]
+];
+
+export default {
+  CITIES
+};
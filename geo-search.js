@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Geo Search Helpers
+ *
+ * Location filtering for geotagged photos. Images ingested with EXIF carry
+ * numeric gps_latitude / gps_longitude metadata, so an area search is:
+ * - Pre-filter in ChromaDB with numeric range `where` clauses (a bounding box)
+ * - Compute exact great-circle (haversine) distances on what comes back
+ * - Drop the bounding box corners that fall outside the radius
+ *
+ * Bounding boxes that cross the antimeridian are expressed with west > east
+ * (e.g. west 170, east -170) and turned into an $or on longitude.
+ */
+
+// Mean Earth radius (IUGG)
+export const EARTH_RADIUS_KM = 6371.0088;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point (degrees)
+ * @param {number} lon1 - Longitude of the first point (degrees)
+ * @param {number} lat2 - Latitude of the second point (degrees)
+ * @param {number} lon2 - Longitude of the second point (degrees)
+ * @returns {number} Distance in kilometers
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Wrap a longitude into [-180, 180]
+function wrapLongitude(lon) {
+  if (lon >= -180 && lon <= 180) return lon;
+  return ((lon + 540) % 360) - 180;
+}
+
+/**
+ * Smallest latitude/longitude box containing a circle
+ * Near the poles (or for very large radii) the box spans every longitude.
+ * @param {number} latitude - Center latitude (degrees)
+ * @param {number} longitude - Center longitude (degrees)
+ * @param {number} radiusKm - Radius in kilometers
+ * @returns {object} { north, south, east, west } (west > east when crossing the antimeridian)
+ */
+export function boundingBoxForRadius(latitude, longitude, radiusKm) {
+  const angular = radiusKm / EARTH_RADIUS_KM;
+  const north = latitude + toDegrees(angular);
+  const south = latitude - toDegrees(angular);
+
+  if (north >= 90 || south <= -90 || angular >= Math.PI / 2) {
+    return { north: Math.min(north, 90), south: Math.max(south, -90), east: 180, west: -180 };
+  }
+
+  const dLon = toDegrees(Math.asin(Math.sin(angular) / Math.cos(toRadians(latitude))));
+  if (dLon >= 180) {
+    return { north, south, east: 180, west: -180 };
+  }
+
+  return {
+    north,
+    south,
+    east: wrapLongitude(longitude + dLon),
+    west: wrapLongitude(longitude - dLon)
+  };
+}
+
+// Check one coordinate is a finite number within range
+function checkCoordinate(name, value, limit) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > limit) {
+    throw new Error(`${name} must be a number between -${limit} and ${limit}, got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Validate a location search area
+ * Accepts either a center + radius or a bounding box, not both.
+ * @param {object} area - { latitude, longitude, radius_km } or { bbox: { north, south, east, west } }
+ * @returns {object} { center?: {latitude, longitude}, radiusKm?, bbox }
+ * @throws {Error} If the area is missing, ambiguous or out of range
+ */
+export function parseGeoArea(area = {}) {
+  const { latitude = null, longitude = null, radius_km = null, bbox = null } = area;
+  const hasCenter = latitude !== null || longitude !== null || radius_km !== null;
+
+  if (hasCenter && bbox) {
+    throw new Error('pass either latitude/longitude/radius_km or bbox, not both');
+  }
+
+  if (bbox) {
+    let box = bbox;
+    if (typeof bbox === 'string') {
+      try {
+        box = JSON.parse(bbox);
+      } catch {
+        throw new Error('bbox must be an object like {"north": 48.9, "south": 48.8, "east": 2.4, "west": 2.2}');
+      }
+    }
+    const parsed = {
+      north: checkCoordinate('bbox.north', box.north, 90),
+      south: checkCoordinate('bbox.south', box.south, 90),
+      east: checkCoordinate('bbox.east', box.east, 180),
+      west: checkCoordinate('bbox.west', box.west, 180)
+    };
+    if (parsed.south > parsed.north) {
+      throw new Error(`bbox.south (${parsed.south}) must not be greater than bbox.north (${parsed.north})`);
+    }
+    return { bbox: parsed };
+  }
+
+  if (!hasCenter) {
+    throw new Error('pass latitude, longitude and radius_km, or a bbox with north/south/east/west');
+  }
+
+  checkCoordinate('latitude', latitude, 90);
+  checkCoordinate('longitude', longitude, 180);
+  if (typeof radius_km !== 'number' || !(radius_km > 0)) {
+    throw new Error(`radius_km must be a positive number, got ${JSON.stringify(radius_km)}`);
+  }
+
+  return {
+    center: { latitude, longitude },
+    radiusKm: radius_km,
+    bbox: boundingBoxForRadius(latitude, longitude, radius_km)
+  };
+}
+
+/**
+ * ChromaDB where clause selecting documents inside a bounding box
+ * @param {object} bbox - { north, south, east, west }
+ * @returns {object} Where clause on gps_latitude / gps_longitude
+ */
+export function buildGeoWhere(bbox) {
+  const clauses = [
+    { gps_latitude: { $gte: bbox.south } },
+    { gps_latitude: { $lte: bbox.north } }
+  ];
+
+  if (bbox.west <= bbox.east) {
+    clauses.push({ gps_longitude: { $gte: bbox.west } }, { gps_longitude: { $lte: bbox.east } });
+  } else {
+    // Crosses the antimeridian: either side of it matches
+    clauses.push({ $or: [{ gps_longitude: { $gte: bbox.west } }, { gps_longitude: { $lte: bbox.east } }] });
+  }
+
+  return { $and: clauses };
+}
+
+/**
+ * Join where clauses with $and, skipping empty ones
+ * @param {...object} clauses - Where clauses (null entries are ignored)
+ * @returns {object|null} Combined clause, or null if none were given
+ */
+export function combineWhere(...clauses) {
+  const parts = clauses.filter(Boolean).flatMap(c => c.$and && Object.keys(c).length === 1 ? c.$and : [c]);
+  if (parts.length === 0) return null;
+  return parts.length === 1 ? parts[0] : { $and: parts };
+}
+
+/**
+ * Check a point lies inside a bounding box
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {object} bbox - { north, south, east, west }
+ * @returns {boolean} True if inside (edges included)
+ */
+export function pointInBoundingBox(latitude, longitude, bbox) {
+  if (latitude < bbox.south || latitude > bbox.north) return false;
+  return bbox.west <= bbox.east
+    ? longitude >= bbox.west && longitude <= bbox.east
+    : longitude >= bbox.west || longitude <= bbox.east;
+}
+
+/**
+ * Keep hits inside a search area and annotate their distance
+ * Hits without numeric GPS metadata are dropped.
+ * @param {Array<object>} hits - Hits with `metadata.gps_latitude` / `metadata.gps_longitude`
+ * @param {object} area - Parsed area from parseGeoArea
+ * @returns {Array<object>} Matching hits; with a center each gets distance_km
+ */
+export function filterByArea(hits, area) {
+  const matched = [];
+
+  for (const hit of hits) {
+    const lat = hit.metadata?.gps_latitude;
+    const lon = hit.metadata?.gps_longitude;
+    if (typeof lat !== 'number' || typeof lon !== 'number') continue;
+
+    if (area.center) {
+      const distance = haversineDistance(area.center.latitude, area.center.longitude, lat, lon);
+      if (distance > area.radiusKm) continue;
+      matched.push({ ...hit, distance_km: Math.round(distance * 1000) / 1000 });
+    } else if (pointInBoundingBox(lat, lon, area.bbox)) {
+      matched.push(hit);
+    }
+  }
+
+  return matched;
+}
+
+export default {
+  EARTH_RADIUS_KM,
+  haversineDistance,
+  boundingBoxForRadius,
+  parseGeoArea,
+  buildGeoWhere,
+  combineWhere,
+  pointInBoundingBox,
+  filterByArea
+};
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * GPS Privacy Policies
+ *
+ * Redacts photo coordinates before they are written to shared collections:
+ * - keep: store GPS as extracted
+ * - drop: remove coordinates and altitude
+ * - round: snap coordinates to the centre of a grid cell (grid_km wide)
+ * - zone: inside a named zone ("Home"), replace coordinates with the zone name;
+ *   outside every zone, fall back to the `outside` mode
+ *
+ * Policies are configured per collection in the JSON file named by
+ * CHROMA_GPS_PRIVACY, or passed per watcher:
+ *   {
+ *     "zones": [{ "name": "Home", "latitude": 38.72, "longitude": -9.14, "radius_km": 1 }],
+ *     "default": { "mode": "keep" },
+ *     "collections": { "family_photos": { "mode": "zone", "outside": "round", "grid_km": 2 } }
+ *   }
+ *
+ * Place names from reverse geocoding are city-level and are left in place.
+ */
+
+import { readFileSync } from 'fs';
+import { haversineDistance } from './geo-search.js';
+
+export const GPS_PRIVACY_MODES = ['keep', 'drop', 'round', 'zone'];
+export const GPS_FIELDS = ['gps_latitude', 'gps_longitude', 'gps_location', 'gps_altitude'];
+export const DEFAULT_GRID_KM = 1;
+
+const KM_PER_DEGREE_LATITUDE = 111.2;
+
+// "Location: <lat>, <lon>" lines written by the EXIF summary
+const LOCATION_LINE = /^Location: (-?\d+(?:\.\d+)?), (-?\d+(?:\.\d+)?)\s*$/;
+
+// Loaded policy file: { zones, default, collections }
+let policyConfig = null;
+
+function validateZone(zone) {
+  const { name, latitude, longitude, radius_km: radiusKm } = zone || {};
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error(`GPS zone needs a name, got ${JSON.stringify(zone)}`);
+  }
+  if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+    throw new Error(`Zone "${name}" latitude must be between -90 and 90`);
+  }
+  if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+    throw new Error(`Zone "${name}" longitude must be between -180 and 180`);
+  }
+  if (typeof radiusKm !== 'number' || !(radiusKm > 0)) {
+    throw new Error(`Zone "${name}" radius_km must be a positive number`);
+  }
+  return { name: name.trim(), latitude, longitude, radius_km: radiusKm };
+}
+
+/**
+ * Validate and normalize a GPS privacy policy
+ * @param {string|object} value - Mode name ("drop"), policy object, or JSON string of one
+ * @param {object} options - { zones: shared zones used when a zone policy lists none }
+ * @returns {object|null} { mode, grid_km, zones, outside }, or null for no policy
+ */
+export function parseGpsPolicy(value, options = {}) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let policy = value;
+  if (typeof value === 'string') {
+    policy = GPS_PRIVACY_MODES.includes(value.trim()) ? { mode: value.trim() } : null;
+    if (!policy) {
+      try {
+        policy = JSON.parse(value);
+      } catch {
+        throw new Error(`GPS privacy policy must be one of ${GPS_PRIVACY_MODES.join(', ')} or a JSON object, got ${JSON.stringify(value)}`);
+      }
+    }
+  }
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error(`GPS privacy policy must be an object, got ${JSON.stringify(value)}`);
+  }
+
+  const { mode = 'keep', grid_km: gridKm = DEFAULT_GRID_KM, outside = 'keep' } = policy;
+  if (!GPS_PRIVACY_MODES.includes(mode)) {
+    throw new Error(`GPS privacy mode must be one of ${GPS_PRIVACY_MODES.join(', ')}, got ${JSON.stringify(mode)}`);
+  }
+  if (typeof gridKm !== 'number' || !(gridKm > 0)) {
+    throw new Error(`grid_km must be a positive number, got ${JSON.stringify(gridKm)}`);
+  }
+  if (!['keep', 'drop', 'round'].includes(outside)) {
+    throw new Error(`outside must be keep, drop or round, got ${JSON.stringify(outside)}`);
+  }
+
+  const zones = (policy.zones || (mode === 'zone' ? options.zones : null) || []).map(validateZone);
+  if (mode === 'zone' && zones.length === 0) {
+    throw new Error('GPS privacy mode "zone" needs at least one zone');
+  }
+
+  return { mode, grid_km: gridKm, zones, outside };
+}
+
+/**
+ * Load (or reload) per-collection policies
+ * @param {object} config - Optional config instead of the CHROMA_GPS_PRIVACY file
+ * @returns {number} Number of collections with their own policy
+ */
+export function loadGpsPolicies(config = null) {
+  if (!config && process.env.CHROMA_GPS_PRIVACY) {
+    try {
+      config = JSON.parse(readFileSync(process.env.CHROMA_GPS_PRIVACY, 'utf-8'));
+    } catch (error) {
+      console.error(`⚠️ Could not load GPS privacy policies ${process.env.CHROMA_GPS_PRIVACY}: ${error.message}`);
+    }
+  }
+
+  config = config || {};
+  const zones = (config.zones || []).map(validateZone);
+  const collections = {};
+  for (const [name, policy] of Object.entries(config.collections || {})) {
+    collections[name] = parseGpsPolicy(policy, { zones });
+  }
+
+  policyConfig = { zones, default: parseGpsPolicy(config.default, { zones }), collections };
+  return Object.keys(collections).length;
+}
+
+/**
+ * Resolve the policy to apply when writing to a collection
+ * @param {string} collection - Target collection name
+ * @param {string|object} override - Explicit policy (e.g. a watcher's), wins over the config
+ * @returns {object|null} Normalized policy, or null to keep GPS
+ */
+export function resolveGpsPolicy(collection, override = null) {
+  if (!policyConfig) loadGpsPolicies();
+  if (override !== null && override !== undefined && override !== '') {
+    return parseGpsPolicy(override, { zones: policyConfig.zones });
+  }
+  return policyConfig.collections[collection] || policyConfig.default || null;
+}
+
+/**
+ * Snap a coordinate to the centre of its grid cell
+ * Cells are gridKm tall; their width in degrees of longitude grows with latitude
+ * so cells stay roughly square.
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {number} gridKm - Cell size in kilometres
+ * @returns {object} { latitude, longitude } rounded to 5 decimals
+ */
+export function snapToGrid(latitude, longitude, gridKm = DEFAULT_GRID_KM) {
+  const latStep = gridKm / KM_PER_DEGREE_LATITUDE;
+  const lat = Math.max(-90, Math.min(90, (Math.floor(latitude / latStep) + 0.5) * latStep));
+
+  const cosLat = Math.cos(lat * Math.PI / 180);
+  const lonStep = cosLat > 1e-6 ? Math.min(360, latStep / cosLat) : 360;
+  let lon = (Math.floor((longitude + 180) / lonStep) + 0.5) * lonStep - 180;
+  if (lon > 180) lon -= 360;
+
+  return {
+    latitude: Math.round(lat * 1e5) / 1e5,
+    longitude: Math.round(lon * 1e5) / 1e5
+  };
+}
+
+/**
+ * Apply a policy to one coordinate
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {object} policy - Normalized policy from parseGpsPolicy
+ * @returns {object|null} { mode, latitude?, longitude?, zone? }; null means drop
+ */
+export function redactCoordinates(latitude, longitude, policy) {
+  let mode = policy?.mode || 'keep';
+
+  if (mode === 'zone') {
+    const zone = policy.zones.find(z => haversineDistance(latitude, longitude, z.latitude, z.longitude) <= z.radius_km);
+    if (zone) return { mode, zone: zone.name };
+    mode = policy.outside;
+  }
+
+  if (mode === 'drop') return null;
+  if (mode === 'round') return { mode, ...snapToGrid(latitude, longitude, policy.grid_km) };
+  return { mode: 'keep', latitude, longitude };
+}
+
+/**
+ * Redact GPS fields in flat document metadata
+ * Adds gps_privacy (the mode applied) and gps_zone when a zone matched.
+ * @param {object} metadata - Metadata with gps_latitude / gps_longitude
+ * @param {object} policy - Normalized policy, or null to keep GPS
+ * @returns {object} New metadata (the input itself when nothing changes, so reruns are no-ops)
+ */
+export function applyGpsPolicy(metadata, policy) {
+  if (!policy || policy.mode === 'keep' || metadata?.gps_latitude === undefined) return metadata;
+  const latitude = Number(metadata.gps_latitude);
+  const longitude = Number(metadata.gps_longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return metadata;
+
+  const redacted = redactCoordinates(latitude, longitude, policy);
+  if (redacted?.mode === 'keep') return metadata;
+
+  const result = { ...metadata };
+  for (const field of GPS_FIELDS) delete result[field];
+
+  if (!redacted) {
+    result.gps_privacy = 'drop';
+  } else if (redacted.zone) {
+    result.gps_privacy = 'zone';
+    result.gps_zone = redacted.zone;
+  } else {
+    result.gps_privacy = 'round';
+    result.gps_latitude = redacted.latitude;
+    result.gps_longitude = redacted.longitude;
+    result.gps_location = `${redacted.latitude}, ${redacted.longitude}`;
+  }
+
+  // Already redacted by this policy (e.g. coordinates on the grid): nothing to rewrite
+  const keys = Object.keys(result);
+  const unchanged = keys.length === Object.keys(metadata).length && keys.every(key => result[key] === metadata[key]);
+  return unchanged ? metadata : result;
+}
+
+/**
+ * Redact "Location: lat, lon" lines in document text (EXIF summaries)
+ * @param {string} text - Document text
+ * @param {object} policy - Normalized policy, or null to keep GPS
+ * @returns {string} Text with locations rounded, named or removed
+ */
+export function redactLocationText(text, policy) {
+  if (!text || !policy || policy.mode === 'keep') return text;
+
+  const lines = [];
+  for (const line of text.split('\n')) {
+    const match = LOCATION_LINE.exec(line);
+    if (!match) {
+      lines.push(line);
+      continue;
+    }
+
+    const redacted = redactCoordinates(Number(match[1]), Number(match[2]), policy);
+    if (redacted?.zone) lines.push(`Location: ${redacted.zone}`);
+    else if (redacted) lines.push(`Location: ${redacted.latitude}, ${redacted.longitude}`);
+  }
+  return lines.join('\n');
+}
+
+export default {
+  GPS_PRIVACY_MODES,
+  GPS_FIELDS,
+  DEFAULT_GRID_KM,
+  parseGpsPolicy,
+  loadGpsPolicies,
+  resolveGpsPolicy,
+  snapToGrid,
+  redactCoordinates,
+  applyGpsPolicy,
+  redactLocationText
+};
@@ -0,0 +1,537 @@
+#!/usr/bin/env node
+
+/**
+ * Header-only Image Probe
+ *
+ * Reports dimensions, bit depth, color type and frame count without reading
+ * whole images. Parsers seek from header to header through a small windowed
+ * reader, so a 40 MB RAW or a JPEG with a large EXIF block costs a few KB:
+ * - JPEG: SOFn marker (baseline, progressive, lossless)
+ * - PNG: IHDR, plus acTL for animated PNG
+ * - GIF: logical screen, plus image descriptors for the frame count
+ * - BMP: BITMAPCOREHEADER / BITMAPINFOHEADER and later
+ * - WebP: VP8, VP8L and VP8X (with ANMF frames)
+ * - HEIC / HEIF / AVIF: ispe and pixi item properties
+ * - TIFF and TIFF-based RAW: IFD chain and SubIFDs (largest image wins)
+ */
+
+import { open } from 'fs/promises';
+import { extname } from 'path';
+
+const READ_WINDOW = 16 * 1024;
+const MAX_BOX_BYTES = 1024 * 1024; // largest HEIC meta box we are willing to read
+const MAX_TIFF_IFDS = 64;
+
+const RAW_EXTENSIONS = ['.raw', '.cr2', '.nef', '.arw', '.dng', '.orf', '.rw2'];
+
+const PNG_COLOR_TYPES = { 0: 'grayscale', 2: 'rgb', 3: 'indexed', 4: 'grayscale_alpha', 6: 'rgba' };
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// TIFF PhotometricInterpretation values
+const TIFF_PHOTOMETRIC = {
+  0: 'grayscale',
+  1: 'grayscale',
+  2: 'rgb',
+  3: 'indexed',
+  5: 'cmyk',
+  6: 'ycbcr',
+  8: 'cielab',
+  32803: 'cfa', // color filter array (Bayer RAW data)
+  34892: 'linear_raw'
+};
+
+// ============================================
+// READERS
+// ============================================
+
+/**
+ * Windowed random-access reader over a file handle
+ * @param {object} handle - fs/promises FileHandle
+ * @param {number} size - File size in bytes
+ * @returns {object} { size, read(offset, length), bytesRead() }
+ */
+export function createFileReader(handle, size) {
+  let windowStart = 0;
+  let window = Buffer.alloc(0);
+  let total = 0;
+
+  return {
+    size,
+    async read(offset, length) {
+      if (offset < 0 || offset >= size) return Buffer.alloc(0);
+      length = Math.min(length, size - offset);
+      if (offset >= windowStart && offset + length <= windowStart + window.length) {
+        return window.subarray(offset - windowStart, offset - windowStart + length);
+      }
+
+      const buffer = Buffer.alloc(Math.min(Math.max(length, READ_WINDOW), size - offset));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+      total += bytesRead;
+      windowStart = offset;
+      window = buffer.subarray(0, bytesRead);
+      return window.subarray(0, Math.min(length, bytesRead));
+    },
+    bytesRead: () => total
+  };
+}
+
+/**
+ * Reader over an in-memory buffer (same interface as createFileReader)
+ * @param {Buffer} buffer - Image bytes
+ * @returns {object} { size, read(offset, length), bytesRead() }
+ */
+export function createBufferReader(buffer) {
+  return {
+    size: buffer.length,
+    read: async (offset, length) => buffer.subarray(Math.max(0, offset), Math.max(0, offset) + length),
+    bytesRead: () => buffer.length
+  };
+}
+
+// ============================================
+// FORMAT PARSERS
+// ============================================
+
+async function probeJpeg(reader) {
+  let offset = 2;
+
+  while (offset + 4 <= reader.size) {
+    const header = await reader.read(offset, 4);
+    if (header.length < 4) break;
+    if (header[0] !== 0xFF) {
+      offset++;
+      continue;
+    }
+
+    const marker = header[1];
+    if (marker === 0xFF) {
+      offset++; // fill byte
+      continue;
+    }
+    if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xD9 || marker === 0xDA) break; // no frame header before the scan
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      const sof = await reader.read(offset + 4, 6);
+      const components = sof[5];
+      return {
+        format: 'jpeg',
+        width: sof.readUInt16BE(3),
+        height: sof.readUInt16BE(1),
+        bit_depth: sof[0] * components,
+        color_type: components === 1 ? 'grayscale' : components === 4 ? 'cmyk' : 'ycbcr',
+        progressive: [0xC2, 0xC6, 0xCA, 0xCE].includes(marker),
+        frames: 1,
+        animated: false
+      };
+    }
+
+    offset += 2 + header.readUInt16BE(2);
+  }
+
+  return { format: 'jpeg' };
+}
+
+async function probePng(reader) {
+  const ihdr = await reader.read(16, 10);
+  const colorType = ihdr[9];
+  const result = {
+    format: 'png',
+    width: ihdr.readUInt32BE(0),
+    height: ihdr.readUInt32BE(4),
+    bit_depth: ihdr[8] * (PNG_CHANNELS[colorType] || 1),
+    color_type: PNG_COLOR_TYPES[colorType] || null,
+    frames: 1,
+    animated: false
+  };
+
+  // acTL must appear before the first IDAT
+  let offset = 8;
+  while (offset + 8 <= reader.size) {
+    const header = await reader.read(offset, 8);
+    if (header.length < 8) break;
+    const length = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+
+    if (type === 'acTL') {
+      const actl = await reader.read(offset + 8, 4);
+      result.frames = actl.readUInt32BE(0);
+      result.animated = result.frames > 1;
+      break;
+    }
+    if (type === 'IDAT' || type === 'IEND') break;
+    offset += 12 + length;
+  }
+
+  return result;
+}
+
+// Skip a run of GIF data sub-blocks, returning the offset after the terminator
+async function skipGifSubBlocks(reader, offset) {
+  while (offset < reader.size) {
+    const [size] = await reader.read(offset, 1);
+    if (size === undefined) return reader.size;
+    offset += 1 + size;
+    if (size === 0) break;
+  }
+  return offset;
+}
+
+async function probeGif(reader, options) {
+  const header = await reader.read(0, 13);
+  const packed = header[10];
+  const hasGlobalTable = (packed & 0x80) !== 0;
+  const result = {
+    format: 'gif',
+    width: header.readUInt16LE(6),
+    height: header.readUInt16LE(8),
+    bit_depth: hasGlobalTable ? (packed & 0x07) + 1 : ((packed >> 4) & 0x07) + 1,
+    color_type: 'indexed',
+    frames: null,
+    animated: null
+  };
+  if (!options.countFrames) return result;
+
+  let offset = 13 + (hasGlobalTable ? 3 * (1 << ((packed & 0x07) + 1)) : 0);
+  let frames = 0;
+
+  while (offset < reader.size) {
+    const [introducer] = await reader.read(offset, 1);
+    if (introducer === 0x2C) {
+      // Image descriptor, optional local color table, LZW code size, image data
+      const descriptor = await reader.read(offset, 10);
+      const localPacked = descriptor[9];
+      offset += 10 + ((localPacked & 0x80) ? 3 * (1 << ((localPacked & 0x07) + 1)) : 0) + 1;
+      offset = await skipGifSubBlocks(reader, offset);
+      frames++;
+    } else if (introducer === 0x21) {
+      offset = await skipGifSubBlocks(reader, offset + 2);
+    } else {
+      break; // trailer (0x3B) or corrupt data
+    }
+  }
+
+  result.frames = frames;
+  result.animated = frames > 1;
+  return result;
+}
+
+async function probeBmp(reader) {
+  const header = await reader.read(14, 26);
+  const dibSize = header.readUInt32LE(0);
+
+  // OS/2 BITMAPCOREHEADER uses 16-bit unsigned dimensions
+  const core = dibSize === 12;
+  const bitCount = core ? header.readUInt16LE(10) : header.readUInt16LE(14);
+  return {
+    format: 'bmp',
+    width: core ? header.readUInt16LE(4) : header.readInt32LE(4),
+    height: Math.abs(core ? header.readUInt16LE(6) : header.readInt32LE(8)), // negative = top-down
+    bit_depth: bitCount,
+    color_type: bitCount <= 8 ? 'indexed' : bitCount === 32 ? 'rgba' : 'rgb',
+    frames: 1,
+    animated: false
+  };
+}
+
+async function probeWebp(reader) {
+  const chunk = await reader.read(12, 18);
+  const fourcc = chunk.toString('latin1', 0, 4);
+  const data = chunk.subarray(8);
+  const result = { format: 'webp', frames: 1, animated: false };
+
+  if (fourcc === 'VP8 ') {
+    // Frame tag (3 bytes), start code 9d 01 2a, then 14-bit dimensions
+    Object.assign(result, {
+      width: data.readUInt16LE(6) & 0x3FFF,
+      height: data.readUInt16LE(8) & 0x3FFF,
+      color_type: 'rgb',
+      bit_depth: 24
+    });
+  } else if (fourcc === 'VP8L') {
+    // Signature 0x2f, then 14-bit width-1, 14-bit height-1, alpha hint
+    const bits = data.readUInt32LE(1);
+    Object.assign(result, {
+      width: (bits & 0x3FFF) + 1,
+      height: ((bits >> 14) & 0x3FFF) + 1,
+      color_type: (bits >> 28) & 1 ? 'rgba' : 'rgb',
+      bit_depth: (bits >> 28) & 1 ? 32 : 24
+    });
+  } else if (fourcc === 'VP8X') {
+    const flags = data[0];
+    Object.assign(result, {
+      width: data.readUIntLE(4, 3) + 1,
+      height: data.readUIntLE(7, 3) + 1,
+      color_type: flags & 0x10 ? 'rgba' : 'rgb',
+      bit_depth: flags & 0x10 ? 32 : 24,
+      animated: (flags & 0x02) !== 0
+    });
+
+    if (result.animated) {
+      let frames = 0;
+      let offset = 12;
+      while (offset + 8 <= reader.size) {
+        const header = await reader.read(offset, 8);
+        if (header.length < 8) break;
+        const size = header.readUInt32LE(4);
+        if (header.toString('latin1', 0, 4) === 'ANMF') frames++;
+        offset += 8 + size + (size % 2);
+      }
+      result.frames = frames;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Top-level or child ISOBMFF boxes within [start, end)
+ * @param {object} reader - From createFileReader or createBufferReader
+ * @param {number} start - First byte to scan
+ * @param {number} end - End of the parent box (or the file)
+ * @returns {Promise<Array>} [{ type, start (payload), end }]
+ */
+export async function readIsoBoxes(reader, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    const header = await reader.read(offset, 16);
+    if (header.length < 8) break;
+    let size = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (size === 1 && header.length >= 16) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+
+    boxes.push({ type: header.toString('latin1', 4, 8), start: offset + headerSize, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+async function probeIsobmff(reader) {
+  const top = await readIsoBoxes(reader, 0, reader.size);
+  const ftyp = top.find(b => b.type === 'ftyp');
+  const brands = ftyp ? (await reader.read(ftyp.start, ftyp.end - ftyp.start)).toString('latin1') : '';
+  const format = /avi[fs]/.test(brands) ? 'avif' : /heic|heix|hevc|hevx|heis|hevs/.test(brands) ? 'heic' : 'heif';
+
+  // Image sequences (burst, live photos, animated AVIF) carry a sequence brand
+  const animated = /msf1|hevs|avis/.test(brands);
+  const result = { format, frames: animated ? null : 1, animated };
+
+  const meta = top.find(b => b.type === 'meta');
+  if (!meta || meta.end - meta.start > MAX_BOX_BYTES) return result;
+
+  // meta is a full box; properties live in iprp/ipco
+  const iprp = (await readIsoBoxes(reader, meta.start + 4, meta.end)).find(b => b.type === 'iprp');
+  const ipco = iprp && (await readIsoBoxes(reader, iprp.start, iprp.end)).find(b => b.type === 'ipco');
+  if (!ipco) return result;
+
+  // The primary image (or its grid) has the largest spatial extent; tiles are smaller
+  for (const property of await readIsoBoxes(reader, ipco.start, ipco.end)) {
+    const data = await reader.read(property.start, property.end - property.start);
+    if (property.type === 'ispe' && data.length >= 12) {
+      const width = data.readUInt32BE(4);
+      const height = data.readUInt32BE(8);
+      if (!result.width || width * height > result.width * result.height) {
+        result.width = width;
+        result.height = height;
+      }
+    } else if (property.type === 'pixi' && data.length >= 5 && result.bit_depth === undefined) {
+      // Full box header, channel count, then bits per channel
+      const channels = data[4];
+      result.bit_depth = [...data.subarray(5, 5 + channels)].reduce((sum, bits) => sum + bits, 0) || null;
+      result.color_type = channels === 1 ? 'grayscale' : channels === 4 ? 'rgba' : 'rgb';
+    }
+  }
+
+  return result;
+}
+
+// Read a SHORT or LONG TIFF value (first element when count > 1)
+async function readTiffValue(reader, entry, littleEndian) {
+  const type = littleEndian ? entry.readUInt16LE(2) : entry.readUInt16BE(2);
+  const count = littleEndian ? entry.readUInt32LE(4) : entry.readUInt32BE(4);
+  const size = type === 3 ? 2 : 4;
+
+  let data = entry.subarray(8, 12);
+  if (size * count > 4) {
+    const pointer = littleEndian ? entry.readUInt32LE(8) : entry.readUInt32BE(8);
+    data = await reader.read(pointer, size);
+    if (data.length < size) return null;
+  }
+
+  if (type === 3) return littleEndian ? data.readUInt16LE(0) : data.readUInt16BE(0);
+  if (type === 4 || type === 13) return littleEndian ? data.readUInt32LE(0) : data.readUInt32BE(0);
+  return null;
+}
+
+// Tags of one IFD needed for probing, plus the next-IFD and SubIFD pointers
+async function readTiffIfd(reader, offset, littleEndian) {
+  const countBytes = await reader.read(offset, 2);
+  if (countBytes.length < 2) return null;
+  const count = littleEndian ? countBytes.readUInt16LE(0) : countBytes.readUInt16BE(0);
+  const entries = await reader.read(offset + 2, count * 12 + 4);
+  if (entries.length < count * 12 + 4) return null;
+
+  const ifd = { subIfds: [] };
+  for (let i = 0; i < count; i++) {
+    const entry = entries.subarray(i * 12, i * 12 + 12);
+    const tag = littleEndian ? entry.readUInt16LE(0) : entry.readUInt16BE(0);
+
+    if (tag === 0x00FE) ifd.subfileType = await readTiffValue(reader, entry, littleEndian);
+    else if (tag === 0x0100) ifd.width = await readTiffValue(reader, entry, littleEndian);
+    else if (tag === 0x0101) ifd.height = await readTiffValue(reader, entry, littleEndian);
+    else if (tag === 0x0102) ifd.bitsPerSample = await readTiffValue(reader, entry, littleEndian);
+    else if (tag === 0x0106) ifd.photometric = await readTiffValue(reader, entry, littleEndian);
+    else if (tag === 0x0115) ifd.samplesPerPixel = await readTiffValue(reader, entry, littleEndian);
+    else if (tag === 0x014A) {
+      // SubIFDs: one LONG inline, or a pointer to an array of them
+      const subCount = littleEndian ? entry.readUInt32LE(4) : entry.readUInt32BE(4);
+      const pointer = littleEndian ? entry.readUInt32LE(8) : entry.readUInt32BE(8);
+      if (subCount === 1) {
+        ifd.subIfds.push(pointer);
+      } else {
+        const list = await reader.read(pointer, Math.min(subCount, 16) * 4);
+        for (let j = 0; j + 4 <= list.length; j += 4) {
+          ifd.subIfds.push(littleEndian ? list.readUInt32LE(j) : list.readUInt32BE(j));
+        }
+      }
+    }
+  }
+
+  const next = entries.subarray(count * 12, count * 12 + 4);
+  ifd.next = littleEndian ? next.readUInt32LE(0) : next.readUInt32BE(0);
+  return ifd;
+}
+
+async function probeTiff(reader, ext) {
+  const header = await reader.read(0, 8);
+  const littleEndian = header.toString('latin1', 0, 2) === 'II';
+  const isRaw = RAW_EXTENSIONS.includes(ext);
+
+  const chain = [];
+  const all = [];
+  const seen = new Set();
+  let offset = littleEndian ? header.readUInt32LE(4) : header.readUInt32BE(4);
+
+  while (offset && !seen.has(offset) && chain.length < MAX_TIFF_IFDS) {
+    seen.add(offset);
+    const ifd = await readTiffIfd(reader, offset, littleEndian);
+    if (!ifd) break;
+    chain.push(ifd);
+    all.push(ifd);
+    for (const sub of ifd.subIfds) {
+      if (seen.has(sub)) continue;
+      seen.add(sub);
+      const subIfd = await readTiffIfd(reader, sub, littleEndian);
+      if (subIfd) all.push(subIfd);
+    }
+    offset = ifd.next;
+  }
+
+  // RAW files keep previews and the sensor data in different IFDs: report the largest
+  const sized = all.filter(ifd => ifd.width && ifd.height);
+  const main = sized.sort((a, b) => b.width * b.height - a.width * a.height)[0] || {};
+  const samples = main.samplesPerPixel || 1;
+
+  // Pages of a multi-page TIFF are the full-resolution IFDs of the main chain
+  const pages = chain.filter(ifd => !((ifd.subfileType || 0) & 1)).length;
+
+  return {
+    format: isRaw ? 'raw' : 'tiff',
+    ...(isRaw ? { raw_format: ext.slice(1) } : {}),
+    width: main.width ?? null,
+    height: main.height ?? null,
+    bit_depth: main.bitsPerSample ? main.bitsPerSample * samples : null,
+    color_type: TIFF_PHOTOMETRIC[main.photometric] === 'rgb' && samples === 4
+      ? 'rgba'
+      : TIFF_PHOTOMETRIC[main.photometric] ?? null,
+    frames: isRaw ? 1 : Math.max(pages, 1),
+    animated: false
+  };
+}
+
+// ============================================
+// PROBING
+// ============================================
+
+// Identify the format from magic bytes
+function detectFormat(head) {
+  if (head[0] === 0xFF && head[1] === 0xD8) return 'jpeg';
+  if (head.toString('latin1', 1, 4) === 'PNG') return 'png';
+  if (head.toString('latin1', 0, 4) === 'GIF8') return 'gif';
+  if (head.toString('latin1', 0, 2) === 'BM') return 'bmp';
+  if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (head.toString('latin1', 4, 8) === 'ftyp') return 'isobmff';
+  const order = head.toString('latin1', 0, 2);
+  if (order === 'II' || order === 'MM') return 'tiff';
+  return null;
+}
+
+/**
+ * Probe an image through a reader
+ * @param {object} reader - From createFileReader or createBufferReader
+ * @param {object} options - { ext: file extension hint (RAW naming), countFrames: walk GIF frames (default true) }
+ * bit_depth is bits per pixel across all channels (24 for 8-bit RGB, 14 for a 14-bit Bayer RAW).
+ * @returns {Promise<object>} { format, width, height, bit_depth, color_type, frames, animated, progressive? }
+ */
+export async function probeImageReader(reader, options = {}) {
+  const { ext = '', countFrames = true } = options;
+  const head = await reader.read(0, 16);
+  const format = detectFormat(head);
+
+  const result = { format, signature: head.subarray(0, 4).toString('hex') };
+  if (!format) return { ...result, error: 'Unrecognized image format' };
+
+  try {
+    switch (format) {
+      case 'jpeg': return { ...result, ...await probeJpeg(reader) };
+      case 'png': return { ...result, ...await probePng(reader) };
+      case 'gif': return { ...result, ...await probeGif(reader, { countFrames }) };
+      case 'bmp': return { ...result, ...await probeBmp(reader) };
+      case 'webp': return { ...result, ...await probeWebp(reader) };
+      case 'isobmff': return { ...result, ...await probeIsobmff(reader) };
+      default: return { ...result, ...await probeTiff(reader, ext) };
+    }
+  } catch (error) {
+    // Truncated or corrupt headers: report what was identified
+    return { ...result, error: error.message };
+  }
+}
+
+/**
+ * Probe an image file by reading only its headers
+ * @param {string} filePath - Path to the image
+ * @param {object} options - { countFrames }
+ * @returns {Promise<object>} Probe result plus bytes_read
+ */
+export async function probeImage(filePath, options = {}) {
+  const handle = await open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const reader = createFileReader(handle, size);
+    const result = await probeImageReader(reader, { ...options, ext: extname(filePath).toLowerCase() });
+    return { ...result, bytes_read: reader.bytesRead() };
+  } finally {
+    await handle.close();
+  }
+}
+
+export default {
+  createFileReader,
+  createBufferReader,
+  readIsoBoxes,
+  probeImageReader,
+  probeImage
+};
@@ -13,7 +13,9 @@ import { writeFile, readFile } from 'fs/promises';
 import {
   scanDirectory,
   batchProcessFiles,
+  incrementalIngest,
   processFile,
+  expandChunks,
   exportCollection,
   importCollection,
   getDirectoryStats,
@@ -24,13 +26,42 @@ import {
 
 // EXIF extraction
 import { extractExif, exifToSummary, exifToMetadata } from './exif-extractor.js';
+import { cacheThumbnail } from './thumbnail-cache.js';
+import { parseGeoArea, buildGeoWhere, combineWhere, filterByArea } from './geo-search.js';
+import { TIMELINE_GRANULARITIES, parseDateBound, buildDateWhere, groupByPeriod } from './photo-timeline.js';
+import { clusterPhotoEvents } from './photo-events.js';
+import { resolveGpsPolicy, applyGpsPolicy, redactLocationText } from './gps-privacy.js';
+
+// Search filters and federated ranking
+import { parseWhere, parseWhereDocument } from './query-filters.js';
+import {
+  collectionName,
+  parseCollectionPatterns,
+  matchCollectionNames,
+  distanceToSimilarity,
+  mergeRankedHits,
+  describeHit
+} from './federated-search.js';
+import {
+  ensureKeywordIndex,
+  keywordIndexKey,
+  invalidateKeywordIndex,
+  searchKeywordIndex,
+  reciprocalRankFusion
+} from './keyword-index.js';
+import { maximalMarginalRelevance, groupHits, encodeCursor, decodeCursor } from './search-rerank.js';
+
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+const MAX_SEARCH_WINDOW = 1000; // deepest result position search_context will page to
 
 // Watch folder
 import {
   startWatcher,
   stopWatcher,
   listWatchers,
-  getWatcherStatus
+  getWatcherStatus,
+  restoreWatchers,
+  stopAllWatchers
 } from './watch-folder.js';
 
 // Duplicate detection
@@ -60,6 +91,8 @@ class ChromaContextMCP {
     this.currentEnvironment = null;
     this.remoteUrl = null;
     this.routerEnabled = process.env.CHROMA_ROUTER_ENABLED === 'true';
+    this.restoreWatchersEnabled = process.env.CHROMA_RESTORE_WATCHERS !== 'false';
+    this.watcherRestore = null; // { restored, failed } from startup
     
     this.setupTools();
   }
@@ -158,6 +191,97 @@ class ChromaContextMCP {
     return this.getLocalClient();
   }
 
+  // Resolve collection names/globs against local and (if routed) remote ChromaDB
+  async resolveCollectionTargets(patterns) {
+    const sources = [{ route: 'local', client: await this.getLocalClient() }];
+
+    if (this.routerEnabled) {
+      if (!this.currentEnvironment) {
+        await this.getCurrentEnvironment();
+      }
+      const remoteClient = await this.getRemoteClient();
+      if (remoteClient) sources.push({ route: 'remote', client: remoteClient });
+    }
+
+    const targets = [];
+    const errors = [];
+    const found = new Set();
+
+    await Promise.all(sources.map(async ({ route, client }) => {
+      try {
+        const names = (await client.listCollections()).map(collectionName);
+        const { matched } = matchCollectionNames(patterns, names);
+        matched.forEach(name => targets.push({ name, route, client }));
+        patterns
+          .filter(pattern => !matchCollectionNames([pattern], names).unmatched.length)
+          .forEach(pattern => found.add(pattern));
+      } catch (error) {
+        errors.push({ source: route, error: `Could not list collections: ${error.message}` });
+      }
+    }));
+
+    return { targets, unmatched: patterns.filter(p => !found.has(p)), errors };
+  }
+
+  // Run a vector, keyword (BM25) or hybrid (RRF-fused) search against one collection
+  async searchCollection(coll, indexKey, options) {
+    const { query, limit, where = null, whereDocument = null, mode = 'vector' } = options;
+
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new Error(`mode must be one of ${SEARCH_MODES.join(', ')}, got "${mode}"`);
+    }
+
+    const filters = {
+      ...(where ? { where } : {}),
+      ...(whereDocument ? { whereDocument } : {})
+    };
+    // Hybrid fuses deeper candidate lists so documents found by only one side can surface
+    const candidates = mode === 'hybrid' ? limit * 3 : limit;
+
+    let vectorHits = [];
+    if (mode !== 'keyword') {
+      const results = await coll.query({ queryTexts: [query], nResults: candidates, ...filters });
+      vectorHits = results.ids[0].map((id, idx) => ({
+        id,
+        content: results.documents[0][idx],
+        metadata: results.metadatas[0][idx] || {},
+        distance: results.distances?.[0][idx]
+      }));
+      if (mode === 'vector') return vectorHits;
+    }
+
+    // Keyword candidates are re-checked against the filters by ChromaDB itself
+    const index = await ensureKeywordIndex(coll, indexKey);
+    const ranked = searchKeywordIndex(index, query, { limit: Object.keys(filters).length ? candidates * 5 : candidates });
+    let keywordHits = [];
+    if (ranked.length > 0) {
+      const fetched = await coll.get({ ids: ranked.map(r => r.id), ...filters });
+      const byId = new Map(fetched.ids.map((id, i) => [id, {
+        content: fetched.documents[i],
+        metadata: fetched.metadatas[i] || {}
+      }]));
+      keywordHits = ranked
+        .filter(r => byId.has(r.id))
+        .slice(0, candidates)
+        .map(r => ({ id: r.id, ...byId.get(r.id), keyword_score: r.score }));
+    }
+    if (mode === 'keyword') return keywordHits;
+
+    const vectorById = new Map(vectorHits.map(h => [h.id, h]));
+    const keywordById = new Map(keywordHits.map(h => [h.id, h]));
+
+    return reciprocalRankFusion([vectorHits.map(h => h.id), keywordHits.map(h => h.id)])
+      .slice(0, limit)
+      .map(({ id, score, ranks }) => ({
+        ...keywordById.get(id),
+        ...vectorById.get(id),
+        ...(keywordById.has(id) ? { keyword_score: keywordById.get(id).keyword_score } : {}),
+        rrf_score: score,
+        vector_rank: ranks[0],
+        keyword_rank: ranks[1]
+      }));
+  }
+
   setupTools() {
     // Handle tool calls
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
@@ -165,31 +289,136 @@ class ChromaContextMCP {
 
       switch (name) {
         case 'search_context': {
-          const { query, collection = 'vinos_codebase', limit = 5 } = args;
+          const {
+            query,
+            collection = 'vinos_codebase',
+            limit = 5,
+            where = null,
+            where_document = null,
+            mode = 'vector',
+            mmr = false,
+            mmr_lambda = 0.5,
+            group_by = null,
+            offset = 0,
+            cursor = null,
+            min_similarity = null,
+            max_distance = null
+          } = args;
           
           try {
+            const whereClause = parseWhere(where);
+            const whereDocument = parseWhereDocument(where_document);
+
+            if (typeof mmr_lambda !== 'number' || mmr_lambda < 0 || mmr_lambda > 1) {
+              throw new Error(`mmr_lambda must be a number between 0 and 1, got ${JSON.stringify(mmr_lambda)}`);
+            }
+            if (group_by !== null && (typeof group_by !== 'string' || !group_by.trim())) {
+              throw new Error('group_by must be a metadata field name (e.g., "full_path" or "category")');
+            }
+            if (!Number.isInteger(offset) || offset < 0) {
+              throw new Error(`offset must be a non-negative integer, got ${JSON.stringify(offset)}`);
+            }
+            if (min_similarity !== null && typeof min_similarity !== 'number') {
+              throw new Error(`min_similarity must be a number, got ${JSON.stringify(min_similarity)}`);
+            }
+            if (max_distance !== null && typeof max_distance !== 'number') {
+              throw new Error(`max_distance must be a number, got ${JSON.stringify(max_distance)}`);
+            }
+            if (mode === 'keyword' && (min_similarity !== null || max_distance !== null)) {
+              throw new Error('min_similarity and max_distance need vector or hybrid mode (keyword hits have no vector distance)');
+            }
+
+            // Cursors only continue the exact search that issued them
+            const pageParams = {
+              collection, query, mode, where: whereClause, whereDocument,
+              mmr, mmr_lambda, group_by, min_similarity, max_distance, limit
+            };
+            const start = cursor ? decodeCursor(cursor, pageParams) : offset;
+            const window = start + limit + 1; // one extra hit tells us whether another page exists
+            if (window > MAX_SEARCH_WINDOW) {
+              throw new Error(`offset + limit must stay below ${MAX_SEARCH_WINDOW}; narrow the search with where or min_similarity instead`);
+            }
+
             const route = await this.routeQuery(query, collection);
             const client = await this.getClient(route);
             
-            console.error(`🔍 Searching in ${route} ChromaDB, collection: ${collection}`);
+            console.error(`🔍 Searching in ${route} ChromaDB, collection: ${collection} (${mode})`);
             
             const coll = await client.getOrCreateCollection({ name: collection });
-            const results = await coll.query({
-              queryTexts: [query],
-              nResults: limit
-            });
+            const space = coll.metadata?.['hnsw:space'] || 'l2';
+
+            // Re-ranking and grouping need a deeper candidate pool than the final page.
+            // Grouping keeps doubling it until the pool yields enough groups to fill
+            // the window, the collection runs out, or MAX_SEARCH_WINDOW is reached.
+            let pool = mmr || group_by ? Math.min(Math.max(window, limit * 4), MAX_SEARCH_WINDOW) : window;
+            let hits;
+            for (;;) {
+              hits = await this.searchCollection(coll, keywordIndexKey(collection, route), {
+                query,
+                limit: pool,
+                where: whereClause,
+                whereDocument,
+                mode
+              });
+              const exhausted = hits.length < pool;
 
-            const formattedResults = results.documents[0].map((doc, idx) => ({
-              content: doc,
-              metadata: results.metadatas[0][idx],
-              distance: results.distances?.[0][idx],
-              source: route
+              hits = hits.map(h => h.distance !== undefined ? { ...h, similarity: distanceToSimilarity(h.distance, space) } : h);
+
+              // Cut weak matches; keyword-only hybrid hits have no distance and are kept
+              if (min_similarity !== null || max_distance !== null) {
+                hits = hits.filter(h => h.distance === undefined || (
+                  (min_similarity === null || h.similarity >= min_similarity) &&
+                  (max_distance === null || h.distance <= max_distance)
+                ));
+              }
+
+              if (!group_by || exhausted || pool >= MAX_SEARCH_WINDOW) break;
+              if (groupHits(hits, group_by.trim()).length >= window) break;
+              pool = Math.min(pool * 2, MAX_SEARCH_WINDOW);
+            }
+
+            if (mmr && hits.length > 1) {
+              const stored = await coll.get({ ids: hits.map(h => h.id), include: ['embeddings'] });
+              const embeddings = new Map(stored.ids.map((id, i) => [id, stored.embeddings?.[i]]));
+              const maxFused = Math.max(...hits.map(h => h.rrf_score ?? h.keyword_score ?? 0)) || 1;
+
+              // Relevance on a 0..1-ish scale for whichever score the mode produced
+              hits = maximalMarginalRelevance(hits.map(h => ({
+                ...h,
+                embedding: embeddings.get(h.id),
+                relevance: (h.rrf_score ?? h.keyword_score) !== undefined
+                  ? (h.rrf_score ?? h.keyword_score) / maxFused
+                  : h.similarity ?? 0
+              })), { lambda: mmr_lambda, limit: group_by ? hits.length : window });
+            }
+
+            if (group_by) {
+              hits = groupHits(hits, group_by.trim());
+            }
+
+            const hasMore = hits.length > start + limit;
+            const page = hits.slice(start, start + limit);
+
+            const formattedResults = page.map(({ id, content, metadata, embedding, relevance, ...scores }) => ({
+              content,
+              metadata,
+              ...scores,
+              source: route,
+              ...describeHit(metadata)
             }));
 
             return {
               content: [{
                 type: 'text',
-                text: JSON.stringify(formattedResults, null, 2),
+                text: JSON.stringify({
+                  collection,
+                  mode,
+                  offset: start,
+                  returned: formattedResults.length,
+                  has_more: hasMore,
+                  next_cursor: hasMore ? encodeCursor(start + limit, pageParams) : null,
+                  results: formattedResults
+                }, null, 2),
               }],
             };
           } catch (error) {
@@ -203,6 +432,95 @@ class ChromaContextMCP {
           }
         }
 
+        case 'federated_search': {
+          const {
+            query,
+            collections,
+            limit = 10,
+            per_collection = null,
+            where = null,
+            where_document = null
+          } = args;
+
+          try {
+            const whereClause = parseWhere(where);
+            const whereDocument = parseWhereDocument(where_document);
+            const patterns = parseCollectionPatterns(collections);
+            if (patterns.length === 0) {
+              throw new Error('collections must name at least one collection or glob (e.g., "code_snippets,temp_*")');
+            }
+
+            const { targets, unmatched, errors } = await this.resolveCollectionTargets(patterns);
+            const nResults = per_collection || limit;
+
+            console.error(`🔍 Federated search across ${targets.length} collection(s)`);
+
+            // Query every collection in parallel; one failure does not sink the search
+            const settled = await Promise.allSettled(targets.map(async ({ name: collName, route, client }) => {
+              const coll = await client.getCollection({ name: collName });
+              const space = coll.metadata?.['hnsw:space'] || 'l2';
+              const results = await coll.query({
+                queryTexts: [query],
+                nResults,
+                ...(whereClause ? { where: whereClause } : {}),
+                ...(whereDocument ? { whereDocument } : {})
+              });
+
+              return results.ids[0].map((id, idx) => {
+                const metadata = results.metadatas[0][idx] || {};
+                const distance = results.distances?.[0][idx];
+                return {
+                  id,
+                  content: results.documents[0][idx],
+                  metadata,
+                  distance,
+                  score: distanceToSimilarity(distance, space),
+                  collection: collName,
+                  source: route,
+                  ...describeHit(metadata)
+                };
+              });
+            }));
+
+            const searched = [];
+            const hits = [];
+            settled.forEach((outcome, i) => {
+              const { name: collName, route } = targets[i];
+              if (outcome.status === 'fulfilled') {
+                searched.push({ collection: collName, source: route, hits: outcome.value.length });
+                hits.push(...outcome.value);
+              } else {
+                errors.push({ collection: collName, source: route, error: outcome.reason?.message || String(outcome.reason) });
+              }
+            });
+
+            const results = mergeRankedHits(hits, { limit });
+
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  query,
+                  collections_searched: searched,
+                  unmatched,
+                  errors,
+                  total_hits: hits.length,
+                  returned: results.length,
+                  results
+                }, null, 2),
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error in federated search: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
+
         case 'store_context': {
           const { content, metadata = {}, collection = 'vinos_codebase', id } = args;
           
@@ -221,6 +539,7 @@ class ChromaContextMCP {
                 environment: this.currentEnvironment
               }]
             });
+            await invalidateKeywordIndex(collection);
             
             return {
               content: [{
@@ -428,7 +747,13 @@ class ChromaContextMCP {
             categories = null,
             extensions = null,
             max_files = 500,
-            include_content = true
+            include_content = true,
+            chunking = true,
+            chunk_size,
+            chunk_overlap,
+            incremental = true,
+            remove_missing = false,
+            cache_thumbnails = true
           } = args;
 
           try {
@@ -444,19 +769,65 @@ class ChromaContextMCP {
 
             console.error(`📄 Found ${files.length} files, processing...`);
 
-            // Process files
-            const { results, errors, stats } = await batchProcessFiles(files, {
+            const processOptions = {
               concurrency: 10,
               includeContent: include_content,
               basePath: dirPath,
+              chunking,
+              chunkSize: chunk_size,
+              chunkOverlap: chunk_overlap,
+              cacheThumbnails: cache_thumbnails,
+              gpsPolicy: resolveGpsPolicy(collection),
               onProgress: (p) => {
                 if (p.processed % 50 === 0) {
                   console.error(`⏳ Progress: ${p.percent}% (${p.processed}/${p.total})`);
                 }
               }
-            });
+            };
+
+            if (incremental) {
+              const client = await this.getLocalClient();
+              const coll = await client.getOrCreateCollection({ name: collection });
+
+              const result = await incrementalIngest(coll, files, {
+                ...processOptions,
+                sourceDirectory: dirPath,
+                removeMissing: remove_missing,
+                metadata: { batch_ingest: true, source_directory: dirPath }
+              });
+
+              console.error(`✅ Incremental ingest: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged, ${result.removed} removed`);
 
-            console.error(`✅ Processed ${results.length} files, storing in ChromaDB...`);
+              if (result.added > 0 || result.updated > 0 || result.removed > 0) {
+                await invalidateKeywordIndex(collection);
+              }
+
+              return {
+                content: [{
+                  type: 'text',
+                  text: JSON.stringify({
+                    success: true,
+                    collection,
+                    source_directory: dirPath,
+                    incremental: true,
+                    files_found: files.length,
+                    added: result.added,
+                    updated: result.updated,
+                    unchanged: result.unchanged,
+                    removed: result.removed,
+                    documents_stored: result.documents_stored,
+                    errors: result.errors.length,
+                    error_details: result.errors.slice(0, 10)
+                  }, null, 2),
+                }],
+              };
+            }
+
+            // Process files
+            const { results, errors, stats } = await batchProcessFiles(files, processOptions);
+
+            const documents = expandChunks(results);
+            console.error(`✅ Processed ${results.length} files (${documents.length} chunks), storing in ChromaDB...`);
 
             // Store in ChromaDB
             const client = await this.getLocalClient();
@@ -466,8 +837,8 @@ class ChromaContextMCP {
             const batchSize = 100;
             let stored = 0;
 
-            for (let i = 0; i < results.length; i += batchSize) {
-              const batch = results.slice(i, i + batchSize);
+            for (let i = 0; i < documents.length; i += batchSize) {
+              const batch = documents.slice(i, i + batchSize);
 
               await coll.add({
                 ids: batch.map(r => r.id),
@@ -480,8 +851,9 @@ class ChromaContextMCP {
               });
 
               stored += batch.length;
-              console.error(`💾 Stored ${stored}/${results.length} documents`);
+              console.error(`💾 Stored ${stored}/${documents.length} documents`);
             }
+            await invalidateKeywordIndex(collection);
 
             return {
               content: [{
@@ -492,7 +864,8 @@ class ChromaContextMCP {
                   source_directory: dirPath,
                   files_found: files.length,
                   files_processed: stats.processed,
-                  files_stored: stored,
+                  files_stored: results.length,
+                  documents_stored: stored,
                   errors: errors.length,
                   error_details: errors.slice(0, 10)
                 }, null, 2),
@@ -515,7 +888,10 @@ class ChromaContextMCP {
             name = null,
             categories = null,
             extensions = null,
-            max_files = 200
+            max_files = 200,
+            chunking = true,
+            chunk_size,
+            chunk_overlap
           } = args;
 
           try {
@@ -534,19 +910,25 @@ class ChromaContextMCP {
             const { results, stats } = await batchProcessFiles(files, {
               concurrency: 20, // Higher concurrency for speed
               includeContent: true,
-              basePath: dirPath
+              basePath: dirPath,
+              chunking,
+              chunkSize: chunk_size,
+              chunkOverlap: chunk_overlap,
+              cacheThumbnails: false, // temporary collections leave no previews behind
+              gpsPolicy: resolveGpsPolicy(tempName)
             });
+            const documents = expandChunks(results);
 
             // Store quickly
             const client = await this.getLocalClient();
             const coll = await client.getOrCreateCollection({ name: tempName });
 
             // Single batch if possible
-            if (results.length <= 500) {
+            if (documents.length <= 500) {
               await coll.add({
-                ids: results.map(r => r.id),
-                documents: results.map(r => r.content),
-                metadatas: results.map(r => ({
+                ids: documents.map(r => r.id),
+                documents: documents.map(r => r.content),
+                metadatas: documents.map(r => ({
                   ...r.metadata,
                   temp_collection: true,
                   loaded_at: new Date().toISOString()
@@ -554,8 +936,8 @@ class ChromaContextMCP {
               });
             } else {
               // Batch insert
-              for (let i = 0; i < results.length; i += 500) {
-                const batch = results.slice(i, i + 500);
+              for (let i = 0; i < documents.length; i += 500) {
+                const batch = documents.slice(i, i + 500);
                 await coll.add({
                   ids: batch.map(r => r.id),
                   documents: batch.map(r => r.content),
@@ -567,6 +949,7 @@ class ChromaContextMCP {
                 });
               }
             }
+            await invalidateKeywordIndex(tempName);
 
             return {
               content: [{
@@ -575,6 +958,7 @@ class ChromaContextMCP {
                   success: true,
                   collection: tempName,
                   files_loaded: results.length,
+                  documents_loaded: documents.length,
                   source: dirPath,
                   tip: `Use 'search_context' with collection='${tempName}' to search. Use 'unload_collection' to remove when done.`
                 }, null, 2),
@@ -597,6 +981,7 @@ class ChromaContextMCP {
           try {
             const client = await this.getLocalClient();
             await client.deleteCollection({ name: collection });
+            await invalidateKeywordIndex(collection);
 
             return {
               content: [{
@@ -670,6 +1055,7 @@ class ChromaContextMCP {
               collectionName: collection,
               overwrite
             });
+            await invalidateKeywordIndex(result.collection);
 
             return {
               content: [{
@@ -703,6 +1089,7 @@ class ChromaContextMCP {
             if (ids) {
               const idList = Array.isArray(ids) ? ids : ids.split(',').map(id => id.trim());
               await coll.delete({ ids: idList });
+              await invalidateKeywordIndex(collection);
 
               return {
                 content: [{
@@ -716,9 +1103,10 @@ class ChromaContextMCP {
               };
             }
 
-            if (where) {
-              const whereClause = typeof where === 'string' ? JSON.parse(where) : where;
+            const whereClause = parseWhere(where);
+            if (whereClause) {
               await coll.delete({ where: whereClause });
+              await invalidateKeywordIndex(collection);
 
               return {
                 content: [{
@@ -796,23 +1184,40 @@ class ChromaContextMCP {
         }
 
         case 'ingest_file': {
-          const { path: filePath, collection = 'files', metadata: extraMeta = {} } = args;
+          const {
+            path: filePath,
+            collection = 'files',
+            metadata: extraMeta = {},
+            chunking = true,
+            chunk_size,
+            chunk_overlap,
+            cache_thumbnails = true
+          } = args;
 
           try {
-            const processed = await processFile(filePath, { includeContent: true });
+            const processed = await processFile(filePath, {
+              includeContent: true,
+              chunking,
+              chunkSize: chunk_size,
+              chunkOverlap: chunk_overlap,
+              cacheThumbnails: cache_thumbnails,
+              gpsPolicy: resolveGpsPolicy(collection)
+            });
+            const documents = expandChunks([processed]);
 
             const client = await this.getLocalClient();
             const coll = await client.getOrCreateCollection({ name: collection });
 
             await coll.add({
-              ids: [processed.id],
-              documents: [processed.content],
-              metadatas: [{
-                ...processed.metadata,
+              ids: documents.map(d => d.id),
+              documents: documents.map(d => d.content),
+              metadatas: documents.map(d => ({
+                ...d.metadata,
                 ...extraMeta,
                 ingested_at: new Date().toISOString()
-              }]
+              }))
             });
+            await invalidateKeywordIndex(collection);
 
             return {
               content: [{
@@ -820,6 +1225,7 @@ class ChromaContextMCP {
                 text: JSON.stringify({
                   success: true,
                   id: processed.id,
+                  chunks: documents.length,
                   collection,
                   file: processed.metadata.filename,
                   type: processed.metadata.file_type,
@@ -872,7 +1278,8 @@ class ChromaContextMCP {
                   text: JSON.stringify({
                     file: filePath,
                     hasExif: false,
-                    reason: exif.reason || 'No EXIF data found'
+                    reason: exif.reason || 'No EXIF data found',
+                    ...(exif.descriptive ? { descriptive: exif.descriptive } : {})
                   }, null, 2),
                 }],
               };
@@ -899,6 +1306,418 @@ class ChromaContextMCP {
           }
         }
 
+        case 'extract_thumbnail': {
+          const { path: filePath, cache_dir, collection = null } = args;
+
+          try {
+            const exif = await extractExif(filePath, { includeThumbnail: true });
+            if (!exif.thumbnail?.data) {
+              return {
+                content: [{
+                  type: 'text',
+                  text: JSON.stringify({
+                    file: filePath,
+                    hasThumbnail: false,
+                    reason: exif.reason || exif.error || 'No embedded EXIF thumbnail'
+                  }, null, 2),
+                }],
+              };
+            }
+
+            const cached = await cacheThumbnail(exif.thumbnail.data, cache_dir ? { cacheDir: cache_dir } : {});
+
+            // Record the preview on documents already ingested from this file
+            let documentsUpdated = 0;
+            if (collection) {
+              const client = await this.getLocalClient();
+              const coll = await client.getCollection({ name: collection });
+              const stored = await coll.get({ where: { full_path: filePath }, include: ['metadatas'] });
+              if (stored.ids.length > 0) {
+                await coll.update({
+                  ids: stored.ids,
+                  metadatas: stored.metadatas.map(meta => ({
+                    ...meta,
+                    thumbnail_path: cached.path,
+                    ...(exif.thumbnail.width ? { thumbnail_width: exif.thumbnail.width, thumbnail_height: exif.thumbnail.height } : {})
+                  }))
+                });
+                documentsUpdated = stored.ids.length;
+              }
+            }
+
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  file: filePath,
+                  hasThumbnail: true,
+                  thumbnail_path: cached.path,
+                  width: exif.thumbnail.width,
+                  height: exif.thumbnail.height,
+                  bytes: cached.bytes,
+                  already_cached: cached.cached,
+                  ...(collection ? { collection, documents_updated: documentsUpdated } : {})
+                }, null, 2),
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error extracting thumbnail: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
+
+        case 'search_photos_by_location': {
+          const {
+            collection,
+            latitude = null,
+            longitude = null,
+            radius_km = null,
+            bbox = null,
+            query = null,
+            limit = 20,
+            where = null
+          } = args;
+
+          try {
+            const area = parseGeoArea({ latitude, longitude, radius_km, bbox });
+            // The bounding box does the coarse cut inside ChromaDB; haversine trims its corners
+            const whereClause = combineWhere(buildGeoWhere(area.bbox), parseWhere(where));
+
+            const client = await this.getLocalClient();
+            const coll = await client.getCollection({ name: collection });
+            const space = coll.metadata?.['hnsw:space'] || 'l2';
+
+            let candidates = [];
+            if (query) {
+              const results = await coll.query({
+                queryTexts: [query],
+                nResults: Math.min(limit * 5, MAX_SEARCH_WINDOW),
+                where: whereClause
+              });
+              candidates = results.ids[0].map((id, idx) => ({
+                id,
+                content: results.documents[0][idx],
+                metadata: results.metadatas[0][idx] || {},
+                similarity: distanceToSimilarity(results.distances?.[0][idx], space)
+              }));
+            } else {
+              const pageSize = 500;
+              for (let offset = 0; ; offset += pageSize) {
+                const page = await coll.get({ where: whereClause, limit: pageSize, offset });
+                page.ids.forEach((id, idx) => candidates.push({
+                  id,
+                  content: page.documents[idx],
+                  metadata: page.metadatas[idx] || {}
+                }));
+                if (page.ids.length < pageSize) break;
+              }
+            }
+
+            let matches = filterByArea(candidates, area);
+            // Semantic hits keep their relevance order; pure location hits go nearest first
+            if (!query && area.center) {
+              matches = matches.sort((a, b) => a.distance_km - b.distance_km);
+            }
+            const results = matches.slice(0, limit);
+
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  collection,
+                  area: area.center
+                    ? { center: area.center, radius_km: area.radiusKm, bbox: area.bbox }
+                    : { bbox: area.bbox },
+                  query,
+                  matched: matches.length,
+                  returned: results.length,
+                  results
+                }, null, 2),
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error searching photos by location: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
+
+        case 'photo_timeline': {
+          const {
+            collection,
+            start = null,
+            end = null,
+            group_by = 'day',
+            query = null,
+            limit = 50,
+            where = null
+          } = args;
+
+          try {
+            if (!TIMELINE_GRANULARITIES.includes(group_by)) {
+              throw new Error(`group_by must be one of ${TIMELINE_GRANULARITIES.join(', ')}, got ${JSON.stringify(group_by)}`);
+            }
+            const startEpoch = parseDateBound(start);
+            const endEpoch = parseDateBound(end, { end: true });
+            if (startEpoch !== null && endEpoch !== null && startEpoch > endEpoch) {
+              throw new Error(`start (${start}) is after end (${end})`);
+            }
+            const whereClause = combineWhere(buildDateWhere(startEpoch, endEpoch), parseWhere(where));
+
+            const client = await this.getLocalClient();
+            const coll = await client.getCollection({ name: collection });
+            const space = coll.metadata?.['hnsw:space'] || 'l2';
+
+            let photos = [];
+            if (query) {
+              const results = await coll.query({
+                queryTexts: [query],
+                nResults: Math.min(limit, MAX_SEARCH_WINDOW),
+                where: whereClause
+              });
+              photos = results.ids[0].map((id, idx) => ({
+                id,
+                content: results.documents[0][idx],
+                metadata: results.metadatas[0][idx] || {},
+                similarity: distanceToSimilarity(results.distances?.[0][idx], space)
+              }));
+            } else {
+              const pageSize = 500;
+              for (let offset = 0; ; offset += pageSize) {
+                const page = await coll.get({ where: whereClause, limit: pageSize, offset });
+                page.ids.forEach((id, idx) => photos.push({
+                  id,
+                  content: page.documents[idx],
+                  metadata: page.metadatas[idx] || {}
+                }));
+                if (page.ids.length < pageSize) break;
+              }
+              photos.sort((a, b) => a.metadata.date_taken_epoch - b.metadata.date_taken_epoch);
+            }
+
+            const groups = groupByPeriod(photos, group_by).map(({ ids, ...group }) => group);
+            const listed = photos.slice(0, limit);
+
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  collection,
+                  start,
+                  end,
+                  group_by,
+                  query,
+                  total: photos.length,
+                  groups,
+                  returned: listed.length,
+                  photos: listed
+                }, null, 2),
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error building photo timeline: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
+
+        case 'cluster_photo_events': {
+          const {
+            collection,
+            max_gap_hours = 6,
+            max_distance_km = 50,
+            where = null,
+            dry_run = false
+          } = args;
+
+          try {
+            if (typeof max_gap_hours !== 'number' || !(max_gap_hours > 0)) {
+              throw new Error(`max_gap_hours must be a positive number, got ${JSON.stringify(max_gap_hours)}`);
+            }
+            if (typeof max_distance_km !== 'number' || !(max_distance_km > 0)) {
+              throw new Error(`max_distance_km must be a positive number, got ${JSON.stringify(max_distance_km)}`);
+            }
+            const whereClause = combineWhere(buildDateWhere(null, null), parseWhere(where));
+
+            const client = await this.getLocalClient();
+            const coll = await client.getCollection({ name: collection });
+
+            const pageSize = 500;
+            const photos = [];
+            for (let offset = 0; ; offset += pageSize) {
+              const page = await coll.get({ where: whereClause, limit: pageSize, offset, include: ['metadatas'] });
+              page.ids.forEach((id, idx) => photos.push({ id, metadata: page.metadatas[idx] || {} }));
+              if (page.ids.length < pageSize) break;
+            }
+
+            const { events } = clusterPhotoEvents(photos, {
+              maxGapHours: max_gap_hours,
+              maxDistanceKm: max_distance_km
+            });
+
+            // Write event_id / event_name back so photos can be filtered by event
+            let written = 0;
+            if (!dry_run) {
+              const metadataById = new Map(photos.map(p => [p.id, p.metadata]));
+              const updates = events.flatMap(event => event.ids.map(id => ({
+                id,
+                metadata: { ...metadataById.get(id), event_id: event.event_id, event_name: event.name }
+              })));
+
+              for (let i = 0; i < updates.length; i += pageSize) {
+                const batch = updates.slice(i, i + pageSize);
+                await coll.update({ ids: batch.map(u => u.id), metadatas: batch.map(u => u.metadata) });
+                written += batch.length;
+              }
+            }
+
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  collection,
+                  photos_clustered: photos.length,
+                  events_found: events.length,
+                  dry_run,
+                  documents_updated: written,
+                  events: events.map(({ ids, ...event }) => event)
+                }, null, 2),
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error clustering photo events: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
+
+        case 'redact_gps': {
+          const {
+            collection,
+            policy = null,
+            where = null,
+            dry_run = false
+          } = args;
+
+          try {
+            // Explicit policy, or the one configured for this collection
+            const gpsPolicy = resolveGpsPolicy(collection, policy);
+            if (!gpsPolicy || gpsPolicy.mode === 'keep') {
+              throw new Error(`No GPS privacy policy to apply: pass policy or configure one for "${collection}" in CHROMA_GPS_PRIVACY`);
+            }
+            const whereClause = combineWhere({ gps_latitude: { $gte: -90 } }, parseWhere(where));
+
+            const client = await this.getLocalClient();
+            const coll = await client.getCollection({ name: collection });
+
+            // Collect every change first: dropped records leave the filter, shifting offsets
+            const pageSize = 500;
+            const changes = [];
+            let scanned = 0;
+            for (let offset = 0; ; offset += pageSize) {
+              const page = await coll.get({ where: whereClause, limit: pageSize, offset, include: ['documents', 'metadatas'] });
+              page.ids.forEach((id, idx) => {
+                const metadata = page.metadatas[idx] || {};
+                const redacted = applyGpsPolicy(metadata, gpsPolicy);
+                if (redacted === metadata) return;
+                const document = redactLocationText(page.documents[idx], gpsPolicy);
+                changes.push({ id, metadata: redacted, document, textChanged: document !== page.documents[idx] });
+              });
+              scanned += page.ids.length;
+              if (page.ids.length < pageSize) break;
+            }
+
+            // Metadata updates merge keys, so records are replaced to remove the GPS fields.
+            // Unchanged text keeps its embedding; redacted text is re-embedded.
+            let written = 0;
+            if (!dry_run) {
+              const batchSize = 100;
+              for (let i = 0; i < changes.length; i += batchSize) {
+                const batch = changes.slice(i, i + batchSize);
+                const ids = batch.map(c => c.id);
+                const original = await coll.get({ ids, include: ['documents', 'metadatas', 'embeddings'] });
+                const embeddingById = new Map(original.ids.map((id, idx) => [id, original.embeddings[idx]]));
+
+                await coll.delete({ ids });
+                try {
+                  const kept = batch.filter(c => !c.textChanged);
+                  const rewritten = batch.filter(c => c.textChanged);
+                  if (kept.length > 0) {
+                    await coll.add({
+                      ids: kept.map(c => c.id),
+                      documents: kept.map(c => c.document),
+                      metadatas: kept.map(c => c.metadata),
+                      embeddings: kept.map(c => embeddingById.get(c.id))
+                    });
+                  }
+                  if (rewritten.length > 0) {
+                    await coll.add({
+                      ids: rewritten.map(c => c.id),
+                      documents: rewritten.map(c => c.document),
+                      metadatas: rewritten.map(c => c.metadata)
+                    });
+                  }
+                } catch (error) {
+                  // Put the originals back rather than lose the records
+                  await coll.upsert({
+                    ids: original.ids,
+                    documents: original.documents,
+                    metadatas: original.metadatas,
+                    embeddings: original.embeddings
+                  });
+                  throw error;
+                }
+                written += batch.length;
+              }
+
+              if (written > 0) await invalidateKeywordIndex(collection);
+            }
+
+            return {
+              content: [{
+                type: 'text',
+                text: JSON.stringify({
+                  collection,
+                  policy: gpsPolicy,
+                  dry_run,
+                  documents_scanned: scanned,
+                  documents_redacted: changes.length,
+                  documents_written: written,
+                  by_mode: changes.reduce((counts, c) => {
+                    counts[c.metadata.gps_privacy] = (counts[c.metadata.gps_privacy] || 0) + 1;
+                    return counts;
+                  }, {})
+                }, null, 2),
+              }],
+            };
+          } catch (error) {
+            return {
+              content: [{
+                type: 'text',
+                text: `Error redacting GPS: ${error.message}`,
+              }],
+              isError: true,
+            };
+          }
+        }
+
         // ============================================
         // WATCH FOLDER TOOLS
         // ============================================
@@ -910,7 +1729,17 @@ class ChromaContextMCP {
             categories = null,
             extensions = null,
             recursive = true,
-            include_exif = true
+            include_exif = true,
+            chunking = true,
+            chunk_size,
+            chunk_overlap,
+            gps_privacy = null,
+            backfill = false,
+            backend = 'auto',
+            poll_interval_ms,
+            stability_checks,
+            stability_interval_ms,
+            stability_timeout_ms
           } = args;
 
           try {
@@ -920,7 +1749,17 @@ class ChromaContextMCP {
               categories: categories ? categories.split(',').map(c => c.trim()) : null,
               extensions: extensions ? extensions.split(',').map(e => e.trim()) : null,
               recursive,
-              includeExif: include_exif
+              includeExif: include_exif,
+              chunking,
+              chunkSize: chunk_size,
+              chunkOverlap: chunk_overlap,
+              gpsPrivacy: gps_privacy,
+              backfill,
+              backend,
+              pollIntervalMs: poll_interval_ms,
+              stabilityChecks: stability_checks,
+              stabilityIntervalMs: stability_interval_ms,
+              stabilityTimeoutMs: stability_timeout_ms
             }, client);
 
             return {
@@ -969,7 +1808,8 @@ class ChromaContextMCP {
               type: 'text',
               text: JSON.stringify({
                 active_watchers: watchers.length,
-                watchers
+                watchers,
+                ...(this.watcherRestore?.failed.length ? { restore_failures: this.watcherRestore.failed } : {})
               }, null, 2),
             }],
           };
@@ -1101,10 +1941,86 @@ class ChromaContextMCP {
                   type: 'number',
                   description: 'Number of results (default: 5)',
                 },
+                where: {
+                  type: ['object', 'string'],
+                  description: 'Metadata filter, as an object or JSON string (e.g., {"category": "code"}, {"year": {"$gte": 2023}}). Several fields are combined with $and',
+                },
+                where_document: {
+                  type: ['object', 'string'],
+                  description: 'Document content filter, as an object or JSON string (e.g., {"$contains": "TODO"}). Plain text is shorthand for $contains',
+                },
+                mode: {
+                  type: 'string',
+                  description: 'vector (embeddings, default), keyword (BM25 over exact terms such as identifiers and error strings) or hybrid (both, fused with reciprocal rank fusion)',
+                  enum: ['vector', 'keyword', 'hybrid'],
+                },
+                mmr: {
+                  type: 'boolean',
+                  description: 'Re-rank with maximal marginal relevance so near-duplicate passages do not crowd the results (default: false)',
+                },
+                mmr_lambda: {
+                  type: 'number',
+                  description: 'MMR trade-off between relevance (1) and diversity (0) (default: 0.5)',
+                },
+                group_by: {
+                  type: 'string',
+                  description: `Collapse hits sharing this metadata field (e.g., "full_path", "category") into the best passage plus a hit count. Groups are built from up to ${MAX_SEARCH_WINDOW} candidate passages, so groups with no passage in that pool are not listed`,
+                },
+                offset: {
+                  type: 'number',
+                  description: 'Number of results to skip (default: 0)',
+                },
+                cursor: {
+                  type: 'string',
+                  description: 'next_cursor from a previous response to fetch the following page of the same search',
+                },
+                min_similarity: {
+                  type: 'number',
+                  description: 'Drop hits with a vector similarity below this value (cosine scale, 1 = identical)',
+                },
+                max_distance: {
+                  type: 'number',
+                  description: 'Drop hits with a raw vector distance above this value',
+                },
               },
               required: ['query'],
             },
           },
+          {
+            name: 'federated_search',
+            description: 'Search several collections at once (local and remote) and return one merged, deduplicated ranking. Each hit names its source collection.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  description: 'Search query',
+                },
+                collections: {
+                  type: ['array', 'string'],
+                  items: { type: 'string' },
+                  description: 'Collection names or globs, as an array or comma-separated string (e.g., "code_snippets,troubleshooting,temp_*")',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Number of merged results (default: 10)',
+                },
+                per_collection: {
+                  type: 'number',
+                  description: 'Results fetched from each collection before merging (default: limit)',
+                },
+                where: {
+                  type: ['object', 'string'],
+                  description: 'Metadata filter applied to every collection, as an object or JSON string',
+                },
+                where_document: {
+                  type: ['object', 'string'],
+                  description: 'Document content filter applied to every collection, as an object, JSON string or plain text',
+                },
+              },
+              required: ['query', 'collections'],
+            },
+          },
           {
             name: 'store_context',
             description: 'Store new context in ChromaDB (stores locally and syncs to remote)',
@@ -1232,6 +2148,30 @@ class ChromaContextMCP {
                   type: 'boolean',
                   description: 'Extract and store file content for text files (default: true)',
                 },
+                chunking: {
+                  type: 'boolean',
+                  description: 'Split long text and code files into overlapping chunks (default: true)',
+                },
+                chunk_size: {
+                  type: 'number',
+                  description: 'Maximum characters per chunk (default: 1500)',
+                },
+                chunk_overlap: {
+                  type: 'number',
+                  description: 'Characters repeated between consecutive chunks (default: 200)',
+                },
+                incremental: {
+                  type: 'boolean',
+                  description: 'Skip unchanged files and upsert changed ones using a stored content hash (default: true)',
+                },
+                remove_missing: {
+                  type: 'boolean',
+                  description: 'With incremental, delete documents whose files no longer exist in the directory (default: false)',
+                },
+                cache_thumbnails: {
+                  type: 'boolean',
+                  description: 'Write embedded EXIF previews to the thumbnail cache and store thumbnail_path (default: true)',
+                },
               },
               required: ['path'],
             },
@@ -1262,6 +2202,18 @@ class ChromaContextMCP {
                   type: 'number',
                   description: 'Maximum files (default: 200)',
                 },
+                chunking: {
+                  type: 'boolean',
+                  description: 'Split long text and code files into overlapping chunks (default: true)',
+                },
+                chunk_size: {
+                  type: 'number',
+                  description: 'Maximum characters per chunk (default: 1500)',
+                },
+                chunk_overlap: {
+                  type: 'number',
+                  description: 'Characters repeated between consecutive chunks (default: 200)',
+                },
               },
               required: ['path'],
             },
@@ -1335,8 +2287,8 @@ class ChromaContextMCP {
                   description: 'Comma-separated document IDs to delete',
                 },
                 where: {
-                  type: 'object',
-                  description: 'Filter object to match documents for deletion (e.g., {"category": "image"})',
+                  type: ['object', 'string'],
+                  description: 'Filter object or JSON string to match documents for deletion (e.g., {"category": "image"})',
                 },
               },
               required: ['collection'],
@@ -1374,6 +2326,22 @@ class ChromaContextMCP {
                   type: 'object',
                   description: 'Additional metadata to attach',
                 },
+                chunking: {
+                  type: 'boolean',
+                  description: 'Split long text and code files into overlapping chunks (default: true)',
+                },
+                chunk_size: {
+                  type: 'number',
+                  description: 'Maximum characters per chunk (default: 1500)',
+                },
+                chunk_overlap: {
+                  type: 'number',
+                  description: 'Characters repeated between consecutive chunks (default: 200)',
+                },
+                cache_thumbnails: {
+                  type: 'boolean',
+                  description: 'Write embedded EXIF previews to the thumbnail cache and store thumbnail_path (default: true)',
+                },
               },
               required: ['path'],
             },
@@ -1397,18 +2365,184 @@ class ChromaContextMCP {
               properties: {
                 path: {
                   type: 'string',
-                  description: 'Path to the image file (JPEG or TIFF)',
+                  description: 'Path to the image file (JPEG, TIFF, HEIC/HEIF, PNG, WebP, or TIFF-based RAW such as CR2/NEF/ARW/DNG)',
+                },
+              },
+              required: ['path'],
+            },
+          },
+          {
+            name: 'extract_thumbnail',
+            description: 'Write a photo\'s embedded EXIF thumbnail (IFD1 JPEG preview) to the thumbnail cache and return its path. Optionally records thumbnail_path on the file\'s documents in a collection.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                path: {
+                  type: 'string',
+                  description: 'Path to the image file',
+                },
+                cache_dir: {
+                  type: 'string',
+                  description: 'Directory to write the thumbnail to (default: CHROMA_THUMBNAIL_DIR or ~/.chromadb-thumbnails)',
+                },
+                collection: {
+                  type: 'string',
+                  description: 'Collection whose documents for this file (matched by full_path) get thumbnail_path',
                 },
               },
               required: ['path'],
             },
           },
+          {
+            name: 'search_photos_by_location',
+            description: 'Find geotagged photos within a radius of a point or inside a bounding box, optionally ranked by a semantic query over the photo descriptions.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                collection: {
+                  type: 'string',
+                  description: 'Collection containing ingested photos',
+                },
+                latitude: {
+                  type: 'number',
+                  description: 'Center latitude in decimal degrees (use with longitude and radius_km)',
+                },
+                longitude: {
+                  type: 'number',
+                  description: 'Center longitude in decimal degrees',
+                },
+                radius_km: {
+                  type: 'number',
+                  description: 'Search radius in kilometers',
+                },
+                bbox: {
+                  type: 'object',
+                  description: 'Bounding box instead of a radius: {"north", "south", "east", "west"} in degrees (west > east crosses the antimeridian)',
+                },
+                query: {
+                  type: 'string',
+                  description: 'Optional semantic query; results are then ranked by relevance instead of distance',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum photos to return',
+                  default: 20,
+                },
+                where: {
+                  type: 'object',
+                  description: 'Extra metadata filter, same syntax as search_context (e.g., {"camera_model": "X-T4"})',
+                },
+              },
+              required: ['collection'],
+            },
+          },
+          {
+            name: 'photo_timeline',
+            description: 'List or search photos taken between two dates, grouped by day or month with counts. Uses the normalized capture time stored at ingest; dates are the camera\'s local wall-clock time.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                collection: {
+                  type: 'string',
+                  description: 'Collection containing ingested photos',
+                },
+                start: {
+                  type: 'string',
+                  description: 'Earliest capture date, inclusive (e.g., "2024-06", "2024-06-01" or "2024-06-01T08:00:00")',
+                },
+                end: {
+                  type: 'string',
+                  description: 'Latest capture date, inclusive; partial dates cover the whole day/month/year',
+                },
+                group_by: {
+                  type: 'string',
+                  enum: ['day', 'month'],
+                  description: 'Bucket size for the counts',
+                  default: 'day',
+                },
+                query: {
+                  type: 'string',
+                  description: 'Optional semantic query; only the best matches in the range are grouped and listed',
+                },
+                limit: {
+                  type: 'number',
+                  description: 'Maximum photos to list (and, with a query, to match)',
+                  default: 50,
+                },
+                where: {
+                  type: 'object',
+                  description: 'Extra metadata filter, same syntax as search_context',
+                },
+              },
+              required: ['collection'],
+            },
+          },
+          {
+            name: 'cluster_photo_events',
+            description: 'Group a collection\'s photos into events/trips by gaps in capture time and GPS distance, and tag each photo with event_id and event_name.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                collection: {
+                  type: 'string',
+                  description: 'Collection containing ingested photos',
+                },
+                max_gap_hours: {
+                  type: 'number',
+                  description: 'Start a new event when consecutive photos are further apart than this',
+                  default: 6,
+                },
+                max_distance_km: {
+                  type: 'number',
+                  description: 'Start a new event when a photo is further than this from the previous geotagged photo',
+                  default: 50,
+                },
+                where: {
+                  type: 'object',
+                  description: 'Only cluster photos matching this metadata filter',
+                },
+                dry_run: {
+                  type: 'boolean',
+                  description: 'Report the events without writing event_id back to the documents',
+                  default: false,
+                },
+              },
+              required: ['collection'],
+            },
+          },
+          {
+            name: 'redact_gps',
+            description: 'Retroactively redact photo GPS in an existing collection: drop coordinates, round them to a grid, or replace them with a named zone. Also rewrites "Location:" lines in document text.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                collection: {
+                  type: 'string',
+                  description: 'Collection containing geotagged photos',
+                },
+                policy: {
+                  type: ['object', 'string'],
+                  description: 'Mode ("drop", "round", "zone") or policy {"mode", "grid_km", "zones": [{"name", "latitude", "longitude", "radius_km"}], "outside"}. Defaults to the collection\'s policy from CHROMA_GPS_PRIVACY',
+                },
+                where: {
+                  type: 'object',
+                  description: 'Only redact photos matching this metadata filter',
+                },
+                dry_run: {
+                  type: 'boolean',
+                  description: 'Report what would be redacted without writing',
+                  default: false,
+                },
+              },
+              required: ['collection'],
+            },
+          },
           // ============================================
           // WATCH FOLDER TOOLS
           // ============================================
           {
             name: 'watch_folder',
-            description: 'Start watching a folder for new files and auto-ingest them into ChromaDB. Perfect for incoming photo dumps.',
+            description: 'Start watching a folder and keep a collection in sync with it: new and edited files are ingested, deleted files removed, and renamed files keep their metadata. Perfect for incoming photo dumps.',
             inputSchema: {
               type: 'object',
               properties: {
@@ -1436,6 +2570,47 @@ class ChromaContextMCP {
                   type: 'boolean',
                   description: 'Extract EXIF from photos (default: true)',
                 },
+                chunking: {
+                  type: 'boolean',
+                  description: 'Split long text and code files into overlapping chunks (default: true)',
+                },
+                chunk_size: {
+                  type: 'number',
+                  description: 'Maximum characters per chunk (default: 1500)',
+                },
+                chunk_overlap: {
+                  type: 'number',
+                  description: 'Characters repeated between consecutive chunks (default: 200)',
+                },
+                gps_privacy: {
+                  type: ['object', 'string'],
+                  description: 'GPS privacy policy for this watcher: "keep", "drop", "round", "zone" or a policy object (see redact_gps). Defaults to the collection\'s policy from CHROMA_GPS_PRIVACY',
+                },
+                backfill: {
+                  type: 'boolean',
+                  description: 'On start and on restore, ingest files already in the folder and reconcile them with the collection: changed files are re-ingested, missing ones removed (default: false)',
+                },
+                backend: {
+                  type: 'string',
+                  enum: ['auto', 'native', 'poll'],
+                  description: 'How changes are detected: native fs.watch, poll (stat snapshots, for NFS/SMB shares), or auto (native, falling back to polling if it fails). Default: auto',
+                },
+                poll_interval_ms: {
+                  type: 'number',
+                  description: 'Polling interval in milliseconds for the poll backend (default: 5000)',
+                },
+                stability_checks: {
+                  type: 'number',
+                  description: 'Consecutive checks a file\'s size and mtime must stay unchanged before it is ingested, so files still being copied are not read half-written; 0 disables (default: 2)',
+                },
+                stability_interval_ms: {
+                  type: 'number',
+                  description: 'Milliseconds between stability checks (default: 1000)',
+                },
+                stability_timeout_ms: {
+                  type: 'number',
+                  description: 'How long to wait for a file to settle before skipping it; must be at least stability_checks * stability_interval_ms (default: 30000)',
+                },
               },
               required: ['path'],
             },
@@ -1456,7 +2631,7 @@ class ChromaContextMCP {
           },
           {
             name: 'list_watchers',
-            description: 'List all active folder watchers.',
+            description: 'List all active folder watchers with counts of added, updated, renamed and removed files, and any saved watchers that failed to restore at startup.',
             inputSchema: {
               type: 'object',
               properties: {},
@@ -1546,6 +2721,32 @@ class ChromaContextMCP {
     if (this.routerEnabled) {
       await this.getCurrentEnvironment();
     }
+
+    // Resume saved watch folders
+    if (this.restoreWatchersEnabled) {
+      try {
+        this.watcherRestore = await restoreWatchers(await this.getLocalClient());
+        if (this.watcherRestore.restored.length > 0 || this.watcherRestore.failed.length > 0) {
+          console.error(`👁️ Restored ${this.watcherRestore.restored.length} watcher(s), ${this.watcherRestore.failed.length} failed`);
+        }
+      } catch (error) {
+        console.error(`⚠️ Could not restore watchers: ${error.message}`);
+      }
+    }
+
+    // Close watchers on shutdown, keeping them saved for the next start
+    let stopping = false;
+    const shutdown = async () => {
+      if (stopping) return;
+      stopping = true;
+      try {
+        await stopAllWatchers({ forget: false });
+      } finally {
+        process.exit(0);
+      }
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
   }
 }
 
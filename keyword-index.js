@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Keyword Index - BM25 alongside ChromaDB
+ *
+ * Embedding search is weak on exact identifiers (`0x8825`, `generateDocId`)
+ * and literal error strings. This module keeps a small inverted index per
+ * collection, scores it with BM25, and fuses keyword and vector rankings
+ * with reciprocal rank fusion (RRF).
+ *
+ * Indexes are built from the collection's stored documents, cached in
+ * memory, and persisted as JSON so restarts don't rebuild them. Every write
+ * path invalidates the index; as a backstop it is also rebuilt when the
+ * collection was recreated (new collection id) or its document count changed.
+ */
+
+import { readFile, writeFile, mkdir, rm } from 'fs/promises';
+import { join } from 'path';
+
+const INDEX_VERSION = 2;
+
+// BM25 parameters (standard defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// RRF constant: dampens the advantage of the very top ranks
+export const RRF_K = 60;
+
+// Loaded indexes by key (collection name, or "remote:name")
+const loadedIndexes = new Map();
+
+/**
+ * Split text into lowercase search terms
+ * Identifiers are kept whole (generatedocid, 0x8825) and also split into
+ * their camelCase / snake_case parts so partial names still match.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  const terms = [];
+
+  for (const word of String(text).match(/[\p{L}\p{N}_$]+/gu) || []) {
+    const lower = word.toLowerCase();
+    terms.push(lower);
+
+    const parts = word
+      .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_$]+/)
+      .filter(Boolean);
+    if (parts.length > 1) {
+      for (const part of parts) terms.push(part.toLowerCase());
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Create an empty keyword index
+ * @returns {object} Index with per-document term frequencies and document frequencies
+ */
+export function createKeywordIndex() {
+  return {
+    version: INDEX_VERSION,
+    built_at: new Date().toISOString(),
+    collection_id: null, // id of the ChromaDB collection it was built from
+    doc_count: 0,
+    total_length: 0,
+    docs: {}, // id -> [length, { term: tf }]
+    df: {} // term -> number of documents containing it
+  };
+}
+
+/**
+ * Add (or replace) documents in a keyword index
+ * @param {object} index - Keyword index
+ * @param {Array<string>} ids - Document IDs
+ * @param {Array<string>} documents - Document texts
+ */
+export function addDocuments(index, ids, documents) {
+  removeDocuments(index, ids);
+
+  ids.forEach((id, i) => {
+    const terms = tokenize(documents[i]);
+    const tf = {};
+    for (const term of terms) tf[term] = (tf[term] || 0) + 1;
+    for (const term of Object.keys(tf)) index.df[term] = (index.df[term] || 0) + 1;
+
+    index.docs[id] = [terms.length, tf];
+    index.total_length += terms.length;
+    index.doc_count++;
+  });
+}
+
+/**
+ * Remove documents from a keyword index
+ * @param {object} index - Keyword index
+ * @param {Array<string>} ids - Document IDs
+ */
+export function removeDocuments(index, ids) {
+  for (const id of ids) {
+    const entry = index.docs[id];
+    if (!entry) continue;
+
+    const [length, tf] = entry;
+    for (const term of Object.keys(tf)) {
+      if (--index.df[term] <= 0) delete index.df[term];
+    }
+    index.total_length -= length;
+    index.doc_count--;
+    delete index.docs[id];
+  }
+}
+
+/**
+ * Rank documents for a query with BM25
+ * @param {object} index - Keyword index
+ * @param {string} query - Query text
+ * @param {object} options - { limit }
+ * @returns {Array<object>} [{ id, score }] best first
+ */
+export function searchKeywordIndex(index, query, options = {}) {
+  const { limit = 10 } = options;
+  const queryTerms = [...new Set(tokenize(query))].filter(term => index.df[term]);
+  if (queryTerms.length === 0 || index.doc_count === 0) return [];
+
+  const avgLength = index.total_length / index.doc_count || 1;
+  const idf = Object.fromEntries(queryTerms.map(term => {
+    const df = index.df[term];
+    return [term, Math.log(1 + (index.doc_count - df + 0.5) / (df + 0.5))];
+  }));
+
+  const scored = [];
+  for (const [id, [length, tf]] of Object.entries(index.docs)) {
+    let score = 0;
+    for (const term of queryTerms) {
+      const freq = tf[term];
+      if (!freq) continue;
+      score += idf[term] * (freq * (BM25_K1 + 1)) /
+        (freq + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+    }
+    if (score > 0) scored.push({ id, score });
+  }
+
+  return scored.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Fuse several rankings with reciprocal rank fusion
+ * @param {Array<Array<string>>} rankings - Lists of IDs, best first
+ * @param {object} options - { k, weights }
+ * @returns {Array<object>} [{ id, score, ranks }] best first; ranks are 1-based per input list
+ */
+export function reciprocalRankFusion(rankings, options = {}) {
+  const { k = RRF_K, weights = [] } = options;
+  const fused = new Map();
+
+  rankings.forEach((ranking, list) => {
+    const weight = weights[list] ?? 1;
+    ranking.forEach((id, position) => {
+      const entry = fused.get(id) || { id, score: 0, ranks: rankings.map(() => null) };
+      entry.score += weight / (k + position + 1);
+      entry.ranks[list] = position + 1;
+      fused.set(id, entry);
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+// Index directory (CHROMA_KEYWORD_INDEX_DIR, read at call time)
+function indexDir() {
+  return process.env.CHROMA_KEYWORD_INDEX_DIR || join(process.env.HOME || '/tmp', '.chromadb-keyword-index');
+}
+
+function indexFile(key) {
+  return join(indexDir(), `${key.replace(/[^\w.-]/g, '_')}.json`);
+}
+
+/**
+ * Cache key for a collection's keyword index
+ * @param {string} collection - Collection name
+ * @param {string} route - 'local' or 'remote' (remote collections are cached separately)
+ * @returns {string} Key for ensureKeywordIndex
+ */
+export function keywordIndexKey(collection, route = 'local') {
+  return route === 'remote' ? `remote:${collection}` : collection;
+}
+
+async function loadKeywordIndex(key) {
+  try {
+    const index = JSON.parse(await readFile(indexFile(key), 'utf-8'));
+    return index.version === INDEX_VERSION ? index : null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveKeywordIndex(key, index) {
+  try {
+    await mkdir(indexDir(), { recursive: true });
+    await writeFile(indexFile(key), JSON.stringify(index));
+  } catch (error) {
+    console.error(`Failed to save keyword index for ${key}: ${error.message}`);
+  }
+}
+
+/**
+ * Build a keyword index from every document stored in a collection
+ * @param {object} collection - ChromaDB collection
+ * @param {object} options - { pageSize }
+ * @returns {Promise<object>} Keyword index
+ */
+export async function buildKeywordIndex(collection, options = {}) {
+  const { pageSize = 500 } = options;
+  const index = createKeywordIndex();
+
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await collection.get({ limit: pageSize, offset, include: ['documents'] });
+    if (!page.ids.length) break;
+    addDocuments(index, page.ids, page.documents.map(d => d || ''));
+    if (page.ids.length < pageSize) break;
+  }
+
+  return index;
+}
+
+/**
+ * Get an up-to-date keyword index for a collection, rebuilding it if stale
+ * @param {object} collection - ChromaDB collection
+ * @param {string} key - Cache key (collection name, prefixed for remote collections)
+ * @returns {Promise<object>} Keyword index
+ */
+export async function ensureKeywordIndex(collection, key) {
+  let index = loadedIndexes.get(key) || await loadKeywordIndex(key);
+  const count = await collection.count();
+  const collectionId = collection.id ?? null;
+
+  // A dropped and recreated collection gets a new id, even with the same count
+  if (!index || index.doc_count !== count || index.collection_id !== collectionId) {
+    console.error(`🔤 Building keyword index for ${key} (${count} documents)`);
+    index = await buildKeywordIndex(collection);
+    index.collection_id = collectionId;
+    await saveKeywordIndex(key, index);
+  }
+
+  loadedIndexes.set(key, index);
+  return index;
+}
+
+/**
+ * Drop a collection's keyword indexes so the next keyword search rebuilds them
+ * Call after every write that adds, changes or deletes documents, and after
+ * dropping the collection. Metadata-only updates can skip it. Both the local
+ * and the remote index are dropped, since a write may have gone to either.
+ * @param {string} collection - Collection name
+ */
+export async function invalidateKeywordIndex(collection) {
+  for (const key of [keywordIndexKey(collection, 'local'), keywordIndexKey(collection, 'remote')]) {
+    loadedIndexes.delete(key);
+    await rm(indexFile(key), { force: true }).catch(() => {});
+  }
+}
+
+export default {
+  RRF_K,
+  tokenize,
+  createKeywordIndex,
+  addDocuments,
+  removeDocuments,
+  searchKeywordIndex,
+  reciprocalRankFusion,
+  buildKeywordIndex,
+  keywordIndexKey,
+  ensureKeywordIndex,
+  invalidateKeywordIndex
+};
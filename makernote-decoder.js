@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * MakerNote Decoder
+ *
+ * Reads vendor MakerNote blocks (EXIF tag 0x927C) for details that older
+ * bodies never wrote to standard EXIF: lens model, shutter count and serial
+ * numbers. Supported layouts:
+ * - Canon: bare IFD, offsets relative to the EXIF TIFF header
+ * - Nikon: type 3 ("Nikon\0" + embedded TIFF header), and headerless type 2
+ * - Sony: "SONY DSC " / "SONY CAM " header, then an IFD with TIFF-relative offsets
+ *
+ * Where a vendor stores the lens as an ID rather than a name, the lens is
+ * described from its focal and aperture range ("18-55mm f/3.5-5.6").
+ */
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 8: 2, 9: 4, 10: 8 };
+const MAX_ENTRIES = 512; // sanity limit for corrupt entry counts
+
+// Entries of an IFD as Map<tag, { type, count, offset }>, where offset is the
+// absolute position of the value (inline or pointed to relative to `base`)
+function readIfd(buffer, start, base, littleEndian) {
+  const entries = new Map();
+  if (start < 0 || start + 2 > buffer.length) return entries;
+
+  const count = littleEndian ? buffer.readUInt16LE(start) : buffer.readUInt16BE(start);
+  if (count > MAX_ENTRIES) return entries;
+
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12;
+    if (entry + 12 > buffer.length) break;
+
+    const tag = littleEndian ? buffer.readUInt16LE(entry) : buffer.readUInt16BE(entry);
+    const type = littleEndian ? buffer.readUInt16LE(entry + 2) : buffer.readUInt16BE(entry + 2);
+    const valueCount = littleEndian ? buffer.readUInt32LE(entry + 4) : buffer.readUInt32BE(entry + 4);
+    const size = (TYPE_SIZES[type] || 1) * valueCount;
+
+    let offset = entry + 8;
+    if (size > 4) {
+      offset = base + (littleEndian ? buffer.readUInt32LE(entry + 8) : buffer.readUInt32BE(entry + 8));
+    }
+    if (offset + size > buffer.length) continue;
+
+    entries.set(tag, { type, count: valueCount, offset });
+  }
+
+  return entries;
+}
+
+// Typed value readers over an entry map
+function createReader(buffer, entries, littleEndian) {
+  const u16 = offset => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const u32 = offset => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+  return {
+    ascii(tag) {
+      const entry = entries.get(tag);
+      if (!entry || (entry.type !== 2 && entry.type !== 7)) return null;
+      const text = buffer.toString('latin1', entry.offset, entry.offset + entry.count).replace(/\0[\s\S]*$/, '').trim();
+      return text || null;
+    },
+    uint(tag) {
+      const entry = entries.get(tag);
+      if (!entry) return null;
+      if (entry.type === 3) return u16(entry.offset);
+      if (entry.type === 4) return u32(entry.offset);
+      return null;
+    },
+    shorts(tag) {
+      const entry = entries.get(tag);
+      if (!entry || (entry.type !== 3 && entry.type !== 8)) return null;
+      return Array.from({ length: entry.count }, (_, i) => u16(entry.offset + i * 2));
+    },
+    rationals(tag) {
+      const entry = entries.get(tag);
+      if (!entry || entry.type !== 5) return null;
+      return Array.from({ length: entry.count }, (_, i) => {
+        const denominator = u32(entry.offset + i * 8 + 4);
+        return denominator ? u32(entry.offset + i * 8) / denominator : 0;
+      });
+    },
+    bytes(tag) {
+      const entry = entries.get(tag);
+      if (!entry) return null;
+      return buffer.subarray(entry.offset, entry.offset + entry.count * (TYPE_SIZES[entry.type] || 1));
+    }
+  };
+}
+
+/**
+ * Describe a lens by its focal and aperture range
+ * @param {number} minFocal - Shortest focal length (mm)
+ * @param {number} maxFocal - Longest focal length (mm)
+ * @param {number} minAperture - Widest f-number at the short end (optional)
+ * @param {number} maxAperture - Widest f-number at the long end (optional)
+ * @returns {string|null} e.g. "18-55mm f/3.5-5.6", "50mm f/1.8"
+ */
+export function describeLensRange(minFocal, maxFocal, minAperture = null, maxAperture = null) {
+  if (!(minFocal > 0)) return null;
+  const round = value => Math.round(value * 10) / 10;
+
+  let text = !(maxFocal > minFocal) ? `${round(minFocal)}mm` : `${round(minFocal)}-${round(maxFocal)}mm`;
+  if (minAperture > 0) {
+    text += maxAperture > minAperture ? ` f/${round(minAperture)}-${round(maxAperture)}` : ` f/${round(minAperture)}`;
+  }
+  return text;
+}
+
+// ============================================
+// VENDOR DECODERS
+// ============================================
+
+function decodeCanon(tiff, start, tiffOffset, littleEndian) {
+  const entries = readIfd(tiff, start, tiffOffset, littleEndian);
+  const read = createReader(tiff, entries, littleEndian);
+
+  // CameraSettings: [23] long focal, [24] short focal, [25] focal units per mm
+  let lensRange = null;
+  const settings = read.shorts(0x0001);
+  if (settings && settings.length > 25) {
+    const units = settings[25] || 1;
+    lensRange = describeLensRange(settings[24] / units, settings[23] / units);
+  }
+
+  // LensInfo (0x4019): lens serial number as 5 bytes of hex digits
+  const lensInfo = read.bytes(0x4019);
+  const lensSerial = lensInfo && lensInfo.length >= 5 ? lensInfo.subarray(0, 5).toString('hex').toUpperCase() : null;
+
+  const serial = read.uint(0x000C);
+  return {
+    vendor: 'canon',
+    lensModel: read.ascii(0x0095) || lensRange,
+    lensSerialNumber: lensSerial && !/^0+$/.test(lensSerial) ? lensSerial : null,
+    serialNumber: serial ? String(serial).padStart(10, '0') : null,
+    internalSerialNumber: read.ascii(0x0096),
+    firmware: read.ascii(0x0007),
+    imageType: read.ascii(0x0006)
+  };
+}
+
+function decodeNikon(tiff, start, end, tiffOffset, littleEndian) {
+  let base = tiffOffset;
+  let ifdStart = start;
+  let order = littleEndian;
+
+  // Type 3: "Nikon\0", 2-byte version, 2 bytes padding, then a TIFF header
+  // that all MakerNote offsets are relative to
+  if (tiff.toString('latin1', start, start + 6) === 'Nikon\0') {
+    base = start + 10;
+    const byteOrder = tiff.toString('latin1', base, base + 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+    order = byteOrder === 'II';
+    ifdStart = base + (order ? tiff.readUInt32LE(base + 4) : tiff.readUInt32BE(base + 4));
+  }
+  if (ifdStart >= end) return null;
+
+  const entries = readIfd(tiff, ifdStart, base, order);
+  const read = createReader(tiff, entries, order);
+
+  // Lens: min/max focal length, apertures at those ends
+  const lens = read.rationals(0x0084);
+  return {
+    vendor: 'nikon',
+    lensModel: lens && lens.length >= 4 ? describeLensRange(lens[0], lens[1], lens[2], lens[3]) : null,
+    serialNumber: read.ascii(0x001D),
+    shutterCount: read.uint(0x00A7)
+  };
+}
+
+// Sony LensSpec digits are stored as hex-coded decimal (0x0018 = 18)
+function decodeBcd(bytes) {
+  return Number([...bytes].map(b => b.toString(16).padStart(2, '0')).join('')) || 0;
+}
+
+function decodeSony(tiff, start, tiffOffset, littleEndian) {
+  const entries = readIfd(tiff, start + 12, tiffOffset, littleEndian);
+  const read = createReader(tiff, entries, littleEndian);
+
+  // LensSpec (0xB02A): flags, short focal (2), long focal (2), apertures (1 each, x10), flags
+  let lensRange = null;
+  const spec = read.bytes(0xB02A);
+  if (spec && spec.length === 8) {
+    lensRange = describeLensRange(
+      decodeBcd(spec.subarray(1, 3)), decodeBcd(spec.subarray(3, 5)),
+      decodeBcd(spec.subarray(5, 6)) / 10, decodeBcd(spec.subarray(6, 7)) / 10
+    );
+  }
+
+  const lensType = read.uint(0xB027);
+  return {
+    vendor: 'sony',
+    lensModel: lensRange,
+    lensId: lensType && lensType !== 0xFFFF ? lensType : null,
+    serialNumber: read.ascii(0x2031)
+  };
+}
+
+/**
+ * Decode a MakerNote block
+ * @param {Buffer} tiff - Buffer containing the EXIF TIFF structure
+ * @param {object} options - { offset, length: MakerNote position in tiff, tiffOffset: TIFF header position, littleEndian, make }
+ * @returns {object|null} { vendor, lensModel, serialNumber, shutterCount, ... } with nulls removed, or null if unsupported
+ */
+export function decodeMakerNote(tiff, options) {
+  const { offset, length, tiffOffset = 0, littleEndian = true, make = '' } = options;
+  if (!(offset >= 0) || !(length > 0) || offset + length > tiff.length) return null;
+
+  const header = tiff.toString('latin1', offset, offset + 12);
+  const vendor = String(make).trim().toUpperCase();
+  let decoded = null;
+
+  try {
+    if (header.startsWith('Nikon\0') || vendor.startsWith('NIKON')) {
+      decoded = decodeNikon(tiff, offset, offset + length, tiffOffset, littleEndian);
+    } else if (/^SONY (DSC|CAM) /.test(header)) {
+      decoded = decodeSony(tiff, offset, tiffOffset, littleEndian);
+    } else if (vendor.startsWith('CANON')) {
+      decoded = decodeCanon(tiff, offset, tiffOffset, littleEndian);
+    }
+  } catch {
+    // Corrupt or unexpected layout: fall back to standard EXIF only
+    return null;
+  }
+
+  if (!decoded) return null;
+  return Object.fromEntries(Object.entries(decoded).filter(([, value]) => value !== null && value !== undefined));
+}
+
+export default {
+  describeLensRange,
+  decodeMakerNote
+};
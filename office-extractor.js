@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+
+/**
+ * Office Document Text Extractor
+ *
+ * Extracts searchable text from ZIP-based office documents:
+ * - DOCX (word/document.xml + docProps/core.xml)
+ * - ODT (content.xml + meta.xml)
+ *
+ * Paragraphs are separated by blank lines and headings are written as
+ * Markdown headings, so the structure survives chunking.
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { inflateRawSync } from 'zlib';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Largest XML part we inflate; guards against ZIP bombs
+const MAX_XML_BYTES = 64 * 1024 * 1024;
+
+// ============================================
+// ZIP READER
+// ============================================
+
+// Locate the end-of-central-directory record (within the last 64KB + header)
+function findEndOfCentralDirectory(buffer) {
+  const min = Math.max(0, buffer.length - 65557);
+  for (let i = buffer.length - 22; i >= min; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) return i;
+  }
+  return -1;
+}
+
+/**
+ * List entries of a ZIP archive from its central directory
+ * @param {Buffer} buffer - ZIP file contents
+ * @returns {Map<string, object>} Entry name -> { method, compressedSize, localOffset }
+ */
+function readZipEntries(buffer) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count && offset + 46 <= buffer.length; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) break;
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+// Read and decompress one ZIP entry as UTF-8 text (null if missing)
+function readZipText(buffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+
+  const local = entry.localOffset;
+  if (buffer.readUInt32LE(local) !== 0x04034b50) {
+    throw new Error(`Corrupt ZIP entry: ${name}`);
+  }
+
+  const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+  const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+  switch (entry.method) {
+    case 0: // stored
+      return data.toString('utf-8');
+    case 8: // deflate
+      return inflateRawSync(data, { maxOutputLength: MAX_XML_BYTES }).toString('utf-8');
+    default:
+      throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+  }
+}
+
+// ============================================
+// XML HELPERS
+// ============================================
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+function getAttribute(attrs, name) {
+  const match = attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? decodeEntities(match[2] ?? match[3]) : null;
+}
+
+/**
+ * Walk an XML string as a flat sequence of open/close/text events
+ * @param {string} xml - XML source
+ * @param {function} onEvent - Called with { type, name, attrs, text }
+ */
+function walkXml(xml, onEvent) {
+  const pattern = /<(\/?)([\w:.-]+)([^>]*?)(\/?)>|<!\[CDATA\[([\s\S]*?)\]\]>|<[!?][^>]*>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const [, closing, name, attrs, selfClosing, cdata, text] = match;
+
+    if (text !== undefined) {
+      onEvent({ type: 'text', text: decodeEntities(text) });
+    } else if (cdata !== undefined) {
+      onEvent({ type: 'text', text: cdata });
+    } else if (name) {
+      if (closing) {
+        onEvent({ type: 'close', name });
+      } else {
+        onEvent({ type: 'open', name, attrs: attrs || '' });
+        if (selfClosing) onEvent({ type: 'close', name });
+      }
+    }
+  }
+}
+
+// Text of the first element with the given tag name
+function getElementText(xml, tagName) {
+  const match = xml.match(new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`));
+  return match ? decodeEntities(match[1].replace(/<[^>]+>/g, '')).trim() || null : null;
+}
+
+// ============================================
+// DOCUMENT BODIES
+// ============================================
+
+// Heading level from a DOCX paragraph style id ("Heading1", "heading 2", "Title")
+function docxHeadingLevel(styleId) {
+  if (!styleId) return 0;
+  if (/^title$/i.test(styleId)) return 1;
+  const match = styleId.match(/^heading\s*(\d)$/i);
+  return match ? Math.min(parseInt(match[1], 10), 6) : 0;
+}
+
+function parseDocxBody(xml) {
+  const paragraphs = [];
+  const stack = []; // nested paragraphs (text boxes)
+  let inText = false;
+  let inTabStops = false; // <w:tabs> holds tab stop definitions, not tab characters
+
+  walkXml(xml, (event) => {
+    const current = stack[stack.length - 1];
+
+    if (event.type === 'open') {
+      switch (event.name) {
+        case 'w:tabs':
+          inTabStops = true;
+          break;
+        case 'w:p':
+          stack.push({ text: '', level: 0 });
+          break;
+        case 'w:pStyle':
+          if (current) current.level = docxHeadingLevel(getAttribute(event.attrs, 'w:val'));
+          break;
+        case 'w:outlineLvl': {
+          const level = parseInt(getAttribute(event.attrs, 'w:val'), 10);
+          if (current && !current.level && level >= 0 && level < 6) current.level = level + 1;
+          break;
+        }
+        case 'w:t':
+          inText = true;
+          break;
+        case 'w:tab':
+          if (current && !inTabStops) current.text += '\t';
+          break;
+        case 'w:br':
+        case 'w:cr':
+          if (current) current.text += '\n';
+          break;
+      }
+    } else if (event.type === 'close') {
+      if (event.name === 'w:t') inText = false;
+      if (event.name === 'w:tabs') inTabStops = false;
+      if (event.name === 'w:p') {
+        const paragraph = stack.pop();
+        if (paragraph && paragraph.text.trim()) paragraphs.push(paragraph);
+      }
+    } else if (inText && current) {
+      current.text += event.text;
+    }
+  });
+
+  return paragraphs;
+}
+
+function parseOdtBody(xml) {
+  const paragraphs = [];
+  const stack = [];
+  let inBody = false;
+
+  walkXml(xml, (event) => {
+    const current = stack[stack.length - 1];
+
+    if (event.type === 'open') {
+      switch (event.name) {
+        case 'office:body':
+          inBody = true;
+          break;
+        case 'text:p':
+          stack.push({ text: '', level: 0 });
+          break;
+        case 'text:h':
+          stack.push({ text: '', level: Math.min(parseInt(getAttribute(event.attrs, 'text:outline-level'), 10) || 1, 6) });
+          break;
+        case 'text:s':
+          if (current) current.text += ' '.repeat(parseInt(getAttribute(event.attrs, 'text:c'), 10) || 1);
+          break;
+        case 'text:tab':
+          if (current) current.text += '\t';
+          break;
+        case 'text:line-break':
+          if (current) current.text += '\n';
+          break;
+      }
+    } else if (event.type === 'close') {
+      if (event.name === 'office:body') inBody = false;
+      if (event.name === 'text:p' || event.name === 'text:h') {
+        const paragraph = stack.pop();
+        if (paragraph && paragraph.text.trim()) paragraphs.push(paragraph);
+      }
+    } else if (inBody && current) {
+      current.text += event.text;
+    }
+  });
+
+  return paragraphs;
+}
+
+// Paragraphs separated by blank lines, headings as Markdown
+function paragraphsToText(paragraphs) {
+  return paragraphs
+    .map(p => p.level ? `${'#'.repeat(p.level)} ${p.text.replace(/\s+/g, ' ').trim()}` : p.text.trim())
+    .join('\n\n');
+}
+
+// ============================================
+// PROPERTIES
+// ============================================
+
+function parseDocxProperties(xml) {
+  if (!xml) return {};
+  return {
+    title: getElementText(xml, 'dc:title'),
+    subject: getElementText(xml, 'dc:subject'),
+    creator: getElementText(xml, 'dc:creator'),
+    keywords: getElementText(xml, 'cp:keywords'),
+    description: getElementText(xml, 'dc:description'),
+    lastModifiedBy: getElementText(xml, 'cp:lastModifiedBy'),
+    created: getElementText(xml, 'dcterms:created'),
+    modified: getElementText(xml, 'dcterms:modified')
+  };
+}
+
+// In ODF, dc:creator is the last person to modify the document
+function parseOdtProperties(xml) {
+  if (!xml) return {};
+  return {
+    title: getElementText(xml, 'dc:title'),
+    subject: getElementText(xml, 'dc:subject'),
+    creator: getElementText(xml, 'meta:initial-creator'),
+    keywords: getElementText(xml, 'meta:keyword'),
+    description: getElementText(xml, 'dc:description'),
+    lastModifiedBy: getElementText(xml, 'dc:creator'),
+    created: getElementText(xml, 'meta:creation-date'),
+    modified: getElementText(xml, 'dc:date')
+  };
+}
+
+/**
+ * Extract text and core properties from a DOCX or ODT file
+ * @param {string} filePath - Path to the document
+ * @returns {Promise<object>} Text, paragraphs, heading count and properties
+ */
+export async function extractOfficeDocument(filePath) {
+  const ext = extname(filePath).toLowerCase();
+
+  if (!['.docx', '.odt'].includes(ext)) {
+    return { supported: false, reason: `Office extraction not supported for ${ext}` };
+  }
+
+  try {
+    const buffer = await readFile(filePath);
+    const entries = readZipEntries(buffer);
+
+    let paragraphs;
+    let properties;
+
+    if (ext === '.docx') {
+      const body = readZipText(buffer, entries, 'word/document.xml');
+      if (body === null) return { supported: true, hasText: false, reason: 'Missing word/document.xml' };
+      paragraphs = parseDocxBody(body);
+      properties = parseDocxProperties(readZipText(buffer, entries, 'docProps/core.xml'));
+    } else {
+      const body = readZipText(buffer, entries, 'content.xml');
+      if (body === null) return { supported: true, hasText: false, reason: 'Missing content.xml' };
+      paragraphs = parseOdtBody(body);
+      properties = parseOdtProperties(readZipText(buffer, entries, 'meta.xml'));
+    }
+
+    // Drop empty properties
+    for (const key of Object.keys(properties)) {
+      if (!properties[key]) delete properties[key];
+    }
+
+    return {
+      supported: true,
+      hasText: paragraphs.length > 0,
+      format: ext.slice(1),
+      text: paragraphsToText(paragraphs),
+      paragraphCount: paragraphs.length,
+      headingCount: paragraphs.filter(p => p.level).length,
+      properties
+    };
+  } catch (error) {
+    return { supported: true, hasText: false, error: error.message };
+  }
+}
+
+/**
+ * Get flat metadata object for ChromaDB storage
+ * @param {object} doc - Result from extractOfficeDocument
+ * @returns {object} Flat metadata object
+ */
+export function officeToMetadata(doc) {
+  const meta = {};
+
+  if (doc.paragraphCount !== undefined) meta.paragraph_count = doc.paragraphCount;
+  if (doc.headingCount !== undefined) meta.heading_count = doc.headingCount;
+
+  const props = doc.properties || {};
+  if (props.title) meta.title = props.title;
+  if (props.subject) meta.subject = props.subject;
+  if (props.creator) meta.author = props.creator;
+  if (props.lastModifiedBy) meta.last_modified_by = props.lastModifiedBy;
+  if (props.keywords) meta.keywords = props.keywords;
+  if (props.created) meta.document_created = props.created;
+  if (props.modified) meta.document_modified = props.modified;
+
+  return meta;
+}
+
+export default {
+  extractOfficeDocument,
+  officeToMetadata
+};
@@ -0,0 +1,898 @@
+#!/usr/bin/env node
+
+/**
+ * PDF Text Extractor
+ *
+ * Extracts searchable text from PDF documents:
+ * - Per-page text in page-tree order
+ * - FlateDecode, ASCIIHex and ASCII85 compressed streams
+ * - Compressed object streams (PDF 1.5+)
+ * - Font ToUnicode maps and standard encodings
+ * - Document info (title, author, subject, keywords, dates)
+ */
+
+import { readFile } from 'fs/promises';
+import { inflateSync, constants as zlibConstants } from 'zlib';
+
+const WHITESPACE = '\x00\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+// Windows-1252 characters in the 0x80-0x9F range (WinAnsiEncoding)
+const WIN_ANSI_EXTRAS = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡',
+  0x88: 'ˆ', 0x89: '‰', 0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘',
+  0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜',
+  0x99: '™', 0x9A: 'š', 0x9B: '›', 0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+// Glyph names commonly found in /Differences arrays
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(',
+  parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-', minus: '−',
+  period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=',
+  greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\',
+  bracketright: ']', underscore: '_', braceleft: '{', bar: '|', braceright: '}',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', endash: '–', emdash: '—', bullet: '•',
+  ellipsis: '…', quotedblleft: '“', quotedblright: '”', fi: 'fi', fl: 'fl',
+  ff: 'ff', ffi: 'ffi', ffl: 'ffl', copyright: '©', registered: '®', trademark: '™',
+  degree: '°', section: '§', paragraph: '¶', dagger: '†', daggerdbl: '‡'
+};
+
+// ============================================
+// OBJECT PARSER
+// ============================================
+
+// Names are kept as '/Name' strings, strings as { str } (raw bytes as latin1), references as { ref }
+function skipWhitespace(src, pos) {
+  while (pos < src.length) {
+    const c = src[pos];
+    if (c === '%') {
+      while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+    } else if (WHITESPACE.includes(c)) {
+      pos++;
+    } else {
+      break;
+    }
+  }
+  return pos;
+}
+
+function readToken(src, pos) {
+  const start = pos;
+  while (pos < src.length && !WHITESPACE.includes(src[pos]) && !DELIMITERS.includes(src[pos])) pos++;
+  return { token: src.slice(start, pos), pos };
+}
+
+function parseLiteralString(src, pos) {
+  let depth = 1;
+  let str = '';
+  pos++; // skip (
+
+  while (pos < src.length) {
+    const c = src[pos];
+
+    if (c === '\\') {
+      const next = src[pos + 1];
+      const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+      if (next in escapes) {
+        str += escapes[next];
+        pos += 2;
+      } else if (next >= '0' && next <= '7') {
+        let octal = '';
+        pos++;
+        while (octal.length < 3 && src[pos] >= '0' && src[pos] <= '7') octal += src[pos++];
+        str += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+      } else if (next === '\r' || next === '\n') {
+        // Line continuation
+        pos += next === '\r' && src[pos + 2] === '\n' ? 3 : 2;
+      } else {
+        pos++;
+      }
+      continue;
+    }
+
+    if (c === '(') depth++;
+    if (c === ')' && --depth === 0) return { value: { str }, pos: pos + 1 };
+
+    str += c;
+    pos++;
+  }
+
+  return { value: { str }, pos };
+}
+
+function parseHexString(src, pos) {
+  const end = src.indexOf('>', pos);
+  let hex = src.slice(pos + 1, end === -1 ? src.length : end).replace(/[^0-9a-fA-F]/g, '');
+  if (hex.length % 2) hex += '0';
+
+  let str = '';
+  for (let i = 0; i < hex.length; i += 2) {
+    str += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+  }
+
+  return { value: { str }, pos: end === -1 ? src.length : end + 1 };
+}
+
+/**
+ * Parse one PDF value (or bare keyword) starting at pos
+ * @returns {{value: *, pos: number}} Parsed value and position after it
+ */
+function parseValue(src, pos) {
+  pos = skipWhitespace(src, pos);
+  const c = src[pos];
+
+  if (pos >= src.length) return { value: undefined, pos };
+
+  if (c === '<' && src[pos + 1] === '<') {
+    const dict = {};
+    pos += 2;
+    while (pos < src.length) {
+      pos = skipWhitespace(src, pos);
+      if (src[pos] === '>' && src[pos + 1] === '>') return { value: dict, pos: pos + 2 };
+      if (src[pos] !== '/') {
+        // Malformed entry - skip a value and keep going
+        const skipped = parseValue(src, pos);
+        pos = skipped.pos > pos ? skipped.pos : pos + 1;
+        continue;
+      }
+      const key = parseValue(src, pos);
+      const val = parseValue(src, key.pos);
+      dict[key.value.slice(1)] = val.value;
+      pos = val.pos;
+    }
+    return { value: dict, pos };
+  }
+
+  if (c === '<') return parseHexString(src, pos);
+  if (c === '(') return parseLiteralString(src, pos);
+
+  if (c === '[') {
+    const arr = [];
+    pos++;
+    while (pos < src.length) {
+      pos = skipWhitespace(src, pos);
+      if (src[pos] === ']') return { value: arr, pos: pos + 1 };
+      const item = parseValue(src, pos);
+      if (item.pos <= pos) {
+        pos++;
+        continue;
+      }
+      arr.push(item.value);
+      pos = item.pos;
+    }
+    return { value: arr, pos };
+  }
+
+  if (c === '/') {
+    const { token, pos: end } = readToken(src, pos + 1);
+    const name = token.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return { value: `/${name}`, pos: end };
+  }
+
+  if (DELIMITERS.includes(c)) {
+    // Stray delimiter (e.g. ')' or '}') - consume it
+    return { value: { op: c }, pos: pos + 1 };
+  }
+
+  const { token, pos: end } = readToken(src, pos);
+
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+    // Indirect reference: "12 0 R"
+    if (/^\d+$/.test(token)) {
+      const ref = src.slice(end, end + 24).match(/^\s+(\d+)\s+R(?=[\s\/\[\]<>()%]|$)/);
+      if (ref) return { value: { ref: parseInt(token, 10) }, pos: end + ref[0].length };
+    }
+    return { value: parseFloat(token), pos: end };
+  }
+
+  if (token === 'true') return { value: true, pos: end };
+  if (token === 'false') return { value: false, pos: end };
+  if (token === 'null') return { value: null, pos: end };
+
+  return { value: { op: token }, pos: end };
+}
+
+// ============================================
+// STREAM DECODING
+// ============================================
+
+function decodeAsciiHex(data) {
+  const hex = data.toString('latin1').split('>')[0].replace(/[^0-9a-fA-F]/g, '');
+  return Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex');
+}
+
+function decodeAscii85(data) {
+  const text = data.toString('latin1').replace(/^<~/, '').split('~>')[0].replace(/\s/g, '');
+  const bytes = [];
+  let group = [];
+
+  const flush = (count) => {
+    while (group.length < 5) group.push(84); // pad with 'u'
+    let value = 0;
+    for (const digit of group) value = value * 85 + digit;
+    const out = [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+    bytes.push(...out.slice(0, count));
+    group = [];
+  };
+
+  for (const ch of text) {
+    if (ch === 'z' && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(ch.charCodeAt(0) - 33);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 1) flush(group.length - 1);
+
+  return Buffer.from(bytes);
+}
+
+function inflate(data) {
+  try {
+    return inflateSync(data);
+  } catch {
+    // Truncated or slightly corrupt streams: keep whatever inflates
+    return inflateSync(data, { finishFlush: zlibConstants.Z_SYNC_FLUSH });
+  }
+}
+
+// Undo PNG row predictors (DecodeParms /Predictor >= 10)
+function undoPngPredictor(data, columns = 1) {
+  const rowLength = columns + 1;
+  const rows = Math.floor(data.length / rowLength);
+  const out = Buffer.alloc(rows * columns);
+  let prev = Buffer.alloc(columns);
+
+  for (let r = 0; r < rows; r++) {
+    const type = data[r * rowLength];
+    const row = Buffer.from(data.subarray(r * rowLength + 1, (r + 1) * rowLength));
+
+    for (let i = 0; i < columns; i++) {
+      const left = i > 0 ? row[i - 1] : 0;
+      if (type === 1) row[i] = (row[i] + left) & 0xFF;
+      else if (type === 2) row[i] = (row[i] + prev[i]) & 0xFF;
+      else if (type === 3) row[i] = (row[i] + ((left + prev[i]) >> 1)) & 0xFF;
+    }
+
+    row.copy(out, r * columns);
+    prev = row;
+  }
+
+  return out;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// ============================================
+// DOCUMENT MODEL
+// ============================================
+
+class PdfDocument {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.src = buffer.toString('latin1');
+    this.objects = new Map();
+    this.trailer = {};
+    this.fontCache = new Map();
+    this.scanObjects();
+    this.loadObjectStreams();
+  }
+
+  // Find every "N G obj" in file order; later definitions (incremental updates) win
+  scanObjects() {
+    const objPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = objPattern.exec(this.src)) !== null) {
+      const num = parseInt(match[1], 10);
+      const { value, pos } = parseValue(this.src, match.index + match[0].length);
+      const entry = { value, stream: null };
+
+      const after = skipWhitespace(this.src, pos);
+      if (this.src.startsWith('stream', after)) {
+        let dataStart = after + 6;
+        if (this.src[dataStart] === '\r') dataStart++;
+        if (this.src[dataStart] === '\n') dataStart++;
+
+        let dataEnd = -1;
+        const length = value && typeof value.Length === 'number' ? value.Length : -1;
+        if (length >= 0 && this.src.slice(dataStart + length, dataStart + length + 20).includes('endstream')) {
+          dataEnd = dataStart + length;
+        } else {
+          dataEnd = this.src.indexOf('endstream', dataStart);
+          if (dataEnd === -1) dataEnd = this.src.length;
+          while (dataEnd > dataStart && (this.src[dataEnd - 1] === '\n' || this.src[dataEnd - 1] === '\r')) dataEnd--;
+        }
+
+        entry.stream = this.buffer.subarray(dataStart, dataEnd);
+        objPattern.lastIndex = dataEnd;
+      } else {
+        objPattern.lastIndex = Math.max(pos, objPattern.lastIndex);
+      }
+
+      this.objects.set(num, entry);
+
+      // Cross-reference streams carry the trailer entries
+      if (value && value.Type === '/XRef') {
+        Object.assign(this.trailer, value);
+      }
+    }
+
+    // Classic trailers (the last one is the most recent)
+    const trailerPattern = /trailer\s*<</g;
+    while ((match = trailerPattern.exec(this.src)) !== null) {
+      const { value } = parseValue(this.src, match.index + 7);
+      if (value && typeof value === 'object') Object.assign(this.trailer, value);
+    }
+  }
+
+  // Unpack objects stored inside compressed object streams
+  loadObjectStreams() {
+    const direct = new Set(this.objects.keys());
+
+    for (const entry of [...this.objects.values()]) {
+      if (!entry.value || entry.value.Type !== '/ObjStm' || !entry.stream) continue;
+
+      try {
+        const data = this.decodeStream(entry).toString('latin1');
+        const first = this.resolve(entry.value.First);
+        const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+
+        for (let i = 0; i + 1 < header.length; i += 2) {
+          if (direct.has(header[i])) continue;
+          const { value } = parseValue(data, first + header[i + 1]);
+          this.objects.set(header[i], { value, stream: null });
+        }
+      } catch {
+        // Unreadable object stream - skip it
+      }
+    }
+  }
+
+  resolve(value, depth = 0) {
+    while (value && typeof value === 'object' && 'ref' in value && depth++ < 32) {
+      value = this.objects.get(value.ref)?.value;
+    }
+    return value;
+  }
+
+  resolveEntry(value) {
+    if (value && typeof value === 'object' && 'ref' in value) {
+      return this.objects.get(value.ref) || null;
+    }
+    return null;
+  }
+
+  decodeStream(entry) {
+    const dict = entry.value || {};
+    let data = entry.stream;
+    const filters = asArray(this.resolve(dict.Filter));
+    const params = asArray(this.resolve(dict.DecodeParms));
+
+    filters.forEach((filter, i) => {
+      const parms = this.resolve(params[i]) || {};
+
+      switch (filter) {
+        case '/FlateDecode':
+        case '/Fl':
+          data = inflate(data);
+          if (this.resolve(parms.Predictor) >= 10) {
+            data = undoPngPredictor(data, this.resolve(parms.Columns) || 1);
+          }
+          break;
+        case '/ASCIIHexDecode':
+        case '/AHx':
+          data = decodeAsciiHex(data);
+          break;
+        case '/ASCII85Decode':
+        case '/A85':
+          data = decodeAscii85(data);
+          break;
+        default:
+          throw new Error(`Unsupported stream filter ${filter}`);
+      }
+    });
+
+    return data;
+  }
+
+  get isEncrypted() {
+    return Boolean(this.trailer.Encrypt);
+  }
+
+  getCatalog() {
+    const root = this.resolve(this.trailer.Root);
+    if (root && root.Type === '/Catalog') return root;
+
+    for (const { value } of this.objects.values()) {
+      if (value && value.Type === '/Catalog') return value;
+    }
+    return null;
+  }
+
+  // Leaf pages in reading order, each with its inherited resources
+  getPages() {
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (nodeRef, inheritedResources) => {
+      const key = nodeRef && nodeRef.ref;
+      if (key !== undefined) {
+        if (visited.has(key)) return;
+        visited.add(key);
+      }
+
+      const node = this.resolve(nodeRef);
+      if (!node || typeof node !== 'object') return;
+
+      const resources = node.Resources ? this.resolve(node.Resources) : inheritedResources;
+
+      if (node.Type === '/Pages' || node.Kids) {
+        for (const kid of asArray(this.resolve(node.Kids))) walk(kid, resources);
+      } else {
+        pages.push({ page: node, resources: resources || {} });
+      }
+    };
+
+    const catalog = this.getCatalog();
+    if (catalog && catalog.Pages) walk(catalog.Pages, null);
+
+    // No usable page tree - fall back to page objects in file order
+    if (pages.length === 0) {
+      for (const { value } of this.objects.values()) {
+        if (value && value.Type === '/Page') {
+          pages.push({ page: value, resources: this.resolve(value.Resources) || {} });
+        }
+      }
+    }
+
+    return pages;
+  }
+
+  getInfo() {
+    const info = this.resolve(this.trailer.Info);
+    if (!info || typeof info !== 'object') return {};
+
+    const fields = {
+      title: 'Title',
+      author: 'Author',
+      subject: 'Subject',
+      keywords: 'Keywords',
+      creator: 'Creator',
+      producer: 'Producer',
+      created: 'CreationDate',
+      modified: 'ModDate'
+    };
+
+    const result = {};
+    for (const [key, pdfKey] of Object.entries(fields)) {
+      const value = this.resolve(info[pdfKey]);
+      if (!value || typeof value.str !== 'string') continue;
+
+      const text = decodeTextString(value.str).trim();
+      if (!text) continue;
+      result[key] = key === 'created' || key === 'modified' ? parsePdfDate(text) || text : text;
+    }
+
+    return result;
+  }
+
+  getFont(fontRef) {
+    const cacheKey = fontRef && fontRef.ref !== undefined ? fontRef.ref : null;
+    if (cacheKey !== null && this.fontCache.has(cacheKey)) return this.fontCache.get(cacheKey);
+
+    const font = buildFont(this, this.resolve(fontRef) || {});
+    if (cacheKey !== null) this.fontCache.set(cacheKey, font);
+    return font;
+  }
+}
+
+// ============================================
+// FONTS & TEXT DECODING
+// ============================================
+
+// Decode a PDF text string (Info values): UTF-16BE with BOM, UTF-8 with BOM, or PDFDocEncoding
+function decodeTextString(raw) {
+  if (raw.startsWith('\xFE\xFF')) {
+    let out = '';
+    for (let i = 2; i + 1 < raw.length; i += 2) {
+      out += String.fromCharCode((raw.charCodeAt(i) << 8) | raw.charCodeAt(i + 1));
+    }
+    return out;
+  }
+  if (raw.startsWith('\xEF\xBB\xBF')) {
+    return Buffer.from(raw.slice(3), 'latin1').toString('utf-8');
+  }
+  return raw;
+}
+
+// "D:20240131120000+01'00'" -> ISO string
+function parsePdfDate(text) {
+  const match = text.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/);
+  if (!match) return null;
+
+  const [, year, month = '01', day = '01', hour = '00', min = '00', sec = '00', tz, tzHour = '00', tzMin = '00'] = match;
+  const offset = tz === '+' || tz === '-' ? `${tz}${tzHour}:${tzMin}` : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${min}:${sec}${offset}`);
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function glyphToUnicode(name) {
+  const glyph = name.replace(/^\//, '');
+  if (glyph.length === 1) return glyph;
+  if (GLYPH_NAMES[glyph]) return GLYPH_NAMES[glyph];
+
+  const uni = glyph.match(/^uni([0-9A-Fa-f]{4})/);
+  if (uni) return String.fromCharCode(parseInt(uni[1], 16));
+
+  return '';
+}
+
+function decodeUtf16Hex(hex) {
+  let out = '';
+  for (let i = 0; i + 3 < hex.length; i += 4) {
+    out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  }
+  return out;
+}
+
+function rawToHex(raw) {
+  return Buffer.from(raw, 'latin1').toString('hex');
+}
+
+// Parse a ToUnicode CMap into code -> text lookups, keyed by code byte length
+function parseToUnicode(data) {
+  const map = new Map();
+  const codeLengths = new Set();
+  const src = data.toString('latin1');
+
+  const addCode = (hex, text) => {
+    codeLengths.add(hex.length / 2);
+    map.set(hex.toLowerCase(), text);
+  };
+
+  for (const block of src.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const range of block[1].matchAll(/<([0-9a-fA-F]+)>/g)) {
+      codeLengths.add(range[1].length / 2);
+    }
+  }
+
+  for (const block of src.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      addCode(entry[1], decodeUtf16Hex(entry[2]));
+    }
+  }
+
+  for (const block of src.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const body = block[1];
+    const rangePattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g;
+
+    for (const entry of body.matchAll(rangePattern)) {
+      const width = entry[1].length;
+      const start = parseInt(entry[1], 16);
+      const end = parseInt(entry[2], 16);
+      if (end - start > 0xFFFF) continue;
+
+      const targets = entry[4] ? [...entry[4].matchAll(/<([0-9a-fA-F]*)>/g)].map(m => m[1]) : null;
+
+      for (let code = start; code <= end; code++) {
+        const hex = code.toString(16).padStart(width, '0');
+        if (targets) {
+          if (targets[code - start] !== undefined) addCode(hex, decodeUtf16Hex(targets[code - start]));
+        } else {
+          // Increment the last UTF-16 unit of the destination
+          const dest = entry[3];
+          const base = parseInt(dest.slice(-4), 16) + (code - start);
+          addCode(hex, decodeUtf16Hex(dest.slice(0, -4) + base.toString(16).padStart(4, '0')));
+        }
+      }
+    }
+  }
+
+  return { map, codeLengths: [...codeLengths].sort((a, b) => b - a) };
+}
+
+function buildFont(doc, fontDict) {
+  const font = { toUnicode: null, twoByte: false, differences: null, encoding: null };
+
+  font.twoByte = fontDict.Subtype === '/Type0';
+
+  const toUnicodeEntry = doc.resolveEntry(fontDict.ToUnicode);
+  if (toUnicodeEntry && toUnicodeEntry.stream) {
+    try {
+      font.toUnicode = parseToUnicode(doc.decodeStream(toUnicodeEntry));
+    } catch {
+      // Broken CMap - fall back to the encoding
+    }
+  }
+
+  const encoding = doc.resolve(fontDict.Encoding);
+  if (typeof encoding === 'string') {
+    font.encoding = encoding;
+  } else if (encoding && typeof encoding === 'object') {
+    font.encoding = encoding.BaseEncoding || null;
+    const diffs = doc.resolve(encoding.Differences);
+    if (Array.isArray(diffs)) {
+      font.differences = new Map();
+      let code = 0;
+      for (const item of diffs) {
+        if (typeof item === 'number') {
+          code = item;
+        } else if (typeof item === 'string') {
+          font.differences.set(code++, glyphToUnicode(item));
+        }
+      }
+    }
+  }
+
+  return font;
+}
+
+// Decode the raw bytes of a shown string through the current font
+function decodeShownText(raw, font) {
+  if (font && font.toUnicode && font.toUnicode.map.size > 0) {
+    const { map, codeLengths } = font.toUnicode;
+    const hex = rawToHex(raw);
+    let out = '';
+    let pos = 0;
+
+    while (pos < hex.length) {
+      let matched = false;
+      for (const len of codeLengths) {
+        const code = hex.slice(pos, pos + len * 2);
+        if (code.length === len * 2 && map.has(code)) {
+          out += map.get(code);
+          pos += len * 2;
+          matched = true;
+          break;
+        }
+      }
+      if (!matched) pos += (font.twoByte ? 4 : 2);
+    }
+
+    return out;
+  }
+
+  if (font && font.twoByte) {
+    // Without ToUnicode only Unicode CMaps (e.g. UniJIS-UCS2-H) are decodable;
+    // Identity-H codes are glyph ids and would only produce noise
+    if (!/UCS2|UTF16/.test(font.encoding || '')) return '';
+
+    let out = '';
+    for (let i = 0; i + 1 < raw.length; i += 2) {
+      const code = (raw.charCodeAt(i) << 8) | raw.charCodeAt(i + 1);
+      if (code >= 0x20) out += String.fromCharCode(code);
+    }
+    return out;
+  }
+
+  let out = '';
+  for (let i = 0; i < raw.length; i++) {
+    const code = raw.charCodeAt(i);
+    if (font && font.differences && font.differences.has(code)) {
+      out += font.differences.get(code);
+    } else if (WIN_ANSI_EXTRAS[code] && (!font || font.encoding !== '/MacRomanEncoding')) {
+      out += WIN_ANSI_EXTRAS[code];
+    } else {
+      out += String.fromCharCode(code);
+    }
+  }
+  return out;
+}
+
+// ============================================
+// CONTENT STREAMS
+// ============================================
+
+/**
+ * Run the text operators of a content stream and return the visible text
+ */
+function extractContentText(doc, data, resources, depth = 0) {
+  const src = data.toString('latin1');
+  const fonts = doc.resolve(resources.Font) || {};
+  const xobjects = doc.resolve(resources.XObject) || {};
+
+  let out = '';
+  let operands = [];
+  let font = null;
+  let pendingBreak = null;
+  let lineY = 0;
+
+  const emit = (text) => {
+    if (!text) return;
+    if (pendingBreak === 'line' && out && !out.endsWith('\n')) out += '\n';
+    if (pendingBreak === 'space' && out && !/\s$/.test(out)) out += ' ';
+    pendingBreak = null;
+    out += text;
+  };
+
+  let pos = 0;
+  while (pos < src.length) {
+    const { value, pos: next } = parseValue(src, pos);
+    if (next <= pos) break;
+    pos = next;
+
+    if (!value || typeof value !== 'object' || !('op' in value)) {
+      operands.push(value);
+      continue;
+    }
+
+    const op = value.op;
+    switch (op) {
+      case 'Tf':
+        font = doc.getFont(fonts[String(operands[0]).slice(1)]);
+        break;
+      case 'Td':
+      case 'TD': {
+        const ty = operands[1] || 0;
+        if (Math.abs(ty) > 0.5) {
+          pendingBreak = 'line';
+          lineY += ty;
+        } else if (!pendingBreak) {
+          pendingBreak = 'space';
+        }
+        break;
+      }
+      case 'Tm': {
+        const y = operands[5] || 0;
+        pendingBreak = Math.abs(y - lineY) > 0.5 ? 'line' : pendingBreak || 'space';
+        lineY = y;
+        break;
+      }
+      case 'T*':
+        pendingBreak = 'line';
+        break;
+      case 'Tj':
+        if (operands[0] && operands[0].str !== undefined) emit(decodeShownText(operands[0].str, font));
+        break;
+      case "'":
+      case '"': {
+        pendingBreak = 'line';
+        const str = operands[operands.length - 1];
+        if (str && str.str !== undefined) emit(decodeShownText(str.str, font));
+        break;
+      }
+      case 'TJ':
+        for (const item of asArray(operands[0])) {
+          if (typeof item === 'number') {
+            // Large negative kerning is a word gap
+            if (item < -200 && !pendingBreak) pendingBreak = 'space';
+          } else if (item && item.str !== undefined) {
+            emit(decodeShownText(item.str, font));
+          }
+        }
+        break;
+      case 'ET':
+        if (!pendingBreak) pendingBreak = 'space';
+        break;
+      case 'Do': {
+        const name = String(operands[0]).slice(1);
+        const entry = doc.resolveEntry(xobjects[name]);
+        if (depth < 8 && entry && entry.stream && entry.value.Subtype === '/Form') {
+          try {
+            const formResources = doc.resolve(entry.value.Resources) || resources;
+            const formText = extractContentText(doc, doc.decodeStream(entry), formResources, depth + 1);
+            if (formText) {
+              pendingBreak = 'line';
+              emit(formText);
+              pendingBreak = 'line';
+            }
+          } catch {
+            // Skip undecodable forms
+          }
+        }
+        break;
+      }
+      case 'ID': {
+        // Inline image data: skip to the EI operator
+        const end = src.slice(pos).search(/\sEI(?=[\s]|$)/);
+        pos = end === -1 ? src.length : pos + end + 3;
+        break;
+      }
+      default:
+        break;
+    }
+
+    operands = [];
+  }
+
+  return out;
+}
+
+function normalizePageText(text) {
+  return text
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Extract text and document info from a PDF file
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<object>} Per-page text, page count and info dictionary fields
+ */
+export async function extractPdf(filePath) {
+  try {
+    const buffer = await readFile(filePath);
+
+    if (buffer.subarray(0, 1024).indexOf('%PDF-') === -1) {
+      return { supported: false, reason: 'Invalid PDF file' };
+    }
+
+    const doc = new PdfDocument(buffer);
+    const info = doc.getInfo();
+    const version = buffer.subarray(0, 1024).toString('latin1').match(/%PDF-(\d\.\d)/)?.[1] || null;
+
+    if (doc.isEncrypted) {
+      return { supported: true, hasText: false, encrypted: true, reason: 'Encrypted PDF', info, version };
+    }
+
+    const pages = doc.getPages().map(({ page, resources }) => {
+      // A page's content streams form one logical stream
+      const parts = [];
+      const contents = Array.isArray(doc.resolve(page.Contents)) ? doc.resolve(page.Contents) : page.Contents;
+      for (const contentRef of asArray(contents)) {
+        const entry = doc.resolveEntry(contentRef);
+        if (!entry || !entry.stream) continue;
+
+        try {
+          parts.push(doc.decodeStream(entry), Buffer.from('\n'));
+        } catch {
+          // Skip undecodable content streams
+        }
+      }
+      return normalizePageText(extractContentText(doc, Buffer.concat(parts), resources));
+    });
+
+    return {
+      supported: true,
+      hasText: pages.some(p => p.length > 0),
+      pageCount: pages.length,
+      pages,
+      info,
+      version
+    };
+  } catch (error) {
+    return { supported: true, hasText: false, error: error.message };
+  }
+}
+
+/**
+ * Get flat metadata object for ChromaDB storage
+ * @param {object} pdf - Result from extractPdf
+ * @returns {object} Flat metadata object
+ */
+export function pdfToMetadata(pdf) {
+  const meta = {};
+
+  if (pdf.pageCount !== undefined) meta.page_count = pdf.pageCount;
+  if (pdf.version) meta.pdf_version = pdf.version;
+  if (pdf.encrypted) meta.encrypted = true;
+
+  const info = pdf.info || {};
+  if (info.title) meta.title = info.title;
+  if (info.author) meta.author = info.author;
+  if (info.subject) meta.subject = info.subject;
+  if (info.keywords) meta.keywords = info.keywords;
+  if (info.creator) meta.creator_tool = info.creator;
+  if (info.producer) meta.producer = info.producer;
+  if (info.created) meta.document_created = info.created;
+  if (info.modified) meta.document_modified = info.modified;
+
+  return meta;
+}
+
+export default {
+  extractPdf,
+  pdfToMetadata
+};
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Photo Event Clustering
+ *
+ * Groups photos into trips/events from their capture time and GPS position:
+ * - Sort photos by date_taken_epoch
+ * - Start a new event when the time gap to the previous photo is too large
+ * - ... or when the photo was taken too far from the previous geotagged one
+ * - Name each event by its date range and centroid
+ *
+ * Photos without GPS join events on time alone. Photos without a normalized
+ * capture date are left out. Event IDs are derived from the first photo, so
+ * re-clustering an unchanged collection gives the same IDs.
+ */
+
+import { createHash } from 'crypto';
+import { haversineDistance } from './geo-search.js';
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Capture position of a photo, or null if it is not geotagged
+function photoPosition(metadata) {
+  const lat = metadata?.gps_latitude;
+  const lon = metadata?.gps_longitude;
+  return typeof lat === 'number' && typeof lon === 'number' ? { latitude: lat, longitude: lon } : null;
+}
+
+/**
+ * Geographic centroid of a set of points
+ * Averages unit vectors so points either side of the antimeridian don't cancel out.
+ * @param {Array<object>} points - [{ latitude, longitude }]
+ * @returns {object|null} { latitude, longitude } rounded to 6 decimals, or null for no points
+ */
+export function geoCentroid(points) {
+  if (points.length === 0) return null;
+
+  let x = 0;
+  let y = 0;
+  let z = 0;
+  for (const { latitude, longitude } of points) {
+    const lat = toRadians(latitude);
+    const lon = toRadians(longitude);
+    x += Math.cos(lat) * Math.cos(lon);
+    y += Math.cos(lat) * Math.sin(lon);
+    z += Math.sin(lat);
+  }
+
+  const round = value => Math.round(value * 1000000) / 1000000;
+  return {
+    latitude: round(toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y)))),
+    longitude: round(toDegrees(Math.atan2(y, x)))
+  };
+}
+
+/**
+ * Human-readable event name from its date range and centroid
+ * @param {object} event - { start, end, centroid } with ISO start/end
+ * @returns {string} e.g. "2024-06-01 to 2024-06-03 @ 38.722, -9.139"
+ */
+export function describeEvent(event) {
+  const first = event.start.slice(0, 10);
+  const last = event.end.slice(0, 10);
+  const range = first === last ? first : `${first} to ${last}`;
+  if (!event.centroid) return range;
+  return `${range} @ ${event.centroid.latitude.toFixed(3)}, ${event.centroid.longitude.toFixed(3)}`;
+}
+
+// Stable ID for an event, keyed on its earliest photo
+function eventId(firstPhotoId) {
+  return `event_${createHash('md5').update(String(firstPhotoId)).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Cluster photos into events by time gaps and GPS distance
+ * @param {Array<object>} photos - Photos with `id` and `metadata` (date_taken_epoch, gps_latitude, gps_longitude)
+ * @param {object} options - { maxGapHours, maxDistanceKm }
+ * @returns {object} { events: [{ event_id, name, start, end, count, centroid, radius_km, ids }], skipped: IDs without a capture date }
+ */
+export function clusterPhotoEvents(photos, options = {}) {
+  const { maxGapHours = 6, maxDistanceKm = 50 } = options;
+
+  const dated = [];
+  const skipped = [];
+  for (const photo of photos) {
+    if (typeof photo.metadata?.date_taken_epoch === 'number') dated.push(photo);
+    else skipped.push(photo.id);
+  }
+  dated.sort((a, b) => a.metadata.date_taken_epoch - b.metadata.date_taken_epoch || String(a.id).localeCompare(String(b.id)));
+
+  const groups = [];
+  let current = null;
+  let lastTime = null;
+  let lastPosition = null;
+
+  for (const photo of dated) {
+    const time = photo.metadata.date_taken_epoch;
+    const position = photoPosition(photo.metadata);
+
+    const timeGap = lastTime !== null && (time - lastTime) / 3600 > maxGapHours;
+    const moved = position && lastPosition &&
+      haversineDistance(lastPosition.latitude, lastPosition.longitude, position.latitude, position.longitude) > maxDistanceKm;
+
+    if (!current || timeGap || moved) {
+      current = [];
+      groups.push(current);
+      lastPosition = null;
+    }
+
+    current.push(photo);
+    lastTime = time;
+    if (position) lastPosition = position;
+  }
+
+  const events = groups.map(members => {
+    const positions = members.map(p => photoPosition(p.metadata)).filter(Boolean);
+    const centroid = geoCentroid(positions);
+    const isoOf = p => p.metadata.date_taken_iso || new Date(p.metadata.date_taken_epoch * 1000).toISOString().slice(0, 19);
+
+    const event = {
+      event_id: eventId(members[0].id),
+      start: isoOf(members[0]),
+      end: isoOf(members[members.length - 1]),
+      count: members.length,
+      geotagged: positions.length,
+      centroid,
+      radius_km: centroid
+        ? Math.round(Math.max(...positions.map(p => haversineDistance(centroid.latitude, centroid.longitude, p.latitude, p.longitude))) * 1000) / 1000
+        : null,
+      ids: members.map(p => p.id)
+    };
+    return { event_id: event.event_id, name: describeEvent(event), ...event };
+  });
+
+  return { events, skipped };
+}
+
+export default {
+  geoCentroid,
+  describeEvent,
+  clusterPhotoEvents
+};
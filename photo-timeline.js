@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Photo Timeline Helpers
+ *
+ * Date-range filtering and grouping for photos ingested with EXIF.
+ * Ingestion stores date_taken_iso ("2024-06-01T14:30:00") and
+ * date_taken_epoch (seconds), so a timeline query is:
+ * - Turn user-supplied bounds ("2024-06", "2024-06-01", full ISO) into epochs
+ * - Range-filter date_taken_epoch with a ChromaDB `where` clause
+ * - Bucket the matching photos by day or month with counts
+ *
+ * date_taken_epoch is the camera's wall-clock time read as UTC, so bounds are
+ * wall-clock times too: "2024-06-01" covers photos whose local capture date is
+ * June 1st, the same day groupByPeriod puts them under. An offset on a full
+ * timestamp bound is ignored.
+ */
+
+export const TIMELINE_GRANULARITIES = ['day', 'month'];
+
+/**
+ * Parse a timeline bound into epoch seconds
+ * Partial dates cover their whole period: as an end bound, "2024-06" means
+ * the last second of June 2024.
+ * @param {string} value - "YYYY", "YYYY-MM", "YYYY-MM-DD" or a full ISO timestamp
+ * @param {object} options - { end: true for an inclusive upper bound }
+ * @returns {number|null} Epoch seconds, or null if no bound was given
+ * @throws {Error} If the value is not a recognizable date
+ */
+export function parseDateBound(value, options = {}) {
+  const { end = false } = options;
+  if (value === null || value === undefined || value === '') return null;
+
+  const text = String(value).trim().replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3');
+  const partial = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(text);
+
+  if (partial) {
+    const [, year, month, day] = partial.map(Number);
+    let time;
+    if (!end) {
+      time = Date.UTC(year, (month || 1) - 1, day || 1);
+    } else if (day) {
+      time = Date.UTC(year, month - 1, day + 1) - 1000;
+    } else if (month) {
+      time = Date.UTC(year, month, 1) - 1000;
+    } else {
+      time = Date.UTC(year + 1, 0, 1) - 1000;
+    }
+    return Math.floor(time / 1000);
+  }
+
+  const wallClock = text.replace(' ', 'T').replace(/(?:Z|[+-]\d{2}:?\d{2})$/i, '');
+  const time = Date.parse(`${wallClock}Z`);
+  if (Number.isNaN(time)) {
+    throw new Error(`${end ? 'end' : 'start'} must be a date like "2024-06", "2024-06-01" or "2024-06-01T14:30:00", got ${JSON.stringify(value)}`);
+  }
+  return Math.floor(time / 1000);
+}
+
+/**
+ * ChromaDB where clause for photos taken between two epochs
+ * @param {number|null} start - Inclusive lower bound (epoch seconds)
+ * @param {number|null} end - Inclusive upper bound (epoch seconds)
+ * @returns {object} Where clause on date_taken_epoch
+ */
+export function buildDateWhere(start, end) {
+  const clauses = [];
+  if (start !== null) clauses.push({ date_taken_epoch: { $gte: start } });
+  if (end !== null) clauses.push({ date_taken_epoch: { $lte: end } });
+
+  // Without bounds, still require a normalized capture date
+  if (clauses.length === 0) return { date_taken_epoch: { $gte: Number.MIN_SAFE_INTEGER } };
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Bucket key for a capture time
+ * @param {object} metadata - Photo metadata with date_taken_iso or date_taken_epoch
+ * @param {string} granularity - 'day' or 'month'
+ * @returns {string|null} "YYYY-MM-DD" or "YYYY-MM"
+ */
+export function periodKey(metadata, granularity = 'day') {
+  const iso = metadata?.date_taken_iso ||
+    (typeof metadata?.date_taken_epoch === 'number' ? new Date(metadata.date_taken_epoch * 1000).toISOString() : null);
+  if (!iso) return null;
+  return iso.slice(0, granularity === 'month' ? 7 : 10);
+}
+
+/**
+ * Group photos into day or month buckets
+ * @param {Array<object>} photos - Photos with `id` and `metadata`
+ * @param {string} granularity - 'day' or 'month'
+ * @returns {Array<object>} [{ period, count, first, last, ids }] in chronological order
+ */
+export function groupByPeriod(photos, granularity = 'day') {
+  const groups = new Map();
+
+  for (const photo of photos) {
+    const period = periodKey(photo.metadata, granularity);
+    if (!period) continue;
+
+    const taken = photo.metadata.date_taken_iso || period;
+    const group = groups.get(period);
+    if (group) {
+      group.count++;
+      group.ids.push(photo.id);
+      if (taken < group.first) group.first = taken;
+      if (taken > group.last) group.last = taken;
+    } else {
+      groups.set(period, { period, count: 1, first: taken, last: taken, ids: [photo.id] });
+    }
+  }
+
+  return [...groups.values()].sort((a, b) => a.period.localeCompare(b.period));
+}
+
+export default {
+  TIMELINE_GRANULARITIES,
+  parseDateBound,
+  buildDateWhere,
+  periodKey,
+  groupByPeriod
+};
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Query Filter Validation
+ *
+ * Parses and validates ChromaDB `where` (metadata) and `where_document`
+ * (document content) filters supplied by tool callers, so malformed
+ * filters fail with a message that says what is wrong instead of an
+ * opaque server error.
+ *
+ * Filters may be passed as objects or JSON strings. A metadata filter with
+ * several fields is normalized into an explicit $and.
+ */
+
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte'];
+const NUMERIC_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+const LIST_OPERATORS = ['$in', '$nin'];
+const LOGICAL_OPERATORS = ['$and', '$or'];
+const DOCUMENT_OPERATORS = ['$contains', '$not_contains'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+// Accept an object or a JSON string; null/undefined/empty mean "no filter"
+function parseFilterInput(value, label) {
+  if (value === null || value === undefined || value === '') return null;
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`${label} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!isPlainObject(parsed)) {
+    throw new Error(`${label} must be a JSON object, got ${Array.isArray(parsed) ? 'an array' : typeof parsed}`);
+  }
+  if (Object.keys(parsed).length === 0) return null;
+
+  return parsed;
+}
+
+// Validate one field condition: a scalar or a single-operator object
+function validateCondition(field, condition, path) {
+  if (isScalar(condition)) return condition;
+
+  if (!isPlainObject(condition)) {
+    throw new Error(`${path}: value for "${field}" must be a string, number, boolean or operator object`);
+  }
+
+  const operators = Object.keys(condition);
+  if (operators.length !== 1) {
+    throw new Error(`${path}: condition on "${field}" must have exactly one operator, got ${operators.length ? operators.join(', ') : 'none'}`);
+  }
+
+  const [op] = operators;
+  const operand = condition[op];
+
+  if (COMPARISON_OPERATORS.includes(op)) {
+    if (!isScalar(operand)) {
+      throw new Error(`${path}: ${op} on "${field}" needs a string, number or boolean`);
+    }
+    if (NUMERIC_OPERATORS.includes(op) && typeof operand !== 'number') {
+      throw new Error(`${path}: ${op} on "${field}" needs a number, got ${JSON.stringify(operand)}`);
+    }
+  } else if (LIST_OPERATORS.includes(op)) {
+    if (!Array.isArray(operand) || operand.length === 0 || !operand.every(isScalar)) {
+      throw new Error(`${path}: ${op} on "${field}" needs a non-empty array of strings, numbers or booleans`);
+    }
+  } else {
+    throw new Error(`${path}: unknown operator "${op}" on "${field}" (use ${[...COMPARISON_OPERATORS, ...LIST_OPERATORS].join(', ')})`);
+  }
+
+  return condition;
+}
+
+function normalizeWhere(where, path) {
+  const keys = Object.keys(where);
+  const logical = keys.filter(k => LOGICAL_OPERATORS.includes(k));
+
+  if (logical.length > 0) {
+    if (keys.length !== 1) {
+      throw new Error(`${path}: ${logical[0]} cannot be combined with other keys at the same level`);
+    }
+    const op = logical[0];
+    const clauses = where[op];
+    if (!Array.isArray(clauses) || clauses.length === 0) {
+      throw new Error(`${path}: ${op} needs a non-empty array of filters`);
+    }
+
+    const normalized = clauses.map((clause, i) => {
+      if (!isPlainObject(clause) || Object.keys(clause).length === 0) {
+        throw new Error(`${path}.${op}[${i}]: each clause must be a non-empty object`);
+      }
+      return normalizeWhere(clause, `${path}.${op}[${i}]`);
+    });
+
+    // ChromaDB rejects single-clause logical operators
+    return normalized.length === 1 ? normalized[0] : { [op]: normalized };
+  }
+
+  for (const key of keys) {
+    if (key.startsWith('$')) {
+      throw new Error(`${path}: unknown operator "${key}" (top-level operators are ${LOGICAL_OPERATORS.join(', ')})`);
+    }
+    validateCondition(key, where[key], path);
+  }
+
+  // Several fields in one object mean "all of them"
+  return keys.length === 1 ? where : { $and: keys.map(key => ({ [key]: where[key] })) };
+}
+
+function normalizeWhereDocument(whereDocument, path) {
+  const keys = Object.keys(whereDocument);
+  if (keys.length !== 1) {
+    throw new Error(`${path} must have exactly one operator (${[...DOCUMENT_OPERATORS, ...LOGICAL_OPERATORS].join(', ')}), got ${keys.join(', ')}`);
+  }
+
+  const [op] = keys;
+  const operand = whereDocument[op];
+
+  if (DOCUMENT_OPERATORS.includes(op)) {
+    if (typeof operand !== 'string' || operand === '') {
+      throw new Error(`${path}: ${op} needs a non-empty string`);
+    }
+    return whereDocument;
+  }
+
+  if (LOGICAL_OPERATORS.includes(op)) {
+    if (!Array.isArray(operand) || operand.length === 0) {
+      throw new Error(`${path}: ${op} needs a non-empty array of document filters`);
+    }
+    const normalized = operand.map((clause, i) => {
+      if (!isPlainObject(clause)) {
+        throw new Error(`${path}.${op}[${i}]: each clause must be an object`);
+      }
+      return normalizeWhereDocument(clause, `${path}.${op}[${i}]`);
+    });
+    return normalized.length === 1 ? normalized[0] : { [op]: normalized };
+  }
+
+  throw new Error(`${path}: unknown operator "${op}" (use ${[...DOCUMENT_OPERATORS, ...LOGICAL_OPERATORS].join(', ')})`);
+}
+
+/**
+ * Parse and validate a metadata filter
+ * @param {object|string} where - Filter object or JSON string
+ * @returns {object|null} ChromaDB where clause, or null for no filter
+ * @throws {Error} If the filter is malformed
+ */
+export function parseWhere(where) {
+  const parsed = parseFilterInput(where, 'where');
+  return parsed ? normalizeWhere(parsed, 'where') : null;
+}
+
+/**
+ * Parse and validate a document content filter
+ * A plain (non-JSON) string is shorthand for { "$contains": string }.
+ * @param {object|string} whereDocument - Filter object, JSON string or search text
+ * @returns {object|null} ChromaDB whereDocument clause, or null for no filter
+ * @throws {Error} If the filter is malformed
+ */
+export function parseWhereDocument(whereDocument) {
+  if (typeof whereDocument === 'string' && whereDocument.trim() && !whereDocument.trim().startsWith('{')) {
+    return { $contains: whereDocument };
+  }
+
+  const parsed = parseFilterInput(whereDocument, 'where_document');
+  return parsed ? normalizeWhereDocument(parsed, 'where_document') : null;
+}
+
+export default {
+  parseWhere,
+  parseWhereDocument
+};
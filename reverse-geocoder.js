@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Reverse Geocoder
+ *
+ * Maps photo GPS coordinates to the nearest known city so place names
+ * ("Lisbon", "Portugal") become searchable text and metadata:
+ * - Uses the bundled gazetteer, or CHROMA_GAZETTEER (JSON rows of
+ *   [city, region, country, latitude, longitude]) for denser coverage
+ * - Buckets cities by whole degree of latitude so lookups only scan nearby bands
+ * - Beyond maxDistanceKm of every city (rural areas, gaps in the gazetteer)
+ *   falls back to the country of the nearest city within countryDistanceKm,
+ *   plus its region when the two nearest cities agree on it
+ * - Returns nothing further out (open sea)
+ */
+
+import { readFileSync } from 'fs';
+import { CITIES } from './gazetteer.js';
+import { haversineDistance } from './geo-search.js';
+
+const KM_PER_DEGREE_LATITUDE = 111.2;
+export const DEFAULT_MAX_DISTANCE_KM = 50;
+export const DEFAULT_COUNTRY_DISTANCE_KM = 300;
+
+// Loaded gazetteer: { bands: Map<floor(latitude), rows>, size }
+let gazetteer = null;
+
+// Validate and index gazetteer rows by latitude band
+function indexCities(rows) {
+  const bands = new Map();
+  let size = 0;
+
+  for (const row of rows) {
+    const [city, region, country, latitude, longitude] = row;
+    if (!city || typeof latitude !== 'number' || typeof longitude !== 'number') continue;
+
+    const band = Math.floor(latitude);
+    if (!bands.has(band)) bands.set(band, []);
+    bands.get(band).push({ city, region: region || null, country: country || null, latitude, longitude });
+    size++;
+  }
+
+  return { bands, size };
+}
+
+/**
+ * Load (or reload) the gazetteer used for lookups
+ * @param {Array<Array>} rows - Optional rows to use instead of CHROMA_GAZETTEER / the bundled cities
+ * @returns {number} Number of cities loaded
+ */
+export function loadGazetteer(rows = null) {
+  if (!rows && process.env.CHROMA_GAZETTEER) {
+    try {
+      rows = JSON.parse(readFileSync(process.env.CHROMA_GAZETTEER, 'utf-8'));
+    } catch (error) {
+      console.error(`⚠️ Could not load gazetteer ${process.env.CHROMA_GAZETTEER}: ${error.message}; using bundled cities`);
+    }
+  }
+
+  gazetteer = indexCities(Array.isArray(rows) ? rows : CITIES);
+  return gazetteer.size;
+}
+
+/**
+ * Find the nearest city to a coordinate
+ * Further than maxDistanceKm from every city, only the country (and the
+ * region, when the two nearest cities share it) is returned, with city null.
+ * @param {number} latitude - Latitude in decimal degrees
+ * @param {number} longitude - Longitude in decimal degrees
+ * @param {object} options - { maxDistanceKm, countryDistanceKm }
+ * @returns {object|null} { city, region, country, distance_km, precision: 'city' | 'region' | 'country' },
+ *   or null if nothing is close enough
+ */
+export function reverseGeocode(latitude, longitude, options = {}) {
+  const { maxDistanceKm = DEFAULT_MAX_DISTANCE_KM } = options;
+  const { countryDistanceKm = Math.max(maxDistanceKm, DEFAULT_COUNTRY_DISTANCE_KM) } = options;
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+  if (!gazetteer) loadGazetteer();
+
+  const reach = Math.ceil(Math.max(maxDistanceKm, countryDistanceKm) / KM_PER_DEGREE_LATITUDE);
+  const center = Math.floor(latitude);
+  let best = null;
+  let bestDistance = Infinity;
+  let second = null;
+
+  for (let band = center - reach; band <= center + reach; band++) {
+    for (const place of gazetteer.bands.get(band) || []) {
+      const distance = haversineDistance(latitude, longitude, place.latitude, place.longitude);
+      if (distance < bestDistance) {
+        second = best;
+        best = place;
+        bestDistance = distance;
+      } else if (!second || distance < haversineDistance(latitude, longitude, second.latitude, second.longitude)) {
+        second = place;
+      }
+    }
+  }
+
+  const distanceKm = Math.round(bestDistance * 10) / 10;
+  if (best && bestDistance <= maxDistanceKm) {
+    return { city: best.city, region: best.region, country: best.country, distance_km: distanceKm, precision: 'city' };
+  }
+  if (!best || !best.country || bestDistance > countryDistanceKm) return null;
+
+  // Regions can be small: only trust one both nearest cities agree on
+  const region = best.region && second?.region === best.region && second.country === best.country ? best.region : null;
+  return { city: null, region, country: best.country, distance_km: distanceKm, precision: region ? 'region' : 'country' };
+}
+
+/**
+ * Display name for a place ("Seville, Andalusia, Spain", or "Spain" without a city)
+ * The region is left out when it repeats the city name.
+ * @param {object} place - { city, region, country }
+ * @returns {string} Comma-separated place name
+ */
+export function placeName(place) {
+  if (!place) return '';
+  const region = place.region && place.region !== place.city ? place.region : null;
+  return [place.city, region, place.country].filter(Boolean).join(', ');
+}
+
+export default {
+  DEFAULT_MAX_DISTANCE_KM,
+  DEFAULT_COUNTRY_DISTANCE_KM,
+  loadGazetteer,
+  reverseGeocode,
+  placeName
+};
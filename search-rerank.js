@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Search Result Re-ranking
+ *
+ * Post-processing for search hits from chunked or near-duplicated files:
+ * - Maximal marginal relevance (MMR): trade relevance for diversity so the
+ *   top results are not five copies of the same passage
+ * - Grouping: collapse hits by a metadata field (full_path, category, ...)
+ *   into the best passage per group plus a hit count
+ * - Paging: opaque cursors tied to the query that produced them
+ */
+
+import { createHash } from 'crypto';
+import { tokenize } from './keyword-index.js';
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1] (0 for empty or zero vectors)
+ */
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Token-set overlap, used when hits carry no embeddings
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) if (b.has(term)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Re-rank hits with maximal marginal relevance
+ * Each step picks the hit maximizing
+ *   lambda * relevance - (1 - lambda) * (max similarity to already picked hits)
+ * @param {Array<object>} hits - Hits with `relevance` (higher is better) and optional `embedding`
+ * @param {object} options - { lambda: 0..1 (1 = pure relevance), limit }
+ * @returns {Array<object>} Selected hits in MMR order
+ */
+export function maximalMarginalRelevance(hits, options = {}) {
+  const { lambda = 0.5, limit = hits.length } = options;
+
+  // Fall back to text overlap when any hit lacks an embedding
+  const useEmbeddings = hits.every(h => Array.isArray(h.embedding) && h.embedding.length > 0);
+  const termSets = useEmbeddings ? null : hits.map(h => new Set(tokenize(h.content)));
+  const similarity = (i, j) => useEmbeddings
+    ? cosineSimilarity(hits[i].embedding, hits[j].embedding)
+    : jaccardSimilarity(termSets[i], termSets[j]);
+
+  const remaining = hits.map((_, i) => i);
+  const selected = [];
+  // Highest similarity of each remaining hit to anything selected so far
+  const maxSimilarity = new Array(hits.length).fill(0);
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestPos = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((i, pos) => {
+      const score = selected.length === 0
+        ? hits[i].relevance ?? 0
+        : lambda * (hits[i].relevance ?? 0) - (1 - lambda) * maxSimilarity[i];
+      if (score > bestScore) {
+        bestScore = score;
+        bestPos = pos;
+      }
+    });
+
+    const [picked] = remaining.splice(bestPos, 1);
+    selected.push(picked);
+    for (const i of remaining) {
+      maxSimilarity[i] = Math.max(maxSimilarity[i], similarity(i, picked));
+    }
+  }
+
+  return selected.map(i => hits[i]);
+}
+
+/**
+ * Collapse ranked hits by a metadata field
+ * Hits without the field are kept as their own group.
+ * @param {Array<object>} hits - Hits in rank order, each with `metadata`
+ * @param {string} field - Metadata field to group by (e.g. full_path, category)
+ * @returns {Array<object>} Best hit per group, with group, group_hits and group_ids
+ */
+export function groupHits(hits, field) {
+  const groups = new Map();
+
+  hits.forEach((hit, i) => {
+    const value = hit.metadata?.[field];
+    const key = value === undefined || value === null ? `__ungrouped_${i}` : `${typeof value}:${value}`;
+
+    const group = groups.get(key);
+    if (group) {
+      group.group_hits++;
+      group.group_ids.push(hit.id);
+    } else {
+      groups.set(key, { ...hit, group: value ?? null, group_hits: 1, group_ids: [hit.id] });
+    }
+  });
+
+  return [...groups.values()];
+}
+
+// ============================================
+// PAGING
+// ============================================
+
+// Short fingerprint of everything that determines a result list
+function queryFingerprint(params) {
+  return createHash('md5').update(JSON.stringify(params)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Encode the position of the next page as an opaque cursor
+ * @param {number} offset - Offset of the next page
+ * @param {object} params - Query parameters the cursor is valid for
+ * @returns {string} Cursor string
+ */
+export function encodeCursor(offset, params) {
+  return Buffer.from(JSON.stringify({ o: offset, q: queryFingerprint(params) })).toString('base64url');
+}
+
+/**
+ * Decode a cursor, checking it belongs to the same query
+ * @param {string} cursor - Cursor from a previous response
+ * @param {object} params - Query parameters of the current request
+ * @returns {number} Offset to continue from
+ * @throws {Error} If the cursor is malformed or was issued for a different query
+ */
+export function decodeCursor(cursor, params) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  } catch {
+    throw new Error('cursor is malformed; pass the next_cursor value from a previous response');
+  }
+
+  if (!Number.isInteger(decoded?.o) || decoded.o < 0) {
+    throw new Error('cursor is malformed; pass the next_cursor value from a previous response');
+  }
+  if (decoded.q !== queryFingerprint(params)) {
+    throw new Error('cursor belongs to a different query; repeat the search without a cursor to start over');
+  }
+
+  return decoded.o;
+}
+
+export default {
+  cosineSimilarity,
+  maximalMarginalRelevance,
+  groupHits,
+  encodeCursor,
+  decodeCursor
+};
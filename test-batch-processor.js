@@ -5,26 +5,197 @@
  * Run with: bun run test:batch
  */
 
-import { mkdir, writeFile, rm } from 'fs/promises';
+import { mkdir, writeFile, readFile, readdir, rm, rename, utimes } from 'fs/promises';
 import { join } from 'path';
+import { deflateSync, deflateRawSync } from 'zlib';
 import {
   FILE_TYPES,
   getFileCategory,
   generateDocId,
   processFile,
+  expandChunks,
   scanDirectory,
   batchProcessFiles,
+  incrementalIngest,
   getDirectoryStats
 } from './batch-processor.js';
+import { chunkText } from './chunker.js';
+import { extractPdf } from './pdf-extractor.js';
+import { extractOfficeDocument } from './office-extractor.js';
+import { extractSymbols } from './code-indexer.js';
+import { parseWhere, parseWhereDocument } from './query-filters.js';
+import {
+  parseCollectionPatterns,
+  matchCollectionNames,
+  distanceToSimilarity,
+  mergeRankedHits
+} from './federated-search.js';
+import {
+  tokenize,
+  buildKeywordIndex,
+  searchKeywordIndex,
+  removeDocuments,
+  reciprocalRankFusion,
+  ensureKeywordIndex,
+  keywordIndexKey,
+  invalidateKeywordIndex
+} from './keyword-index.js';
+import { maximalMarginalRelevance, groupHits, encodeCursor, decodeCursor } from './search-rerank.js';
+import { probeImage, probeImageReader, createBufferReader } from './image-probe.js';
+import { readMetadataRegion } from './exif-containers.js';
+import {
+  parseGpsPolicy,
+  loadGpsPolicies,
+  resolveGpsPolicy,
+  snapToGrid,
+  applyGpsPolicy,
+  redactLocationText
+} from './gps-privacy.js';
+import { describeLensRange } from './makernote-decoder.js';
+import { haversineDistance, parseGeoArea, buildGeoWhere, filterByArea } from './geo-search.js';
+import { extractExif, parseExifDate, exifToSummary, exifToMetadata } from './exif-extractor.js';
+import { reverseGeocode, placeName } from './reverse-geocoder.js';
+import { parseDateBound, buildDateWhere, groupByPeriod } from './photo-timeline.js';
+import { geoCentroid, clusterPhotoEvents } from './photo-events.js';
+import {
+  syncWatchedFiles,
+  backfillWatchFolder,
+  createPollingWatcher,
+  waitForStableFiles,
+  startWatcher,
+  stopWatcher,
+  getWatcherStatus,
+  restoreWatchers,
+  listWatchers,
+  stopAllWatchers
+} from './watch-folder.js';
 
 const TEST_DIR = '/tmp/chromadb-batch-test';
 
+// Keep keyword indexes written by the tests out of the user's real cache
+process.env.CHROMA_KEYWORD_INDEX_DIR = join(TEST_DIR, 'keyword-index');
+
 // Test utilities
 function log(msg, type = 'info') {
   const icons = { info: '📋', success: '✅', error: '❌', warning: '⚠️' };
   console.log(`${icons[type] || '•'} ${msg}`);
 }
 
+// Minimal in-memory stand-in for a ChromaDB collection (equality and $in filters only)
+function createMemoryCollection(id = null) {
+  const docs = new Map();
+
+  const matches = (meta, where) => !where || Object.entries(where).every(([key, cond]) =>
+    cond && typeof cond === 'object' && '$in' in cond ? cond.$in.includes(meta[key]) : meta[key] === cond
+  );
+
+  return {
+    id,
+    docs,
+    async count() {
+      return docs.size;
+    },
+    async get({ where, limit, offset = 0 } = {}) {
+      const entries = [...docs.entries()].filter(([, d]) => matches(d.metadata, where));
+      const page = entries.slice(offset, limit ? offset + limit : undefined);
+      return {
+        ids: page.map(([id]) => id),
+        documents: page.map(([, d]) => d.document),
+        metadatas: page.map(([, d]) => d.metadata)
+      };
+    },
+    async upsert({ ids, documents, metadatas }) {
+      ids.forEach((id, i) => docs.set(id, { document: documents[i], metadata: metadatas[i] }));
+    },
+    async delete({ ids }) {
+      ids.forEach(id => docs.delete(id));
+    }
+  };
+}
+
+// Build a small PDF with one FlateDecode content stream per page and an Info dictionary
+function buildPdf(pageContents, info) {
+  const objects = [];
+  const add = (body) => objects.push(Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'));
+
+  add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const pagesId = objects.length + pageContents.length * 2 + 1;
+  const pageIds = pageContents.map(ops => {
+    const data = deflateSync(Buffer.from(ops, 'latin1'));
+    add(Buffer.concat([
+      Buffer.from(`<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`),
+      data,
+      Buffer.from('\nendstream')
+    ]));
+    add(`<< /Type /Page /Parent ${pagesId} 0 R /Contents ${objects.length} 0 R >>`);
+    return objects.length;
+  });
+  add(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} /Resources << /Font << /F1 1 0 R >> >> >>`);
+  add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+  add(`<< /Title (${info.title}) /Author (${info.author}) /CreationDate (D:20240131120000Z) >>`);
+
+  const parts = [Buffer.from('%PDF-1.4\n')];
+  objects.forEach((body, i) => parts.push(Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')));
+  parts.push(Buffer.from(`trailer\n<< /Size ${objects.length + 1} /Root ${objects.length - 1} 0 R /Info ${objects.length} 0 R >>\n%%EOF\n`));
+  return Buffer.concat(parts);
+}
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Build a ZIP archive of deflated entries ({ name: content })
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(entries)) {
+    const data = Buffer.from(content);
+    const compressed = deflateRawSync(data);
+    const nameBuf = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, compressed);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + compressed.length;
+  }
+
+  const centralDir = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(entries).length, 8);
+  eocd.writeUInt16LE(Object.keys(entries).length, 10);
+  eocd.writeUInt32LE(centralDir.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDir, eocd]);
+}
+
 async function createTestFiles() {
   log('Creating test files...');
 
@@ -198,6 +369,8 @@ async function testFileCategories() {
     { file: 'photo.jpg', expected: 'images' },
     { file: 'model.stl', expected: 'cad' },
     { file: 'app.js', expected: 'code' },
+    { file: 'server.mjs', expected: 'code' },
+    { file: 'config.cjs', expected: 'code' },
     { file: 'config.json', expected: 'data' },
     { file: 'readme.md', expected: 'documents' },
     { file: 'unknown.xyz', expected: 'unknown' }
@@ -324,6 +497,1545 @@ async function testBatchProcessing(testDir) {
   return passed;
 }
 
+async function testChunking(testDir) {
+  log('\n=== Testing Text Chunking ===');
+
+  // Markdown is split on headings
+  const markdown = Array.from({ length: 6 }, (_, i) =>
+    `## Section ${i + 1}\n\n${'Lorem ipsum dolor sit amet. '.repeat(20)}\n`
+  ).join('\n');
+  const mdChunks = chunkText(markdown, { strategy: 'markdown', chunkSize: 800, chunkOverlap: 0 });
+  log(`  Markdown: ${mdChunks.length} chunks, first section "${mdChunks[0]?.section}"`);
+
+  // Code is split into line windows with overlap and exact line ranges
+  const code = Array.from({ length: 200 }, (_, i) => `const value${i} = ${i};`).join('\n');
+  const codeChunks = chunkText(code, { strategy: 'lines', chunkSize: 500, chunkOverlap: 100 });
+  const rangesValid = codeChunks.every(c =>
+    c.text === code.split('\n').slice(c.start_line - 1, c.end_line).join('\n') + (c.end_line < 200 ? '\n' : '') &&
+    c.text.length <= 500 &&
+    c.end_byte - c.start_byte === Buffer.byteLength(c.text)
+  );
+  const overlaps = codeChunks.slice(1).every((c, i) => c.start_line <= codeChunks[i].end_line);
+  log(`  Code: ${codeChunks.length} chunks, ranges valid: ${rangesValid}, overlapping: ${overlaps}`);
+
+  // Long files are chunked through processFile instead of truncated
+  const longFile = join(testDir, 'docs/long.md');
+  await writeFile(longFile, markdown.repeat(40));
+  const processed = await processFile(longFile, { chunkSize: 1000 });
+  const documents = expandChunks([processed]);
+  const lastChunk = documents[documents.length - 1];
+  const metaValid = documents.every((d, i) =>
+    d.metadata.parent_id === processed.id && d.metadata.chunk_index === i && d.metadata.chunk_count === documents.length
+  );
+  log(`  Long file: ${documents.length} chunks, last ends at line ${lastChunk.metadata.end_line}`);
+
+  const passed = mdChunks.length === 6 && mdChunks[0].section === 'Section 1' &&
+    codeChunks.length > 1 && rangesValid && overlaps &&
+    documents.length > 1 && metaValid && !processed.metadata.truncated;
+  log(`Text chunking: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testIncrementalIngest(testDir) {
+  log('\n=== Testing Incremental Ingest ===');
+
+  const dir = join(testDir, 'incremental');
+  await mkdir(dir, { recursive: true });
+  await writeFile(join(dir, 'keep.txt'), 'This file never changes');
+  await writeFile(join(dir, 'edit.txt'), 'Original content');
+  await writeFile(join(dir, 'gone.txt'), 'This file will be deleted');
+
+  const coll = createMemoryCollection();
+  const options = { sourceDirectory: dir, removeMissing: true, metadata: { source_directory: dir } };
+
+  const first = await incrementalIngest(coll, await scanDirectory(dir), options);
+  log(`  First run: ${first.added} added, ${first.unchanged} unchanged`);
+
+  // Edit one file, delete another, and touch the third without changing it
+  await writeFile(join(dir, 'edit.txt'), 'Edited content that is longer');
+  await rm(join(dir, 'gone.txt'));
+  const later = new Date(Date.now() + 60000);
+  await utimes(join(dir, 'keep.txt'), later, later);
+
+  const second = await incrementalIngest(coll, await scanDirectory(dir), options);
+  log(`  Second run: ${second.added} added, ${second.updated} updated, ${second.unchanged} unchanged, ${second.removed} removed`);
+
+  const stored = [...coll.docs.values()];
+  const editedDoc = stored.find(d => d.metadata.filename === 'edit.txt');
+
+  const passed = first.added === 3 && first.unchanged === 0 &&
+    second.added === 0 && second.updated === 1 && second.unchanged === 1 && second.removed === 1 &&
+    stored.length === 2 && editedDoc?.document === 'Edited content that is longer';
+  log(`Incremental ingest: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testPdfExtraction(testDir) {
+  log('\n=== Testing PDF Text Extraction ===');
+
+  const pdfPath = join(testDir, 'docs/report.pdf');
+  const filler = Array.from({ length: 30 }, (_, i) => `0 -14 Td (Filler line number ${i} for chunking) Tj`).join(' ');
+  await writeFile(pdfPath, buildPdf([
+    `BT /F1 12 Tf 72 720 Td (Quarterly report) Tj 0 -14 Td [(Revenue) -250 (grew) ] TJ ${filler} ET`,
+    `BT /F1 12 Tf 1 0 0 1 72 720 Tm (Second page \\(caf\\351\\)) Tj ${filler} ET`
+  ], { title: 'Q1 Report', author: 'Finance Team' }));
+
+  const pdf = await extractPdf(pdfPath);
+  log(`  Pages: ${pdf.pageCount}, title: ${pdf.info?.title}, author: ${pdf.info?.author}`);
+  log(`  Page 1 starts: ${JSON.stringify(pdf.pages?.[0].slice(0, 30))}`);
+
+  const processed = await processFile(pdfPath, { chunkSize: 600, chunkOverlap: 0 });
+  const documents = expandChunks([processed]);
+  log(`  processFile: ${documents.length} chunks, pages ${documents[0].metadata.page}-${documents[documents.length - 1].metadata.page_end}`);
+
+  // Over the size limit: not extracted, error recorded
+  const oversized = await processFile(pdfPath, { maxDocumentSize: 100 });
+  log(`  Over limit: ${oversized.metadata.extract_error}`);
+
+  const passed = pdf.pageCount === 2 &&
+    oversized.metadata.extract_error?.startsWith('File too large to extract') &&
+    oversized.metadata.page_count === undefined && !oversized.content.includes('Quarterly') &&
+    pdf.pages[0].startsWith('Quarterly report\nRevenue grew') &&
+    pdf.pages[1].startsWith('Second page (café)') &&
+    pdf.info.title === 'Q1 Report' && pdf.info.created === '2024-01-31T12:00:00.000Z' &&
+    processed.metadata.page_count === 2 && processed.metadata.author === 'Finance Team' &&
+    documents.length > 1 && documents[0].metadata.page === 1 &&
+    documents[documents.length - 1].metadata.page_end === 2 &&
+    !documents.some(d => d.content.includes('FlateDecode'));
+  log(`PDF extraction: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testOfficeExtraction(testDir) {
+  log('\n=== Testing Office Document Extraction ===');
+
+  const docxPath = join(testDir, 'docs/proposal.docx');
+  await writeFile(docxPath, buildZip({
+    'word/document.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>
+<w:p><w:pPr><w:pStyle w:val="Heading1"/><w:tabs><w:tab w:val="left" w:pos="720"/></w:tabs></w:pPr><w:r><w:t>Project Proposal</w:t></w:r></w:p>
+<w:p><w:r><w:t xml:space="preserve">Budget &amp; timeline </w:t></w:r><w:r><w:t>for Q3.</w:t></w:r></w:p>
+<w:p><w:r><w:t>Name</w:t></w:r><w:r><w:tab/><w:t>Value</w:t></w:r></w:p>
+</w:body></w:document>`,
+    'docProps/core.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<cp:coreProperties xmlns:cp="x" xmlns:dc="y" xmlns:dcterms="z"><dc:title>Proposal</dc:title><dc:creator>Alice</dc:creator><cp:lastModifiedBy>Bob</cp:lastModifiedBy></cp:coreProperties>`
+  }));
+
+  const odtPath = join(testDir, 'docs/notes.odt');
+  await writeFile(odtPath, buildZip({
+    'content.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content xmlns:office="o" xmlns:text="t"><office:body><office:text>
+<text:h text:outline-level="2">Meeting Notes</text:h>
+<text:p>Discussed<text:s text:c="2"/>the roadmap.</text:p>
+</office:text></office:body></office:document-content>`,
+    'meta.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-meta xmlns:office="o" xmlns:meta="m" xmlns:dc="d"><office:meta><dc:title>Notes</dc:title><meta:initial-creator>Carol</meta:initial-creator><dc:creator>Dave</dc:creator></office:meta></office:document-meta>`
+  }));
+
+  const docx = await extractOfficeDocument(docxPath);
+  const odt = await extractOfficeDocument(odtPath);
+  log(`  DOCX text: ${JSON.stringify(docx.text)}`);
+  log(`  ODT text: ${JSON.stringify(odt.text)}`);
+
+  const processed = await processFile(docxPath);
+  log(`  processFile metadata: title=${processed.metadata.title}, author=${processed.metadata.author}, last_modified_by=${processed.metadata.last_modified_by}`);
+
+  const passed = docx.text === '# Project Proposal\n\nBudget & timeline for Q3.\n\nName\tValue' &&
+    odt.text === '## Meeting Notes\n\nDiscussed  the roadmap.' &&
+    odt.properties.creator === 'Carol' && odt.properties.lastModifiedBy === 'Dave' &&
+    processed.content === docx.text &&
+    processed.metadata.title === 'Proposal' && processed.metadata.author === 'Alice' &&
+    processed.metadata.last_modified_by === 'Bob';
+  log(`Office extraction: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+// Symbols as "kind:Parent.name@start-end" for compact comparison
+function describeSymbols(symbols) {
+  return symbols.map(s => `${s.kind}:${s.parent ? s.parent + '.' : ''}${s.name}@${s.start_line}-${s.end_line}`);
+}
+
+async function testCodeIndexer(testDir) {
+  log('\n=== Testing Symbol-Level Code Indexing ===');
+
+  const jsSource = [
+    "import { readFile } from 'fs/promises';",
+    'const PATTERN = /[{]/g; // braces in regex literals are ignored',
+    '',
+    '// Load a config file',
+    'export async function loadConfig(path) {',
+    '  const text = `${path} {`;',
+    "  return JSON.parse(await readFile(path, 'utf-8'));",
+    '}',
+    '',
+    'class Cache {',
+    '  constructor() {',
+    '    this.items = new Map();',
+    '  }',
+    '',
+    '  get(key) {',
+    '    if (!this.items.has(key)) { return null; }',
+    '    return this.items.get(key);',
+    '  }',
+    '}',
+    '',
+    'export const double = (n) => n * 2;'
+  ].join('\n');
+  const jsSymbols = describeSymbols(extractSymbols(jsSource, 'javascript'));
+  log(`  JavaScript: ${jsSymbols.join(', ')}`);
+
+  const pySource = [
+    'class Greeter:',
+    '    """Says hello',
+    'def not_a_function():',
+    '    """',
+    '',
+    '    @staticmethod',
+    '    def greet(name):',
+    '        def helper():',
+    '            pass',
+    '        return f"hi {name}"',
+    '',
+    'def main():',
+    '    Greeter.greet("x")'
+  ].join('\n');
+  const pySymbols = describeSymbols(extractSymbols(pySource, 'python'));
+  log(`  Python: ${pySymbols.join(', ')}`);
+
+  const goSource = [
+    'package shapes',
+    '',
+    'type Rect struct {',
+    '\tW, H int',
+    '}',
+    '',
+    'func (r *Rect) Area() int {',
+    '\treturn r.W * r.H',
+    '}',
+    '',
+    'func New() *Rect { return &Rect{} }'
+  ].join('\n');
+  const goSymbols = describeSymbols(extractSymbols(goSource, 'go'));
+  log(`  Go: ${goSymbols.join(', ')}`);
+
+  // processFile stores one document per symbol with its location
+  const codeFile = join(testDir, 'code/config.js');
+  await writeFile(codeFile, jsSource);
+  const documents = expandChunks([await processFile(codeFile)]);
+  const getDoc = documents.find(d => d.metadata.symbol_name === 'get');
+  log(`  processFile: ${documents.length} documents, Cache.get at lines ${getDoc?.metadata.start_line}-${getDoc?.metadata.end_line}`);
+
+  const passed = jsSymbols.join(',') === 'function:loadConfig@4-8,class:Cache@10-19,method:Cache.constructor@11-13,method:Cache.get@15-18,function:double@21-21' &&
+    pySymbols.join(',') === 'class:Greeter@1-10,method:Greeter.greet@6-10,function:main@12-13' &&
+    goSymbols.join(',') === 'struct:Rect@3-5,method:Rect.Area@7-9,function:New@11-11' &&
+    getDoc?.metadata.symbol_kind === 'method' && getDoc.metadata.symbol_parent === 'Cache' &&
+    getDoc.metadata.language === 'javascript' && getDoc.content.startsWith('  get(key) {') &&
+    documents.some(d => d.metadata.symbol_kind === 'module' && d.content.includes('import { readFile }'));
+  log(`Code indexing: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testQueryFilters() {
+  log('\n=== Testing Search Filter Validation ===');
+
+  const combined = parseWhere('{"category": "code", "year": {"$gte": 2023}}');
+  const contains = parseWhereDocument('TODO');
+  log(`  Combined fields: ${JSON.stringify(combined)}`);
+
+  // Each malformed filter must be rejected with a message naming the problem
+  const malformed = [
+    [() => parseWhere('{"category": '), 'not valid JSON'],
+    [() => parseWhere({ year: { $gt: '2023' } }), '$gt on "year" needs a number'],
+    [() => parseWhere({ year: { $between: [1, 2] } }), 'unknown operator "$between"'],
+    [() => parseWhere({ tags: { $in: [] } }), '$in on "tags" needs a non-empty array'],
+    [() => parseWhere('[]'), 'must be a JSON object'],
+    [() => parseWhereDocument({ $regex: 'x' }), 'unknown operator "$regex"']
+  ];
+  const rejected = malformed.filter(([fn, expected]) => {
+    try {
+      fn();
+      return false;
+    } catch (error) {
+      log(`  Rejected: ${error.message}`);
+      return error.message.includes(expected);
+    }
+  });
+
+  const passed = JSON.stringify(combined) === '{"$and":[{"category":"code"},{"year":{"$gte":2023}}]}' &&
+    contains.$contains === 'TODO' && parseWhere('') === null && parseWhere({}) === null &&
+    rejected.length === malformed.length;
+  log(`Filter validation: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testFederatedSearch() {
+  log('\n=== Testing Federated Search Ranking ===');
+
+  const available = ['code_snippets', 'configurations', 'temp_downloads', 'temp_photos', 'troubleshooting'];
+  const { matched, unmatched } = matchCollectionNames(
+    parseCollectionPatterns('code_snippets, temp_*, missing_collection'),
+    available
+  );
+  log(`  Matched: ${matched.join(', ')}; unmatched: ${unmatched.join(', ')}`);
+
+  // Same passage in two collections, scored on different distance spaces
+  const hits = [
+    { id: 'a', collection: 'code_snippets', source: 'local', score: distanceToSimilarity(0.6, 'l2'), metadata: { full_path: '/src/a.js', chunk_index: 0 } },
+    { id: 'a_copy', collection: 'temp_downloads', source: 'local', score: distanceToSimilarity(0.2, 'cosine'), metadata: { full_path: '/src/a.js', chunk_index: 0 } },
+    { id: 'b', collection: 'temp_photos', source: 'remote', score: distanceToSimilarity(0.5, 'cosine'), metadata: {} },
+    { id: 'c', collection: 'code_snippets', source: 'local', score: distanceToSimilarity(1.8, 'l2'), metadata: {} }
+  ];
+  const merged = mergeRankedHits(hits, { limit: 10 });
+  log(`  Ranking: ${merged.map(h => `${h.collection}:${h.id}(${h.score.toFixed(2)})`).join(', ')}`);
+
+  const passed = matched.join(',') === 'code_snippets,temp_downloads,temp_photos' &&
+    unmatched.join(',') === 'missing_collection' &&
+    merged.length === 3 && merged[0].id === 'a_copy' && merged[0].also_in?.[0] === 'code_snippets' &&
+    merged[1].id === 'b' && merged[2].id === 'c' &&
+    mergeRankedHits(hits, { limit: 1 }).length === 1;
+  log(`Federated search: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testKeywordSearch() {
+  log('\n=== Testing Keyword (BM25) Index and Hybrid Fusion ===');
+
+  const coll = createMemoryCollection();
+  await coll.upsert({
+    ids: ['exif', 'ids', 'errors', 'notes'],
+    documents: [
+      'case 0x8825: // GPS IFD pointer\n  gpsOffset = value;',
+      'export function generateDocId(filePath, prefix) { return hash(filePath); }',
+      'Error: ECONNREFUSED 127.0.0.1:8001 while connecting to ChromaDB',
+      'Notes about documents and their IDs, generated nightly'
+    ],
+    metadatas: [{}, {}, {}, {}]
+  });
+
+  const index = await buildKeywordIndex(coll);
+  const hex = searchKeywordIndex(index, '0x8825');
+  const ident = searchKeywordIndex(index, 'generateDocId');
+  const error = searchKeywordIndex(index, 'ECONNREFUSED');
+  log(`  0x8825 -> ${hex[0]?.id}, generateDocId -> ${ident.map(h => h.id).join(', ')}, ECONNREFUSED -> ${error[0]?.id}`);
+  log(`  Tokens: ${tokenize('generateDocId HTTPServer snake_case').join(' ')}`);
+
+  // Removing a document drops it from results and document frequencies
+  removeDocuments(index, ['exif']);
+  const afterRemove = searchKeywordIndex(index, '0x8825');
+
+  // A document ranked by both lists beats one ranked first by only one
+  const fused = reciprocalRankFusion([['a', 'b', 'c'], ['b', 'd']]);
+  log(`  RRF: ${fused.map(f => `${f.id}(${f.ranks.join('/')})`).join(', ')}`);
+
+  // A collection dropped and recreated with as many documents gets a fresh index
+  const key = `test_keyword_recreated_${process.pid}`;
+  const original = createMemoryCollection('collection-1');
+  await original.upsert({ ids: ['a'], documents: ['quarterly invoice'], metadatas: [{}] });
+  const recreated = createMemoryCollection('collection-2');
+  await recreated.upsert({ ids: ['b'], documents: ['holiday itinerary'], metadatas: [{}] });
+  await ensureKeywordIndex(original, key);
+  const rebuilt = searchKeywordIndex(await ensureKeywordIndex(recreated, key), 'itinerary');
+  await invalidateKeywordIndex(key);
+
+  // Writes drop the remote index too, even when the document count is unchanged
+  const remoteKey = keywordIndexKey(key, 'remote');
+  await ensureKeywordIndex(original, remoteKey);
+  original.docs.get('a').document = 'quarterly receipt';
+  await invalidateKeywordIndex(key);
+  const remoteRebuilt = searchKeywordIndex(await ensureKeywordIndex(original, remoteKey), 'receipt');
+  const cached = await readFile(join(process.env.CHROMA_KEYWORD_INDEX_DIR, `${remoteKey.replace(/[^\w.-]/g, '_')}.json`), 'utf-8').catch(() => null);
+  await invalidateKeywordIndex(key);
+
+  const passed = hex[0]?.id === 'exif' && hex.length === 1 &&
+    ident[0]?.id === 'ids' && error[0]?.id === 'errors' &&
+    tokenize('generateDocId').join(',') === 'generatedocid,generate,doc,id' &&
+    afterRemove.length === 0 && index.doc_count === 3 && !('0x8825' in index.df) &&
+    fused[0].id === 'b' && fused[0].ranks.join(',') === '2,1' && fused.length === 4 &&
+    rebuilt[0]?.id === 'b' && remoteRebuilt[0]?.id === 'a' && cached !== null;
+  log(`Keyword search: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testSearchRerank() {
+  log('\n=== Testing MMR Re-ranking and Result Grouping ===');
+
+  // Three near-identical chunks of one file outrank a different, slightly weaker file
+  const hits = [
+    { id: 'a0', relevance: 0.95, embedding: [1, 0, 0], metadata: { full_path: '/a.md', category: 'documents' } },
+    { id: 'a1', relevance: 0.94, embedding: [0.99, 0.1, 0], metadata: { full_path: '/a.md', category: 'documents' } },
+    { id: 'a2', relevance: 0.93, embedding: [0.98, 0.12, 0], metadata: { full_path: '/a.md', category: 'documents' } },
+    { id: 'b0', relevance: 0.80, embedding: [0, 1, 0], metadata: { full_path: '/b.js', category: 'code' } },
+    { id: 'c0', relevance: 0.70, embedding: [0, 0, 1], metadata: {} }
+  ];
+
+  const diverse = maximalMarginalRelevance(hits, { lambda: 0.5, limit: 3 });
+  const pureRelevance = maximalMarginalRelevance(hits, { lambda: 1, limit: 3 });
+  log(`  MMR (0.5): ${diverse.map(h => h.id).join(', ')}; lambda 1: ${pureRelevance.map(h => h.id).join(', ')}`);
+
+  // Without embeddings, text overlap stands in for similarity
+  const textHits = [
+    { id: 't0', relevance: 0.9, content: 'watch folder debounce settings' },
+    { id: 't1', relevance: 0.89, content: 'watch folder debounce settings copy' },
+    { id: 't2', relevance: 0.7, content: 'pdf page extraction' }
+  ];
+  const textDiverse = maximalMarginalRelevance(textHits, { lambda: 0.5, limit: 2 });
+
+  const grouped = groupHits(hits, 'full_path');
+  log(`  Grouped by full_path: ${grouped.map(g => `${g.group ?? 'none'}=${g.id}x${g.group_hits}`).join(', ')}`);
+
+  const passed = diverse.map(h => h.id).join(',') === 'a0,b0,c0' &&
+    pureRelevance.map(h => h.id).join(',') === 'a0,a1,a2' &&
+    textDiverse.map(h => h.id).join(',') === 't0,t2' &&
+    grouped.length === 3 && grouped[0].id === 'a0' && grouped[0].group_hits === 3 &&
+    grouped[0].group_ids.join(',') === 'a0,a1,a2' && grouped[2].group === null &&
+    groupHits(hits, 'category').length === 3;
+  log(`Search re-ranking: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testSearchCursors() {
+  log('\n=== Testing Search Paging Cursors ===');
+
+  const params = { collection: 'code_snippets', query: 'debounce', mode: 'hybrid', limit: 5 };
+  const cursor = encodeCursor(10, params);
+  const offset = decodeCursor(cursor, { ...params });
+  log(`  Cursor ${cursor} -> offset ${offset}`);
+
+  const rejects = (fn, expected) => {
+    try {
+      fn();
+      return false;
+    } catch (error) {
+      log(`  Rejected: ${error.message}`);
+      return error.message.includes(expected);
+    }
+  };
+
+  const passed = offset === 10 &&
+    rejects(() => decodeCursor(cursor, { ...params, query: 'other' }), 'different query') &&
+    rejects(() => decodeCursor('not-a-cursor', params), 'malformed');
+  log(`Search cursors: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testGeoSearch() {
+  log('\n=== Testing Geo Search ===');
+
+  // Paris -> London is about 344 km
+  const parisLondon = haversineDistance(48.8566, 2.3522, 51.5074, -0.1278);
+  log(`  Paris -> London: ${parisLondon.toFixed(1)} km`);
+
+  const area = parseGeoArea({ latitude: 48.8566, longitude: 2.3522, radius_km: 2 });
+  const where = buildGeoWhere(area.bbox);
+  log(`  2 km box: ${JSON.stringify(area.bbox)}`);
+
+  const photo = (id, lat, lon) => ({ id, metadata: { gps_latitude: lat, gps_longitude: lon } });
+  const near = filterByArea([
+    photo('louvre', 48.8606, 2.3376), // ~1.1 km
+    photo('eiffel', 48.8584, 2.2945), // ~4.2 km
+    photo('no-gps', undefined, undefined)
+  ], area);
+  log(`  Within 2 km: ${near.map(h => `${h.id} (${h.distance_km} km)`).join(', ')}`);
+
+  // A box across the antimeridian (Fiji) matches both sides of it
+  const fiji = parseGeoArea({ bbox: { north: -15, south: -20, east: -179, west: 177 } });
+  const fijiWhere = buildGeoWhere(fiji.bbox);
+  const inFiji = filterByArea([photo('suva', -18.14, 178.44), photo('lau', -17.5, -179.2), photo('tonga', -21.1, -175.2)], fiji);
+  log(`  Antimeridian box: ${inFiji.map(h => h.id).join(', ')}`);
+
+  let rejected = false;
+  try {
+    parseGeoArea({ latitude: 95, longitude: 0, radius_km: 1 });
+  } catch (error) {
+    rejected = error.message.includes('latitude');
+  }
+
+  const passed = Math.abs(parisLondon - 343.5) < 2 &&
+    where.$and.length === 4 &&
+    where.$and[0].gps_latitude.$gte < 48.8566 &&
+    near.length === 1 && near[0].id === 'louvre' && near[0].distance_km < 2 &&
+    fijiWhere.$and[2].$or.length === 2 &&
+    inFiji.map(h => h.id).join(',') === 'suva,lau' &&
+    rejected;
+  log(`Geo search: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testPhotoTimeline() {
+  log('\n=== Testing Photo Timeline ===');
+
+  const local = parseExifDate('2024:06:01 14:30:05');
+  const zoned = parseExifDate('2024:06:01 14:30:05', '+02:00');
+  log(`  EXIF date -> ${local.iso} (${local.epoch}), with offset -> ${zoned.iso} (${zoned.epoch})`);
+
+  // Date-only bounds cover whole days/months
+  const start = parseDateBound('2024-06-01');
+  const end = parseDateBound('2024-06', { end: true });
+  log(`  Bounds: ${new Date(start * 1000).toISOString()} .. ${new Date(end * 1000).toISOString()}`);
+
+  const photo = (id, date) => {
+    const taken = parseExifDate(date);
+    return { id, metadata: { date_taken_iso: taken.iso, date_taken_epoch: taken.epoch } };
+  };
+  const photos = [
+    photo('a', '2024:06:02 09:00:00'),
+    photo('b', '2024:06:01 18:00:00'),
+    photo('c', '2024:06:01 08:00:00'),
+    photo('d', '2024:07:04 12:00:00')
+  ];
+  const days = groupByPeriod(photos, 'day');
+  const months = groupByPeriod(photos, 'month');
+  log(`  Days: ${days.map(g => `${g.period}=${g.count}`).join(', ')}`);
+  log(`  Months: ${months.map(g => `${g.period}=${g.count}`).join(', ')}`);
+
+  const inRange = photos.filter(p => p.metadata.date_taken_epoch >= start && p.metadata.date_taken_epoch <= end);
+
+  // Early morning with an offset: filtered and bucketed under the same local day
+  const early = parseExifDate('2024:06:01 01:30:00', '+02:00');
+  const dayStart = parseDateBound('2024-06-01');
+  const dayEnd = parseDateBound('2024-06-01', { end: true });
+  const earlyInDay = early.epoch >= dayStart && early.epoch <= dayEnd &&
+    groupByPeriod([{ id: 'e', metadata: { date_taken_iso: early.iso, date_taken_epoch: early.epoch } }])[0].period === '2024-06-01';
+
+  const passed = local.iso === '2024-06-01T14:30:05' &&
+    zoned.iso === '2024-06-01T14:30:05+02:00' && zoned.epoch === local.epoch &&
+    local.epoch - zoned.utcEpoch === 7200 && local.utcEpoch === undefined &&
+    earlyInDay && early.utcEpoch === 1717198200 &&
+    parseDateBound('2024-06-01T14:30:05+02:00') === local.epoch &&
+    parseExifDate('0000:00:00 00:00:00') === null &&
+    new Date(end * 1000).toISOString() === '2024-06-30T23:59:59.000Z' &&
+    buildDateWhere(start, end).$and.length === 2 &&
+    inRange.length === 3 &&
+    days.map(g => `${g.period}=${g.count}`).join(',') === '2024-06-01=2,2024-06-02=1,2024-07-04=1' &&
+    days[0].first === '2024-06-01T08:00:00' &&
+    months.map(g => g.count).join(',') === '3,1';
+  log(`Photo timeline: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testPhotoEvents() {
+  log('\n=== Testing Photo Event Clustering ===');
+
+  const photo = (id, date, lat, lon) => {
+    const taken = parseExifDate(date);
+    return {
+      id,
+      metadata: {
+        date_taken_iso: taken.iso,
+        date_taken_epoch: taken.epoch,
+        ...(lat !== undefined ? { gps_latitude: lat, gps_longitude: lon } : {})
+      }
+    };
+  };
+
+  const photos = [
+    // Lisbon weekend, one photo without GPS
+    photo('lis-1', '2024:05:10 10:00:00', 38.7223, -9.1393),
+    photo('lis-2', '2024:05:10 13:30:00', 38.7139, -9.1334),
+    photo('lis-3', '2024:05:10 16:00:00'),
+    // Same afternoon, but 270 km away in Porto -> new event
+    photo('opo-1', '2024:05:10 19:00:00', 41.1579, -8.6291),
+    // Two weeks later at home -> new event by time gap
+    photo('home-1', '2024:05:24 09:00:00', 38.7223, -9.1393),
+    { id: 'undated', metadata: { gps_latitude: 38.7, gps_longitude: -9.1 } }
+  ];
+
+  const { events, skipped } = clusterPhotoEvents(photos, { maxGapHours: 6, maxDistanceKm: 50 });
+  for (const event of events) {
+    log(`  ${event.event_id}: ${event.name} (${event.count} photos, ${event.geotagged} geotagged)`);
+  }
+
+  const again = clusterPhotoEvents([...photos].reverse(), { maxGapHours: 6, maxDistanceKm: 50 });
+  const fiji = geoCentroid([{ latitude: -17, longitude: 179 }, { latitude: -17, longitude: -179 }]);
+  log(`  Antimeridian centroid: ${fiji.latitude}, ${fiji.longitude}`);
+
+  const passed = events.length === 3 &&
+    events[0].ids.join(',') === 'lis-1,lis-2,lis-3' &&
+    events[0].name.startsWith('2024-05-10 @ 38.71') &&
+    events[1].ids.join(',') === 'opo-1' &&
+    events[2].ids.join(',') === 'home-1' &&
+    skipped.join(',') === 'undated' &&
+    again.events.map(e => e.event_id).join(',') === events.map(e => e.event_id).join(',') &&
+    Math.abs(Math.abs(fiji.longitude) - 180) < 0.001;
+  log(`Photo event clustering: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testReverseGeocoding() {
+  log('\n=== Testing Offline Reverse Geocoding ===');
+
+  // Belém tower is ~6 km from central Lisbon
+  const belem = reverseGeocode(38.6916, -9.2160);
+  const seville = reverseGeocode(37.3861, -5.9926);
+  const atlantic = reverseGeocode(40.0, -40.0);
+  const fiji = reverseGeocode(-18.0, 179.9, { maxDistanceKm: 200 });
+  // Rural La Mancha: ~100 km from the nearest bundled city, still in Spain
+  const rural = reverseGeocode(39.5, -3.5);
+  const ruralMeta = exifToMetadata({ hasExif: true, gps: { latitude: 39.5, longitude: -3.5 }, place: rural });
+  log(`  Belém -> ${placeName(belem)} (${belem?.distance_km} km)`);
+  log(`  Seville -> ${placeName(seville)}`);
+  log(`  Mid-Atlantic -> ${atlantic}`);
+  log(`  Across the antimeridian -> ${placeName(fiji)}`);
+  log(`  Rural Spain -> ${placeName(rural)} (${rural?.precision}, ${rural?.distance_km} km)`);
+
+  const exif = {
+    hasExif: true,
+    gps: { latitude: 38.6916, longitude: -9.2160 },
+    place: belem
+  };
+  const meta = exifToMetadata(exif);
+  const summary = exifToSummary(exif);
+  log(`  Summary: ${summary.replace(/\n/g, ' | ')}`);
+
+  const passed = belem?.city === 'Lisbon' && belem.country === 'Portugal' &&
+    placeName(belem) === 'Lisbon, Portugal' &&
+    placeName(seville) === 'Seville, Andalusia, Spain' &&
+    atlantic === null &&
+    fiji?.country === 'Fiji' &&
+    rural?.city === null && rural.country === 'Spain' && rural.precision === 'country' && placeName(rural) === 'Spain' &&
+    ruralMeta.place_country === 'Spain' && !('place_city' in ruralMeta) &&
+    meta.place_city === 'Lisbon' && meta.place_region === 'Lisbon' && meta.place_country === 'Portugal' &&
+    summary.includes('Place: Lisbon, Portugal');
+  log(`Reverse geocoding: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+// Build a JPEG with XMP (APP1) and IPTC (APP13) segments but no EXIF
+function buildTaggedJpeg({ xmp, iptc }) {
+  const segment = (marker, payload) => {
+    const header = Buffer.from([0xFF, marker, 0, 0]);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+  };
+
+  const records = Buffer.concat([
+    Buffer.from([0x1C, 1, 90, 0, 3, 0x1B, 0x25, 0x47]), // UTF-8 marker
+    ...iptc.map(([dataset, text]) => {
+      const value = Buffer.from(text, 'utf-8');
+      const header = Buffer.from([0x1C, 2, dataset, 0, 0]);
+      header.writeUInt16BE(value.length, 3);
+      return Buffer.concat([header, value]);
+    })
+  ]);
+  const resource = Buffer.alloc(12);
+  resource.write('8BIM', 0, 'latin1');
+  resource.writeUInt16BE(0x0404, 4);
+  resource.writeUInt32BE(records.length, 8); // empty name padded to 2 bytes
+
+  return Buffer.concat([
+    Buffer.from([0xFF, 0xD8]),
+    segment(0xE1, Buffer.concat([Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1'), Buffer.from(xmp, 'utf-8')])),
+    segment(0xED, Buffer.concat([Buffer.from('Photoshop 3.0\0', 'latin1'), resource, records])),
+    Buffer.from([0xFF, 0xD9])
+  ]);
+}
+
+async function testXmpIptc(testDir) {
+  log('\n=== Testing XMP / IPTC Extraction ===');
+
+  const xmp = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about="" xmp:Rating="4" xmp:Label="Green">
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">Tram 28 at dusk</rdf:li></rdf:Alt></dc:title>
+      <dc:subject><rdf:Bag><rdf:li>tram</rdf:li><rdf:li>Lisbon &amp; trams</rdf:li></rdf:Bag></dc:subject>
+      <dc:creator><rdf:Seq><rdf:li>Ana Costa</rdf:li></rdf:Seq></dc:creator>
+    </rdf:Description></rdf:RDF></x:xmpmeta>`;
+  const jpegPath = join(testDir, 'images/tagged.jpg');
+  await writeFile(jpegPath, buildTaggedJpeg({
+    xmp,
+    iptc: [[25, 'tram'], [25, 'Alfama'], [120, 'Yellow tram climbing through Alfama'], [116, '© Ana Costa']]
+  }));
+
+  const exif = await extractExif(jpegPath);
+  const d = exif.descriptive;
+  log(`  hasExif: ${exif.hasExif}, sources: ${d?.sources.join('+')}`);
+  log(`  Title: ${d?.title}, rating: ${d?.rating}, keywords: ${d?.keywords.join(' | ')}`);
+
+  const meta = exifToMetadata(exif);
+  const processed = await processFile(jpegPath);
+  log(`  Description: ${processed.content.replace(/\n/g, ' | ')}`);
+
+  const passed = exif.hasExif === false &&
+    d?.sources.join(',') === 'xmp,iptc' &&
+    d.title === 'Tram 28 at dusk' &&
+    d.caption === 'Yellow tram climbing through Alfama' &&
+    d.keywords.join(',') === 'tram,Lisbon & trams,Alfama' &&
+    d.rating === 4 && d.label === 'Green' &&
+    d.creator.join(',') === 'Ana Costa' && d.copyright === '© Ana Costa' &&
+    meta.keywords === 'tram, Lisbon & trams, Alfama' && meta.author === 'Ana Costa' &&
+    exifToSummary(exif).includes('Caption: Yellow tram') &&
+    processed.metadata.rating === 4 &&
+    processed.content.includes('Keywords: tram, Lisbon & trams, Alfama');
+  log(`XMP / IPTC extraction: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+// Minimal little-endian TIFF block with Make and Model in IFD0
+function buildTiffExif(make, model) {
+  const strings = [Buffer.from(`${make}\0`, 'latin1'), Buffer.from(`${model}\0`, 'latin1')];
+  const ifd = Buffer.alloc(8 + 2 + 2 * 12 + 4);
+  ifd.write('II', 0, 'latin1');
+  ifd.writeUInt16LE(42, 2);
+  ifd.writeUInt32LE(8, 4);
+  ifd.writeUInt16LE(2, 8);
+
+  let dataOffset = ifd.length;
+  [0x010F, 0x0110].forEach((tag, i) => {
+    const entry = 10 + i * 12;
+    ifd.writeUInt16LE(tag, entry);
+    ifd.writeUInt16LE(2, entry + 2); // ASCII
+    ifd.writeUInt32LE(strings[i].length, entry + 4);
+    ifd.writeUInt32LE(dataOffset, entry + 8);
+    dataOffset += strings[i].length;
+  });
+
+  return Buffer.concat([ifd, ...strings]);
+}
+
+async function testExifContainers(testDir) {
+  log('\n=== Testing EXIF in HEIC / PNG / WebP / RAW ===');
+
+  const exifPayload = model => Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), buildTiffExif('Canon', model)]);
+  const u32be = n => { const b = Buffer.alloc(4); b.writeUInt32BE(n); return b; };
+  const u32le = n => { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; };
+
+  // PNG: signature, IHDR, eXIf; a second PNG carries it as a zTXt raw profile
+  const pngChunk = (type, data) => Buffer.concat([u32be(data.length), Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+  const pngSignature = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  const ihdr = pngChunk('IHDR', Buffer.concat([u32be(1), u32be(1), Buffer.from([8, 2, 0, 0, 0])]));
+  const png = Buffer.concat([pngSignature, ihdr, pngChunk('eXIf', buildTiffExif('Canon', 'PNG eXIf')), pngChunk('IEND', Buffer.alloc(0))]);
+  const rawProfile = exifPayload('PNG zTXt');
+  const profileText = `\nexif\n${String(rawProfile.length).padStart(8)}\n${rawProfile.toString('hex').replace(/(.{72})/g, '$1\n')}\n`;
+  const pngText = Buffer.concat([
+    pngSignature, ihdr,
+    pngChunk('zTXt', Buffer.concat([Buffer.from('Raw profile type exif\0\0', 'latin1'), deflateSync(Buffer.from(profileText, 'latin1'))])),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+
+  // WebP: RIFF container with an odd-sized VP8X chunk before EXIF
+  const webpExif = exifPayload('WebP');
+  const webpBody = Buffer.concat([
+    Buffer.from('WEBP', 'latin1'),
+    Buffer.from('VP8X', 'latin1'), u32le(9), Buffer.alloc(10),
+    Buffer.from('EXIF', 'latin1'), u32le(webpExif.length), webpExif
+  ]);
+  const webp = Buffer.concat([Buffer.from('RIFF', 'latin1'), u32le(webpBody.length), webpBody]);
+
+  // HEIC: ftyp, meta (iinf + iloc pointing into mdat), mdat
+  const box = (type, ...parts) => {
+    const payload = Buffer.concat(parts);
+    return Buffer.concat([u32be(payload.length + 8), Buffer.from(type, 'latin1'), payload]);
+  };
+  const heicItem = Buffer.concat([u32be(0), exifPayload('HEIC')]);
+  const infe = box('infe', Buffer.from([2, 0, 0, 0, 0, 1, 0, 0]), Buffer.from('Exif\0', 'latin1'));
+  const iinf = box('iinf', Buffer.from([0, 0, 0, 0, 0, 1]), infe);
+  const ftyp = box('ftyp', Buffer.from('heic\0\0\0\0mif1heic', 'latin1'));
+  const iloc = mdatOffset => box('iloc', Buffer.from([0, 0, 0, 0, 0x44, 0x00, 0, 1, 0, 1, 0, 0, 0, 1]), u32be(mdatOffset), u32be(heicItem.length));
+  const meta = mdatOffset => box('meta', Buffer.alloc(4), iinf, iloc(mdatOffset));
+  const mdatOffset = ftyp.length + meta(0).length + 8;
+  const heic = Buffer.concat([ftyp, meta(mdatOffset), box('mdat', heicItem)]);
+
+  // Large files: EXIF after 4 MB of PNG image data, and a RAW whose pixel strips follow the IFDs
+  const pixels = Buffer.alloc(4 * 1024 * 1024, 0x5A);
+  const largePng = Buffer.concat([pngSignature, ihdr, pngChunk('IDAT', pixels), pngChunk('eXIf', buildTiffExif('Canon', 'PNG large')), pngChunk('IEND', Buffer.alloc(0))]);
+  const largeNef = Buffer.concat([buildTiffExif('Nikon', 'Z6 large'), pixels]);
+
+  const files = {
+    'exif.png': png,
+    'exif-text.png': pngText,
+    'exif.webp': webp,
+    'exif.heic': heic,
+    'exif.nef': buildTiffExif('Nikon', 'Z6 NEF'),
+    'exif-large.png': largePng,
+    'exif-large.nef': largeNef
+  };
+
+  const models = {};
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = join(testDir, 'images', name);
+    await writeFile(filePath, content);
+    const exif = await extractExif(filePath);
+    models[name] = exif.hasExif ? `${exif.camera.make} ${exif.camera.model}` : `none (${exif.reason})`;
+    log(`  ${name}: ${models[name]}`);
+  }
+
+  // Only the metadata regions are read, never the pixel data
+  const bytesRead = {};
+  for (const name of ['exif-large.png', 'exif-large.nef', 'exif.heic']) {
+    const reader = createBufferReader(files[name]);
+    let total = 0;
+    await readMetadataRegion({ ...reader, read: async (offset, length) => {
+      const data = await reader.read(offset, length);
+      total += data.length;
+      return data;
+    } });
+    bytesRead[name] = total;
+  }
+  log(`  Bytes read: ${JSON.stringify(bytesRead)}`);
+
+  const passed = models['exif.png'] === 'Canon PNG eXIf' &&
+    models['exif-text.png'] === 'Canon PNG zTXt' &&
+    models['exif.webp'] === 'Canon WebP' &&
+    models['exif.heic'] === 'Canon HEIC' &&
+    models['exif.nef'] === 'Nikon Z6 NEF' &&
+    models['exif-large.png'] === 'Canon PNG large' &&
+    models['exif-large.nef'] === 'Nikon Z6 large' &&
+    Object.values(bytesRead).every(total => total < 4096);
+  log(`EXIF containers: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testImageProbe(testDir) {
+  log('\n=== Testing Header-only Image Probe ===');
+
+  const u16le = n => { const b = Buffer.alloc(2); b.writeUInt16LE(n); return b; };
+  const u32le = n => { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; };
+  const u32be = n => { const b = Buffer.alloc(4); b.writeUInt32BE(n); return b; };
+  const pngChunk = (type, data) => Buffer.concat([u32be(data.length), Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+  const riff = (...chunks) => {
+    const body = Buffer.concat([Buffer.from('WEBP', 'latin1'), ...chunks]);
+    return Buffer.concat([Buffer.from('RIFF', 'latin1'), u32le(body.length), body]);
+  };
+  const riffChunk = (fourcc, data) => Buffer.concat([Buffer.from(fourcc, 'latin1'), u32le(data.length), data, Buffer.alloc(data.length % 2)]);
+  const box = (type, ...parts) => {
+    const payload = Buffer.concat(parts);
+    return Buffer.concat([u32be(payload.length + 8), Buffer.from(type, 'latin1'), payload]);
+  };
+
+  // Animated PNG: 640x480 RGBA with acTL before IDAT
+  const apng = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', Buffer.concat([u32be(640), u32be(480), Buffer.from([8, 6, 0, 0, 0])])),
+    pngChunk('acTL', Buffer.concat([u32be(3), u32be(0)])),
+    pngChunk('IDAT', Buffer.alloc(4)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+
+  // GIF: 2 frames, global color table of 4 entries, one extension block
+  const gifFrame = Buffer.concat([Buffer.from([0x2C]), Buffer.alloc(8), Buffer.from([0, 2, 1, 0, 0])]);
+  const gif = Buffer.concat([
+    Buffer.from('GIF89a', 'latin1'), u16le(320), u16le(200), Buffer.from([0x81, 0, 0]), Buffer.alloc(12),
+    Buffer.from([0x21, 0xF9, 4, 0, 0, 0, 0, 0]),
+    gifFrame, gifFrame, Buffer.from([0x3B])
+  ]);
+
+  // BMP: BITMAPINFOHEADER, 24-bit, top-down (negative height)
+  const bmpDib = Buffer.alloc(40);
+  bmpDib.writeUInt32LE(40, 0);
+  bmpDib.writeInt32LE(800, 4);
+  bmpDib.writeInt32LE(-600, 8);
+  bmpDib.writeUInt16LE(1, 12);
+  bmpDib.writeUInt16LE(24, 14);
+  const bmp = Buffer.concat([Buffer.from('BM', 'latin1'), Buffer.alloc(12), bmpDib]);
+
+  // WebP: lossy VP8, lossless VP8L with alpha, animated VP8X with two ANMF frames
+  const vp8 = Buffer.concat([Buffer.alloc(3), Buffer.from([0x9D, 0x01, 0x2A]), u16le(1024), u16le(768), Buffer.alloc(2)]);
+  const vp8l = Buffer.concat([Buffer.from([0x2F]), u32le((1999) | (999 << 14) | (1 << 28)), Buffer.alloc(1)]);
+  const vp8x = Buffer.from([0x12, 0, 0, 0, 0xFF, 0x00, 0x00, 0x7F, 0x00, 0x00]); // anim + alpha, 256x128
+  const webps = {
+    lossy: riff(riffChunk('VP8 ', vp8)),
+    lossless: riff(riffChunk('VP8L', vp8l)),
+    animated: riff(riffChunk('VP8X', vp8x), riffChunk('ANIM', Buffer.alloc(6)), riffChunk('ANMF', Buffer.alloc(17)), riffChunk('ANMF', Buffer.alloc(17)))
+  };
+
+  // HEIC: grid of 512x512 tiles; the primary image's ispe is 4032x3024
+  const ispe = (w, h) => box('ispe', Buffer.alloc(4), u32be(w), u32be(h));
+  const heic = Buffer.concat([
+    box('ftyp', Buffer.from('heic\0\0\0\0mif1heic', 'latin1')),
+    box('meta', Buffer.alloc(4), box('iprp', box('ipco', ispe(512, 512), ispe(4032, 3024), box('pixi', Buffer.alloc(4), Buffer.from([3, 10, 10, 10])))))
+  ]);
+
+  // DNG-style TIFF: IFD0 is a 256x171 preview, SubIFD holds the 6000x4000 CFA image
+  const dng = Buffer.alloc(200);
+  dng.write('II', 0, 'latin1');
+  dng.writeUInt16LE(42, 2);
+  dng.writeUInt32LE(8, 4);
+  const writeIfd = (offset, entries, next = 0) => {
+    dng.writeUInt16LE(entries.length, offset);
+    entries.forEach(([tag, type, value], i) => {
+      const at = offset + 2 + i * 12;
+      dng.writeUInt16LE(tag, at);
+      dng.writeUInt16LE(type, at + 2);
+      dng.writeUInt32LE(1, at + 4);
+      if (type === 3) dng.writeUInt16LE(value, at + 8);
+      else dng.writeUInt32LE(value, at + 8);
+    });
+    dng.writeUInt32LE(next, offset + 2 + entries.length * 12);
+  };
+  writeIfd(8, [[0x00FE, 4, 1], [0x0100, 3, 256], [0x0101, 3, 171], [0x0102, 3, 8], [0x0106, 3, 2], [0x014A, 4, 100]]);
+  writeIfd(100, [[0x00FE, 4, 0], [0x0100, 4, 6000], [0x0101, 4, 4000], [0x0102, 3, 14], [0x0106, 3, 32803]]);
+
+  const probes = {};
+  for (const [name, buffer, ext] of [
+    ['apng', apng], ['gif', gif], ['bmp', bmp],
+    ['webp-lossy', webps.lossy], ['webp-lossless', webps.lossless], ['webp-animated', webps.animated],
+    ['heic', heic], ['dng', dng, '.dng']
+  ]) {
+    const p = await probeImageReader(createBufferReader(buffer), { ext });
+    probes[name] = p;
+    log(`  ${name}: ${p.format} ${p.width}x${p.height} ${p.bit_depth}-bit ${p.color_type}, frames=${p.frames}${p.error ? ` (${p.error})` : ''}`);
+  }
+
+  // Progressive JPEG behind 120 KB of APP segments: only headers should be read
+  const app = Buffer.concat([Buffer.from([0xFF, 0xE2, 0xFF, 0xFF]), Buffer.alloc(0xFFFD)]);
+  const sof2 = Buffer.from([0xFF, 0xC2, 0x00, 0x11, 0x08, 0x0B, 0xB8, 0x0F, 0xA0, 0x03, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  const jpeg = Buffer.concat([Buffer.from([0xFF, 0xD8]), app, app, sof2, Buffer.from([0xFF, 0xDA]), Buffer.alloc(256 * 1024), Buffer.from([0xFF, 0xD9])]);
+  const jpegPath = join(testDir, 'images', 'progressive.jpg');
+  await writeFile(jpegPath, jpeg);
+  const jp = await probeImage(jpegPath);
+  log(`  progressive.jpg: ${jp.width}x${jp.height} progressive=${jp.progressive}, read ${jp.bytes_read} of ${jpeg.length} bytes`);
+
+  const { metadata } = await processFile(join(testDir, 'images', 'test.png'));
+  log(`  test.png via processFile: ${metadata.width}x${metadata.height} ${metadata.color_type}`);
+
+  const passed = probes.apng.width === 640 && probes.apng.height === 480 &&
+    probes.apng.color_type === 'rgba' && probes.apng.bit_depth === 32 && probes.apng.frames === 3 && probes.apng.animated &&
+    probes.gif.width === 320 && probes.gif.height === 200 && probes.gif.frames === 2 && probes.gif.bit_depth === 2 &&
+    probes.bmp.width === 800 && probes.bmp.height === 600 && probes.bmp.bit_depth === 24 &&
+    probes['webp-lossy'].width === 1024 && probes['webp-lossy'].height === 768 &&
+    probes['webp-lossless'].width === 2000 && probes['webp-lossless'].height === 1000 && probes['webp-lossless'].color_type === 'rgba' &&
+    probes['webp-animated'].width === 256 && probes['webp-animated'].height === 128 && probes['webp-animated'].frames === 2 &&
+    probes.heic.width === 4032 && probes.heic.height === 3024 && probes.heic.bit_depth === 30 &&
+    probes.dng.format === 'raw' && probes.dng.width === 6000 && probes.dng.height === 4000 && probes.dng.color_type === 'cfa' &&
+    jp.width === 4000 && jp.height === 3000 && jp.progressive === true && jp.bytes_read < jpeg.length / 2 &&
+    metadata.width === 1 && metadata.height === 1;
+  log(`Image probe: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testGpsPrivacy() {
+  log('\n=== Testing GPS Privacy Policies ===');
+
+  const home = { name: 'Home', latitude: 38.7223, longitude: -9.1393, radius_km: 1 };
+  const exif = { hasExif: true, gps: { latitude: 38.7251, longitude: -9.1420, altitude: 80 }, datetime: { original: '2024:05:10 12:00:00' } };
+  const meta = exifToMetadata(exif);
+  const summary = exifToSummary(exif);
+
+  const dropped = applyGpsPolicy(meta, parseGpsPolicy('drop'));
+  const rounded = applyGpsPolicy(meta, parseGpsPolicy({ mode: 'round', grid_km: 5 }));
+  const zoned = applyGpsPolicy(meta, parseGpsPolicy({ mode: 'zone', zones: [home] }));
+  const away = applyGpsPolicy({ gps_latitude: 41.1579, gps_longitude: -8.6291 }, parseGpsPolicy({ mode: 'zone', zones: [home], outside: 'drop' }));
+  log(`  drop: ${JSON.stringify(dropped)}`);
+  log(`  round (5 km): ${rounded.gps_location}`);
+  log(`  zone: ${zoned.gps_zone} (${zoned.gps_privacy}), outside zone: ${JSON.stringify(away)}`);
+
+  // Snapped points are cell centres, so snapping again changes nothing
+  const snapped = snapToGrid(38.7251, -9.1420, 5);
+  const resnapped = snapToGrid(snapped.latitude, snapped.longitude, 5);
+  const shift = haversineDistance(38.7251, -9.1420, snapped.latitude, snapped.longitude);
+  log(`  snap shift: ${shift.toFixed(2)} km`);
+
+  const zonedText = redactLocationText(summary, parseGpsPolicy({ mode: 'zone', zones: [home] }));
+  const droppedText = redactLocationText(summary, parseGpsPolicy('drop'));
+  log(`  zoned summary: ${zonedText.replace(/\n/g, ' | ')}`);
+
+  // Per-collection config with shared zones and a default
+  loadGpsPolicies({
+    zones: [home],
+    default: { mode: 'round', grid_km: 10 },
+    collections: { family_photos: { mode: 'zone', outside: 'round' } }
+  });
+  const family = resolveGpsPolicy('family_photos');
+  const other = resolveGpsPolicy('work_photos');
+  const override = resolveGpsPolicy('family_photos', 'keep');
+  loadGpsPolicies({});
+  log(`  family_photos: ${family.mode} (${family.zones.length} zone), work_photos: ${other.mode}, override: ${override.mode}`);
+
+  const errors = [
+    () => parseGpsPolicy('blur'),
+    () => parseGpsPolicy({ mode: 'zone' }),
+    () => parseGpsPolicy({ mode: 'round', grid_km: 0 }),
+    () => parseGpsPolicy({ mode: 'zone', zones: [{ name: 'Home', latitude: 95, longitude: 0, radius_km: 1 }] })
+  ].filter(fn => { try { fn(); return false; } catch { return true; } }).length;
+
+  const passed = !('gps_latitude' in dropped) && !('gps_altitude' in dropped) && dropped.gps_privacy === 'drop' &&
+    dropped.date_taken === meta.date_taken &&
+    rounded.gps_privacy === 'round' && rounded.gps_latitude !== meta.gps_latitude && !('gps_altitude' in rounded) &&
+    zoned.gps_zone === 'Home' && !('gps_longitude' in zoned) &&
+    away.gps_privacy === 'drop' && !('gps_latitude' in away) &&
+    applyGpsPolicy(meta, parseGpsPolicy('keep')) === meta &&
+    applyGpsPolicy(rounded, parseGpsPolicy({ mode: 'round', grid_km: 5 })) === rounded &&
+    applyGpsPolicy(rounded, parseGpsPolicy({ mode: 'round', grid_km: 10 })) !== rounded &&
+    resnapped.latitude === snapped.latitude && resnapped.longitude === snapped.longitude && shift < 5 &&
+    zonedText.includes('Location: Home') && !droppedText.includes('Location') && droppedText.includes('Date: 2024:05:10') &&
+    family.mode === 'zone' && family.zones[0].name === 'Home' && family.outside === 'round' &&
+    other.mode === 'round' && other.grid_km === 10 && override.mode === 'keep' &&
+    errors === 4;
+  log(`GPS privacy: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testExifThumbnail(testDir) {
+  log('\n=== Testing EXIF Thumbnail Extraction ===');
+
+  // 160x120 baseline JPEG preview
+  const thumb = Buffer.from([
+    0xFF, 0xD8,
+    0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x78, 0x00, 0xA0, 0x01, 0x01, 0x11, 0x00,
+    0xFF, 0xD9
+  ]);
+
+  // IFD0 from buildTiffExif, chained to an IFD1 that points at the preview
+  const ifd0 = buildTiffExif('Canon', 'EOS R5');
+  ifd0.writeUInt32LE(ifd0.length, 8 + 2 + 2 * 12);
+  const ifd1 = Buffer.alloc(2 + 3 * 12 + 4);
+  ifd1.writeUInt16LE(3, 0);
+  [[0x0103, 3, 6], [0x0201, 4, ifd0.length + ifd1.length], [0x0202, 4, thumb.length]].forEach(([tag, type, value], i) => {
+    const entry = 2 + i * 12;
+    ifd1.writeUInt16LE(tag, entry);
+    ifd1.writeUInt16LE(type, entry + 2);
+    ifd1.writeUInt32LE(1, entry + 4);
+    if (type === 3) ifd1.writeUInt16LE(value, entry + 8);
+    else ifd1.writeUInt32LE(value, entry + 8);
+  });
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), ifd0, ifd1, thumb]);
+  const app1 = Buffer.from([0xFF, 0xE1, 0, 0]);
+  app1.writeUInt16BE(payload.length + 2, 2);
+  const jpeg = Buffer.concat([Buffer.from([0xFF, 0xD8]), app1, payload, Buffer.from([0xFF, 0xD9])]);
+
+  const filePath = join(testDir, 'images', 'with-thumb.jpg');
+  await writeFile(filePath, jpeg);
+
+  const previous = process.env.CHROMA_THUMBNAIL_DIR;
+  process.env.CHROMA_THUMBNAIL_DIR = join(testDir, 'thumbnails');
+  try {
+    const exif = await extractExif(filePath);
+    const withData = await extractExif(filePath, { includeThumbnail: true });
+    const first = await processFile(filePath);
+    const second = await processFile(filePath);
+    const cached = first.metadata.thumbnail_path ? await readFile(first.metadata.thumbnail_path) : null;
+
+    // Caching turned off (quick_load): nothing written, no thumbnail_path
+    process.env.CHROMA_THUMBNAIL_DIR = join(testDir, 'thumbnails-off');
+    const uncached = await processFile(filePath, { cacheThumbnails: false });
+    const offDirWritten = await readdir(join(testDir, 'thumbnails-off')).then(() => true, () => false);
+
+    log(`  Thumbnail: ${exif.thumbnail?.width}x${exif.thumbnail?.height}, ${exif.thumbnail?.length} bytes`);
+    log(`  Cached at: ${first.metadata.thumbnail_path}`);
+
+    const passed = exif.thumbnail?.width === 160 && exif.thumbnail?.height === 120 &&
+      exif.thumbnail.length === thumb.length && !('data' in exif.thumbnail) &&
+      withData.thumbnail?.data?.equals(thumb) &&
+      first.metadata.thumbnail_path?.startsWith(join(testDir, 'thumbnails')) &&
+      first.metadata.thumbnail_width === 160 &&
+      cached?.equals(thumb) &&
+      second.metadata.thumbnail_path === first.metadata.thumbnail_path &&
+      uncached.metadata.thumbnail_path === undefined && uncached.metadata.has_exif === true && !offDirWritten;
+    log(`EXIF thumbnail: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+    return passed;
+  } finally {
+    if (previous === undefined) delete process.env.CHROMA_THUMBNAIL_DIR;
+    else process.env.CHROMA_THUMBNAIL_DIR = previous;
+  }
+}
+
+// Build a little-endian IFD placed at `start`, with values over 4 bytes stored after it
+function buildIfd(entries, start) {
+  const ifd = Buffer.alloc(2 + entries.length * 12 + 4);
+  ifd.writeUInt16LE(entries.length, 0);
+
+  const values = [];
+  let dataOffset = start + ifd.length;
+  entries.forEach(([tag, type, count, data], i) => {
+    const entry = 2 + i * 12;
+    ifd.writeUInt16LE(tag, entry);
+    ifd.writeUInt16LE(type, entry + 2);
+    ifd.writeUInt32LE(count, entry + 4);
+    if (data.length <= 4) {
+      data.copy(ifd, entry + 8);
+    } else {
+      ifd.writeUInt32LE(dataOffset, entry + 8);
+      values.push(data, Buffer.alloc(data.length % 2));
+      dataOffset += data.length + (data.length % 2);
+    }
+  });
+
+  return Buffer.concat([ifd, ...values]);
+}
+
+async function testMakerNotes(testDir) {
+  log('\n=== Testing MakerNote Decoding ===');
+
+  const u16 = n => { const b = Buffer.alloc(2); b.writeUInt16LE(n); return b; };
+  const u32 = n => { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; };
+  const ascii = text => Buffer.from(`${text}\0`, 'latin1');
+  const rationals = (...values) => Buffer.concat(values.map(([num, den]) => Buffer.concat([u32(num), u32(den)])));
+
+  // TIFF: IFD0 (Make, ExifIFD pointer) -> EXIF IFD with a single MakerNote entry.
+  // makerNote(start) builds the block for its absolute offset in the file.
+  const buildTiff = (make, makerNote) => {
+    const ifd0Size = buildIfd([[0x010F, 2, make.length + 1, ascii(make)], [0x8769, 4, 1, u32(0)]], 8).length;
+    const exifStart = 8 + ifd0Size;
+    const noteStart = exifStart + 2 + 12 + 4;
+    const note = makerNote(noteStart);
+    const header = Buffer.from([0x49, 0x49, 42, 0, 8, 0, 0, 0]);
+    return Buffer.concat([
+      header,
+      buildIfd([[0x010F, 2, make.length + 1, ascii(make)], [0x8769, 4, 1, u32(exifStart)]], 8),
+      buildIfd([[0x927C, 7, note.length, note]], exifStart)
+    ]);
+  };
+
+  const files = {
+    'canon.tif': buildTiff('Canon', start => buildIfd([
+      [0x0095, 2, 24, ascii('EF 24-105mm f/4L IS USM')],
+      [0x000C, 4, 1, u32(123456)],
+      [0x4019, 7, 30, Buffer.concat([Buffer.from([0x00, 0x00, 0x98, 0x76, 0x54]), Buffer.alloc(25)])]
+    ], start)),
+    'nikon.tif': buildTiff('NIKON CORPORATION', () => Buffer.concat([
+      Buffer.from('Nikon\0', 'latin1'), Buffer.from([0x02, 0x10, 0, 0]),
+      Buffer.from([0x49, 0x49, 42, 0, 8, 0, 0, 0]),
+      buildIfd([
+        [0x001D, 2, 8, ascii('3012345')],
+        [0x0084, 5, 4, rationals([18, 1], [55, 1], [35, 10], [56, 10])],
+        [0x00A7, 4, 1, u32(48211)]
+      ], 8)
+    ])),
+    'sony.tif': buildTiff('SONY', start => Buffer.concat([
+      Buffer.from('SONY DSC \0\0\0', 'latin1'),
+      buildIfd([
+        [0xB027, 4, 1, u32(32790)],
+        [0xB02A, 7, 8, Buffer.from([0x00, 0x00, 0x16, 0x00, 0x70, 0x40, 0x40, 0x00])]
+      ], start + 12)
+    ]))
+  };
+
+  const decoded = {};
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = join(testDir, 'images', name);
+    await writeFile(filePath, content);
+    decoded[name] = await extractExif(filePath);
+    const { camera, lens } = decoded[name];
+    log(`  ${name}: lens=${lens?.model}, body serial=${camera?.bodySerialNumber}, lens serial=${lens?.serialNumber}, shutter=${camera?.shutterCount}`);
+  }
+
+  const nikonMeta = exifToMetadata(decoded['nikon.tif']);
+  const canon = decoded['canon.tif'];
+  const nikon = decoded['nikon.tif'];
+  const sony = decoded['sony.tif'];
+
+  const passed = canon.lens?.model === 'EF 24-105mm f/4L IS USM' &&
+    canon.camera.bodySerialNumber === '0000123456' && canon.lens.serialNumber === '0000987654' &&
+    canon.makerNote?.vendor === 'canon' &&
+    nikon.lens?.model === '18-55mm f/3.5-5.6' && nikon.camera.bodySerialNumber === '3012345' &&
+    nikon.camera.shutterCount === 48211 &&
+    nikonMeta.shutter_count === 48211 && nikonMeta.lens_model === '18-55mm f/3.5-5.6' && nikonMeta.camera_serial === '3012345' &&
+    sony.lens?.model === '16-70mm f/4' && sony.makerNote?.lensId === 32790 &&
+    describeLensRange(50, 50, 1.8) === '50mm f/1.8';
+  log(`MakerNote decoding: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testWatchFolderSync(testDir) {
+  log('\n=== Testing Watch Folder Sync ===');
+
+  const dir = join(testDir, 'watched');
+  await mkdir(join(dir, 'album'), { recursive: true });
+  const notes = join(dir, 'notes.txt');
+  const draft = join(dir, 'draft.md');
+  const photo = join(dir, 'album', 'photo-notes.txt');
+  await writeFile(notes, 'Meeting notes for the watched folder');
+  await writeFile(draft, '# Draft\n\nA document that will be renamed');
+  await writeFile(photo, 'Notes inside a folder that will be deleted');
+
+  const coll = createMemoryCollection();
+  const options = { collection: 'test_watch_sync', includeExif: false, chunking: false, watchRoot: dir, gpsPolicy: parseGpsPolicy('drop') };
+  const first = await syncWatchedFiles([notes, draft, photo], options, coll);
+  log(`  Created: ${JSON.stringify(first.counts)}`);
+
+  // Tag the draft, then edit one file, rename the draft and delete the folder
+  for (const d of coll.docs.values()) {
+    if (d.metadata.full_path === draft) {
+      // Added later, plus fields an earlier ingest wrote that the new build must not inherit
+      Object.assign(d.metadata, { tags: 'review', gps_latitude: 38.7223, gps_longitude: -9.1393, symbol_parent: 'Draft' });
+    }
+  }
+  const renamed = join(dir, 'final.md');
+  await writeFile(notes, 'Meeting notes for the watched folder, with action items');
+  await rename(draft, renamed);
+  await rm(join(dir, 'album'), { recursive: true });
+
+  const second = await syncWatchedFiles([notes, draft, renamed, join(dir, 'album')], options, coll);
+  log(`  Changed: ${JSON.stringify(second.counts)}`);
+
+  const third = await syncWatchedFiles([notes, renamed], options, coll);
+  log(`  Unchanged: ${JSON.stringify(third.counts)}`);
+
+  const stored = [...coll.docs.values()];
+  const moved = stored.find(d => d.metadata.full_path === renamed);
+  const edited = stored.find(d => d.metadata.full_path === notes);
+
+  const passed = first.counts.added === 3 &&
+    second.counts.updated === 1 && second.counts.renamed === 1 && second.counts.removed === 1 &&
+    third.counts.unchanged === 2 && third.counts.updated === 0 &&
+    stored.length === 2 && moved?.metadata.tags === 'review' && moved.metadata.filename === 'final.md' &&
+    moved.metadata.gps_latitude === undefined && moved.metadata.symbol_parent === undefined &&
+    edited?.document.includes('action items') && edited.metadata.watch_root === dir;
+  log(`Watch folder sync: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testWatchBackfill(testDir) {
+  log('\n=== Testing Watch Folder Backfill ===');
+
+  const dir = join(testDir, 'backfill');
+  await mkdir(join(dir, 'sub'), { recursive: true });
+  await writeFile(join(dir, 'a.txt'), 'Already in the folder before watching');
+  await writeFile(join(dir, 'sub', 'b.txt'), 'Nested file that is deleted while offline');
+  await writeFile(join(dir, 'readme.md'), 'Excluded by the extension filter');
+
+  const coll = createMemoryCollection();
+  const options = {
+    collection: 'test_watch_backfill', extensions: ['txt'], includeExif: false, chunking: false,
+    stability: { checks: 2, intervalMs: 50, timeoutMs: 2000 }
+  };
+  const first = await backfillWatchFolder(dir, options, coll);
+  const again = await backfillWatchFolder(dir, options, coll);
+  log(`  First: ${first.scanned} scanned, ${JSON.stringify(first.counts)}`);
+  log(`  Again: ${JSON.stringify(again.counts)}`);
+
+  // Changes made while the server was down
+  await writeFile(join(dir, 'a.txt'), 'Already in the folder before watching, edited offline');
+  await rm(join(dir, 'sub', 'b.txt'));
+  await writeFile(join(dir, 'c.txt'), 'Added while nothing was watching');
+  const later = await backfillWatchFolder(dir, options, coll);
+  log(`  After restart: ${JSON.stringify(later.counts)}`);
+
+  // A file still being copied in when the backfill starts is ingested complete
+  const copying = join(dir, 'copying.txt');
+  const finalText = `Copied in during backfill${' block'.repeat(8)}`;
+  await writeFile(copying, 'Copied in during backfill');
+  let blocks = 0;
+  const writer = setInterval(() => {
+    if (++blocks <= 8) writeFile(copying, `Copied in during backfill${' block'.repeat(blocks)}`);
+  }, 25);
+  let copied;
+  try {
+    copied = await backfillWatchFolder(dir, options, coll);
+  } finally {
+    clearInterval(writer);
+  }
+  const copiedDoc = [...coll.docs.values()].find(d => d.metadata.full_path === copying);
+  log(`  While copying: ${JSON.stringify(copied.counts)}, stored ${copiedDoc?.metadata.size_bytes} of ${finalText.length} bytes`);
+
+  const paths = [...coll.docs.values()].map(d => d.metadata.full_path).sort();
+  const passed = first.scanned === 2 && first.counts.added === 2 &&
+    again.counts.unchanged === 2 && again.results.length === 0 &&
+    later.counts.updated === 1 && later.counts.added === 1 && later.counts.removed === 1 && later.counts.unchanged === 0 &&
+    copied.counts.added === 1 && copiedDoc?.document === finalText &&
+    paths.length === 3 && paths[0] === join(dir, 'a.txt') && paths[1] === join(dir, 'c.txt');
+  log(`Watch folder backfill: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testPollingWatcher(testDir) {
+  log('\n=== Testing Polling Watcher ===');
+
+  const dir = join(testDir, 'polling');
+  await mkdir(join(dir, 'sub'), { recursive: true });
+  await writeFile(join(dir, 'edited.txt'), 'before');
+  await writeFile(join(dir, 'deleted.txt'), 'will be removed');
+  await writeFile(join(dir, 'untouched.txt'), 'never changes');
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const seen = new Set();
+  const poller = createPollingWatcher(dir, { intervalMs: 50 }, path => seen.add(path));
+  await wait(150);
+
+  await writeFile(join(dir, 'edited.txt'), 'after the edit');
+  await rm(join(dir, 'deleted.txt'));
+  await writeFile(join(dir, 'sub', 'created.txt'), 'new file in a subfolder');
+  await wait(250);
+  poller.close();
+  log(`  Reported: ${[...seen].map(p => p.slice(dir.length + 1)).sort().join(', ')}`);
+
+  // A watcher started with the poll backend reports it in list_watchers
+  const previous = process.env.CHROMA_WATCHERS_FILE;
+  process.env.CHROMA_WATCHERS_FILE = join(testDir, 'polling-watchers.json');
+  let listed;
+  let invalid;
+  try {
+    await startWatcher(dir, { collection: 'test_polling', backend: 'poll', pollIntervalMs: 1000 }, {});
+    listed = listWatchers().find(w => w.path === dir);
+    invalid = await startWatcher(join(dir, 'sub'), { backend: 'inotify' }, {});
+    await stopAllWatchers();
+  } finally {
+    if (previous === undefined) delete process.env.CHROMA_WATCHERS_FILE;
+    else process.env.CHROMA_WATCHERS_FILE = previous;
+  }
+  log(`  Started watcher backend: ${listed?.backend} (${listed?.pollIntervalMs}ms)`);
+
+  const passed = seen.size === 3 &&
+    seen.has(join(dir, 'edited.txt')) && seen.has(join(dir, 'deleted.txt')) && seen.has(join(dir, 'sub', 'created.txt')) &&
+    listed?.backend === 'poll' && listed.pollIntervalMs === 1000 && invalid.success === false;
+  log(`Polling watcher: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testWriteCompletion(testDir) {
+  log('\n=== Testing Write Completion ===');
+
+  const dir = join(testDir, 'copying');
+  await mkdir(dir, { recursive: true });
+  const done = join(dir, 'done.jpg');
+  const growing = join(dir, 'clip.mov');
+  const locked = join(dir, 'report.odt');
+  const download = join(dir, 'photo.jpg.crdownload');
+  await writeFile(done, 'finished copying before the check');
+  await writeFile(growing, 'first block');
+  await writeFile(locked, 'document open in an editor');
+  await writeFile(join(dir, '.~lock.report.odt#'), 'lock');
+  await writeFile(download, 'partial download data');
+
+  // Keep appending to one file while the check runs
+  let blocks = 0;
+  const writer = setInterval(() => writeFile(growing, `first block${' more'.repeat(++blocks)}`), 20);
+  const options = { checks: 2, intervalMs: 50, timeoutMs: 300 };
+  const settledAt = new Map();
+  const onReady = paths => paths.forEach(path => settledAt.set(path, Date.now()));
+  const startedAt = Date.now();
+  let first;
+  try {
+    first = await waitForStableFiles([done, growing, locked, download, join(dir, 'deleted.jpg')], { ...options, onReady });
+  } finally {
+    clearInterval(writer);
+  }
+  log(`  While writing: ready ${first.ready.length}, waiting ${first.waiting.map(p => p.slice(dir.length + 1)).join(', ')}`);
+
+  await rm(join(dir, '.~lock.report.odt#'));
+  const second = await waitForStableFiles(first.waiting, { ...options, timeoutMs: 1000 });
+  log(`  After writes stop: ready ${second.ready.length}, waiting ${second.waiting.length}`);
+
+  const synced = await syncWatchedFiles([download], { collection: 'test_write_completion', includeExif: false }, createMemoryCollection());
+
+  // A timeout shorter than checks * intervalMs is stretched so a stable file can still settle
+  const clamped = await waitForStableFiles([done], { checks: 2, intervalMs: 50, timeoutMs: 60 });
+  const previous = process.env.CHROMA_WATCHERS_FILE;
+  process.env.CHROMA_WATCHERS_FILE = join(testDir, 'copying-watchers.json');
+  let rejected;
+  try {
+    rejected = await startWatcher(dir, { stabilityChecks: 2, stabilityIntervalMs: 100, stabilityTimeoutMs: 150 }, {});
+  } finally {
+    if (previous === undefined) delete process.env.CHROMA_WATCHERS_FILE;
+    else process.env.CHROMA_WATCHERS_FILE = previous;
+  }
+  log(`  Done file settled after ${settledAt.get(done) - startedAt}ms; short timeout: ${rejected.error}`);
+
+  const passed = first.ready.length === 2 && first.ready.includes(done) &&
+    first.waiting.length === 2 && first.waiting.includes(growing) && first.waiting.includes(locked) &&
+    settledAt.get(done) - startedAt < 250 &&
+    second.ready.length === 2 && second.waiting.length === 0 &&
+    synced.results.length === 0 && clamped.ready.length === 1 && rejected.success === false;
+  log(`Write completion: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testWatchRename(testDir) {
+  log('\n=== Testing Live Watcher Rename ===');
+
+  const dir = join(testDir, 'live-rename');
+  await mkdir(dir, { recursive: true });
+  const original = join(dir, 'draft.md');
+  const renamed = join(dir, 'final.md');
+  await writeFile(original, '# Draft\n\nA tagged document renamed while watched');
+
+  const coll = createMemoryCollection();
+  const chromaClient = { getOrCreateCollection: async () => coll };
+  const options = { collection: 'test_live_rename', includeExif: false, chunking: false };
+  await syncWatchedFiles([original], { ...options, watchRoot: dir }, coll);
+  for (const d of coll.docs.values()) d.metadata.tags = 'review';
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const previous = process.env.CHROMA_WATCHERS_FILE;
+  process.env.CHROMA_WATCHERS_FILE = join(testDir, 'live-rename-watchers.json');
+  let events;
+  try {
+    await startWatcher(dir, {
+      ...options, debounceMs: 50, stabilityChecks: 2, stabilityIntervalMs: 50, stabilityTimeoutMs: 1000
+    }, chromaClient);
+    await rename(original, renamed);
+
+    // The old path settles at once; the new one only after two unchanged polls
+    for (let i = 0; i < 60; i++) {
+      await wait(50);
+      events = getWatcherStatus(dir).events;
+      if (events.renamed + events.removed + events.added > 0) break;
+    }
+    await wait(200);
+    events = (await stopWatcher(dir)).events;
+  } finally {
+    if (previous === undefined) delete process.env.CHROMA_WATCHERS_FILE;
+    else process.env.CHROMA_WATCHERS_FILE = previous;
+  }
+  log(`  Events: ${JSON.stringify(events)}`);
+
+  const stored = [...coll.docs.values()];
+  const passed = events.renamed === 1 && events.added === 0 && events.removed === 0 &&
+    stored.length === 1 && stored[0].metadata.full_path === renamed && stored[0].metadata.tags === 'review';
+  log(`Live watcher rename: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testLockRelease(testDir) {
+  log('\n=== Testing Lock Release ===');
+
+  const dir = join(testDir, 'lock-release');
+  await mkdir(dir, { recursive: true });
+  const report = join(dir, 'report.odt');
+  const lock = join(dir, '.~lock.report.odt#');
+
+  const coll = createMemoryCollection();
+  const chromaClient = { getOrCreateCollection: async () => coll };
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const previous = process.env.CHROMA_WATCHERS_FILE;
+  process.env.CHROMA_WATCHERS_FILE = join(testDir, 'lock-release-watchers.json');
+  let whileLocked;
+  let events;
+  try {
+    await startWatcher(dir, {
+      collection: 'test_lock_release', chunking: false,
+      debounceMs: 50, stabilityChecks: 1, stabilityIntervalMs: 50, stabilityTimeoutMs: 150
+    }, chromaClient);
+    await writeFile(lock, 'lock');
+    await writeFile(report, 'Report kept open in an editor past the stability timeout');
+
+    for (let i = 0; i < 40 && !getWatcherStatus(dir).events.unsettled; i++) await wait(50);
+    whileLocked = getWatcherStatus(dir).events;
+
+    // Closing the editor removes the lock file; nothing touches the report itself
+    await rm(lock);
+    for (let i = 0; i < 40 && !getWatcherStatus(dir).events.added; i++) await wait(50);
+    events = (await stopWatcher(dir)).events;
+  } finally {
+    if (previous === undefined) delete process.env.CHROMA_WATCHERS_FILE;
+    else process.env.CHROMA_WATCHERS_FILE = previous;
+  }
+  log(`  While locked: ${JSON.stringify(whileLocked)}`);
+  log(`  After unlock: ${JSON.stringify(events)}`);
+
+  const stored = [...coll.docs.values()];
+  const passed = whileLocked.unsettled >= 1 && whileLocked.added === 0 &&
+    events.added === 1 && stored.length === 1 && stored[0].metadata.full_path === report;
+  log(`Lock release: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testWatcherStop(testDir) {
+  log('\n=== Testing Watcher Stop ===');
+
+  const dir = join(testDir, 'stopping');
+  await mkdir(dir, { recursive: true });
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  // Upserts take a while, so a stop can land mid-write
+  const coll = createMemoryCollection();
+  const upsert = coll.upsert;
+  let writing = false;
+  coll.upsert = async (...args) => {
+    writing = true;
+    await wait(200);
+    await upsert(...args);
+    writing = false;
+  };
+  const chromaClient = { getOrCreateCollection: async () => coll };
+  const watchOptions = { collection: 'test_watcher_stop', chunking: false, debounceMs: 50, stabilityChecks: 1, stabilityIntervalMs: 50, stabilityTimeoutMs: 2000 };
+
+  const previous = process.env.CHROMA_WATCHERS_FILE;
+  process.env.CHROMA_WATCHERS_FILE = join(testDir, 'stopping-watchers.json');
+  let midWrite;
+  let afterStop;
+  let cancelled;
+  try {
+    // Stopped while a sync is writing: the stop waits for the write to finish
+    await startWatcher(dir, watchOptions, chromaClient);
+    await writeFile(join(dir, 'first.txt'), 'Written before the watcher stops');
+    for (let i = 0; i < 40 && !writing; i++) await wait(25);
+    midWrite = writing;
+    await stopWatcher(dir);
+    afterStop = { writing, stored: coll.docs.size };
+
+    // Stopped while a file is still settling: it is never synced
+    await startWatcher(dir, { ...watchOptions, stabilityChecks: 4, stabilityIntervalMs: 100 }, chromaClient);
+    await writeFile(join(dir, 'second.txt'), 'Still settling when the watcher stops');
+    await wait(150);
+    cancelled = (await stopWatcher(dir)).events;
+    await wait(1000);
+  } finally {
+    if (previous === undefined) delete process.env.CHROMA_WATCHERS_FILE;
+    else process.env.CHROMA_WATCHERS_FILE = previous;
+  }
+  log(`  Mid-write stop: writing=${midWrite}, after stop ${JSON.stringify(afterStop)}`);
+  log(`  Settling stop: ${JSON.stringify(cancelled)}, stored ${coll.docs.size}`);
+
+  const passed = midWrite && !afterStop.writing && afterStop.stored === 1 &&
+    cancelled.added === 0 && cancelled.unsettled === 0 && coll.docs.size === 1;
+  log(`Watcher stop: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+  return passed;
+}
+
+async function testWatcherRestore(testDir) {
+  log('\n=== Testing Watcher Restore ===');
+
+  const dir = join(testDir, 'restore');
+  await mkdir(join(dir, 'inbox'), { recursive: true });
+  const stateFile = join(dir, 'watchers.json');
+  await writeFile(stateFile, JSON.stringify({
+    watchers: [
+      { path: join(dir, 'inbox'), collection: 'restored_inbox', recursive: false, includeExif: false },
+      { path: join(dir, 'unmounted'), collection: 'restored_missing' }
+    ]
+  }));
+
+  const previous = process.env.CHROMA_WATCHERS_FILE;
+  process.env.CHROMA_WATCHERS_FILE = stateFile;
+  try {
+    const { restored, failed } = await restoreWatchers({});
+    const active = listWatchers().map(w => w.path);
+    log(`  Restored: ${restored.length}, failed: ${failed.map(f => `${f.path} (${f.error})`).join(', ')}`);
+
+    // Shutdown closes watchers but keeps them saved for the next start
+    const stopped = await stopAllWatchers({ forget: false });
+    const saved = JSON.parse(await readFile(stateFile, 'utf-8')).watchers.map(w => w.path).sort();
+
+    const passed = restored.length === 1 && restored[0] === join(dir, 'inbox') &&
+      failed.length === 1 && failed[0].error === 'Path does not exist' &&
+      active.includes(join(dir, 'inbox')) && stopped.length === 1 && listWatchers().length === 0 &&
+      saved.length === 2 && saved[0] === join(dir, 'inbox');
+    log(`Watcher restore: ${passed ? 'PASS' : 'FAIL'}`, passed ? 'success' : 'error');
+
+    return passed;
+  } finally {
+    if (previous === undefined) delete process.env.CHROMA_WATCHERS_FILE;
+    else process.env.CHROMA_WATCHERS_FILE = previous;
+  }
+}
+
 async function testSupportedTypes() {
   log('\n=== Testing Supported File Types ===');
 
@@ -362,6 +2074,34 @@ async function runTests() {
     results.push(['Directory Stats', await testDirectoryStats(testDir)]);
     results.push(['File Processing', await testFileProcessing(testDir)]);
     results.push(['Batch Processing', await testBatchProcessing(testDir)]);
+    results.push(['Text Chunking', await testChunking(testDir)]);
+    results.push(['Incremental Ingest', await testIncrementalIngest(testDir)]);
+    results.push(['PDF Extraction', await testPdfExtraction(testDir)]);
+    results.push(['Office Extraction', await testOfficeExtraction(testDir)]);
+    results.push(['Code Indexing', await testCodeIndexer(testDir)]);
+    results.push(['Filter Validation', await testQueryFilters()]);
+    results.push(['Federated Search', await testFederatedSearch()]);
+    results.push(['Keyword Search', await testKeywordSearch()]);
+    results.push(['Search Re-ranking', await testSearchRerank()]);
+    results.push(['Search Cursors', await testSearchCursors()]);
+    results.push(['Geo Search', await testGeoSearch()]);
+    results.push(['Photo Timeline', await testPhotoTimeline()]);
+    results.push(['Photo Events', await testPhotoEvents()]);
+    results.push(['Reverse Geocoding', await testReverseGeocoding()]);
+    results.push(['XMP / IPTC', await testXmpIptc(testDir)]);
+    results.push(['EXIF Containers', await testExifContainers(testDir)]);
+    results.push(['Image Probe', await testImageProbe(testDir)]);
+    results.push(['GPS Privacy', await testGpsPrivacy()]);
+    results.push(['EXIF Thumbnail', await testExifThumbnail(testDir)]);
+    results.push(['MakerNotes', await testMakerNotes(testDir)]);
+    results.push(['Watch Folder Sync', await testWatchFolderSync(testDir)]);
+    results.push(['Watch Folder Backfill', await testWatchBackfill(testDir)]);
+    results.push(['Polling Watcher', await testPollingWatcher(testDir)]);
+    results.push(['Write Completion', await testWriteCompletion(testDir)]);
+    results.push(['Live Watcher Rename', await testWatchRename(testDir)]);
+    results.push(['Lock Release', await testLockRelease(testDir)]);
+    results.push(['Watcher Stop', await testWatcherStop(testDir)]);
+    results.push(['Watcher Restore', await testWatcherRestore(testDir)]);
     results.push(['Supported Types', await testSupportedTypes()]);
 
   } finally {
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Thumbnail Cache
+ *
+ * Stores embedded EXIF thumbnails as small JPEG files so clients can show
+ * previews of search hits without opening full-resolution images:
+ * - Cache directory from CHROMA_THUMBNAIL_DIR (default ~/.chromadb-thumbnails)
+ * - Files are named by the MD5 of the thumbnail bytes, so re-ingesting an
+ *   unchanged photo reuses its file and identical previews are stored once
+ */
+
+import { writeFile, stat, mkdir } from 'fs/promises';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Directory thumbnails are written to
+ * @returns {string} CHROMA_THUMBNAIL_DIR, or .chromadb-thumbnails in the home directory
+ */
+export function thumbnailCacheDir() {
+  return process.env.CHROMA_THUMBNAIL_DIR || join(process.env.HOME || '/tmp', '.chromadb-thumbnails');
+}
+
+/**
+ * Write a JPEG thumbnail to the cache
+ * @param {Buffer} data - JPEG bytes (from extractExif with includeThumbnail)
+ * @param {object} options - { cacheDir }
+ * @returns {Promise<object>} { path, bytes, cached } - cached is true if the file already existed
+ */
+export async function cacheThumbnail(data, options = {}) {
+  const { cacheDir = thumbnailCacheDir() } = options;
+  if (!Buffer.isBuffer(data) || data[0] !== 0xFF || data[1] !== 0xD8) {
+    throw new Error('Thumbnail data is not a JPEG');
+  }
+
+  const path = join(cacheDir, `${createHash('md5').update(data).digest('hex')}.jpg`);
+
+  try {
+    const existing = await stat(path);
+    if (existing.size === data.length) return { path, bytes: data.length, cached: true };
+  } catch {
+    // Not cached yet
+  }
+
+  await mkdir(cacheDir, { recursive: true });
+  await writeFile(path, data);
+  return { path, bytes: data.length, cached: false };
+}
+
+export default {
+  thumbnailCacheDir,
+  cacheThumbnail
+};
@@ -3,34 +3,53 @@
 /**
  * Watch Folder - Auto-Ingest for ChromaDB
  *
- * Monitors directories for new files and automatically ingests them.
+ * Monitors directories and keeps a collection in sync with them: new and
+ * modified files are (re-)ingested, deleted files are removed, and renames
+ * or moves are detected by content hash so extra metadata survives.
  * Perfect for creators who want hands-free file organization.
  *
  * Features:
  * - Watch multiple folders simultaneously
  * - Filter by file type/extension
  * - Debounced processing (handles burst file additions)
+ * - Write-completion check: files are ingested once their size stops changing
+ * - Optional backfill of files already in the folder on start and restore
+ * - Native fs.watch or stat polling (NFS/SMB shares), with automatic fallback
  * - Persistent watch state
+ * - GPS privacy policy per watcher (drop, round or zone photo coordinates)
  */
 
 import { watch } from 'fs';
-import { readFile, writeFile, stat, access, mkdir } from 'fs/promises';
-import { join, dirname } from 'path';
-import { processFile, getFileCategory } from './batch-processor.js';
+import { readFile, writeFile, readdir, stat, access, mkdir } from 'fs/promises';
+import { join, dirname, basename, extname, sep } from 'path';
+import { processFile, expandChunks, getFileCategory, hashFileContent, scanDirectory } from './batch-processor.js';
 import { extractExif, exifToMetadata, exifToSummary } from './exif-extractor.js';
+import { GPS_FIELDS, resolveGpsPolicy, applyGpsPolicy, redactLocationText } from './gps-privacy.js';
+import { invalidateKeywordIndex } from './keyword-index.js';
 
 // Active watchers registry
 const activeWatchers = new Map();
 
-// State file for persistence
-const STATE_FILE = join(process.env.HOME || '/tmp', '.chromadb-watchers.json');
+export const WATCH_BACKENDS = ['auto', 'native', 'poll'];
+export const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+// Write-completion check: size/mtime must stay the same for `checks` polls
+export const DEFAULT_STABILITY = { checks: 2, intervalMs: 1000, timeoutMs: 30000 };
+
+// Temporary names used by browsers, sync clients and copy tools until a transfer completes
+const PARTIAL_SUFFIXES = ['.part', '.partial', '.crdownload', '.download', '.filepart', '.tmp'];
+
+// State file for persistence (CHROMA_WATCHERS_FILE, read at call time)
+function stateFile() {
+  return process.env.CHROMA_WATCHERS_FILE || join(process.env.HOME || '/tmp', '.chromadb-watchers.json');
+}
 
 /**
  * Load saved watcher state
  */
 async function loadWatcherState() {
   try {
-    const content = await readFile(STATE_FILE, 'utf-8');
+    const content = await readFile(stateFile(), 'utf-8');
     return JSON.parse(content);
   } catch {
     return { watchers: [] };
@@ -42,151 +61,640 @@ async function loadWatcherState() {
  */
 async function saveWatcherState(state) {
   try {
-    await mkdir(dirname(STATE_FILE), { recursive: true });
-    await writeFile(STATE_FILE, JSON.stringify(state, null, 2));
+    await mkdir(dirname(stateFile()), { recursive: true });
+    await writeFile(stateFile(), JSON.stringify(state, null, 2));
   } catch (error) {
     console.error(`Failed to save watcher state: ${error.message}`);
   }
 }
 
+// Keep only the files this watcher is configured for
+function matchesFilters(filePath, { categories, extensions }) {
+  const category = getFileCategory(filePath);
+
+  if (categories && categories.length > 0 && !categories.includes(category.type)) {
+    return false;
+  }
+
+  if (extensions && extensions.length > 0) {
+    const ext = filePath.toLowerCase().split('.').pop();
+    if (!extensions.includes(`.${ext}`) && !extensions.includes(ext)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Stored documents grouped by full_path: Map<path, { ids, metadata, content_hash }>
+async function getStoredFiles(coll, where) {
+  const files = new Map();
+  const pageSize = 500;
+
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await coll.get({ where, limit: pageSize, offset, include: ['metadatas'] });
+    page.ids.forEach((id, idx) => {
+      const meta = page.metadatas[idx] || {};
+      const key = meta.full_path || id;
+      if (!files.has(key)) files.set(key, { ids: [], metadata: meta, content_hash: meta.content_hash || null });
+      files.get(key).ids.push(id);
+    });
+    if (page.ids.length < pageSize) break;
+  }
+
+  return files;
+}
+
+async function pathExists(filePath) {
+  try {
+    await access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A stored file with this content whose path no longer exists (the source of a rename/move)
+async function findMovedFrom(coll, contentHash, filePath) {
+  if (!contentHash) return null;
+  for (const [path, stored] of await getStoredFiles(coll, { content_hash: contentHash })) {
+    if (path !== filePath && !(await pathExists(path))) return { path, ...stored };
+  }
+  return null;
+}
+
+// Keys ingest derives from the file, its chunks or its GPS policy. A moved file gets
+// fresh values (or none) for these rather than the old documents' copies.
+const INGEST_FIELDS = new Set([...GPS_FIELDS, 'gps_privacy', 'gps_zone', 'parent_id', 'section', 'page', 'page_end',
+  'start_line', 'end_line', 'start_byte', 'end_byte', 'truncated', 'extract_error', 'read_error', 'probe_error']);
+const INGEST_FIELD_PREFIXES = ['gps_', 'place_', 'chunk_', 'symbol_', 'thumbnail_'];
+
+// Metadata added to a file's documents after ingest (tags, event_id, ...)
+function carriedMetadata(previous, builtMetadatas) {
+  const generated = new Set(builtMetadatas.flatMap(meta => Object.keys(meta)));
+  return Object.fromEntries(Object.entries(previous).filter(([key]) =>
+    !generated.has(key) && !INGEST_FIELDS.has(key) && !INGEST_FIELD_PREFIXES.some(prefix => key.startsWith(prefix))
+  ));
+}
+
+// Process a file into the documents and metadata stored for it
+async function buildFileDocuments(filePath, options) {
+  const { includeExif, chunking, chunkSize, chunkOverlap, gpsPolicy, watchRoot } = options;
+  const category = getFileCategory(filePath);
+
+  const processed = await processFile(filePath, {
+    includeContent: true,
+    chunking,
+    chunkSize,
+    chunkOverlap,
+    gpsPolicy
+  });
+  const documents = expandChunks([processed]);
+
+  // Extract EXIF for images if enabled
+  let exifMeta = {};
+  let exifSummary = '';
+  if (includeExif && category.type === 'images') {
+    const exif = await extractExif(filePath);
+    if (exif.hasExif || exif.descriptive) {
+      exifMeta = applyGpsPolicy(exifToMetadata(exif), gpsPolicy);
+      exifSummary = redactLocationText(exifToSummary(exif), gpsPolicy);
+    }
+  }
+
+  return {
+    processed,
+    type: category.type,
+    hasExif: Object.keys(exifMeta).length > 0,
+    ids: documents.map(d => d.id),
+    documents: documents.map(d => exifSummary ? `${d.content}\n\nEXIF Data:\n${exifSummary}` : d.content),
+    metadatas: documents.map(d => ({
+      ...d.metadata,
+      ...exifMeta,
+      auto_ingested: true,
+      ingested_at: new Date().toISOString(),
+      watch_folder: dirname(filePath),
+      ...(watchRoot ? { watch_root: watchRoot } : {})
+    }))
+  };
+}
+
+// Add, re-ingest or move one existing file
+async function syncFile(filePath, options, coll) {
+  if (!matchesFilters(filePath, options)) {
+    return { action: 'skipped', file: filePath };
+  }
+
+  const contentHash = await hashFileContent(filePath);
+  const [stored] = (await getStoredFiles(coll, { full_path: filePath })).values();
+  if (stored && stored.content_hash === contentHash) {
+    return { action: 'unchanged', file: filePath };
+  }
+
+  // New path with known content: carry the old documents' added metadata (tags, events) over
+  const movedFrom = stored ? null : await findMovedFrom(coll, contentHash, filePath);
+  const built = await buildFileDocuments(filePath, options);
+  const carried = movedFrom ? carriedMetadata(movedFrom.metadata, built.metadatas) : {};
+  const metadatas = built.metadatas.map(meta => ({ ...carried, ...meta }));
+
+  await coll.upsert({ ids: built.ids, documents: built.documents, metadatas });
+
+  // Drop chunks left over from a longer previous version, or the old path's documents
+  const current = new Set(built.ids);
+  const staleIds = (stored || movedFrom)?.ids.filter(id => !current.has(id)) || [];
+  if (staleIds.length > 0) await coll.delete({ ids: staleIds });
+
+  return {
+    action: movedFrom ? 'renamed' : stored ? 'updated' : 'added',
+    id: built.processed.id,
+    chunks: built.ids.length,
+    file: built.processed.metadata.filename,
+    type: built.type,
+    hasExif: built.hasExif,
+    ...(movedFrom ? { from: movedFrom.path } : {})
+  };
+}
+
+// Remove the documents of a deleted file, or of every file under a deleted directory
+async function removeFile(filePath, options, coll) {
+  const files = await getStoredFiles(coll, { full_path: filePath });
+
+  // Deleting a directory only reports the directory itself
+  if (files.size === 0 && options.watchRoot && !extname(filePath)) {
+    const prefix = filePath.endsWith(sep) ? filePath : `${filePath}${sep}`;
+    for (const [path, stored] of await getStoredFiles(coll, { watch_root: options.watchRoot })) {
+      if (path.startsWith(prefix)) files.set(path, stored);
+    }
+  }
+
+  const ids = [...files.values()].flatMap(f => f.ids);
+  if (ids.length > 0) await coll.delete({ ids });
+  return { action: 'removed', file: filePath, files: files.size, documents: ids.length };
+}
+
 /**
- * Process a new file and add to ChromaDB
+ * Bring a collection in line with changed paths under a watched folder
+ * Existing files are added, re-ingested when their content hash changed, or
+ * recognised as moves of a missing file with the same content (keeping its
+ * extra metadata). Missing paths have their documents removed. Existing paths
+ * are handled first so a rename's new path can claim the old documents.
+ * @param {string[]} paths - Created, changed or deleted paths
+ * @param {object} options - Watcher options (collection, filters, chunking, gpsPolicy, watchRoot)
+ * @param {object} coll - ChromaDB collection
+ * @returns {Promise<object>} { results, counts: { added, updated, renamed, removed, unchanged, skipped, failed } }
  */
-async function processNewFile(filePath, options, chromaClient) {
-  const { collection, categories, extensions, includeExif } = options;
+export async function syncWatchedFiles(paths, options, coll) {
+  const counts = { added: 0, updated: 0, renamed: 0, removed: 0, unchanged: 0, skipped: 0, failed: 0 };
+  const results = [];
+  const present = [];
+  const missing = [];
 
-  try {
-    // Check if file matches filters
-    const category = getFileCategory(filePath);
+  for (const path of new Set(paths)) {
+    try {
+      const stats = await stat(path);
+      if (stats.isDirectory()) continue;
+
+      // Skip very small files and in-progress downloads (renamed when complete)
+      if (stats.size < 10 || isPartialFile(path)) continue;
+      present.push(path);
+    } catch {
+      missing.push(path);
+    }
+  }
+
+  for (const path of present) {
+    try {
+      const result = await syncFile(path, options, coll);
+      counts[result.action]++;
+      results.push(result);
+    } catch (error) {
+      counts.failed++;
+      results.push({ action: 'failed', file: path, error: error.message });
+    }
+  }
+
+  for (const path of missing) {
+    try {
+      const result = await removeFile(path, options, coll);
+      counts.removed += result.files;
+      if (result.files > 0) results.push(result);
+    } catch (error) {
+      counts.failed++;
+      results.push({ action: 'failed', file: path, error: error.message });
+    }
+  }
+
+  if (counts.added + counts.updated + counts.renamed + counts.removed > 0) {
+    await invalidateKeywordIndex(options.collection);
+  }
+
+  return { results, counts };
+}
+
+/**
+ * Reconcile a watched folder with its collection (initial backfill)
+ * Scans the folder and syncs files that are new or whose size or mtime differ
+ * from the stored copy, plus stored files under the folder that no longer
+ * exist, so files added, edited, moved or deleted while nothing was watching
+ * are caught up. Like live events, files go through the write-completion
+ * check first, so a file still being copied in is synced once it settles.
+ * @param {string} watchPath - Watched folder
+ * @param {object} options - Watcher options, plus recursive, maxFiles, stability
+ *   (default: DEFAULT_STABILITY) and isCancelled
+ * @param {object} coll - ChromaDB collection
+ * @returns {Promise<object>} { scanned, results, counts, waiting } - waiting: still changing or locked at the timeout
+ */
+export async function backfillWatchFolder(watchPath, options, coll) {
+  const { recursive = true, categories = null, extensions = null, maxFiles = 10000 } = options;
+  const files = await scanDirectory(watchPath, {
+    recursive,
+    categories,
+    extensions: extensions ? extensions.map(e => (e.startsWith('.') ? e : `.${e}`).toLowerCase()) : null,
+    maxFiles
+  });
+  const stored = await getStoredFiles(coll, { watch_root: watchPath });
 
-    if (categories && categories.length > 0) {
-      if (!categories.includes(category.type)) {
-        return { skipped: true, reason: 'category_mismatch' };
+  // Size and mtime match the stored copy: unchanged without hashing
+  const changed = [];
+  let unchanged = 0;
+  for (const file of files) {
+    const meta = stored.get(file)?.metadata;
+    try {
+      const stats = await stat(file);
+      if (meta && meta.modified_at === stats.mtime.toISOString() && meta.size_bytes === stats.size) {
+        unchanged++;
+        continue;
       }
+    } catch {
+      // Gone since the scan: reconciled as missing below
     }
+    changed.push(file);
+  }
 
-    if (extensions && extensions.length > 0) {
-      const ext = filePath.toLowerCase().split('.').pop();
-      if (!extensions.includes(`.${ext}`) && !extensions.includes(ext)) {
-        return { skipped: true, reason: 'extension_mismatch' };
+  const scanned = new Set(files);
+  const missing = [];
+  for (const path of stored.keys()) {
+    if (!scanned.has(path) && !(await pathExists(path))) missing.push(path);
+  }
+
+  const results = [];
+  const counts = { added: 0, updated: 0, renamed: 0, removed: 0, unchanged, skipped: 0, failed: 0, unsettled: 0 };
+  const syncOptions = { ...options, watchRoot: watchPath };
+  const { waiting } = await waitForStableFiles([...changed, ...missing], {
+    ...options.stability,
+    isCancelled: options.isCancelled,
+    onReady: async (paths) => {
+      const synced = await syncWatchedFiles(paths, syncOptions, coll);
+      results.push(...synced.results);
+      for (const [action, count] of Object.entries(synced.counts)) counts[action] += count;
+    }
+  });
+  counts.unsettled = waiting.length;
+
+  return { scanned: files.length, results, counts, waiting };
+}
+
+// Log what a sync did to each file
+function logSyncResults(results) {
+  for (const result of results) {
+    if (result.action === 'added' || result.action === 'updated') {
+      console.error(`📥 Auto-ingested (${result.action}): ${result.file} (${result.type})`);
+    } else if (result.action === 'renamed') {
+      console.error(`🔀 Moved: ${result.from} -> ${result.file}`);
+    } else if (result.action === 'removed') {
+      console.error(`🗑️ Removed: ${result.file} (${result.documents} documents)`);
+    } else if (result.action === 'failed') {
+      console.error(`⚠️ Failed to ingest: ${result.file} - ${result.error}`);
+    }
+  }
+}
+
+function isPartialFile(filePath) {
+  const lower = filePath.toLowerCase();
+  return PARTIAL_SUFFIXES.some(suffix => lower.endsWith(suffix));
+}
+
+// A writer holds a lock file next to it: "photo.jpg.lock" or LibreOffice's ".~lock.report.odt#"
+async function isLocked(filePath) {
+  return (await pathExists(`${filePath}.lock`)) ||
+    (await pathExists(join(dirname(filePath), `.~lock.${basename(filePath)}#`)));
+}
+
+// The file a lock file guards, or null if the path is not a lock file
+function lockTarget(filePath) {
+  const office = /^\.~lock\.(.+)#$/.exec(basename(filePath));
+  if (office) return join(dirname(filePath), office[1]);
+  return filePath.endsWith('.lock') ? filePath.slice(0, -'.lock'.length) : null;
+}
+
+/**
+ * Wait until files have finished being written
+ * A file is ready once its size and mtime are unchanged for `checks`
+ * consecutive polls and no lock file sits next to it. Missing paths (deletions)
+ * are held back and released with the last batch, so the new path of a rename
+ * is synced while the old documents still exist to move. In-progress
+ * downloads are left out: they are ingested under their final name once renamed.
+ * @param {string[]} paths - Paths to check
+ * @param {object} options - { checks, intervalMs, timeoutMs, onReady, isCancelled } (defaults: DEFAULT_STABILITY).
+ *   onReady(paths) is awaited each poll with the paths that just became ready,
+ *   so one slow file does not hold up the rest; timeoutMs is at least checks * intervalMs.
+ *   isCancelled() is checked before every poll and onReady call; once it returns
+ *   true the wait ends without releasing anything else.
+ * @returns {Promise<object>} { ready, waiting } - waiting: still changing or locked at the timeout
+ */
+export async function waitForStableFiles(paths, options = {}) {
+  const { checks, intervalMs, timeoutMs, onReady = null, isCancelled = () => false } = { ...DEFAULT_STABILITY, ...options };
+  const deadline = Date.now() + Math.max(timeoutMs, checks * intervalMs);
+  const seen = new Map(); // path -> { signature, stableCount }
+  const ready = [];
+  const missing = [];
+  let waiting = [...new Set(paths)].filter(path => !isPartialFile(path));
+
+  for (;;) {
+    if (isCancelled()) break;
+    const next = [];
+    const settled = [];
+    for (const path of waiting) {
+      let signature;
+      try {
+        const stats = await stat(path);
+        signature = `${stats.size}:${stats.mtimeMs}`;
+      } catch {
+        missing.push(path);
+        continue;
+      }
+
+      const previous = seen.get(path);
+      const stableCount = previous && previous.signature === signature ? previous.stableCount + 1 : 0;
+      seen.set(path, { signature, stableCount });
+
+      if (stableCount >= checks && !(await isLocked(path))) {
+        settled.push(path);
+      } else {
+        next.push(path);
       }
     }
 
-    // Process the file
-    const processed = await processFile(filePath, { includeContent: true });
-
-    // Extract EXIF for images if enabled
-    let exifMeta = {};
-    let exifSummary = '';
-    if (includeExif && category.type === 'images') {
-      const exif = await extractExif(filePath);
-      if (exif.hasExif) {
-        exifMeta = exifToMetadata(exif);
-        exifSummary = exifToSummary(exif);
+    waiting = next;
+    const finished = waiting.length === 0 || Date.now() >= deadline;
+    if (finished) settled.push(...missing);
+
+    if (isCancelled()) break;
+    ready.push(...settled);
+    if (onReady && settled.length > 0) await onReady(settled);
+
+    if (finished) break;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+
+  return { ready, waiting };
+}
+
+// Size and mtime of every file under a folder: Map<path, "size:mtimeMs">
+async function snapshotDirectory(dirPath, recursive, snapshot = new Map()) {
+  let entries;
+  try {
+    entries = await readdir(dirPath, { withFileTypes: true });
+  } catch {
+    return snapshot;
+  }
+
+  for (const entry of entries) {
+    const fullPath = join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) await snapshotDirectory(fullPath, recursive, snapshot);
+    } else if (entry.isFile()) {
+      try {
+        const stats = await stat(fullPath);
+        snapshot.set(fullPath, `${stats.size}:${stats.mtimeMs}`);
+      } catch {
+        // Removed between readdir and stat
       }
     }
+  }
 
-    // Add to ChromaDB
-    const coll = await chromaClient.getOrCreateCollection({ name: collection });
-
-    const content = exifSummary
-      ? `${processed.content}\n\nEXIF Data:\n${exifSummary}`
-      : processed.content;
-
-    await coll.add({
-      ids: [processed.id],
-      documents: [content],
-      metadatas: [{
-        ...processed.metadata,
-        ...exifMeta,
-        auto_ingested: true,
-        ingested_at: new Date().toISOString(),
-        watch_folder: dirname(filePath)
-      }]
-    });
+  return snapshot;
+}
 
-    return {
-      success: true,
-      id: processed.id,
-      file: processed.metadata.filename,
-      type: category.type,
-      hasExif: Object.keys(exifMeta).length > 0
-    };
+/**
+ * Watch a folder by polling (for NFS/SMB mounts and platforms without recursive fs.watch)
+ * Takes a stat snapshot every interval and reports paths that were created,
+ * changed (size or mtime) or deleted since the previous one. Files present
+ * when polling starts are not reported.
+ * @param {string} watchPath - Folder to watch
+ * @param {object} options - { recursive, intervalMs }
+ * @param {function} onPath - Called with each changed path
+ * @returns {object} { close() }
+ */
+export function createPollingWatcher(watchPath, options, onPath) {
+  const { recursive = true, intervalMs = DEFAULT_POLL_INTERVAL_MS } = options;
+  let previous = null;
+  let timer = null;
+  let closed = false;
+
+  async function poll() {
+    try {
+      const current = await snapshotDirectory(watchPath, recursive);
+      if (previous && !closed) {
+        for (const [path, signature] of current) {
+          if (previous.get(path) !== signature) onPath(path);
+        }
+        for (const path of previous.keys()) {
+          if (!current.has(path)) onPath(path);
+        }
+      }
+      previous = current;
+    } catch (error) {
+      console.error(`⚠️ Polling ${watchPath} failed: ${error.message}`);
+    }
+
+    // Scans never overlap: the next one is scheduled after this one finishes
+    if (!closed) timer = setTimeout(poll, intervalMs);
+  }
+
+  poll();
+
+  return {
+    close() {
+      closed = true;
+      if (timer) clearTimeout(timer);
+    }
+  };
+}
+
+// Native fs.watch, or polling when requested or when native watching fails
+// ('auto' falls back both when fs.watch throws and when it errors later)
+function openWatchBackend(watchPath, { backend, recursive, pollIntervalMs }, onPath) {
+  const handle = {
+    backend,
+    fallbackReason: null,
+    watcher: null,
+    close() {
+      handle.watcher.close();
+    }
+  };
 
+  const startPolling = () => {
+    handle.backend = 'poll';
+    handle.watcher = createPollingWatcher(watchPath, { recursive, intervalMs: pollIntervalMs }, onPath);
+  };
+
+  const fallBack = (error) => {
+    handle.fallbackReason = error.message;
+    console.error(`⚠️ Native watching failed for ${watchPath} (${error.message}), polling every ${pollIntervalMs}ms`);
+    startPolling();
+  };
+
+  if (backend === 'poll') {
+    startPolling();
+    return handle;
+  }
+
+  try {
+    const native = watch(watchPath, { recursive }, (eventType, filename) => {
+      if ((eventType === 'rename' || eventType === 'change') && filename) {
+        onPath(join(watchPath, filename));
+      }
+    });
+    native.on('error', (error) => {
+      if (backend !== 'auto' || handle.backend === 'poll') {
+        console.error(`⚠️ Watcher error for ${watchPath}: ${error.message}`);
+        return;
+      }
+      native.close();
+      fallBack(error);
+    });
+    handle.backend = 'native';
+    handle.watcher = native;
   } catch (error) {
-    return { success: false, error: error.message, file: filePath };
+    if (backend !== 'auto') throw error;
+    fallBack(error);
   }
+
+  return handle;
 }
 
 /**
  * Create a debounced file processor
  */
 function createDebouncedProcessor(options, chromaClient) {
-  const pending = new Map();
-  const processed = new Set();
+  const pending = new Set();
+  const locked = new Set(); // dropped while locked; queued again when the lock goes away
+  const counts = { added: 0, updated: 0, renamed: 0, removed: 0, unchanged: 0, skipped: 0, failed: 0, unsettled: 0 };
   let timeoutId = null;
+  let running = Promise.resolve();
+  let backfillStatus = null;
+  let closed = false;
   const debounceMs = options.debounceMs || 1000;
 
-  async function processPending() {
-    const files = Array.from(pending.keys());
-    pending.clear();
-
-    const results = [];
-    for (const file of files) {
-      if (processed.has(file)) continue;
-
-      // Verify file exists and is accessible
-      try {
-        await access(file);
-        const stats = await stat(file);
+  function addCounts(batchCounts) {
+    for (const [action, count] of Object.entries(batchCounts)) counts[action] += count;
+  }
 
-        // Skip directories
-        if (stats.isDirectory()) continue;
+  function add(filePath) {
+    if (closed) return;
+    pending.add(filePath);
 
-        // Skip very small files (likely still being written)
-        if (stats.size < 10) continue;
+    // A lock file event (usually its deletion) re-checks the file it was guarding
+    const target = lockTarget(filePath);
+    if (target && locked.delete(target)) pending.add(target);
 
-        processed.add(file);
-        const result = await processNewFile(file, options, chromaClient);
-        results.push(result);
+    if (timeoutId) {
+      clearTimeout(timeoutId);
+    }
 
-        if (result.success) {
-          console.error(`📥 Auto-ingested: ${result.file} (${result.type})`);
-        } else if (!result.skipped) {
-          console.error(`⚠️ Failed to ingest: ${file} - ${result.error}`);
-        }
+    // Batches run one at a time so a file is never synced twice concurrently
+    timeoutId = setTimeout(() => {
+      timeoutId = null;
+      running = running.then(processPending);
+    }, debounceMs);
+  }
 
-      } catch (error) {
-        // File not ready or doesn't exist
-      }
+  async function syncPaths(paths) {
+    if (closed) return;
+    try {
+      const coll = await chromaClient.getOrCreateCollection({ name: options.collection });
+      const { results, counts: batchCounts } = await syncWatchedFiles(paths, options, coll);
+      addCounts(batchCounts);
+      logSyncResults(results);
+    } catch (error) {
+      counts.failed += paths.length;
+      console.error(`⚠️ Watch sync failed for ${options.collection}: ${error.message}`);
     }
+  }
 
-    return results;
+  async function processPending() {
+    const files = Array.from(pending);
+    pending.clear();
+    if (files.length === 0) return;
+
+    // Files are synced as each one settles. Files still changing or locked at
+    // the timeout are dropped; a later write to them, or removing their lock
+    // file, queues them again.
+    const { waiting } = await waitForStableFiles(files, { ...options.stability, onReady: syncPaths, isCancelled: () => closed });
+    if (closed) return;
+    for (const path of waiting) {
+      if (await isLocked(path)) locked.add(path);
+      counts.unsettled++;
+      console.error(`⏳ Skipped, still being written or locked after ${options.stability.timeoutMs}ms: ${path}`);
+    }
   }
 
   return {
-    add(filePath) {
-      pending.set(filePath, Date.now());
-
-      if (timeoutId) {
-        clearTimeout(timeoutId);
-      }
+    add,
+
+    // Runs in the same queue as event batches; events that arrive meanwhile wait for it
+    backfill(watchPath) {
+      backfillStatus = { status: 'running', started_at: new Date().toISOString() };
+      running = running.then(async () => {
+        if (closed) {
+          backfillStatus = { ...backfillStatus, status: 'cancelled' };
+          return;
+        }
+        try {
+          const coll = await chromaClient.getOrCreateCollection({ name: options.collection });
+          const { scanned, results, counts: backfillCounts, waiting } = await backfillWatchFolder(watchPath, {
+            ...options,
+            isCancelled: () => closed
+          }, coll);
+          addCounts(backfillCounts);
+          logSyncResults(results);
+          for (const path of closed ? [] : waiting) {
+            if (await isLocked(path)) locked.add(path);
+            console.error(`⏳ Skipped, still being written or locked after ${options.stability.timeoutMs}ms: ${path}`);
+          }
+          backfillStatus = { ...backfillStatus, status: closed ? 'cancelled' : 'done', finished_at: new Date().toISOString(), scanned, counts: backfillCounts };
+          console.error(`🔁 Backfilled ${watchPath}: ${scanned} files scanned`);
+        } catch (error) {
+          backfillStatus = { ...backfillStatus, status: 'failed', finished_at: new Date().toISOString(), error: error.message };
+          console.error(`⚠️ Backfill failed for ${watchPath}: ${error.message}`);
+        }
+      });
+      return running;
+    },
 
-      timeoutId = setTimeout(() => {
-        processPending();
-      }, debounceMs);
+    getBackfillStatus() {
+      return backfillStatus;
     },
 
     getProcessedCount() {
-      return processed.size;
+      return counts.added + counts.updated + counts.renamed;
+    },
+
+    getEventCounts() {
+      return { ...counts };
     },
 
+    // Stops queueing and cancels the stability wait; resolves once a sync
+    // already writing to the collection has finished
     clear() {
-      processed.clear();
+      closed = true;
       pending.clear();
+      locked.clear();
       if (timeoutId) {
         clearTimeout(timeoutId);
       }
+      return running.catch(() => {});
     }
   };
 }
@@ -201,7 +709,17 @@ export async function startWatcher(watchPath, options, chromaClient) {
     extensions = null,
     recursive = true,
     includeExif = true,
-    debounceMs = 1000
+    debounceMs = 1000,
+    chunking = true,
+    chunkSize,
+    chunkOverlap,
+    gpsPrivacy = null,
+    backfill = false,
+    backend = 'auto',
+    pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+    stabilityChecks = DEFAULT_STABILITY.checks,
+    stabilityIntervalMs = DEFAULT_STABILITY.intervalMs,
+    stabilityTimeoutMs = DEFAULT_STABILITY.timeoutMs
   } = options;
 
   // Check if already watching
@@ -223,30 +741,59 @@ export async function startWatcher(watchPath, options, chromaClient) {
     return { success: false, error: 'Path does not exist', watchPath };
   }
 
+  if (!WATCH_BACKENDS.includes(backend)) {
+    return { success: false, error: `backend must be one of ${WATCH_BACKENDS.join(', ')}`, watchPath };
+  }
+  if (typeof pollIntervalMs !== 'number' || !(pollIntervalMs >= 100)) {
+    return { success: false, error: 'pollIntervalMs must be at least 100', watchPath };
+  }
+  const stability = { checks: stabilityChecks, intervalMs: stabilityIntervalMs, timeoutMs: stabilityTimeoutMs };
+  for (const [name, value] of Object.entries(stability)) {
+    if (!Number.isInteger(value) || value < 0) {
+      return { success: false, error: `Stability ${name} must be a non-negative integer`, watchPath };
+    }
+  }
+  if (stability.timeoutMs < stability.checks * stability.intervalMs) {
+    return { success: false, error: 'Stability timeoutMs must be at least checks * intervalMs, or no file could ever settle', watchPath };
+  }
+
+  // Watcher policy, or the collection's configured one
+  let gpsPolicy;
+  try {
+    gpsPolicy = resolveGpsPolicy(collection, gpsPrivacy);
+  } catch (error) {
+    return { success: false, error: error.message, watchPath };
+  }
+
   // Create debounced processor
   const processor = createDebouncedProcessor({
     collection,
     categories,
     extensions,
     includeExif,
-    debounceMs
+    debounceMs,
+    chunking,
+    chunkSize,
+    chunkOverlap,
+    gpsPolicy,
+    recursive,
+    stability,
+    watchRoot: watchPath
   }, chromaClient);
 
   // Start watcher
-  const watcher = watch(watchPath, { recursive }, (eventType, filename) => {
-    if (eventType === 'rename' || eventType === 'change') {
-      if (filename) {
-        const fullPath = join(watchPath, filename);
-        processor.add(fullPath);
-      }
-    }
-  });
+  let watcher;
+  try {
+    watcher = openWatchBackend(watchPath, { backend, recursive, pollIntervalMs }, path => processor.add(path));
+  } catch (error) {
+    return { success: false, error: `Native watching failed: ${error.message}`, watchPath };
+  }
 
   // Store watcher info
   const watcherInfo = {
     watcher,
     processor,
-    options: { collection, categories, extensions, recursive, includeExif },
+    options: { collection, categories, extensions, recursive, includeExif, chunking, chunkSize, chunkOverlap, gpsPrivacy, gpsPolicy, backfill, backend, pollIntervalMs, stability },
     startedAt: new Date().toISOString()
   };
 
@@ -262,48 +809,72 @@ export async function startWatcher(watchPath, options, chromaClient) {
     extensions,
     recursive,
     includeExif,
+    chunking,
+    chunkSize,
+    chunkOverlap,
+    gpsPrivacy,
+    backfill,
+    backend,
+    pollIntervalMs,
+    stabilityChecks,
+    stabilityIntervalMs,
+    stabilityTimeoutMs,
     startedAt: watcherInfo.startedAt
   });
   await saveWatcherState(state);
 
-  console.error(`👁️ Started watching: ${watchPath} -> ${collection}`);
+  console.error(`👁️ Started watching (${watcher.backend}): ${watchPath} -> ${collection}`);
+
+  // Catch up on files already in the folder; runs in the background
+  if (backfill) {
+    processor.backfill(watchPath);
+  }
 
   return {
     success: true,
     watchPath,
     collection,
-    options: { categories, extensions, recursive, includeExif }
+    options: { categories, extensions, recursive, includeExif, gpsPrivacy: gpsPolicy?.mode || 'keep', backfill, stability },
+    backend: watcher.backend,
+    ...(watcher.fallbackReason ? { fallbackReason: watcher.fallbackReason } : {}),
+    ...(backfill ? { backfill: 'started' } : {})
   };
 }
 
 /**
  * Stop watching a folder
+ * @param {string} watchPath - Watched folder
+ * @param {object} options - { forget: remove it from the saved state (default: true) }
  */
-export async function stopWatcher(watchPath) {
+export async function stopWatcher(watchPath, options = {}) {
+  const { forget = true } = options;
   const watcherInfo = activeWatchers.get(watchPath);
 
   if (!watcherInfo) {
     return { success: false, error: 'Not watching this path', watchPath };
   }
 
-  // Close watcher
+  // Close watcher, then let an in-flight sync finish so nothing writes after we return
   watcherInfo.watcher.close();
-  watcherInfo.processor.clear();
+  await watcherInfo.processor.clear();
 
   // Remove from registry
   activeWatchers.delete(watchPath);
 
-  // Update state
-  const state = await loadWatcherState();
-  state.watchers = state.watchers.filter(w => w.path !== watchPath);
-  await saveWatcherState(state);
+  // Update state (kept on shutdown so the watcher is restored next start)
+  if (forget) {
+    const state = await loadWatcherState();
+    state.watchers = state.watchers.filter(w => w.path !== watchPath);
+    await saveWatcherState(state);
+  }
 
   console.error(`🛑 Stopped watching: ${watchPath}`);
 
   return {
     success: true,
     watchPath,
-    filesProcessed: watcherInfo.processor.getProcessedCount()
+    filesProcessed: watcherInfo.processor.getProcessedCount(),
+    events: watcherInfo.processor.getEventCounts()
   };
 }
 
@@ -321,8 +892,15 @@ export function listWatchers() {
       extensions: info.options.extensions,
       recursive: info.options.recursive,
       includeExif: info.options.includeExif,
+      gpsPrivacy: info.options.gpsPolicy?.mode || 'keep',
+      backend: info.watcher.backend,
+      ...(info.watcher.backend === 'poll' ? { pollIntervalMs: info.options.pollIntervalMs } : {}),
+      ...(info.watcher.fallbackReason ? { fallbackReason: info.watcher.fallbackReason } : {}),
+      stability: info.options.stability,
       startedAt: info.startedAt,
-      filesProcessed: info.processor.getProcessedCount()
+      filesProcessed: info.processor.getProcessedCount(),
+      events: info.processor.getEventCounts(),
+      backfill: info.processor.getBackfillStatus()
     });
   }
 
@@ -343,17 +921,24 @@ export function getWatcherStatus(watchPath) {
     active: true,
     watchPath,
     collection: info.options.collection,
+    backend: info.watcher.backend,
     startedAt: info.startedAt,
-    filesProcessed: info.processor.getProcessedCount()
+    filesProcessed: info.processor.getProcessedCount(),
+    events: info.processor.getEventCounts(),
+    backfill: info.processor.getBackfillStatus()
   };
 }
 
 /**
  * Restore watchers from saved state (call on server startup)
+ * Watchers that fail to start stay in the saved state, so a folder on a
+ * drive that is not mounted yet is retried on the next start.
+ * @returns {Promise<object>} { restored: [path], failed: [{ path, collection, error }] }
  */
 export async function restoreWatchers(chromaClient) {
   const state = await loadWatcherState();
   const restored = [];
+  const failed = [];
 
   for (const config of state.watchers) {
     try {
@@ -362,29 +947,46 @@ export async function restoreWatchers(chromaClient) {
         categories: config.categories,
         extensions: config.extensions,
         recursive: config.recursive,
-        includeExif: config.includeExif
+        includeExif: config.includeExif,
+        chunking: config.chunking,
+        chunkSize: config.chunkSize,
+        chunkOverlap: config.chunkOverlap,
+        gpsPrivacy: config.gpsPrivacy,
+        backfill: config.backfill,
+        backend: config.backend,
+        pollIntervalMs: config.pollIntervalMs,
+        stabilityChecks: config.stabilityChecks,
+        stabilityIntervalMs: config.stabilityIntervalMs,
+        stabilityTimeoutMs: config.stabilityTimeoutMs
       }, chromaClient);
 
       if (result.success) {
         restored.push(config.path);
+      } else {
+        failed.push({ path: config.path, collection: config.collection, error: result.error });
       }
     } catch (error) {
-      console.error(`Failed to restore watcher for ${config.path}: ${error.message}`);
+      failed.push({ path: config.path, collection: config.collection, error: error.message });
     }
   }
 
-  return restored;
+  for (const failure of failed) {
+    console.error(`⚠️ Failed to restore watcher for ${failure.path}: ${failure.error}`);
+  }
+
+  return { restored, failed };
 }
 
 /**
  * Stop all watchers
+ * @param {object} options - { forget: remove them from the saved state (default: true) }
  */
-export async function stopAllWatchers() {
+export async function stopAllWatchers(options = {}) {
   const paths = Array.from(activeWatchers.keys());
   const results = [];
 
   for (const path of paths) {
-    const result = await stopWatcher(path);
+    const result = await stopWatcher(path, options);
     results.push(result);
   }
 
@@ -392,6 +994,13 @@ export async function stopAllWatchers() {
 }
 
 export default {
+  WATCH_BACKENDS,
+  DEFAULT_POLL_INTERVAL_MS,
+  DEFAULT_STABILITY,
+  syncWatchedFiles,
+  waitForStableFiles,
+  backfillWatchFolder,
+  createPollingWatcher,
   startWatcher,
   stopWatcher,
   listWatchers,
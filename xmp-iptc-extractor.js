@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+
+/**
+ * XMP and IPTC Metadata Extractor for Photos
+ *
+ * Reads the descriptive metadata that photo managers (Lightroom, Bridge,
+ * Photo Mechanic, digiKam) write next to EXIF:
+ * - XMP packets (JPEG APP1 "http://ns.adobe.com/xap/1.0/", or embedded in
+ *   TIFF and other containers)
+ * - IPTC-IIM records (JPEG APP13 Photoshop "8BIM" resource 0x0404)
+ *
+ * Surfaces title, caption, headline, keywords, rating, color label,
+ * creator and copyright. XMP wins when both are present; keywords are merged.
+ */
+
+const XMP_APP1_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const PHOTOSHOP_APP13_HEADER = 'Photoshop 3.0\0';
+const IPTC_RESOURCE_ID = 0x0404;
+
+// IPTC-IIM application record (2) datasets
+const IPTC_DATASETS = {
+  5: 'title', // Object Name
+  25: 'keywords', // repeatable
+  80: 'creator', // By-line, repeatable
+  90: 'city',
+  95: 'state',
+  101: 'country',
+  105: 'headline',
+  116: 'copyright',
+  120: 'caption' // Caption/Abstract
+};
+const IPTC_REPEATABLE = new Set(['keywords', 'creator']);
+
+// ============================================
+// LOCATING METADATA BLOCKS
+// ============================================
+
+/**
+ * Find XMP and IPTC blocks in a JPEG's APPn segments
+ * @param {Buffer} buffer - JPEG file contents
+ * @returns {object} { xmp: string|null, iptc: Buffer|null }
+ */
+export function findJpegMetadataSegments(buffer) {
+  const found = { xmp: null, iptc: null };
+  let offset = 2; // Skip SOI marker
+
+  while (offset < buffer.length - 4) {
+    if (buffer[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xDA || marker === 0xD9) break; // Start of scan / end of image
+    if (marker === 0xD8 || marker === 0xFF || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset += marker === 0xFF ? 1 : 2;
+      continue;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    const end = Math.min(offset + 2 + length, buffer.length);
+
+    if (marker === 0xE1 && !found.xmp &&
+        buffer.toString('latin1', start, start + XMP_APP1_HEADER.length) === XMP_APP1_HEADER) {
+      found.xmp = buffer.toString('utf-8', start + XMP_APP1_HEADER.length, end);
+    }
+    if (marker === 0xED && !found.iptc &&
+        buffer.toString('latin1', start, start + PHOTOSHOP_APP13_HEADER.length) === PHOTOSHOP_APP13_HEADER) {
+      found.iptc = findIptcBlock(buffer.subarray(start + PHOTOSHOP_APP13_HEADER.length, end));
+    }
+
+    offset += 2 + length;
+  }
+
+  return found;
+}
+
+/**
+ * Find an XMP packet anywhere in a file (TIFF tag 700, RAW, PNG iTXt, ...)
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} The <x:xmpmeta> element, or null
+ */
+export function findXmpPacket(buffer) {
+  const start = buffer.indexOf('<x:xmpmeta');
+  if (start < 0) return null;
+  const end = buffer.indexOf('</x:xmpmeta>', start);
+  if (end < 0) return null;
+  return buffer.toString('utf-8', start, end + '</x:xmpmeta>'.length);
+}
+
+/**
+ * Find the IPTC-IIM block inside Photoshop image resources ("8BIM" blocks)
+ * @param {Buffer} buffer - Image resource data (APP13 payload, TIFF tag 34377, or a whole file)
+ * @returns {Buffer|null} Raw IPTC records, or null
+ */
+export function findIptcBlock(buffer) {
+  let offset = buffer.indexOf('8BIM');
+
+  while (offset >= 0 && offset + 12 <= buffer.length) {
+    const id = buffer.readUInt16BE(offset + 4);
+    // Pascal-string resource name, padded to an even length
+    const nameLength = buffer[offset + 6];
+    const nameSize = (nameLength + 1) % 2 === 0 ? nameLength + 1 : nameLength + 2;
+    const sizeOffset = offset + 6 + nameSize;
+    if (sizeOffset + 4 > buffer.length) break;
+
+    const size = buffer.readUInt32BE(sizeOffset);
+    const dataStart = sizeOffset + 4;
+
+    if (id === IPTC_RESOURCE_ID && buffer[dataStart] === 0x1C) {
+      return buffer.subarray(dataStart, Math.min(dataStart + size, buffer.length));
+    }
+
+    offset = buffer.indexOf('8BIM', dataStart + size + (size % 2));
+  }
+
+  return null;
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+// Decode the five predefined XML entities and numeric character references
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// All values of an XMP property, whether written as an attribute, a simple
+// element, or an rdf:Bag / rdf:Seq / rdf:Alt list
+function getXmpValues(xml, name) {
+  const escaped = name.replace(/[.:]/g, '\\$&');
+  const element = new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`).exec(xml);
+
+  if (element) {
+    const items = [...element[1].matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)].map(m => m[1]);
+    const values = items.length > 0 ? items : [element[1]];
+    return values.map(v => decodeXmlEntities(v.trim())).filter(Boolean);
+  }
+
+  const attribute = new RegExp(`\\s${escaped}="([^"]*)"`).exec(xml);
+  return attribute && attribute[1].trim() ? [decodeXmlEntities(attribute[1].trim())] : [];
+}
+
+/**
+ * Parse descriptive fields from an XMP packet
+ * @param {string} xml - XMP packet
+ * @returns {object} { title, caption, headline, keywords, rating, label, creator, copyright, city, state, country }
+ */
+export function parseXmp(xml) {
+  const first = name => getXmpValues(xml, name)[0] || null;
+  const rating = first('xmp:Rating');
+
+  return {
+    title: first('dc:title'),
+    caption: first('dc:description'),
+    headline: first('photoshop:Headline'),
+    keywords: getXmpValues(xml, 'dc:subject'),
+    rating: rating !== null && !Number.isNaN(Number(rating)) ? Number(rating) : null,
+    label: first('xmp:Label'),
+    creator: getXmpValues(xml, 'dc:creator'),
+    copyright: first('dc:rights'),
+    city: first('photoshop:City'),
+    state: first('photoshop:State'),
+    country: first('photoshop:Country')
+  };
+}
+
+// IPTC text is UTF-8 when record 1:90 says so (and in practice usually);
+// fall back to Latin-1 for legacy files that don't decode cleanly
+function decodeIptcText(bytes, utf8) {
+  const text = bytes.toString('utf-8');
+  return utf8 || !text.includes('�') ? text : bytes.toString('latin1');
+}
+
+/**
+ * Parse descriptive fields from IPTC-IIM records
+ * @param {Buffer} block - Raw IPTC records (from findIptcBlock)
+ * @returns {object} { title, caption, headline, keywords, creator, copyright, city, state, country }
+ */
+export function parseIptc(block) {
+  const result = { keywords: [], creator: [] };
+  let utf8 = false;
+  let offset = 0;
+
+  while (offset + 5 <= block.length && block[offset] === 0x1C) {
+    const record = block[offset + 1];
+    const dataset = block[offset + 2];
+    let length = block.readUInt16BE(offset + 3);
+    let dataStart = offset + 5;
+
+    // Extended dataset: the low bits give the size of the length field
+    if (length & 0x8000) {
+      const lengthBytes = length & 0x7FFF;
+      length = 0;
+      for (let i = 0; i < lengthBytes; i++) length = length * 256 + block[dataStart + i];
+      dataStart += lengthBytes;
+    }
+
+    const value = block.subarray(dataStart, Math.min(dataStart + length, block.length));
+
+    if (record === 1 && dataset === 90) {
+      utf8 = value.includes(Buffer.from('\x1B%G', 'latin1'));
+    } else if (record === 2 && IPTC_DATASETS[dataset]) {
+      const field = IPTC_DATASETS[dataset];
+      const text = decodeIptcText(value, utf8).replace(/\0+$/, '').trim();
+      if (text) {
+        if (IPTC_REPEATABLE.has(field)) result[field].push(text);
+        else result[field] = text;
+      }
+    }
+
+    offset = dataStart + length;
+  }
+
+  return result;
+}
+
+/**
+ * Extract XMP and IPTC descriptive metadata from an image file's contents
+ * @param {Buffer} buffer - File contents
+ * @param {object} options - { jpeg: true to read APPn segments instead of scanning }
+ * @returns {object|null} Merged fields plus sources (['xmp', 'iptc']), or null if neither is present
+ */
+export function extractXmpIptc(buffer, options = {}) {
+  const { jpeg = false } = options;
+  const blocks = jpeg
+    ? findJpegMetadataSegments(buffer)
+    : { xmp: findXmpPacket(buffer), iptc: findIptcBlock(buffer) };
+
+  const xmp = blocks.xmp ? parseXmp(blocks.xmp) : null;
+  const iptc = blocks.iptc ? parseIptc(blocks.iptc) : null;
+  if (!xmp && !iptc) return null;
+
+  const pick = field => xmp?.[field] ?? iptc?.[field] ?? null;
+  const merged = {
+    title: pick('title'),
+    caption: pick('caption'),
+    headline: pick('headline'),
+    keywords: [...new Set([...(xmp?.keywords || []), ...(iptc?.keywords || [])])],
+    rating: xmp?.rating ?? null,
+    label: xmp?.label ?? null,
+    creator: xmp?.creator?.length ? xmp.creator : iptc?.creator || [],
+    copyright: pick('copyright'),
+    city: pick('city'),
+    state: pick('state'),
+    country: pick('country'),
+    sources: [xmp && 'xmp', iptc && 'iptc'].filter(Boolean)
+  };
+
+  const hasValues = Object.entries(merged).some(([key, value]) =>
+    key !== 'sources' && (Array.isArray(value) ? value.length > 0 : value !== null));
+  return hasValues ? merged : null;
+}
+
+/**
+ * Human-readable summary of descriptive metadata for embedding
+ * @param {object} descriptive - Result of extractXmpIptc
+ * @returns {Array<string>} Summary lines
+ */
+export function descriptiveToSummary(descriptive) {
+  if (!descriptive) return [];
+  const lines = [];
+
+  if (descriptive.title) lines.push(`Title: ${descriptive.title}`);
+  if (descriptive.headline && descriptive.headline !== descriptive.title) lines.push(`Headline: ${descriptive.headline}`);
+  if (descriptive.caption) lines.push(`Caption: ${descriptive.caption}`);
+  if (descriptive.keywords.length) lines.push(`Keywords: ${descriptive.keywords.join(', ')}`);
+  if (descriptive.rating !== null) lines.push(`Rating: ${descriptive.rating}`);
+  if (descriptive.creator.length) lines.push(`Creator: ${descriptive.creator.join(', ')}`);
+
+  return lines;
+}
+
+/**
+ * Flat metadata fields for ChromaDB storage
+ * Lists are joined with ", " since ChromaDB metadata values must be scalars.
+ * @param {object} descriptive - Result of extractXmpIptc
+ * @returns {object} Flat metadata object
+ */
+export function descriptiveToMetadata(descriptive) {
+  if (!descriptive) return {};
+  const meta = {};
+
+  if (descriptive.title) meta.title = descriptive.title;
+  if (descriptive.caption) meta.caption = descriptive.caption;
+  if (descriptive.headline) meta.headline = descriptive.headline;
+  if (descriptive.keywords.length) meta.keywords = descriptive.keywords.join(', ');
+  if (descriptive.rating !== null) meta.rating = descriptive.rating;
+  if (descriptive.label) meta.color_label = descriptive.label;
+  if (descriptive.creator.length) meta.author = descriptive.creator.join(', ');
+  if (descriptive.copyright) meta.copyright = descriptive.copyright;
+
+  return meta;
+}
+
+export default {
+  findJpegMetadataSegments,
+  findXmpPacket,
+  findIptcBlock,
+  parseXmp,
+  parseIptc,
+  extractXmpIptc,
+  descriptiveToSummary,
+  descriptiveToMetadata
+};